@@ -0,0 +1,11 @@
+-- Monthly limit on questions to the assistant (POST /api/assistant/query) per plan.
+-- null means unlimited; plans without the key are unlimited as well.
+UPDATE subscription_plans
+SET features = features || '{"assistant_questions_per_month": 30}'::jsonb,
+    updated_at = NOW()
+WHERE code = 'free';
+
+UPDATE subscription_plans
+SET features = features || '{"assistant_questions_per_month": null}'::jsonb,
+    updated_at = NOW()
+WHERE code IN ('premium_monthly', 'premium_yearly');
@@ -0,0 +1,43 @@
+-- Record a payslip (POST /api/incomes/from-payslip) in one transaction: the salary income
+-- for the net pay and the deductions withheld from it. If a deduction can't be saved the
+-- income is not kept either.
+-- p_income:     { amount, gross_amount, date, description, notes, is_recurring, recurring_frequency,
+--                 payment_method, category_id, category, subcategory_id, subcategory }
+-- p_deductions: [{ position, component, name, amount, pay_period }], empty to track none
+-- Returns { income_id, deductions } with the deductions in payslip order.
+CREATE OR REPLACE FUNCTION create_payslip_income(
+  p_user_id UUID,
+  p_income JSONB,
+  p_deductions JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  new_income_id UUID;
+  saved_deductions JSONB;
+BEGIN
+  INSERT INTO incomes (
+    user_id, amount, gross_amount, date, description, notes, is_recurring, recurring_frequency,
+    payment_method, category_id, category, subcategory_id, subcategory
+  )
+  SELECT p_user_id, i.amount, i.gross_amount, i.date, i.description, i.notes, i.is_recurring, i.recurring_frequency,
+    i.payment_method, i.category_id, i.category, i.subcategory_id, i.subcategory
+  FROM jsonb_to_record(p_income) AS i(
+    amount DECIMAL(10,2), gross_amount DECIMAL(10,2), date DATE, description TEXT, notes TEXT,
+    is_recurring BOOLEAN, recurring_frequency TEXT, payment_method TEXT,
+    category_id UUID, category TEXT, subcategory_id UUID, subcategory TEXT
+  )
+  RETURNING id INTO new_income_id;
+
+  INSERT INTO income_deductions (income_id, user_id, position, component, name, amount, pay_period)
+  SELECT new_income_id, p_user_id, d.position, d.component, d.name, d.amount, d.pay_period
+  FROM jsonb_to_recordset(COALESCE(p_deductions, '[]'::jsonb)) AS d(
+    position INTEGER, component TEXT, name TEXT, amount DECIMAL(10,2), pay_period DATE
+  );
+
+  SELECT COALESCE(jsonb_agg(to_jsonb(d) ORDER BY d.position), '[]'::jsonb) INTO saved_deductions
+  FROM income_deductions d
+  WHERE d.income_id = new_income_id;
+
+  RETURN jsonb_build_object('income_id', new_income_id, 'deductions', saved_deductions);
+END;
+$$ LANGUAGE plpgsql;
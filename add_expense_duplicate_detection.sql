@@ -0,0 +1,32 @@
+-- Duplicate receipt / expense detection
+-- Receipt fingerprints are stored on the expense they were saved as:
+--   receipt_image_hash - 64-bit dHash of the receipt image (hex)
+--   receipt_text_hash  - 64-bit SimHash of the OCR text (hex)
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS receipt_image_hash TEXT;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS receipt_text_hash TEXT;
+
+-- Candidate lookups filter on amount and a date window
+CREATE INDEX IF NOT EXISTS idx_expenses_user_amount_date ON expenses(user_id, amount, date);
+
+-- Pairs flagged when an expense was created, for the user to merge or dismiss.
+-- expense_id is the newer expense, duplicate_of_expense_id the one it resembles.
+CREATE TABLE IF NOT EXISTS expense_duplicates (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  expense_id UUID REFERENCES expenses(id) ON DELETE SET NULL,
+  duplicate_of_expense_id UUID REFERENCES expenses(id) ON DELETE SET NULL,
+  score DECIMAL(4,3) NOT NULL CHECK (score >= 0 AND score <= 1),
+  reasons JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'merged', 'dismissed')),
+  kept_expense_id UUID,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (expense_id, duplicate_of_expense_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_duplicates_user_status ON expense_duplicates(user_id, status);
+
+ALTER TABLE expense_duplicates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own expense duplicates" ON expense_duplicates
+  FOR SELECT USING (auth.uid() = user_id);
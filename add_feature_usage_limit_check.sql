@@ -0,0 +1,46 @@
+-- Metered features reserve their unit before the request runs, and the limit is
+-- enforced here in one statement so concurrent requests can't all slip under it.
+-- Replaces the unconditional increment from create_subscriptions_tables.sql.
+DROP FUNCTION IF EXISTS increment_feature_usage(UUID, TEXT, TEXT);
+
+-- Returns the new count, or NULL when the count is already at p_limit
+-- (p_limit NULL means unlimited)
+CREATE OR REPLACE FUNCTION increment_feature_usage(
+  p_user_id UUID,
+  p_feature TEXT,
+  p_period TEXT,
+  p_limit INTEGER DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  new_count INTEGER;
+BEGIN
+  IF p_limit IS NOT NULL AND p_limit <= 0 THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO feature_usage (user_id, feature, period, count)
+  VALUES (p_user_id, p_feature, p_period, 1)
+  ON CONFLICT (user_id, feature, period)
+  DO UPDATE SET count = feature_usage.count + 1, updated_at = NOW()
+  WHERE p_limit IS NULL OR feature_usage.count < p_limit
+  RETURNING count INTO new_count;
+
+  RETURN new_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Give back a reserved unit when the request it was reserved for failed
+CREATE OR REPLACE FUNCTION release_feature_usage(p_user_id UUID, p_feature TEXT, p_period TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  new_count INTEGER;
+BEGIN
+  UPDATE feature_usage
+  SET count = GREATEST(count - 1, 0), updated_at = NOW()
+  WHERE user_id = p_user_id AND feature = p_feature AND period = p_period
+  RETURNING count INTO new_count;
+
+  RETURN new_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,12 @@
+-- Add an optional icon to income categories so income rows can be shown
+-- with the same category name + icon pairing used for expenses.
+ALTER TABLE income_categories
+ADD COLUMN IF NOT EXISTS icon TEXT DEFAULT NULL;
+
+COMMENT ON COLUMN income_categories.icon IS 'Optional emoji/icon shown next to the category name';
+
+-- Verify the column was added
+SELECT column_name, data_type, is_nullable, column_default
+FROM information_schema.columns
+WHERE table_name = 'income_categories'
+AND column_name = 'icon';
@@ -0,0 +1,12 @@
+-- Idempotent order creation for POST /api/payments/create-order
+-- A retried request with the same Idempotency-Key returns the order created the first time.
+-- The fingerprint is a hash of the request parameters so a key can't be reused for a different order.
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS idempotency_key TEXT,
+ADD COLUMN IF NOT EXISTS idempotency_fingerprint TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_user_idempotency_key
+  ON payments(user_id, idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_expense_id ON payments(expense_id);
@@ -0,0 +1,4 @@
+-- Razorpay does not deliver webhooks in order. Each subscription remembers the
+-- created_at of the last event applied to it, and older events are ignored
+-- (see subscriptionService.applySubscriptionEvent).
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS last_event_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,94 @@
+-- Merge a flagged duplicate pair in one transaction (POST /api/expenses/duplicates/:pairId/merge).
+-- The kept expense takes over the receipt, fingerprints, description, subcategory and
+-- notes it lacks, gains the other expense's tags, and takes its line items if it has
+-- none; the other expense is deleted and the pair marked merged. Any failure leaves
+-- the pair pending and both expenses as they were.
+-- p_keep: 'existing' keeps duplicate_of_expense_id, 'new' keeps expense_id.
+CREATE OR REPLACE FUNCTION merge_expense_duplicate(
+  p_pair_id UUID,
+  p_user_id UUID,
+  p_keep TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+  pair expense_duplicates%ROWTYPE;
+  kept expenses%ROWTYPE;
+  removed expenses%ROWTYPE;
+  kept_id UUID;
+  removed_id UUID;
+BEGIN
+  SELECT * INTO pair
+  FROM expense_duplicates
+  WHERE id = p_pair_id AND user_id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PAIR_NOT_FOUND';
+  END IF;
+
+  IF pair.status <> 'pending' THEN
+    RAISE EXCEPTION 'PAIR_ALREADY_RESOLVED';
+  END IF;
+
+  IF pair.expense_id IS NULL OR pair.duplicate_of_expense_id IS NULL THEN
+    RAISE EXCEPTION 'EXPENSE_MISSING';
+  END IF;
+
+  kept_id := CASE WHEN p_keep = 'new' THEN pair.expense_id ELSE pair.duplicate_of_expense_id END;
+  removed_id := CASE WHEN p_keep = 'new' THEN pair.duplicate_of_expense_id ELSE pair.expense_id END;
+
+  SELECT * INTO kept FROM expenses WHERE id = kept_id AND user_id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'EXPENSE_MISSING';
+  END IF;
+
+  SELECT * INTO removed FROM expenses WHERE id = removed_id AND user_id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'EXPENSE_MISSING';
+  END IF;
+
+  UPDATE expenses
+  SET receipt_url = COALESCE(NULLIF(kept.receipt_url, ''), removed.receipt_url),
+      receipt_image_hash = COALESCE(NULLIF(kept.receipt_image_hash, ''), removed.receipt_image_hash),
+      receipt_text_hash = COALESCE(NULLIF(kept.receipt_text_hash, ''), removed.receipt_text_hash),
+      description = COALESCE(NULLIF(kept.description, ''), removed.description),
+      subcategory = COALESCE(NULLIF(kept.subcategory, ''), removed.subcategory),
+      notes = COALESCE(NULLIF(kept.notes, ''), removed.notes),
+      -- Union of both tag lists, kept expense's tags first
+      tags = CASE
+        WHEN kept.tags IS NULL AND removed.tags IS NULL THEN NULL
+        ELSE ARRAY(
+          SELECT tag
+          FROM unnest(COALESCE(kept.tags, '{}'::TEXT[]) || COALESCE(removed.tags, '{}'::TEXT[])) WITH ORDINALITY AS t(tag, n)
+          GROUP BY tag
+          ORDER BY MIN(n)
+        )
+      END,
+      updated_at = NOW()
+  WHERE id = kept_id
+  RETURNING * INTO kept;
+
+  -- Keep the itemization if only the removed expense has one; otherwise its items
+  -- go with it (receipt_items cascade on delete)
+  IF NOT EXISTS (SELECT 1 FROM receipt_items WHERE expense_id = kept_id) THEN
+    UPDATE receipt_items
+    SET expense_id = kept_id
+    WHERE expense_id = removed_id AND user_id = p_user_id;
+  END IF;
+
+  UPDATE expense_duplicates
+  SET status = 'merged',
+      kept_expense_id = kept_id,
+      resolved_at = NOW()
+  WHERE id = p_pair_id
+  RETURNING * INTO pair;
+
+  DELETE FROM expenses WHERE id = removed_id AND user_id = p_user_id;
+
+  RETURN jsonb_build_object(
+    'pair', to_jsonb(pair),
+    'expense', to_jsonb(kept),
+    'removedExpenseId', removed_id
+  );
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,55 @@
+-- Per-user lockout for MFA codes: the second login step (POST /api/auth/mfa/verify)
+-- and the account actions that take a code (confirm, recovery-codes, disable).
+-- Attempts are counted on the user, not the pending token, so signing in again
+-- with the password does not buy more guesses.
+ALTER TABLE public.user_profiles
+ADD COLUMN IF NOT EXISTS mfa_failed_attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS mfa_locked_until TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.user_profiles.mfa_failed_attempts IS 'MFA login attempts since the last successful one';
+COMMENT ON COLUMN public.user_profiles.mfa_locked_until IS 'MFA login is refused until this time';
+
+-- Count an MFA login attempt before the code is checked, so concurrent guesses
+-- can't all slip in under the limit. The attempt that reaches p_max_attempts
+-- starts the lockout; a correct code clears it (see mfaService.resetAttempts).
+-- Returns { allowed, attempts } or { allowed: false, locked_until }.
+CREATE OR REPLACE FUNCTION register_mfa_attempt(
+  p_user_id UUID,
+  p_max_attempts INTEGER,
+  p_lockout_minutes INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+  attempts INTEGER;
+  locked_until TIMESTAMP WITH TIME ZONE;
+BEGIN
+  SELECT mfa_failed_attempts, mfa_locked_until INTO attempts, locked_until
+  FROM user_profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('allowed', false, 'locked_until', NULL);
+  END IF;
+
+  IF locked_until IS NOT NULL AND locked_until > NOW() THEN
+    RETURN jsonb_build_object('allowed', false, 'locked_until', locked_until);
+  END IF;
+
+  -- A lockout that has run out starts a fresh count
+  IF locked_until IS NOT NULL THEN
+    attempts := 0;
+  END IF;
+  attempts := attempts + 1;
+
+  UPDATE user_profiles
+  SET mfa_failed_attempts = attempts,
+      mfa_locked_until = CASE
+        WHEN attempts >= p_max_attempts THEN NOW() + make_interval(mins => p_lockout_minutes)
+        ELSE NULL
+      END
+  WHERE id = p_user_id;
+
+  RETURN jsonb_build_object('allowed', true, 'attempts', attempts);
+END;
+$$ LANGUAGE plpgsql;
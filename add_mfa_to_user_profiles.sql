@@ -0,0 +1,26 @@
+-- TOTP two-factor authentication
+-- Secrets are stored AES-256-GCM encrypted by the backend (MFA_ENCRYPTION_KEY).
+ALTER TABLE public.user_profiles
+ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS mfa_secret TEXT,
+ADD COLUMN IF NOT EXISTS mfa_pending_secret TEXT,
+ADD COLUMN IF NOT EXISTS mfa_last_used_step BIGINT,
+ADD COLUMN IF NOT EXISTS mfa_enabled_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN public.user_profiles.mfa_secret IS 'Encrypted TOTP secret (confirmed)';
+COMMENT ON COLUMN public.user_profiles.mfa_pending_secret IS 'Encrypted TOTP secret awaiting confirmation with a first code';
+COMMENT ON COLUMN public.user_profiles.mfa_last_used_step IS 'Last accepted TOTP time step, prevents code replay';
+
+-- Single-use recovery codes, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES user_profiles(id) ON DELETE CASCADE NOT NULL,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+
+-- Only the backend (service role) touches this table
+ALTER TABLE mfa_recovery_codes ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,15 @@
+-- Receipt tracking for captured payments
+-- receipt_dispatch_claimed_at is claimed atomically before a receipt is
+-- generated and emailed, so /verify and the webhook never both send one.
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS receipt_url TEXT,
+ADD COLUMN IF NOT EXISTS receipt_generated_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS receipt_dispatch_claimed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS receipt_emailed_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN payments.receipt_url IS 'Storage path of the PDF receipt in the private payment-receipts bucket';
+
+-- Private bucket for payment receipts (served through GET /api/payments/:id/receipt.pdf)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('payment-receipts', 'payment-receipts', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,27 @@
+-- Replace an expense's receipt items in one transaction (PUT /api/expenses/:id/items),
+-- so a failed insert can't leave the expense with its old items deleted.
+-- p_items is an array of rows built by receiptItemService.parseItems.
+CREATE OR REPLACE FUNCTION replace_receipt_items(
+  p_expense_id UUID,
+  p_user_id UUID,
+  p_items JSONB,
+  p_receipt_url TEXT
+)
+RETURNS SETOF receipt_items AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM expenses WHERE id = p_expense_id AND user_id = p_user_id) THEN
+    RAISE EXCEPTION 'EXPENSE_NOT_FOUND';
+  END IF;
+
+  DELETE FROM receipt_items WHERE expense_id = p_expense_id AND user_id = p_user_id;
+
+  RETURN QUERY
+  INSERT INTO receipt_items (expense_id, user_id, position, kind, name, quantity, unit_price, line_total, category, receipt_url)
+  SELECT p_expense_id, p_user_id, i.position, i.kind, i.name, i.quantity, i.unit_price, i.line_total, i.category, p_receipt_url
+  FROM jsonb_to_recordset(p_items) AS i(
+    position INTEGER, kind TEXT, name TEXT, quantity DECIMAL(10,3),
+    unit_price DECIMAL(10,2), line_total DECIMAL(10,2), category TEXT
+  )
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,30 @@
+-- Add a role to user_profiles for role-based access control
+-- user    : regular account (default)
+-- admin   : can manage category taxonomies and admin credentials
+-- support : staff account with read access to support tooling
+ALTER TABLE public.user_profiles
+ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'user_profiles_role_check'
+  ) THEN
+    ALTER TABLE public.user_profiles
+      ADD CONSTRAINT user_profiles_role_check CHECK (role IN ('user', 'admin', 'support'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_user_profiles_role ON public.user_profiles(role);
+
+COMMENT ON COLUMN public.user_profiles.role IS 'Access role: user, admin or support';
+
+-- Promote an existing account to admin (replace the email):
+-- UPDATE public.user_profiles SET role = 'admin' WHERE email = 'admin@example.com';
+
+-- Verify the column was added
+SELECT column_name, data_type, is_nullable, column_default
+FROM information_schema.columns
+WHERE table_name = 'user_profiles'
+AND table_schema = 'public'
+AND column_name = 'role';
@@ -0,0 +1,123 @@
+// Run the bank statement parser over fixtures/bank-statements and compare each result
+// with expected.json. The .txt fixtures are the text layer of PDF statements; they are
+// printed to a PDF first so the PDF path (pdf-parse included) is exercised too.
+//
+// Usage:
+//   node check-bank-statement-fixtures.js [fixture ...] [--verbose]
+//
+// Exits non-zero when any fixture doesn't parse as expected. Column mapping for
+// unlabelled.csv goes through the configured LLM provider (offline heuristics without one).
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+require('dotenv').config();
+
+const bankStatementImportService = require('./services/bankStatementImportService');
+const bankStatementParser = require('./services/bankStatementParser');
+const textExtractionService = require('./services/textExtractionService');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'bank-statements');
+
+function renderPdf(text) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 20 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Courier').fontSize(7);
+    // One PDF line per fixture line, placed explicitly; wrapping would change the text layer
+    const lineHeight = 10;
+    let y = doc.page.margins.top;
+    text.split('\n').forEach(line => {
+      if (y > doc.page.height - doc.page.margins.bottom - lineHeight) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      doc.text(line, doc.page.margins.left, y, { lineBreak: false });
+      y += lineHeight;
+    });
+    doc.end();
+  });
+}
+
+function compare(name, statement, expected) {
+  const failures = [];
+  const check = (label, actual, wanted) => {
+    if (wanted !== undefined && JSON.stringify(actual) !== JSON.stringify(wanted)) {
+      failures.push(`${label}: expected ${JSON.stringify(wanted)}, got ${JSON.stringify(actual)}`);
+    }
+  };
+  const side = (type) => {
+    const rows = statement.transactions.filter(transaction => transaction.type === type);
+    return { count: rows.length, total: Math.round(rows.reduce((sum, row) => sum + row.amount, 0) * 100) / 100 };
+  };
+
+  check('bank', statement.bank.id, expected.bank);
+  check('mappedBy', statement.layout.mappedBy, expected.mappedBy);
+  check('transactions', statement.transactions.length, expected.transactions);
+  check('debits', side('debit'), expected.debits);
+  check('credits', side('credit'), expected.credits);
+  check('order', statement.layout.order, expected.order);
+  check('openingBalance', statement.openingBalance, expected.openingBalance);
+  check('closingBalance', statement.closingBalance, expected.closingBalance);
+
+  const unverified = statement.transactions.filter(transaction => transaction.balanceVerified === false);
+  check('balance mismatches', unverified.length, 0);
+
+  if (expected.first) {
+    const first = statement.transactions[0];
+    const narration = bankStatementParser.describeNarration(first.description);
+    const actual = { date: first.date, type: first.type, amount: first.amount, counterparty: narration.counterparty, paymentMethod: narration.paymentMethod };
+    Object.keys(expected.first).forEach(key => check(`first.${key}`, actual[key], expected.first[key]));
+  }
+
+  return failures;
+}
+
+async function checkFixtures() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const expectations = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'expected.json'), 'utf8'));
+  const names = args.filter(arg => !arg.startsWith('--'));
+  const selected = names.length > 0 ? names : Object.keys(expectations);
+  let failed = 0;
+
+  for (const name of selected) {
+    if (!expectations[name]) {
+      throw new Error(`No expectations for ${name} in expected.json`);
+    }
+
+    const raw = fs.readFileSync(path.join(FIXTURES_DIR, name));
+    const buffer = name.endsWith('.txt') ? await renderPdf(raw.toString('utf8')) : raw;
+    const result = await bankStatementImportService.parseStatement(buffer);
+    const failures = result.success
+      ? compare(name, result.data, expectations[name])
+      : [`not parsed (${result.status}): ${result.message}`];
+
+    if (failures.length > 0) failed++;
+    console.log(`${failures.length === 0 ? '✅' : '❌'} ${name}`);
+    failures.forEach(failure => console.log(`   ${failure}`));
+
+    if (verbose && result.success) {
+      result.data.transactions.forEach(transaction => {
+        console.log(`   ${transaction.date} ${transaction.type.padEnd(6)} ${transaction.amount.toFixed(2).padStart(10)}  ${transaction.description}`);
+      });
+      result.data.issues.forEach(issue => console.log(`   ⚠️ ${issue}`));
+    }
+  }
+
+  console.log(`\n${selected.length - failed}/${selected.length} fixtures parsed as expected`);
+  return failed;
+}
+
+checkFixtures()
+  .then(async (failed) => {
+    await textExtractionService.terminate();
+    process.exit(failed > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('Fixture check failed:', error.message);
+    process.exit(1);
+  });
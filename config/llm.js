@@ -0,0 +1,53 @@
+// Shared LLM provider for the backend, chosen by LLM_PROVIDER:
+//   openai            - api.openai.com with OPENAI_API_KEY
+//   openai_compatible - any OpenAI-style endpoint (Ollama, LM Studio, vLLM) at LLM_BASE_URL
+//   offline           - rule-based keyword heuristics, no network (development and CI)
+// Without LLM_PROVIDER, openai is used when OPENAI_API_KEY is set and offline otherwise,
+// except in production, where offline has to be asked for explicitly.
+require('dotenv').config()
+const OpenAIProvider = require('../services/llm/openaiProvider')
+const OfflineProvider = require('../services/llm/offlineProvider')
+
+const PROVIDERS = ['openai', 'openai_compatible', 'offline']
+const DEFAULT_MODEL = 'gpt-3.5-turbo'
+
+const defaultProviderName = () => {
+  if (process.env.OPENAI_API_KEY) return 'openai'
+  // A missing key must not quietly serve heuristic guesses as model output
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('OPENAI_API_KEY is not set. Set LLM_PROVIDER (offline only if keyword heuristics are really wanted in production)')
+  }
+  return 'offline'
+}
+
+const providerName = (process.env.LLM_PROVIDER || defaultProviderName()).toLowerCase()
+
+if (!PROVIDERS.includes(providerName)) {
+  throw new Error(`LLM_PROVIDER must be one of: ${PROVIDERS.join(', ')}`)
+}
+
+let provider
+if (providerName === 'openai') {
+  provider = new OpenAIProvider({ name: 'openai', apiKey: process.env.OPENAI_API_KEY })
+} else if (providerName === 'openai_compatible') {
+  if (!process.env.LLM_BASE_URL) {
+    throw new Error('LLM_BASE_URL is required when LLM_PROVIDER=openai_compatible')
+  }
+  provider = new OpenAIProvider({
+    name: 'openai_compatible',
+    baseURL: process.env.LLM_BASE_URL,
+    // Most local servers ignore the key but the SDK insists on one
+    apiKey: process.env.LLM_API_KEY || 'not-needed'
+  })
+} else {
+  provider = new OfflineProvider()
+  console.log('🤖 LLM provider: offline keyword heuristics (set LLM_PROVIDER or OPENAI_API_KEY to use a model)')
+}
+
+/**
+ * Model for a task, e.g. getModel('receipt_line_items') reads LLM_MODEL_RECEIPT_LINE_ITEMS,
+ * then LLM_MODEL, then falls back to gpt-3.5-turbo
+ */
+const getModel = (task) => process.env[`LLM_MODEL_${task.toUpperCase()}`] || process.env.LLM_MODEL || DEFAULT_MODEL
+
+module.exports = { provider, getModel }
@@ -0,0 +1,15 @@
+// Shared Razorpay client for the backend
+const Razorpay = require('razorpay')
+require('dotenv').config()
+
+const razorpay = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID,
+  key_secret: process.env.RAZORPAY_KEY_SECRET
+})
+
+// Point the SDK at another host, e.g. the local fake in fake-razorpay-server.js
+if (process.env.RAZORPAY_API_BASE_URL) {
+  razorpay.api.rq.defaults.baseURL = process.env.RAZORPAY_API_BASE_URL.replace(/\/+$/, '')
+}
+
+module.exports = razorpay
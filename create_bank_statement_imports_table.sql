@@ -0,0 +1,94 @@
+-- Bank statement imports (POST /api/imports/bank-statement).
+-- Uploading a statement stores a preview of the parsed rows; committing inserts the
+-- rows the user selected as expenses (debits) and incomes (credits) in one transaction.
+CREATE TABLE IF NOT EXISTS bank_statement_imports (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  -- Detected format id (hdfc, icici, sbi, axis, kotak) or 'generic'
+  bank TEXT NOT NULL,
+  source_format TEXT NOT NULL CHECK (source_format IN ('csv', 'pdf')),
+  file_name TEXT,
+  -- How the columns were recognised, and the parsed preview rows
+  layout JSONB NOT NULL DEFAULT '{}'::jsonb,
+  rows JSONB NOT NULL DEFAULT '[]'::jsonb,
+  summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'preview' CHECK (status IN ('preview', 'committed')),
+  committed_expenses INTEGER,
+  committed_incomes INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  committed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statement_imports_user_created
+  ON bank_statement_imports(user_id, created_at DESC);
+
+ALTER TABLE bank_statement_imports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own bank statement imports" ON bank_statement_imports
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Imported rows remember their import and statement line, so importing an
+-- overlapping period again flags the lines that are already in
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES bank_statement_imports(id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS import_row_hash TEXT;
+ALTER TABLE incomes ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES bank_statement_imports(id) ON DELETE SET NULL;
+ALTER TABLE incomes ADD COLUMN IF NOT EXISTS import_row_hash TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_user_import_row_hash
+  ON expenses(user_id, import_row_hash) WHERE import_row_hash IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_incomes_user_import_row_hash
+  ON incomes(user_id, import_row_hash) WHERE import_row_hash IS NOT NULL;
+
+-- Insert the selected rows and mark the import committed, all or nothing.
+-- p_expenses / p_incomes are arrays of row objects built by bankStatementImportService.
+CREATE OR REPLACE FUNCTION commit_bank_statement_import(
+  p_import_id UUID,
+  p_user_id UUID,
+  p_expenses JSONB,
+  p_incomes JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  import_status TEXT;
+  expense_count INTEGER;
+  income_count INTEGER;
+BEGIN
+  SELECT status INTO import_status
+  FROM bank_statement_imports
+  WHERE id = p_import_id AND user_id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'IMPORT_NOT_FOUND';
+  END IF;
+
+  IF import_status <> 'preview' THEN
+    RAISE EXCEPTION 'IMPORT_ALREADY_COMMITTED';
+  END IF;
+
+  INSERT INTO expenses (user_id, amount, category, payment_method, date, description, notes, import_id, import_row_hash)
+  SELECT p_user_id, e.amount, e.category, e.payment_method, e.date, e.description, e.notes, p_import_id, e.import_row_hash
+  FROM jsonb_to_recordset(p_expenses) AS e(
+    amount DECIMAL(10,2), category TEXT, payment_method TEXT, date DATE,
+    description TEXT, notes TEXT, import_row_hash TEXT
+  );
+  GET DIAGNOSTICS expense_count = ROW_COUNT;
+
+  INSERT INTO incomes (user_id, amount, category, category_id, payment_method, date, description, notes, import_id, import_row_hash)
+  SELECT p_user_id, i.amount, i.category, i.category_id, i.payment_method, i.date, i.description, i.notes, p_import_id, i.import_row_hash
+  FROM jsonb_to_recordset(p_incomes) AS i(
+    amount DECIMAL(10,2), category TEXT, category_id UUID, payment_method TEXT, date DATE,
+    description TEXT, notes TEXT, import_row_hash TEXT
+  );
+  GET DIAGNOSTICS income_count = ROW_COUNT;
+
+  UPDATE bank_statement_imports
+  SET status = 'committed',
+      committed_at = NOW(),
+      committed_expenses = expense_count,
+      committed_incomes = income_count
+  WHERE id = p_import_id;
+
+  RETURN jsonb_build_object('expenses', expense_count, 'incomes', income_count);
+END;
+$$ LANGUAGE plpgsql;
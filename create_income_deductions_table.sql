@@ -0,0 +1,36 @@
+-- Deductions withheld from a salary (PF, professional tax, TDS ...) as printed on a payslip,
+-- linked to the salary income recorded for the net pay. Summed per period they show how
+-- much went to PF and tax over the year.
+CREATE TABLE IF NOT EXISTS income_deductions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  income_id UUID REFERENCES incomes(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  component TEXT NOT NULL DEFAULT 'other'
+    CHECK (component IN ('pf', 'vpf', 'professional_tax', 'tds', 'esi', 'lwf', 'loan', 'other')),
+  name TEXT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  -- First day of the month the payslip is for
+  pay_period DATE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_income_deductions_income_id ON income_deductions(income_id, position);
+CREATE INDEX IF NOT EXISTS idx_income_deductions_user_period ON income_deductions(user_id, pay_period);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE income_deductions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own income deductions" ON income_deductions
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own income deductions" ON income_deductions
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own income deductions" ON income_deductions
+  FOR DELETE USING (auth.uid() = user_id);
+
+GRANT ALL ON income_deductions TO authenticated;
+
+-- Salary incomes keep the gross pay their net amount was paid from
+ALTER TABLE incomes ADD COLUMN IF NOT EXISTS gross_amount DECIMAL(10,2) CHECK (gross_amount > 0);
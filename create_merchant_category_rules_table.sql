@@ -0,0 +1,55 @@
+-- Per-user categorization learned from corrections.
+-- merchant_category_rules: one rule per user and merchant; a known merchant is
+--   categorized from its rule without asking the model.
+-- category_corrections: every override of an AI suggestion; the latest ones are
+--   sent to the model as few-shot examples for that user.
+CREATE TABLE IF NOT EXISTS merchant_category_rules (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  -- Lowercased merchant name without punctuation or company suffixes, e.g. 'dmart'
+  merchant_key TEXT NOT NULL,
+  merchant_name TEXT NOT NULL,
+  category TEXT NOT NULL,
+  correction_count INTEGER NOT NULL DEFAULT 1,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  last_applied_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, merchant_key)
+);
+
+CREATE TABLE IF NOT EXISTS category_corrections (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  rule_id UUID REFERENCES merchant_category_rules(id) ON DELETE SET NULL,
+  merchant_name TEXT NOT NULL,
+  suggested_category TEXT,
+  category TEXT NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('analyze_receipt', 'analyze_category', 'manual')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_corrections_user_created
+  ON category_corrections(user_id, created_at DESC);
+
+ALTER TABLE merchant_category_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE category_corrections ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own merchant rules" ON merchant_category_rules
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own merchant rules" ON merchant_category_rules
+  FOR DELETE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view own category corrections" ON category_corrections
+  FOR SELECT USING (auth.uid() = user_id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_merchant_category_rules_updated_at') THEN
+    CREATE TRIGGER update_merchant_category_rules_updated_at
+      BEFORE UPDATE ON merchant_category_rules
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+  END IF;
+END $$;
@@ -0,0 +1,50 @@
+-- Refund ledger for Razorpay payments
+-- One row per refund; payments.amount_refunded is the sum of non-failed refunds.
+
+-- Allow the partially refunded state
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments
+  ADD CONSTRAINT payments_status_check
+  CHECK (status IN ('created', 'authorized', 'captured', 'failed', 'partially_refunded', 'refunded'));
+
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS amount_refunded NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS payment_refunds (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  payment_id UUID REFERENCES payments(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID NOT NULL,
+  razorpay_refund_id TEXT UNIQUE,
+  amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL DEFAULT 'INR',
+  reason TEXT,
+  status TEXT NOT NULL CHECK (status IN ('pending', 'processed', 'failed')) DEFAULT 'pending',
+  failure_reason TEXT,
+  requested_by UUID,
+  credit_note_url TEXT,
+  processed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_payment_id ON payment_refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_user_id ON payment_refunds(user_id);
+
+COMMENT ON COLUMN payment_refunds.credit_note_url IS 'Storage path of the credit note PDF in the private payment-receipts bucket';
+
+ALTER TABLE payment_refunds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY payment_refunds_select_own
+ON payment_refunds FOR SELECT USING (auth.uid() = user_id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'update_payment_refunds_updated_at'
+  ) THEN
+    CREATE TRIGGER update_payment_refunds_updated_at
+      BEFORE UPDATE ON payment_refunds
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+  END IF;
+END $$;
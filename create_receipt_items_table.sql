@@ -0,0 +1,38 @@
+-- Line items itemized from a receipt, linked to the expense they were recorded as.
+-- One supermarket receipt can be split into several expenses; each expense keeps
+-- the items (and its share of tax, discount and tip lines) that make it up.
+CREATE TABLE IF NOT EXISTS receipt_items (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  expense_id UUID REFERENCES expenses(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  kind TEXT NOT NULL DEFAULT 'item' CHECK (kind IN ('item', 'tax', 'discount', 'tip')),
+  name TEXT NOT NULL,
+  quantity DECIMAL(10,3) NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  unit_price DECIMAL(10,2) CHECK (unit_price >= 0),
+  -- Discounts are stored as positive amounts; kind says which way they count
+  line_total DECIMAL(10,2) NOT NULL CHECK (line_total >= 0),
+  category TEXT,
+  receipt_url TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_receipt_items_expense_id ON receipt_items(expense_id, position);
+CREATE INDEX IF NOT EXISTS idx_receipt_items_user_id ON receipt_items(user_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE receipt_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own receipt items" ON receipt_items
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own receipt items" ON receipt_items
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own receipt items" ON receipt_items
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own receipt items" ON receipt_items
+  FOR DELETE USING (auth.uid() = user_id);
+
+GRANT ALL ON receipt_items TO authenticated;
@@ -0,0 +1,38 @@
+-- Spending anomalies flagged by detect-spending-anomalies.js (GET /api/insights/anomalies).
+-- Detection is local statistics over each user's own expenses, no LLM involved:
+--   unusual_amount  - far above the usual amount for the merchant or category
+--   new_merchant    - first charge at a merchant, and a large one
+--   frequency_spike - many more charges in a category in one week than usual
+--   odd_time        - logged in the small hours when the user rarely spends then
+-- Marking an anomaly expected feeds it back into the user's baseline, so similar
+-- charges are no longer flagged.
+CREATE TABLE IF NOT EXISTS spending_anomalies (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  -- The flagged expense; null for frequency spikes, which cover a whole week
+  expense_id UUID REFERENCES expenses(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('unusual_amount', 'new_merchant', 'frequency_spike', 'odd_time')),
+  severity TEXT NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+  category TEXT,
+  merchant TEXT,
+  -- Date of the expense, or the Monday of the spike week
+  period_date DATE NOT NULL,
+  amount DECIMAL(10,2),
+  explanation TEXT NOT NULL,
+  -- Observed value and the baseline it was compared with
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'expected')),
+  -- e.g. unusual_amount:<expense id>, frequency_spike:Food:2026-10-12
+  dedupe_key TEXT NOT NULL,
+  detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (user_id, dedupe_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_spending_anomalies_user_status_date
+  ON spending_anomalies(user_id, status, period_date DESC);
+
+ALTER TABLE spending_anomalies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own spending anomalies" ON spending_anomalies
+  FOR SELECT USING (auth.uid() = user_id);
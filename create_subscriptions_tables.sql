@@ -0,0 +1,111 @@
+-- Premium plans via Razorpay subscriptions
+-- Plans are defined here; razorpay_plan_id is filled in by the backend the first time
+-- a plan is subscribed to (Razorpay plan ids differ between test and live mode).
+CREATE TABLE IF NOT EXISTS subscription_plans (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL DEFAULT 'INR',
+  billing_period TEXT CHECK (billing_period IN ('monthly', 'yearly')),
+  total_count INTEGER,
+  razorpay_plan_id TEXT UNIQUE,
+  -- Feature limits; a null limit means unlimited
+  features JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO subscription_plans (code, name, description, amount, billing_period, total_count, features)
+VALUES
+  ('free', 'Free', 'Core expense tracking with 20 AI document analyses a month', 0, NULL, NULL,
+    '{"ocr_analyses_per_month": 20}'::jsonb),
+  ('premium_monthly', 'Premium (Monthly)', 'Unlimited AI receipt and income document analyses', 149, 'monthly', 120,
+    '{"ocr_analyses_per_month": null}'::jsonb),
+  ('premium_yearly', 'Premium (Yearly)', 'Unlimited AI receipt and income document analyses, billed yearly', 1499, 'yearly', 10,
+    '{"ocr_analyses_per_month": null}'::jsonb)
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES user_profiles(id) ON DELETE CASCADE NOT NULL,
+  plan_id UUID REFERENCES subscription_plans(id) NOT NULL,
+  razorpay_subscription_id TEXT UNIQUE,
+  status TEXT NOT NULL CHECK (status IN ('created', 'authenticated', 'active', 'pending', 'halted', 'cancelled', 'completed', 'expired')) DEFAULT 'created',
+  short_url TEXT,
+  current_start TIMESTAMP WITH TIME ZONE,
+  current_end TIMESTAMP WITH TIME ZONE,
+  paid_count INTEGER NOT NULL DEFAULT 0,
+  cancel_at_cycle_end BOOLEAN NOT NULL DEFAULT FALSE,
+  ended_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_status ON subscriptions(status);
+
+ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY subscriptions_select_own
+ON subscriptions FOR SELECT USING (auth.uid() = user_id);
+
+-- Metered feature usage per calendar month (e.g. OCR analyses on the free plan)
+CREATE TABLE IF NOT EXISTS feature_usage (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES user_profiles(id) ON DELETE CASCADE NOT NULL,
+  feature TEXT NOT NULL,
+  period TEXT NOT NULL, -- YYYY-MM
+  count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, feature, period)
+);
+
+ALTER TABLE feature_usage ENABLE ROW LEVEL SECURITY;
+
+-- Atomic increment so concurrent requests can't lose counts
+CREATE OR REPLACE FUNCTION increment_feature_usage(p_user_id UUID, p_feature TEXT, p_period TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  new_count INTEGER;
+BEGIN
+  INSERT INTO feature_usage (user_id, feature, period, count)
+  VALUES (p_user_id, p_feature, p_period, 1)
+  ON CONFLICT (user_id, feature, period)
+  DO UPDATE SET count = feature_usage.count + 1, updated_at = NOW()
+  RETURNING count INTO new_count;
+
+  RETURN new_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Each subscription charge is recorded as a payment so it gets a receipt
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_razorpay_payment_id
+  ON payments(razorpay_payment_id)
+  WHERE subscription_id IS NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'update_subscriptions_updated_at'
+  ) THEN
+    CREATE TRIGGER update_subscriptions_updated_at
+      BEFORE UPDATE ON subscriptions
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'update_subscription_plans_updated_at'
+  ) THEN
+    CREATE TRIGGER update_subscription_plans_updated_at
+      BEFORE UPDATE ON subscription_plans
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+  END IF;
+END $$;
@@ -0,0 +1,77 @@
+-- Razorpay webhook event log
+-- Every verified delivery is stored once per Razorpay event id (x-razorpay-event-id),
+-- so retried deliveries are de-duplicated and failed events can be replayed by an admin.
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  provider TEXT NOT NULL DEFAULT 'razorpay',
+  event_id TEXT NOT NULL,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('received', 'processed', 'ignored', 'failed')) DEFAULT 'received',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_event ON webhook_events(event);
+
+-- Only the backend (service role) touches this table
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'update_webhook_events_updated_at'
+  ) THEN
+    CREATE TRIGGER update_webhook_events_updated_at
+      BEFORE UPDATE ON webhook_events
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+  END IF;
+END $$;
+
+-- Failure details from payment.failed
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS error_code TEXT,
+ADD COLUMN IF NOT EXISTS error_description TEXT;
+
+-- Chargebacks raised against payments (payment.dispute.*)
+CREATE TABLE IF NOT EXISTS payment_disputes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  payment_id UUID REFERENCES payments(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID NOT NULL,
+  razorpay_dispute_id TEXT NOT NULL UNIQUE,
+  amount NUMERIC(10,2) NOT NULL,
+  amount_deducted NUMERIC(10,2) NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL DEFAULT 'INR',
+  reason_code TEXT,
+  reason_description TEXT,
+  phase TEXT,
+  status TEXT NOT NULL,
+  respond_by TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_disputes_payment_id ON payment_disputes(payment_id);
+
+ALTER TABLE payment_disputes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY payment_disputes_select_own
+ON payment_disputes FOR SELECT USING (auth.uid() = user_id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'update_payment_disputes_updated_at'
+  ) THEN
+    CREATE TRIGGER update_payment_disputes_updated_at
+      BEFORE UPDATE ON payment_disputes
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+  END IF;
+END $$;
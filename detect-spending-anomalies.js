@@ -0,0 +1,69 @@
+// Flag unusual spending (amounts, new merchants, frequency spikes, odd hours) against
+// each user's own baselines. Meant to run nightly from cron; runs entirely locally.
+// Users see the results at GET /api/insights/anomalies.
+//
+// Usage:
+//   node detect-spending-anomalies.js [--user <user id>] [--days 30] [--dry-run] [--out report.json]
+const fs = require('fs');
+require('dotenv').config();
+
+const anomalyDetectionService = require('./services/anomalyDetectionService');
+
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--user':
+        options.userId = argv[++i];
+        break;
+      case '--days':
+        options.days = parseInt(argv[++i], 10);
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--out':
+        options.out = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (options.userId !== undefined && !options.userId) {
+    throw new Error('--user needs a user id');
+  }
+  if (options.days !== undefined && !(options.days >= 1 && options.days <= 365)) {
+    throw new Error('--days must be between 1 and 365');
+  }
+
+  return options;
+}
+
+async function detectSpendingAnomalies() {
+  const { out, ...options } = parseArgs(process.argv.slice(2));
+  const report = await anomalyDetectionService.run(options);
+
+  for (const user of report.users) {
+    if (user.error) {
+      console.log(`  error      ${user.userId} ${user.error}`);
+      continue;
+    }
+    for (const anomaly of user.anomalies) {
+      console.log(`  ${anomaly.severity.padEnd(6)} ${anomaly.type.padEnd(16)} ${user.userId} ${anomaly.period_date} ${anomaly.explanation}`);
+    }
+  }
+
+  if (out) {
+    fs.writeFileSync(out, JSON.stringify(report, null, 2));
+    console.log(`📝 Report written to ${out}`);
+  }
+
+  process.exit(report.summary.errors > 0 ? 2 : 0);
+}
+
+detectSpendingAnomalies().catch(error => {
+  console.error('❌ Anomaly detection failed:', error.message);
+  process.exit(1);
+});
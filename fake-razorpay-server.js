@@ -0,0 +1,203 @@
+// Minimal local fake of the Razorpay orders/payments/refunds/subscriptions API, for
+// exercising reconciliation, order creation, refunds and subscriptions without network access.
+//
+// Usage:
+//   node fake-razorpay-server.js [--port 5055] [--state fixtures/razorpay-api/state.json]
+// then start the backend (or reconcile-payments.js) with RAZORPAY_API_BASE_URL=http://localhost:5055
+//
+// State is loaded from the JSON file at startup and kept in memory; GET /__state dumps it.
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.FAKE_RAZORPAY_PORT) || 5055,
+    state: path.join(__dirname, 'fixtures', 'razorpay-api', 'state.json')
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = Number(argv[++i]);
+    else if (argv[i] === '--state') options.state = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const state = JSON.parse(fs.readFileSync(options.state, 'utf8'));
+state.refunds = state.refunds || [];
+state.plans = state.plans || [];
+state.subscriptions = state.subscriptions || [];
+
+const app = express();
+app.use(express.json());
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('base64url')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+const notFound = (res, what) => res.status(400).json({
+  error: { code: 'BAD_REQUEST_ERROR', description: `The id provided does not exist`, field: what }
+});
+
+// Razorpay uses HTTP basic auth with key_id:key_secret
+app.use('/v1', (req, res, next) => {
+  if (!req.headers.authorization?.startsWith('Basic ')) {
+    return res.status(401).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' } });
+  }
+  next();
+});
+
+app.post('/v1/orders', (req, res) => {
+  const { amount, currency = 'INR', receipt = null, notes = {} } = req.body || {};
+  if (!Number.isInteger(amount) || amount < 100) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Order amount less than minimum amount allowed', field: 'amount' } });
+  }
+
+  const order = {
+    id: newId('order'),
+    entity: 'order',
+    amount,
+    amount_paid: 0,
+    amount_due: amount,
+    currency,
+    receipt,
+    offer_id: null,
+    status: 'created',
+    attempts: 0,
+    notes,
+    created_at: now()
+  };
+  state.orders.push(order);
+  res.json(order);
+});
+
+app.get('/v1/orders/:id', (req, res) => {
+  const order = state.orders.find(o => o.id === req.params.id);
+  if (!order) return notFound(res, 'id');
+  res.json(order);
+});
+
+app.get('/v1/orders/:id/payments', (req, res) => {
+  const order = state.orders.find(o => o.id === req.params.id);
+  if (!order) return notFound(res, 'id');
+
+  const items = state.payments.filter(p => p.order_id === order.id);
+  res.json({ entity: 'collection', count: items.length, items });
+});
+
+app.get('/v1/payments/:id', (req, res) => {
+  const payment = state.payments.find(p => p.id === req.params.id);
+  if (!payment) return notFound(res, 'id');
+  res.json(payment);
+});
+
+app.post('/v1/payments/:id/refund', (req, res) => {
+  const payment = state.payments.find(p => p.id === req.params.id);
+  if (!payment) return notFound(res, 'id');
+
+  const amount = req.body?.amount ?? payment.amount - payment.amount_refunded;
+  if (payment.status !== 'captured' && payment.status !== 'refunded') {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The payment has not been captured' } });
+  }
+  if (!Number.isInteger(amount) || amount <= 0 || amount > payment.amount - payment.amount_refunded) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The refund amount provided is greater than amount captured', field: 'amount' } });
+  }
+
+  const refund = {
+    id: newId('rfnd'),
+    entity: 'refund',
+    amount,
+    currency: payment.currency,
+    payment_id: payment.id,
+    notes: req.body?.notes || {},
+    receipt: req.body?.receipt || null,
+    status: 'pending',
+    speed_requested: req.body?.speed || 'normal',
+    created_at: now()
+  };
+
+  payment.amount_refunded += amount;
+  payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+  if (payment.refund_status === 'full') payment.status = 'refunded';
+
+  state.refunds.push(refund);
+  res.json(refund);
+});
+
+app.post('/v1/plans', (req, res) => {
+  const { period, interval = 1, item, notes = {} } = req.body || {};
+  if (!['daily', 'weekly', 'monthly', 'yearly'].includes(period) || !item?.name || !Number.isInteger(item?.amount)) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The plan details are invalid' } });
+  }
+
+  const plan = {
+    id: newId('plan'),
+    entity: 'plan',
+    interval,
+    period,
+    item: { id: newId('item'), active: true, currency: 'INR', ...item },
+    notes,
+    created_at: now()
+  };
+  state.plans.push(plan);
+  res.json(plan);
+});
+
+app.post('/v1/subscriptions', (req, res) => {
+  const { plan_id, total_count, customer_notify = 1, notes = {} } = req.body || {};
+  if (!state.plans.find(p => p.id === plan_id)) return notFound(res, 'plan_id');
+  if (!Number.isInteger(total_count) || total_count < 1) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The total count field is required', field: 'total_count' } });
+  }
+
+  const subscription = {
+    id: newId('sub'),
+    entity: 'subscription',
+    plan_id,
+    customer_id: null,
+    status: 'created',
+    current_start: null,
+    current_end: null,
+    ended_at: null,
+    quantity: 1,
+    notes,
+    charge_at: null,
+    start_at: null,
+    end_at: null,
+    auth_attempts: 0,
+    total_count,
+    paid_count: 0,
+    customer_notify: Boolean(customer_notify),
+    created_at: now(),
+    expire_by: null,
+    short_url: `http://localhost:${options.port}/checkout/subscription`,
+    has_scheduled_changes: false,
+    change_scheduled_at: null,
+    remaining_count: total_count
+  };
+  subscription.short_url += `/${subscription.id}`;
+  state.subscriptions.push(subscription);
+  res.json(subscription);
+});
+
+app.post('/v1/subscriptions/:id/cancel', (req, res) => {
+  const subscription = state.subscriptions.find(s => s.id === req.params.id);
+  if (!subscription) return notFound(res, 'id');
+
+  if (req.body?.cancel_at_cycle_end === 1 || req.body?.cancel_at_cycle_end === true) {
+    subscription.has_scheduled_changes = true;
+  } else {
+    subscription.status = 'cancelled';
+    subscription.ended_at = now();
+  }
+  res.json(subscription);
+});
+
+app.get('/__state', (req, res) => res.json(state));
+
+app.listen(options.port, () => {
+  console.log(`🧪 Fake Razorpay API listening on http://localhost:${options.port} (state: ${options.state})`);
+});
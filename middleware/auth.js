@@ -0,0 +1,123 @@
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const sessionService = require('../services/sessionService');
+const mfaService = require('../services/mfaService');
+
+const ROLES = ['user', 'admin', 'support'];
+
+// JWT Authentication middleware
+// Access tokens are only honoured while the session they were issued for is active.
+const jwtAuthMiddleware = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader) {
+    return res.status(401).json({ success: false, message: 'Authorization header missing' });
+  }
+
+  const token = authHeader.split(' ')[1]; // Expect Bearer token
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Token missing' });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
+    if (err) {
+      console.error('JWT verification error:', err);
+      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+
+    if (!decoded.sessionId) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+
+    try {
+      const active = await sessionService.isSessionActive(decoded.sessionId, decoded.userId);
+      if (!active) {
+        return res.status(401).json({ success: false, message: 'Session has been revoked' });
+      }
+    } catch (sessionError) {
+      console.error('Session check error:', sessionError);
+      return res.status(500).json({ success: false, message: 'Failed to verify session' });
+    }
+
+    req.user = decoded;
+    next();
+  });
+};
+
+// Log a denied access attempt with whatever identity the request carries
+const logDenied = (req, requiredRoles, reason) => {
+  console.warn('🚫 Access denied:', JSON.stringify({
+    reason,
+    userId: req.user?.userId || null,
+    email: req.user?.email || null,
+    role: req.user?.role || null,
+    requiredRoles,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    at: new Date().toISOString()
+  }));
+};
+
+// Role-based access control built on jwtAuthMiddleware.
+// The role is read from user_profiles on every request so promotions and
+// demotions apply immediately rather than when the access token rotates.
+const requireRole = (...allowedRoles) => {
+  const unknownRoles = allowedRoles.filter(role => !ROLES.includes(role));
+  if (unknownRoles.length > 0) {
+    throw new Error(`requireRole: unknown role(s) ${unknownRoles.join(', ')}`);
+  }
+
+  const checkRole = async (req, res, next) => {
+    try {
+      const { data: profile, error } = await supabase
+        .from('user_profiles')
+        .select('role, mfa_enabled')
+        .eq('id', req.user.userId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Role lookup error:', error);
+        return res.status(500).json({ success: false, message: 'Failed to verify permissions' });
+      }
+
+      const role = profile?.role || 'user';
+      req.user.role = role;
+
+      if (!allowedRoles.includes(role)) {
+        logDenied(req, allowedRoles, 'insufficient_role');
+        return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+      }
+
+      // Elevated roles only count once a second factor is in place
+      if (mfaService.requiresMfa({ role }) && !profile?.mfa_enabled) {
+        logDenied(req, allowedRoles, 'mfa_not_enabled');
+        return res.status(403).json({
+          success: false,
+          code: 'MFA_REQUIRED',
+          message: 'Enable two-factor authentication to use this feature'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Role check error:', error);
+      res.status(500).json({ success: false, message: 'Failed to verify permissions' });
+    }
+  };
+
+  // Record anonymous attempts too; jwtAuthMiddleware answers them with a 401
+  const logUnauthenticated = (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode === 401) logDenied(req, allowedRoles, 'unauthenticated');
+    });
+    next();
+  };
+
+  return [logUnauthenticated, jwtAuthMiddleware, checkRole];
+};
+
+module.exports = {
+  ROLES,
+  jwtAuthMiddleware,
+  requireRole
+};
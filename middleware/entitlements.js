@@ -0,0 +1,46 @@
+const entitlementService = require('../services/entitlementService');
+
+/**
+ * Gate a metered feature on the caller's plan. Must run after jwtAuthMiddleware.
+ * A unit is reserved before the handler runs and given back if the request fails,
+ * so failed analyses don't use up the quota and parallel requests can't exceed it.
+ * @param {string} feature - e.g. 'ocr_analysis'
+ */
+const requireEntitlement = (feature) => async (req, res, next) => {
+  try {
+    const { allowed, limit, used, planCode, period } = await entitlementService.reserveUsage(req.user.userId, feature);
+
+    if (!allowed) {
+      return res.status(402).json({
+        success: false,
+        code: 'UPGRADE_REQUIRED',
+        message: `You have used all ${limit} ${feature.replace(/_/g, ' ')}s included in your plan this month. Upgrade to Premium for unlimited use.`,
+        data: { feature, limit, used, plan: planCode }
+      });
+    }
+
+    if (limit !== null) {
+      res.set('X-Feature-Limit', String(limit));
+      res.set('X-Feature-Remaining', String(Math.max(limit - used, 0)));
+
+      // 'close' without 'finish' means the client went away before a response
+      let settled = false;
+      const settle = (failed) => {
+        if (settled) return;
+        settled = true;
+        if (failed) entitlementService.releaseUsage(req.user.userId, feature, period);
+      };
+      res.on('finish', () => settle(res.statusCode >= 400));
+      res.on('close', () => settle(!res.writableFinished));
+    }
+
+    next();
+  } catch (error) {
+    console.error('Entitlement check error:', error);
+    res.status(500).json({ success: false, message: 'Failed to check plan entitlements' });
+  }
+};
+
+module.exports = {
+  requireEntitlement
+};
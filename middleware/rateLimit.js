@@ -0,0 +1,50 @@
+// In-memory fixed-window rate limiter
+// Good enough for a single backend instance; counters reset on restart.
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {Function} options.keyGenerator - (req) => string|null; null skips limiting
+ * @param {string} [options.message] - Message returned with the 429
+ */
+const createRateLimiter = ({ windowMs, max, keyGenerator, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      console.warn(`⏳ Rate limit hit for ${key} on ${req.method} ${req.originalUrl}`);
+      return res.status(429).json({ success: false, message });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,66 @@
+// Reconcile payments stuck in created/authorized against Razorpay.
+// Meant to run nightly from cron; the same job is available at POST /api/admin/reconciliation/run.
+//
+// Usage:
+//   node reconcile-payments.js [--older-than 30] [--limit 200] [--dry-run] [--out report.json]
+//
+// Set RAZORPAY_API_BASE_URL=http://localhost:5055 to run against fake-razorpay-server.js.
+const fs = require('fs');
+require('dotenv').config();
+
+const reconciliationService = require('./services/reconciliationService');
+
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--older-than':
+        options.olderThanMinutes = parseInt(argv[++i], 10);
+        break;
+      case '--limit':
+        options.limit = parseInt(argv[++i], 10);
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--out':
+        options.out = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (options.olderThanMinutes !== undefined && !(options.olderThanMinutes >= 0)) {
+    throw new Error('--older-than must be a non-negative number of minutes');
+  }
+  if (options.limit !== undefined && !(options.limit >= 1)) {
+    throw new Error('--limit must be at least 1');
+  }
+
+  return options;
+}
+
+async function reconcilePayments() {
+  const { out, ...options } = parseArgs(process.argv.slice(2));
+  const report = await reconciliationService.run(options);
+
+  for (const entry of report.discrepancies) {
+    const fields = Object.keys(entry.changes).join(', ') || '-';
+    console.log(`  ${entry.action.padEnd(10)} ${entry.paymentId} ${entry.orderId} ${entry.localStatus} -> ${entry.remoteStatus} [${fields}]${entry.note ? ` ${entry.note}` : ''}`);
+  }
+
+  if (out) {
+    fs.writeFileSync(out, JSON.stringify(report, null, 2));
+    console.log(`📝 Report written to ${out}`);
+  }
+
+  // Non-zero exit lets cron/monitoring flag runs that need a human
+  process.exit(report.summary.errors > 0 || report.summary.unresolved > 0 ? 2 : 0);
+}
+
+reconcilePayments().catch(error => {
+  console.error('❌ Reconciliation failed:', error.message);
+  process.exit(1);
+});
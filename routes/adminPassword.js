@@ -1,7 +1,13 @@
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
+const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
 const router = express.Router();
 
+// Every admin route requires an authenticated admin
+router.use(requireRole('admin'));
+
 // Initialize Supabase client with service role key
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -17,30 +23,70 @@ if (!supabaseUrl || !supabaseServiceKey) {
   });
 
   // Update admin password endpoint
+  // Changes the calling admin's own password after checking the current one.
   router.post('/update-admin-password', async (req, res) => {
     try {
-      const { email, password } = req.body;
+      const { currentPassword, newPassword } = req.body;
+
+      if (!newPassword) {
+        return res.status(400).json({
+          success: false,
+          error: 'New password is required'
+        });
+      }
+
+      const { data: admin, error: fetchError } = await supabase
+        .from('user_profiles')
+        .select('id, email, password')
+        .eq('id', req.user.userId)
+        .maybeSingle();
+
+      if (fetchError || !admin) {
+        console.error('Error fetching admin profile:', fetchError);
+        return res.status(404).json({
+          success: false,
+          error: 'Admin profile not found'
+        });
+      }
+
+      // An admin who has never set a password (e.g. signed up with Google) may set one directly
+      if (admin.password) {
+        const valid = await authService.verifyPassword(currentPassword, admin.password);
+        if (!valid) {
+          console.warn('🚫 Admin password change rejected (wrong current password):', admin.email);
+          return res.status(401).json({
+            success: false,
+            error: 'Current password is incorrect'
+          });
+        }
+      }
 
-      if (!email || !password) {
+      const policyError = authService.validatePassword(newPassword, { admin: true, email: admin.email });
+      if (policyError) {
         return res.status(400).json({
           success: false,
-          error: 'Email and password are required'
+          error: policyError
         });
       }
 
-      // Hash the password
-      const crypto = require('crypto');
-      const hash = crypto.createHash('sha256').update(password).digest('hex');
+      if (admin.password && await authService.verifyPassword(newPassword, admin.password)) {
+        return res.status(400).json({
+          success: false,
+          error: 'New password must be different from the current password'
+        });
+      }
+
+      const hash = await authService.hashPassword(newPassword);
+      const now = new Date().toISOString();
 
-      // Update or insert admin password in user_profiles
       const { error } = await supabase
         .from('user_profiles')
-        .upsert({
-          email: email,
+        .update({
           password: hash,
-          password_updated_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        }, { onConflict: 'email' });
+          password_updated_at: now,
+          updated_at: now
+        })
+        .eq('id', admin.id);
 
       if (error) {
         console.error('Error updating admin password:', error);
@@ -50,6 +96,11 @@ if (!supabaseUrl || !supabaseServiceKey) {
         });
       }
 
+      // Sign out the admin's other devices
+      await sessionService.revokeAllSessions(admin.id, 'password_changed', req.user.sessionId);
+
+      console.log('🔐 Admin password updated:', admin.email);
+
       res.json({
         success: true,
         message: 'Admin password updated successfully'
@@ -71,7 +122,7 @@ if (!supabaseUrl || !supabaseServiceKey) {
 
       const { data, error } = await supabase
         .from('user_profiles')
-        .select('email, password_updated_at')
+        .select('email, role, password, password_updated_at')
         .eq('email', email)
         .maybeSingle();
 
@@ -83,9 +134,17 @@ if (!supabaseUrl || !supabaseServiceKey) {
         });
       }
 
+      // Never return the hash itself, only which scheme it still uses
       res.json({
         success: true,
-        data: data || null
+        data: data ? {
+          email: data.email,
+          role: data.role,
+          password_updated_at: data.password_updated_at,
+          hash_scheme: !data.password
+            ? null
+            : authService.isBcryptHash(data.password) ? 'bcrypt' : 'legacy_sha256'
+        } : null
       });
 
     } catch (error) {
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const assistantService = require('../services/assistantService');
+const { jwtAuthMiddleware } = require('../middleware/auth');
+const { requireEntitlement } = require('../middleware/entitlements');
+
+const MIN_QUESTION_LENGTH = 3;
+const MAX_QUESTION_LENGTH = 300;
+
+// Answers only ever cover the caller's own data
+router.use(jwtAuthMiddleware);
+
+// POST /api/assistant/query - Answer a question about the caller's expenses, incomes and budgets
+// Body: { question: 'how much did I spend on food last month vs this month?' }
+router.post('/query', requireEntitlement('assistant_question'), async (req, res) => {
+  try {
+    const { question } = req.body || {};
+
+    if (typeof question !== 'string' || question.trim().length < MIN_QUESTION_LENGTH || question.trim().length > MAX_QUESTION_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: { question: `Question must be ${MIN_QUESTION_LENGTH} to ${MAX_QUESTION_LENGTH} characters` }
+      });
+    }
+
+    const result = await assistantService.answer(req.user.userId, question.trim());
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error in assistant query route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,708 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const mfaService = require('../services/mfaService');
+const passwordResetService = require('../services/passwordResetService');
+const { jwtAuthMiddleware } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Password reset rate limits, applied per caller IP and per target email
+const forgotPasswordIpLimiter = createRateLimiter({
+  windowMs: HOUR_MS,
+  max: 10,
+  keyGenerator: (req) => `forgot-ip:${req.ip}`,
+  message: 'Too many password reset requests, please try again later'
+});
+const forgotPasswordEmailLimiter = createRateLimiter({
+  windowMs: HOUR_MS,
+  max: 3,
+  keyGenerator: (req) => {
+    const email = authService.normalizeEmail(req.body?.email);
+    return email ? `forgot-email:${email}` : null;
+  },
+  message: 'Too many password reset requests, please try again later'
+});
+const resetPasswordIpLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => `reset-ip:${req.ip}`,
+  message: 'Too many password reset attempts, please try again later'
+});
+
+// Password and MFA code guessing limits, per caller IP and per target account.
+// MFA codes are also locked per user in the database (see mfaService.registerAttempt).
+const loginIpLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  keyGenerator: (req) => `login-ip:${req.ip}`,
+  message: 'Too many sign-in attempts, please try again later'
+});
+const loginEmailLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => {
+    const email = authService.normalizeEmail(req.body?.email);
+    return email ? `login-email:${email}` : null;
+  },
+  message: 'Too many sign-in attempts, please try again later'
+});
+const mfaVerifyIpLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => `mfa-verify-ip:${req.ip}`,
+  message: 'Too many verification attempts, please try again later'
+});
+// Code checks behind a session (confirm, recovery codes, disable); runs after jwtAuthMiddleware
+const mfaCodeUserLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => `mfa-code-user:${req.user.userId}`,
+  message: 'Too many verification attempts, please try again later'
+});
+
+// POST /api/auth/register - Create an email/password account
+router.post('/register', async (req, res) => {
+  try {
+    const email = authService.normalizeEmail(req.body.email);
+    const { password, fullName } = req.body;
+
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email address is required'
+      });
+    }
+
+    const passwordError = authService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    const { data: existingUser } = await supabase
+      .from('user_profiles')
+      .select('id, password, provider')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (existingUser) {
+      // Google accounts add a password through /change-password after signing in,
+      // so registering can never attach credentials to someone else's profile.
+      return res.status(409).json({
+        success: false,
+        message: existingUser.password
+          ? 'An account with this email already exists'
+          : 'This email is linked to a Google account. Sign in with Google and set a password from your settings.'
+      });
+    }
+
+    const hash = await authService.hashPassword(password);
+    const now = new Date().toISOString();
+
+    const { data: user, error: createError } = await supabase
+      .from('user_profiles')
+      .insert({
+        email,
+        full_name: typeof fullName === 'string' && fullName.trim() ? fullName.trim() : null,
+        password: hash,
+        password_updated_at: now,
+        provider: 'password',
+        email_verified: false,
+        onboarding_completed: false,
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+
+    if (createError) {
+      console.error('❌ Error creating user:', createError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create user profile'
+      });
+    }
+
+    console.log('✅ New password user created:', user.email);
+
+    const { token, refreshToken } = await sessionService.startSession(user, 'password', req);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user: authService.toPublicUser(user, 'password'),
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('❌ Register error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Registration failed'
+    });
+  }
+});
+
+// POST /api/auth/login - Sign in with email and password
+router.post('/login', loginIpLimiter, loginEmailLimiter, async (req, res) => {
+  try {
+    const email = authService.normalizeEmail(req.body.email);
+    const { password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    const { data: user } = await supabase
+      .from('user_profiles')
+      .select('*')
+      .eq('email', email)
+      .maybeSingle();
+
+    // Same response for unknown emails, Google-only accounts and wrong passwords
+    const valid = user ? await authService.verifyPassword(password, user.password) : false;
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    // Transparently upgrade legacy SHA-256 hashes now that we know the plaintext
+    if (authService.needsRehash(user.password)) {
+      const upgradedHash = await authService.hashPassword(password);
+      const { error: rehashError } = await supabase
+        .from('user_profiles')
+        .update({ password: upgradedHash })
+        .eq('id', user.id);
+
+      if (rehashError) {
+        console.error('❌ Failed to upgrade legacy password hash:', rehashError);
+      } else {
+        console.log('🔐 Upgraded legacy password hash to bcrypt for:', user.email);
+      }
+    }
+
+    console.log('✅ Password login for:', user.email);
+
+    const login = await mfaService.completeLogin(user, 'password', req);
+    if (login.mfaRequired) {
+      return res.json({
+        success: true,
+        data: {
+          mfaRequired: true,
+          mfaToken: login.mfaToken
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: authService.toPublicUser(user, 'password'),
+        token: login.token,
+        refreshToken: login.refreshToken,
+        mfaEnrollmentRequired: login.mfaEnrollmentRequired
+      }
+    });
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// POST /api/auth/change-password - Change or set the caller's password
+router.post('/change-password', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const { data: user } = await supabase
+      .from('user_profiles')
+      .select('id, email, password, role')
+      .eq('id', req.user.userId)
+      .maybeSingle();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const passwordError = authService.validatePassword(newPassword, {
+      admin: user.role === 'admin',
+      email: user.email
+    });
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    // Accounts created through Google have no password yet and may set one
+    // directly; everyone else must prove they know the current password.
+    if (user.password) {
+      const valid = await authService.verifyPassword(currentPassword, user.password);
+      if (!valid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+    }
+
+    const hash = await authService.hashPassword(newPassword);
+    const now = new Date().toISOString();
+
+    const { error } = await supabase
+      .from('user_profiles')
+      .update({
+        password: hash,
+        password_updated_at: now,
+        updated_at: now
+      })
+      .eq('id', user.id);
+
+    if (error) {
+      console.error('❌ Error updating password:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update password'
+      });
+    }
+
+    // Sign out every other device that may have known the old password
+    await sessionService.revokeAllSessions(user.id, 'password_changed', req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: user.password ? 'Password changed successfully' : 'Password set successfully'
+    });
+  } catch (error) {
+    console.error('❌ Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password'
+    });
+  }
+});
+
+// POST /api/auth/refresh - Rotate a refresh token into a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await sessionService.refresh(refreshToken);
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('❌ Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke the caller's current session
+router.post('/logout', jwtAuthMiddleware, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sessionId, 'logout', req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out'
+    });
+  }
+});
+
+// GET /api/auth/sessions - List the caller's signed-in devices
+router.get('/sessions', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('❌ List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Revoke one of the caller's sessions
+router.delete('/sessions/:id', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.params.id, 'user_revoked', req.user.userId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('❌ Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions - Revoke all of the caller's sessions, including this one
+router.delete('/sessions', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const count = await sessionService.revokeAllSessions(req.user.userId, 'user_revoked_all');
+
+    res.json({
+      success: true,
+      data: { revoked: count },
+      message: 'All sessions revoked successfully'
+    });
+  } catch (error) {
+    console.error('❌ Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a single-use reset link
+// Always answers the same way so callers can't probe which emails have accounts.
+router.post('/forgot-password', forgotPasswordIpLimiter, forgotPasswordEmailLimiter, async (req, res) => {
+  const email = authService.normalizeEmail(req.body.email);
+
+  if (!EMAIL_REGEX.test(email)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid email address is required'
+    });
+  }
+
+  passwordResetService
+    .requestReset(email, req.ip)
+    .catch(error => console.error('❌ Forgot password error:', error));
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  });
+});
+
+// POST /api/auth/reset-password - Consume a reset token and set a new password
+router.post('/reset-password', resetPasswordIpLimiter, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is required'
+      });
+    }
+
+    const result = await passwordResetService.resetPassword(token, newPassword);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// POST /api/auth/mfa/verify - Second login step: exchange an mfa_pending token and code for a session
+router.post('/mfa/verify', mfaVerifyIpLimiter, async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'mfaToken and a code or recoveryCode are required'
+      });
+    }
+
+    const result = await mfaService.verifyLogin(mfaToken, { code, recoveryCode });
+    if (!result.success) {
+      return res.status(result.status || 401).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { user, provider } = result;
+    const { token, refreshToken } = await sessionService.startSession(user, provider, req);
+
+    console.log('✅ MFA verified for:', user.email, recoveryCode ? '(recovery code)' : '');
+
+    res.json({
+      success: true,
+      data: {
+        user: authService.toPublicUser(user, provider),
+        token,
+        refreshToken,
+        ...(recoveryCode ? { recoveryCodesRemaining: await mfaService.countRecoveryCodes(user.id) } : {})
+      }
+    });
+  } catch (error) {
+    console.error('❌ MFA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'MFA verification failed'
+    });
+  }
+});
+
+// GET /api/auth/mfa/status - Whether MFA is on for the caller
+router.get('/mfa/status', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { data: user } = await supabase
+      .from('user_profiles')
+      .select('id, role, mfa_enabled, mfa_enabled_at')
+      .eq('id', req.user.userId)
+      .maybeSingle();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(user.mfa_enabled),
+        enabledAt: user.mfa_enabled_at,
+        required: mfaService.requiresMfa(user),
+        recoveryCodesRemaining: user.mfa_enabled ? await mfaService.countRecoveryCodes(user.id) : 0
+      }
+    });
+  } catch (error) {
+    console.error('❌ MFA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch MFA status'
+    });
+  }
+});
+
+// POST /api/auth/mfa/setup - Generate a TOTP secret and otpauth URI for QR display
+router.post('/mfa/setup', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { data: user } = await supabase
+      .from('user_profiles')
+      .select('id, email, mfa_enabled')
+      .eq('id', req.user.userId)
+      .maybeSingle();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.mfa_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'MFA is already enabled'
+      });
+    }
+
+    const { secret, otpauthUri } = await mfaService.beginEnrollment(user);
+
+    res.json({
+      success: true,
+      data: { secret, otpauthUri },
+      message: 'Scan the QR code and confirm with a code from your authenticator app'
+    });
+  } catch (error) {
+    console.error('❌ MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start MFA setup'
+    });
+  }
+});
+
+// POST /api/auth/mfa/confirm - Confirm enrollment with a first code; returns recovery codes once
+router.post('/mfa/confirm', jwtAuthMiddleware, mfaCodeUserLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const result = await mfaService.confirmEnrollment(req.user.userId, code);
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: result.recoveryCodes },
+      message: 'MFA enabled. Store these recovery codes somewhere safe; they will not be shown again.'
+    });
+  } catch (error) {
+    console.error('❌ MFA confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable MFA'
+    });
+  }
+});
+
+// POST /api/auth/mfa/recovery-codes - Replace recovery codes after checking a current code
+router.post('/mfa/recovery-codes', jwtAuthMiddleware, mfaCodeUserLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const { data: user } = await supabase
+      .from('user_profiles')
+      .select('*')
+      .eq('id', req.user.userId)
+      .maybeSingle();
+
+    if (!user || !user.mfa_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is not enabled'
+      });
+    }
+
+    const result = await mfaService.replaceRecoveryCodes(user, code);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: result.recoveryCodes },
+      message: 'Recovery codes regenerated'
+    });
+  } catch (error) {
+    console.error('❌ MFA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+// POST /api/auth/mfa/disable - Turn MFA off after checking a current code
+router.post('/mfa/disable', jwtAuthMiddleware, mfaCodeUserLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const { data: user } = await supabase
+      .from('user_profiles')
+      .select('*')
+      .eq('id', req.user.userId)
+      .maybeSingle();
+
+    if (!user || !user.mfa_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is not enabled'
+      });
+    }
+
+    const result = await mfaService.disable(user, code);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'MFA disabled'
+    });
+  } catch (error) {
+    console.error('❌ MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable MFA'
+    });
+  }
+});
+
+module.exports = router;
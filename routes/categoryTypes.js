@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../config/supabase');
+const { requireRole } = require('../middleware/auth');
 
 // Supabase client is initialized via config/supabase
 
@@ -82,7 +83,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/category-types - Create a new category type
-router.post('/', validateCategoryType, async (req, res) => {
+router.post('/', requireRole('admin'), validateCategoryType, async (req, res) => {
   try {
     const { type_name, description } = req.body;
 
@@ -164,7 +165,7 @@ router.post('/', validateCategoryType, async (req, res) => {
 });
 
 // PUT /api/category-types/:id - Update a category type
-router.put('/:id', validateCategoryType, async (req, res) => {
+router.put('/:id', requireRole('admin'), validateCategoryType, async (req, res) => {
   try {
     const { id } = req.params;
     const { type_name, description } = req.body;
@@ -239,7 +240,7 @@ router.put('/:id', validateCategoryType, async (req, res) => {
 });
 
 // DELETE /api/category-types/:id - Delete a category type
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
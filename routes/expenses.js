@@ -0,0 +1,614 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const { jwtAuthMiddleware } = require('../middleware/auth');
+const receiptItemService = require('../services/receiptItemService');
+const duplicateDetectionService = require('../services/duplicateDetectionService');
+const { EXPENSE_CATEGORIES } = require('../services/expenseCategories');
+const { isValidDate } = require('../services/dates');
+
+// Allowed values mirror the CHECK constraints in create_expenses_table.sql
+const PAYMENT_METHODS = ['UPI', 'Card', 'Cash', 'Bank Transfer'];
+const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+
+// Receipt fingerprints from the OCR upload (see services/receiptFingerprintService.js)
+const RECEIPT_HASH_REGEX = /^[0-9a-f]{16}$/;
+const MERGE_KEEP_OPTIONS = ['existing', 'new'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Every expense route requires a valid JWT
+router.use(jwtAuthMiddleware);
+
+// Validation middleware
+// On create every required column must be present; on update only the
+// fields supplied in the body are checked.
+const validateExpense = ({ partial = false } = {}) => (req, res, next) => {
+  const {
+    amount,
+    category,
+    subcategory,
+    payment_method,
+    date,
+    description,
+    tags,
+    is_recurring,
+    recurring_frequency,
+    notes,
+    receipt_url,
+    receipt_image_hash,
+    receipt_text_hash
+  } = req.body;
+  const errors = {};
+  const has = (value) => value !== undefined;
+
+  if (!partial || has(amount)) {
+    const numericAmount = Number(amount);
+    if (amount === null || amount === '' || !Number.isFinite(numericAmount) || numericAmount <= 0) {
+      errors.amount = 'Amount must be a positive number';
+    } else if (numericAmount >= 100000000) {
+      errors.amount = 'Amount must be less than 100,000,000';
+    }
+  }
+
+  if (!partial || has(category)) {
+    if (!EXPENSE_CATEGORIES.includes(category)) {
+      errors.category = `Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`;
+    }
+  }
+
+  if (has(subcategory) && subcategory !== null && typeof subcategory !== 'string') {
+    errors.subcategory = 'Subcategory must be a string';
+  }
+
+  if (!partial || has(payment_method)) {
+    if (!PAYMENT_METHODS.includes(payment_method)) {
+      errors.payment_method = `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`;
+    }
+  }
+
+  if (has(date)) {
+    if (!isValidDate(date)) {
+      errors.date = 'Date must be a valid date in YYYY-MM-DD format';
+    }
+  }
+
+  if (has(description) && description !== null && typeof description !== 'string') {
+    errors.description = 'Description must be a string';
+  }
+
+  if (has(tags) && tags !== null) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      errors.tags = 'Tags must be an array of strings';
+    }
+  }
+
+  if (has(is_recurring) && typeof is_recurring !== 'boolean') {
+    errors.is_recurring = 'is_recurring must be a boolean value';
+  }
+
+  if (has(recurring_frequency) && recurring_frequency !== null) {
+    if (!RECURRING_FREQUENCIES.includes(recurring_frequency)) {
+      errors.recurring_frequency = `Recurring frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}`;
+    }
+  }
+
+  if (!partial && is_recurring === true && !recurring_frequency) {
+    errors.recurring_frequency = 'Recurring frequency is required for recurring expenses';
+  }
+
+  if (has(notes) && notes !== null && typeof notes !== 'string') {
+    errors.notes = 'Notes must be a string';
+  }
+
+  if (has(receipt_url) && receipt_url !== null && typeof receipt_url !== 'string') {
+    errors.receipt_url = 'receipt_url must be a string';
+  }
+
+  for (const [field, value] of [['receipt_image_hash', receipt_image_hash], ['receipt_text_hash', receipt_text_hash]]) {
+    if (has(value) && value !== null && (typeof value !== 'string' || !RECEIPT_HASH_REGEX.test(value))) {
+      errors[field] = `${field} must be a 16-character hex fingerprint`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  next();
+};
+
+// Pick only known columns from the request body so clients can't set user_id or ids
+const buildExpenseRow = (body) => {
+  const row = {};
+
+  if (body.amount !== undefined) row.amount = Number(body.amount);
+  if (body.category !== undefined) row.category = body.category;
+  if (body.subcategory !== undefined) row.subcategory = body.subcategory ? body.subcategory.trim() : null;
+  if (body.payment_method !== undefined) row.payment_method = body.payment_method;
+  if (body.date !== undefined) row.date = body.date;
+  if (body.description !== undefined) row.description = body.description ? body.description.trim() : null;
+  if (body.tags !== undefined) row.tags = body.tags;
+  if (body.is_recurring !== undefined) row.is_recurring = body.is_recurring;
+  if (body.recurring_frequency !== undefined) row.recurring_frequency = body.recurring_frequency;
+  if (body.notes !== undefined) row.notes = body.notes;
+  if (body.receipt_url !== undefined) row.receipt_url = body.receipt_url;
+  if (body.receipt_image_hash !== undefined) row.receipt_image_hash = body.receipt_image_hash;
+  if (body.receipt_text_hash !== undefined) row.receipt_text_hash = body.receipt_text_hash;
+
+  // A non-recurring expense has no frequency
+  if (row.is_recurring === false) row.recurring_frequency = null;
+
+  return row;
+};
+
+// GET /api/expenses - List the caller's expenses with filters and pagination
+router.get('/', async (req, res) => {
+  try {
+    const { startDate, endDate, category, paymentMethod } = req.query;
+    const errors = {};
+
+    if (startDate && !isValidDate(startDate)) {
+      errors.startDate = 'startDate must be a valid date in YYYY-MM-DD format';
+    }
+    if (endDate && !isValidDate(endDate)) {
+      errors.endDate = 'endDate must be a valid date in YYYY-MM-DD format';
+    }
+    if (category && !EXPENSE_CATEGORIES.includes(category)) {
+      errors.category = `Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`;
+    }
+    if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+      errors.paymentMethod = `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const from = (page - 1) * limit;
+
+    let query = supabase
+      .from('expenses')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.userId);
+
+    if (startDate) query = query.gte('date', startDate);
+    if (endDate) query = query.lte('date', endDate);
+    if (category) query = query.eq('category', category);
+    if (paymentMethod) query = query.eq('payment_method', paymentMethod);
+
+    const { data, error, count } = await query
+      .order('date', { ascending: false })
+      .order('created_at', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (error) {
+      console.error('Error fetching expenses:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch expenses'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in list expenses route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/expenses/duplicates - List the caller's flagged duplicate pairs (?status=pending|merged|dismissed)
+router.get('/duplicates', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (!duplicateDetectionService.PAIR_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors: { status: `status must be one of: ${duplicateDetectionService.PAIR_STATUSES.join(', ')}` }
+      });
+    }
+
+    const pairs = await duplicateDetectionService.listPairs(req.user.userId, status);
+
+    res.json({
+      success: true,
+      data: pairs
+    });
+  } catch (error) {
+    console.error('Error in list duplicates route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/expenses/duplicates/:pairId/merge - Merge a flagged pair into one expense ({ keep: 'existing' | 'new' })
+router.post('/duplicates/:pairId/merge', async (req, res) => {
+  try {
+    const keep = req.body?.keep || 'existing';
+
+    if (!MERGE_KEEP_OPTIONS.includes(keep)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: { keep: `keep must be one of: ${MERGE_KEEP_OPTIONS.join(', ')}` }
+      });
+    }
+
+    const result = await duplicateDetectionService.mergePair(req.user.userId, req.params.pairId, keep);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: 'Expenses merged successfully'
+    });
+  } catch (error) {
+    console.error('Error in merge duplicates route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/expenses/duplicates/:pairId/dismiss - Mark a flagged pair as not a duplicate
+router.post('/duplicates/:pairId/dismiss', async (req, res) => {
+  try {
+    const result = await duplicateDetectionService.dismissPair(req.user.userId, req.params.pairId);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: 'Duplicate dismissed'
+    });
+  } catch (error) {
+    console.error('Error in dismiss duplicate route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/expenses/:id - Get a single expense owned by the caller
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('expenses')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', req.user.userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching expense:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch expense'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error in get expense route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/expenses - Create a new expense for the caller
+router.post('/', validateExpense(), async (req, res) => {
+  try {
+    const row = {
+      ...buildExpenseRow(req.body),
+      user_id: req.user.userId
+    };
+
+    const { data, error } = await supabase
+      .from('expenses')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating expense:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create expense'
+      });
+    }
+
+    // Duplicate checks are advisory; a failure must not lose the expense that was just saved
+    let possibleDuplicates = [];
+    try {
+      possibleDuplicates = await duplicateDetectionService.checkNewExpense(data);
+    } catch (duplicateError) {
+      console.error('Error checking for duplicate expenses:', duplicateError);
+    }
+
+    res.status(201).json({
+      success: true,
+      data,
+      possibleDuplicates,
+      message: 'Expense created successfully'
+    });
+  } catch (error) {
+    console.error('Error in create expense route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/expenses/:id - Update an expense owned by the caller
+router.put('/:id', validateExpense({ partial: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = buildExpenseRow(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No updatable fields provided'
+      });
+    }
+
+    // Check if expense exists and belongs to the caller
+    const { data: existingExpense } = await supabase
+      .from('expenses')
+      .select('id, is_recurring, recurring_frequency')
+      .eq('id', id)
+      .eq('user_id', req.user.userId)
+      .maybeSingle();
+
+    if (!existingExpense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    // Turning recurrence on needs a frequency, either supplied or already stored
+    if (updates.is_recurring === true && !updates.recurring_frequency && !existingExpense.recurring_frequency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: { recurring_frequency: 'Recurring frequency is required for recurring expenses' }
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('expenses')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('user_id', req.user.userId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating expense:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update expense'
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: 'Expense updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in update expense route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/expenses/:id/items - List the receipt line items of an expense owned by the caller
+router.get('/:id/items', async (req, res) => {
+  try {
+    const { data: expense, error } = await supabase
+      .from('expenses')
+      .select('id, amount')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching expense:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch expense'
+      });
+    }
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const items = await receiptItemService.listItems(expense.id, req.user.userId);
+    const itemsTotal = receiptItemService.total(items);
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        itemsTotal,
+        matchesExpense: items.length === 0 || Math.abs(itemsTotal - Number(expense.amount)) <= 1
+      }
+    });
+  } catch (error) {
+    console.error('Error in list receipt items route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/expenses/:id/items - Replace the receipt line items of an expense owned by the caller
+router.put('/:id/items', async (req, res) => {
+  try {
+    const { receiptUrl } = req.body || {};
+    const { errors, items } = receiptItemService.parseItems(req.body?.items);
+
+    if (receiptUrl !== undefined && receiptUrl !== null && typeof receiptUrl !== 'string') {
+      errors.receiptUrl = 'receiptUrl must be a string';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const { data: expense, error } = await supabase
+      .from('expenses')
+      .select('id, user_id, amount')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching expense:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch expense'
+      });
+    }
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const saved = await receiptItemService.replaceItems(expense, items, { receiptUrl: receiptUrl || null });
+    const itemsTotal = receiptItemService.total(saved);
+
+    // A mismatch is reported rather than rejected: the user may have dropped items on purpose
+    res.json({
+      success: true,
+      data: {
+        items: saved,
+        itemsTotal,
+        matchesExpense: saved.length === 0 || Math.abs(itemsTotal - Number(expense.amount)) <= 1
+      },
+      message: 'Receipt items saved successfully'
+    });
+  } catch (error) {
+    console.error('Error in save receipt items route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/expenses/:id - Delete an expense owned by the caller
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('expenses')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.userId)
+      .select('id');
+
+    if (error) {
+      console.error('Error deleting expense:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete expense'
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Expense deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in delete expense route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const bankStatementImportService = require('../services/bankStatementImportService');
+const { BANK_FORMATS } = require('../services/bankStatementParser');
+const { jwtAuthMiddleware } = require('../middleware/auth');
+const { requireEntitlement } = require('../middleware/entitlements');
+
+const MAX_STATEMENT_BYTES = 5 * 1024 * 1024;
+const BANK_IDS = BANK_FORMATS.map(format => format.id);
+
+// Statements are parsed in memory; only the preview rows are stored
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_STATEMENT_BYTES, files: 1 }
+}).single('statement');
+
+// Every import route requires a valid JWT
+router.use(jwtAuthMiddleware);
+
+// Shape a stored import for the API
+const toPreview = (record) => ({
+  importId: record.id,
+  status: record.status,
+  bank: { id: record.bank, name: BANK_FORMATS.find(format => format.id === record.bank)?.name || 'Unknown bank' },
+  sourceFormat: record.source_format,
+  fileName: record.file_name,
+  layout: record.layout,
+  summary: record.summary,
+  rows: record.rows,
+  committed: record.status === 'committed'
+    ? { expenses: record.committed_expenses, incomes: record.committed_incomes, at: record.committed_at }
+    : null,
+  createdAt: record.created_at
+});
+
+// POST /api/imports/bank-statement - Parse a CSV or PDF statement (multipart field "statement") into a categorized preview
+router.post('/bank-statement', requireEntitlement('ocr_analysis'), (req, res, next) => {
+  statementUpload(req, res, (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge ? 'Statement must be 5MB or smaller' : `Invalid upload: ${err.message}`
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing statement file (multipart field "statement")'
+      });
+    }
+
+    // Detected from the file unless the client names the bank
+    const bank = req.body?.bank || req.query.bank || null;
+    if (bank && !BANK_IDS.includes(bank)) {
+      return res.status(400).json({
+        success: false,
+        message: `bank must be one of: ${BANK_IDS.join(', ')}`
+      });
+    }
+
+    const result = await bankStatementImportService.createPreview(req.user.userId, req.file, { bank });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.data,
+      message: 'Statement parsed. Review the rows and commit the ones to import'
+    });
+  } catch (error) {
+    console.error('Error in bank statement upload route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/imports/bank-statement/:id - Fetch one of the caller's statement previews
+router.get('/bank-statement/:id', async (req, res) => {
+  try {
+    const record = await bankStatementImportService.getImport(req.user.userId, req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPreview(record)
+    });
+  } catch (error) {
+    console.error('Error in get bank statement import route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/imports/bank-statement/:id/commit - Save the selected rows as expenses and incomes in one transaction
+// Body: { rows: [0, 2, { index: 5, category: 'Food', description: 'Team lunch' }] }
+router.post('/bank-statement/:id/commit', async (req, res) => {
+  try {
+    const result = await bankStatementImportService.commit(req.user.userId, req.params.id, req.body.rows);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.errors && { errors: result.errors })
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.data,
+      message: `Imported ${result.data.expenses} expenses and ${result.data.incomes} incomes`
+    });
+  } catch (error) {
+    console.error('Error in commit bank statement import route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../middleware/auth');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -140,7 +141,7 @@ router.get('/income-categories/:id/subcategories', async (req, res) => {
 });
 
 // POST /api/income-categories - Create a new income category
-router.post('/income-categories', validateIncomeCategory, async (req, res) => {
+router.post('/income-categories', requireRole('admin'), validateIncomeCategory, async (req, res) => {
   try {
     const { name } = req.body;
 
@@ -187,7 +188,7 @@ router.post('/income-categories', validateIncomeCategory, async (req, res) => {
 });
 
 // POST /api/income-subcategories - Create a new income subcategory
-router.post('/income-subcategories', validateIncomeSubcategory, async (req, res) => {
+router.post('/income-subcategories', requireRole('admin'), validateIncomeSubcategory, async (req, res) => {
   try {
     const { category_id, name, is_recurring } = req.body;
 
@@ -259,7 +260,7 @@ router.post('/income-subcategories', validateIncomeSubcategory, async (req, res)
 });
 
 // PUT /api/income-categories/:id - Update an income category
-router.put('/income-categories/:id', validateIncomeCategory, async (req, res) => {
+router.put('/income-categories/:id', requireRole('admin'), validateIncomeCategory, async (req, res) => {
   try {
     const { id } = req.params;
     const { name } = req.body;
@@ -333,7 +334,7 @@ router.put('/income-categories/:id', validateIncomeCategory, async (req, res) =>
 });
 
 // PUT /api/income-subcategories/:id - Update an income subcategory
-router.put('/income-subcategories/:id', validateIncomeSubcategory, async (req, res) => {
+router.put('/income-subcategories/:id', requireRole('admin'), validateIncomeSubcategory, async (req, res) => {
   try {
     const { id } = req.params;
     const { category_id, name, is_recurring } = req.body;
@@ -430,7 +431,7 @@ router.put('/income-subcategories/:id', validateIncomeSubcategory, async (req, r
 });
 
 // DELETE /api/income-categories/:id - Delete an income category
-router.delete('/income-categories/:id', async (req, res) => {
+router.delete('/income-categories/:id', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -483,7 +484,7 @@ router.delete('/income-categories/:id', async (req, res) => {
 });
 
 // DELETE /api/income-subcategories/:id - Delete an income subcategory
-router.delete('/income-subcategories/:id', async (req, res) => {
+router.delete('/income-subcategories/:id', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -0,0 +1,684 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const payslipService = require('../services/payslipService');
+const { isValidDate } = require('../services/dates');
+const { jwtAuthMiddleware } = require('../middleware/auth');
+
+const PAYMENT_METHODS = ['UPI', 'Card', 'Cash', 'Bank Transfer'];
+const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Incomes are always returned with their category and subcategory joined in
+const INCOME_SELECT = `
+  *,
+  income_categories (
+    id,
+    name,
+    icon
+  ),
+  income_subcategories (
+    id,
+    name,
+    is_recurring
+  )
+`;
+
+// Every income route requires a valid JWT
+router.use(jwtAuthMiddleware);
+
+// Validation middleware
+// On create every required column must be present; on update only the
+// fields supplied in the body are checked.
+const validateIncome = ({ partial = false } = {}) => (req, res, next) => {
+  const {
+    amount,
+    category_id,
+    subcategory_id,
+    payment_method,
+    date,
+    description,
+    tags,
+    notes,
+    upi_id,
+    receipt_url,
+    is_recurring,
+    recurring_frequency
+  } = req.body;
+  const errors = {};
+  const has = (value) => value !== undefined;
+  const isOptionalString = (value) => value === null || typeof value === 'string';
+
+  if (!partial || has(amount)) {
+    const numericAmount = Number(amount);
+    if (amount === null || amount === '' || !Number.isFinite(numericAmount) || numericAmount <= 0) {
+      errors.amount = 'Amount must be a positive number';
+    } else if (numericAmount >= 100000000) {
+      errors.amount = 'Amount must be less than 100,000,000';
+    }
+  }
+
+  if (!partial || has(category_id)) {
+    if (!category_id || typeof category_id !== 'string') {
+      errors.category_id = 'Category ID is required and must be a valid UUID';
+    }
+  }
+
+  if (has(subcategory_id) && subcategory_id !== null && typeof subcategory_id !== 'string') {
+    errors.subcategory_id = 'Subcategory ID must be a valid UUID';
+  }
+
+  if (!partial || has(payment_method)) {
+    if (!PAYMENT_METHODS.includes(payment_method)) {
+      errors.payment_method = `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`;
+    }
+  }
+
+  if (has(date)) {
+    if (!isValidDate(date)) {
+      errors.date = 'Date must be a valid date in YYYY-MM-DD format';
+    }
+  }
+
+  if (has(description) && !isOptionalString(description)) {
+    errors.description = 'Description must be a string';
+  }
+
+  if (has(tags) && tags !== null) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      errors.tags = 'Tags must be an array of strings';
+    }
+  }
+
+  if (has(notes) && !isOptionalString(notes)) {
+    errors.notes = 'Notes must be a string';
+  }
+
+  if (has(upi_id) && !isOptionalString(upi_id)) {
+    errors.upi_id = 'UPI ID must be a string';
+  }
+
+  if (has(receipt_url) && !isOptionalString(receipt_url)) {
+    errors.receipt_url = 'Receipt URL must be a string';
+  }
+
+  if (has(is_recurring) && typeof is_recurring !== 'boolean') {
+    errors.is_recurring = 'is_recurring must be a boolean value';
+  }
+
+  if (has(recurring_frequency) && recurring_frequency !== null) {
+    if (!RECURRING_FREQUENCIES.includes(recurring_frequency)) {
+      errors.recurring_frequency = `Recurring frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  next();
+};
+
+// Resolve category and subcategory ids into their rows.
+// Returns { category, subcategory } or { status, message } on failure.
+const resolveIncomeCategory = async (categoryId, subcategoryId) => {
+  const { data: category } = await supabase
+    .from('income_categories')
+    .select('id, name, icon')
+    .eq('id', categoryId)
+    .maybeSingle();
+
+  if (!category) {
+    return { status: 404, message: 'Income category not found' };
+  }
+
+  if (!subcategoryId) {
+    return { category, subcategory: null };
+  }
+
+  const { data: subcategory } = await supabase
+    .from('income_subcategories')
+    .select('id, category_id, name, is_recurring')
+    .eq('id', subcategoryId)
+    .maybeSingle();
+
+  if (!subcategory) {
+    return { status: 404, message: 'Income subcategory not found' };
+  }
+
+  if (subcategory.category_id !== category.id) {
+    return { status: 400, message: 'Income subcategory does not belong to the selected category' };
+  }
+
+  return { category, subcategory };
+};
+
+// Pick only known columns from the request body so clients can't set user_id or ids
+const buildIncomeRow = (body) => {
+  const row = {};
+  const fields = ['payment_method', 'date', 'tags', 'notes', 'upi_id', 'receipt_url', 'is_recurring', 'recurring_frequency'];
+
+  if (body.amount !== undefined) row.amount = Number(body.amount);
+  if (body.description !== undefined) row.description = body.description ? body.description.trim() : null;
+  fields.forEach(field => {
+    if (body[field] !== undefined) row[field] = body[field];
+  });
+
+  // A non-recurring income has no frequency
+  if (row.is_recurring === false) row.recurring_frequency = null;
+
+  return row;
+};
+
+// GET /api/incomes - List the caller's incomes with filters and pagination
+router.get('/', async (req, res) => {
+  try {
+    const { startDate, endDate, categoryId, subcategoryId, paymentMethod } = req.query;
+    const errors = {};
+
+    if (startDate && !isValidDate(startDate)) {
+      errors.startDate = 'startDate must be a valid date in YYYY-MM-DD format';
+    }
+    if (endDate && !isValidDate(endDate)) {
+      errors.endDate = 'endDate must be a valid date in YYYY-MM-DD format';
+    }
+    if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+      errors.paymentMethod = `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const from = (page - 1) * limit;
+
+    let query = supabase
+      .from('incomes')
+      .select(INCOME_SELECT, { count: 'exact' })
+      .eq('user_id', req.user.userId);
+
+    if (startDate) query = query.gte('date', startDate);
+    if (endDate) query = query.lte('date', endDate);
+    if (categoryId) query = query.eq('category_id', categoryId);
+    if (subcategoryId) query = query.eq('subcategory_id', subcategoryId);
+    if (paymentMethod) query = query.eq('payment_method', paymentMethod);
+
+    const { data, error, count } = await query
+      .order('date', { ascending: false })
+      .order('created_at', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (error) {
+      console.error('Error fetching incomes:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch incomes'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in list incomes route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/incomes/deductions - List the caller's tracked salary deductions with totals per component
+router.get('/deductions', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const errors = {};
+
+    if (startDate && !isValidDate(startDate)) {
+      errors.startDate = 'startDate must be a valid date in YYYY-MM-DD format';
+    }
+    if (endDate && !isValidDate(endDate)) {
+      errors.endDate = 'endDate must be a valid date in YYYY-MM-DD format';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const deductions = await payslipService.listDeductions(req.user.userId, { startDate, endDate });
+
+    res.json({
+      success: true,
+      data: {
+        deductions,
+        totals: payslipService.totals(deductions)
+      }
+    });
+  } catch (error) {
+    console.error('Error in list income deductions route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/incomes/:id - Get a single income owned by the caller
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('incomes')
+      .select(INCOME_SELECT)
+      .eq('id', id)
+      .eq('user_id', req.user.userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching income:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch income'
+      });
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Income not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error in get income route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/incomes - Create a new income for the caller
+router.post('/', validateIncome(), async (req, res) => {
+  try {
+    const { category_id, subcategory_id } = req.body;
+
+    const resolved = await resolveIncomeCategory(category_id, subcategory_id);
+    if (resolved.status) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.message
+      });
+    }
+
+    const { category, subcategory } = resolved;
+    const row = {
+      ...buildIncomeRow(req.body),
+      user_id: req.user.userId,
+      category_id: category.id,
+      category: category.name,
+      subcategory_id: subcategory ? subcategory.id : null,
+      subcategory: subcategory ? subcategory.name : null
+    };
+
+    // Default recurrence from the subcategory when the client doesn't say
+    if (row.is_recurring === undefined && subcategory) {
+      row.is_recurring = subcategory.is_recurring;
+    }
+
+    const { data, error } = await supabase
+      .from('incomes')
+      .insert(row)
+      .select(INCOME_SELECT)
+      .single();
+
+    if (error) {
+      console.error('Error creating income:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create income'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Income created successfully'
+    });
+  } catch (error) {
+    console.error('Error in create income route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/incomes/from-payslip - Record a payslip's net pay as a salary income
+// Body: { payslip, category_id?, subcategory_id?, payment_method?, recordDeductions?, acceptMismatch? }
+router.post('/from-payslip', async (req, res) => {
+  try {
+    const {
+      payslip: rawPayslip,
+      category_id,
+      subcategory_id,
+      payment_method = 'Bank Transfer',
+      recordDeductions = false,
+      acceptMismatch = false
+    } = req.body || {};
+    const { errors, payslip } = payslipService.parsePayslip(rawPayslip);
+
+    if (!PAYMENT_METHODS.includes(payment_method)) {
+      errors.payment_method = `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`;
+    }
+    if (category_id !== undefined && category_id !== null && typeof category_id !== 'string') {
+      errors.category_id = 'Category ID must be a valid UUID';
+    }
+    if (subcategory_id !== undefined && subcategory_id !== null && typeof subcategory_id !== 'string') {
+      errors.subcategory_id = 'Subcategory ID must be a valid UUID';
+    }
+    if (typeof recordDeductions !== 'boolean') {
+      errors.recordDeductions = 'recordDeductions must be a boolean value';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    // Gross less deductions must come to the net pay unless the user confirms the figures
+    const reconciliation = payslipService.reconcile(payslip);
+    if (!reconciliation.matches && acceptMismatch !== true) {
+      return res.status(422).json({
+        success: false,
+        message: 'Payslip does not add up. Correct the figures or send acceptMismatch: true to record it anyway',
+        errors: { payslip: reconciliation.issues },
+        reconciliation
+      });
+    }
+
+    // Salary, and its recurring salary subcategory, unless the client picks others
+    let categoryId = category_id;
+    let subcategoryId = subcategory_id;
+    if (!categoryId) {
+      const { data: salaryCategory } = await supabase
+        .from('income_categories')
+        .select('id')
+        .ilike('name', 'salary')
+        .limit(1)
+        .maybeSingle();
+
+      if (!salaryCategory) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: { category_id: 'No Salary income category exists; choose a category' }
+        });
+      }
+      categoryId = salaryCategory.id;
+    }
+    if (subcategoryId === undefined) {
+      const { data: salarySubcategory } = await supabase
+        .from('income_subcategories')
+        .select('id')
+        .eq('category_id', categoryId)
+        .eq('is_recurring', true)
+        .ilike('name', '%salary%')
+        .limit(1)
+        .maybeSingle();
+      subcategoryId = salarySubcategory ? salarySubcategory.id : null;
+    }
+
+    const resolved = await resolveIncomeCategory(categoryId, subcategoryId);
+    if (resolved.status) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.message
+      });
+    }
+
+    const { category, subcategory } = resolved;
+    const { incomeId, deductions } = await payslipService.createIncome(req.user.userId, {
+      ...payslipService.buildIncome(payslip),
+      payment_method,
+      category_id: category.id,
+      category: category.name,
+      subcategory_id: subcategory ? subcategory.id : null,
+      subcategory: subcategory ? subcategory.name : null
+    }, payslip, { recordDeductions });
+
+    const { data: income, error } = await supabase
+      .from('incomes')
+      .select(INCOME_SELECT)
+      .eq('id', incomeId)
+      .single();
+
+    if (error) {
+      console.error('Error fetching income created from payslip:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch created income'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        income,
+        deductions,
+        reconciliation
+      },
+      message: 'Salary income created from payslip'
+    });
+  } catch (error) {
+    console.error('Error in create income from payslip route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/incomes/:id/deductions - List the salary deductions tracked against an income owned by the caller
+router.get('/:id/deductions', async (req, res) => {
+  try {
+    const { data: income } = await supabase
+      .from('incomes')
+      .select('id, amount, gross_amount')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .maybeSingle();
+
+    if (!income) {
+      return res.status(404).json({
+        success: false,
+        message: 'Income not found'
+      });
+    }
+
+    const deductions = await payslipService.listDeductions(req.user.userId, { incomeId: income.id });
+
+    res.json({
+      success: true,
+      data: {
+        deductions,
+        totals: payslipService.totals(deductions),
+        grossAmount: income.gross_amount,
+        netAmount: income.amount
+      }
+    });
+  } catch (error) {
+    console.error('Error in list income deductions route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/incomes/:id - Update an income owned by the caller
+router.put('/:id', validateIncome({ partial: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { category_id, subcategory_id } = req.body;
+
+    // Check if income exists and belongs to the caller
+    const { data: existingIncome } = await supabase
+      .from('incomes')
+      .select('id, category_id, subcategory_id')
+      .eq('id', id)
+      .eq('user_id', req.user.userId)
+      .maybeSingle();
+
+    if (!existingIncome) {
+      return res.status(404).json({
+        success: false,
+        message: 'Income not found'
+      });
+    }
+
+    const updates = buildIncomeRow(req.body);
+
+    // Re-resolve the category pair whenever either side changes
+    if (category_id !== undefined || subcategory_id !== undefined) {
+      const nextCategoryId = category_id !== undefined ? category_id : existingIncome.category_id;
+      let nextSubcategoryId = subcategory_id !== undefined ? subcategory_id : existingIncome.subcategory_id;
+
+      // Moving to another category drops a subcategory that wasn't re-supplied
+      if (category_id !== undefined && subcategory_id === undefined && category_id !== existingIncome.category_id) {
+        nextSubcategoryId = null;
+      }
+
+      if (!nextCategoryId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: { category_id: 'Category ID is required and must be a valid UUID' }
+        });
+      }
+
+      const resolved = await resolveIncomeCategory(nextCategoryId, nextSubcategoryId);
+      if (resolved.status) {
+        return res.status(resolved.status).json({
+          success: false,
+          message: resolved.message
+        });
+      }
+
+      updates.category_id = resolved.category.id;
+      updates.category = resolved.category.name;
+      updates.subcategory_id = resolved.subcategory ? resolved.subcategory.id : null;
+      updates.subcategory = resolved.subcategory ? resolved.subcategory.name : null;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No updatable fields provided'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('incomes')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('user_id', req.user.userId)
+      .select(INCOME_SELECT)
+      .single();
+
+    if (error) {
+      console.error('Error updating income:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update income'
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: 'Income updated successfully'
+    });
+  } catch (error) {
+    console.error('Error in update income route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/incomes/:id - Delete an income owned by the caller
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('incomes')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.userId)
+      .select('id');
+
+    if (error) {
+      console.error('Error deleting income:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete income'
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Income not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Income deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in delete income route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const anomalyDetectionService = require('../services/anomalyDetectionService');
+const { jwtAuthMiddleware } = require('../middleware/auth');
+
+const { ANOMALY_TYPES, SEVERITIES, ANOMALY_STATUSES } = anomalyDetectionService;
+const STATUS_FILTERS = [...ANOMALY_STATUSES, 'all'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Every insights route requires a valid JWT
+router.use(jwtAuthMiddleware);
+
+// GET /api/insights/anomalies - List the caller's spending anomalies (?status=open|expected|all&severity=&type=&page=&limit=)
+router.get('/anomalies', async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    const { severity, type } = req.query;
+    const errors = {};
+
+    if (!STATUS_FILTERS.includes(status)) {
+      errors.status = `status must be one of: ${STATUS_FILTERS.join(', ')}`;
+    }
+    if (severity && !SEVERITIES.includes(severity)) {
+      errors.severity = `severity must be one of: ${SEVERITIES.join(', ')}`;
+    }
+    if (type && !ANOMALY_TYPES.includes(type)) {
+      errors.type = `type must be one of: ${ANOMALY_TYPES.join(', ')}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const { anomalies, total } = await anomalyDetectionService.listAnomalies(req.user.userId, {
+      status: status === 'all' ? null : status,
+      severity: severity || null,
+      type: type || null,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: anomalies,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in list anomalies route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/insights/anomalies/:id/expected - Mark an anomaly as expected so similar spending stops being flagged
+router.post('/anomalies/:id/expected', async (req, res) => {
+  try {
+    const result = await anomalyDetectionService.markExpected(req.user.userId, req.params.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: 'Anomaly marked as expected'
+    });
+  } catch (error) {
+    console.error('Error in mark anomaly expected route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
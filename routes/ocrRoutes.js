@@ -1,23 +1,108 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const ocrService = require('../services/ocrService');
+const categoryLearningService = require('../services/categoryLearningService');
+const { jwtAuthMiddleware } = require('../middleware/auth');
+const { requireEntitlement } = require('../middleware/entitlements');
+
+const MAX_RECEIPT_BYTES = 10 * 1024 * 1024; // matches the receipts-v2 bucket limit
+const ANALYSIS_MODES = ['summary', 'line_items'];
+const INCOME_DOCUMENT_MODES = ['summary', 'payslip', 'form16'];
+
+// Receipts are kept in memory just long enough to OCR and upload them
+const receiptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_RECEIPT_BYTES, files: 1 }
+}).single('receipt');
+
+// OCR analyses are metered per plan, so every route needs to know who is calling
+router.use(jwtAuthMiddleware);
+
+/**
+ * POST /api/ocr/receipts
+ * Upload a receipt (multipart field "receipt": JPEG, PNG or PDF), OCR it on the server,
+ * store the original in receipts-v2 and analyze the text with AI.
+ * Send mode=line_items (form field or query) to itemize the receipt instead.
+ */
+router.post('/receipts', requireEntitlement('ocr_analysis'), (req, res, next) => {
+  receiptUpload(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'Receipt must be 10MB or smaller'
+        : `Invalid upload: ${err.message}`;
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, error: message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing receipt file (multipart field "receipt")'
+      });
+    }
+
+    const mode = req.body?.mode || req.query.mode || 'summary';
+    if (!ANALYSIS_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of: ${ANALYSIS_MODES.join(', ')}`
+      });
+    }
+
+    const result = await ocrService.processReceiptWithAI(req.file, req.user.userId, { mode });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        data: result.data
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.data,
+      message: 'Receipt processed successfully'
+    });
+
+  } catch (error) {
+    console.error('Receipt upload endpoint error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during receipt processing'
+    });
+  }
+});
 
 /**
  * POST /api/ocr/analyze-receipt
- * Analyze extracted receipt text with AI
+ * Analyze extracted receipt text with AI ({ mode: 'line_items' } returns every item)
  */
-router.post('/analyze-receipt', async (req, res) => {
+router.post('/analyze-receipt', requireEntitlement('ocr_analysis'), async (req, res) => {
   try {
-    const { extractedText, userId } = req.body;
+    const { extractedText, mode = 'summary' } = req.body;
+    const { userId } = req.user;
 
-    if (!extractedText || !userId) {
+    if (!extractedText) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: extractedText and userId'
+        error: 'Missing required field: extractedText'
       });
     }
 
-    const result = await ocrService.analyzeReceiptText(extractedText, userId);
+    if (!ANALYSIS_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of: ${ANALYSIS_MODES.join(', ')}`
+      });
+    }
+
+    const result = mode === 'line_items'
+      ? await ocrService.analyzeReceiptLineItems(extractedText, userId)
+      : await ocrService.analyzeReceiptText(extractedText, userId);
     
     if (result.success) {
       res.json({
@@ -75,9 +160,10 @@ router.get('/verify-storage', async (req, res) => {
  * POST /api/ocr/analyze-category
  * Analyze extracted text specifically for category selection
  */
-router.post('/analyze-category', async (req, res) => {
+router.post('/analyze-category', requireEntitlement('ocr_analysis'), async (req, res) => {
   try {
-    const { extractedText, availableCategories, userId } = req.body;
+    const { extractedText, availableCategories } = req.body;
+    const { userId } = req.user;
 
     if (!extractedText || !availableCategories || !Array.isArray(availableCategories)) {
       return res.status(400).json({
@@ -112,20 +198,29 @@ router.post('/analyze-category', async (req, res) => {
 
 /**
  * POST /api/ocr/analyze-income-document
- * Analyze extracted income document text with AI
+ * Analyze extracted income document text with AI. { mode: 'payslip' } itemizes earnings and
+ * deductions and checks them against net pay; { mode: 'form16' } returns the year's totals.
  */
-router.post('/analyze-income-document', async (req, res) => {
+router.post('/analyze-income-document', requireEntitlement('ocr_analysis'), async (req, res) => {
   try {
-    const { extractedText, userId } = req.body;
+    const { extractedText, mode = 'summary' } = req.body;
+    const { userId } = req.user;
 
-    if (!extractedText || !userId) {
+    if (!extractedText) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: extractedText and userId'
+        error: 'Missing required field: extractedText'
       });
     }
 
-    const result = await ocrService.analyzeIncomeDocumentText(extractedText, userId);
+    if (!INCOME_DOCUMENT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of: ${INCOME_DOCUMENT_MODES.join(', ')}`
+      });
+    }
+
+    const result = await ocrService.analyzeIncomeDocumentText(extractedText, userId, { mode });
     
     if (result.success) {
       res.json({
@@ -149,6 +244,109 @@ router.post('/analyze-income-document', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/ocr/category-feedback
+ * Record that the user changed the category an analysis suggested, so the merchant
+ * is categorized their way next time. Body: { merchant, category, suggestedCategory?, source? }
+ */
+router.post('/category-feedback', async (req, res) => {
+  try {
+    const { merchant, category, suggestedCategory, source } = req.body || {};
+
+    if (!merchant || typeof merchant !== 'string' || !category || typeof category !== 'string' || !category.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: merchant and category'
+      });
+    }
+
+    if (suggestedCategory !== undefined && suggestedCategory !== null && typeof suggestedCategory !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'suggestedCategory must be a string'
+      });
+    }
+
+    const result = await categoryLearningService.recordCorrection(req.user.userId, {
+      merchant,
+      category: category.trim().substring(0, 100),
+      suggestedCategory: suggestedCategory || null,
+      source
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.message
+      });
+    }
+
+    res.status(result.data.learned ? 201 : 200).json({
+      success: true,
+      data: result.data,
+      message: result.data.learned ? 'Category correction learned' : 'Suggestion matched; nothing to learn'
+    });
+
+  } catch (error) {
+    console.error('Category feedback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record category correction'
+    });
+  }
+});
+
+/**
+ * GET /api/ocr/merchant-rules
+ * List the merchant -> category rules learned for the caller
+ */
+router.get('/merchant-rules', async (req, res) => {
+  try {
+    const rules = await categoryLearningService.listRules(req.user.userId);
+
+    res.json({
+      success: true,
+      data: rules
+    });
+
+  } catch (error) {
+    console.error('Merchant rules list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch merchant rules'
+    });
+  }
+});
+
+/**
+ * DELETE /api/ocr/merchant-rules/:id
+ * Forget a learned merchant rule; the merchant goes back to AI categorization
+ */
+router.delete('/merchant-rules/:id', async (req, res) => {
+  try {
+    const deleted = await categoryLearningService.deleteRule(req.user.userId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Merchant rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Merchant rule deleted'
+    });
+
+  } catch (error) {
+    console.error('Merchant rule delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete merchant rule'
+    });
+  }
+});
+
 /**
  * POST /api/ocr/setup-storage
  * Create receipts-v2 storage bucket if it doesn't exist
@@ -0,0 +1,45 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const webhookService = require('../services/webhookService');
+
+// The signature covers the exact bytes Razorpay sent, so this router is mounted
+// before express.json() and reads the body raw.
+router.use(express.raw({ type: '*/*', limit: '1mb' }));
+
+// POST /api/payments/webhook - Razorpay webhook receiver
+router.post('/', async (req, res) => {
+  try {
+    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      console.warn('⚠️ RAZORPAY_WEBHOOK_SECRET is not set; ignoring webhook');
+      return res.sendStatus(200);
+    }
+
+    const signature = req.headers['x-razorpay-signature'];
+    if (!webhookService.verifySignature(req.body, signature, webhookSecret)) {
+      console.warn('❌ Webhook signature mismatch');
+      return res.sendStatus(400);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(req.body.toString('utf8'));
+    } catch (parseError) {
+      return res.sendStatus(400);
+    }
+
+    const eventId = req.headers['x-razorpay-event-id'] ||
+      crypto.createHash('sha256').update(req.body).digest('hex');
+
+    const { event } = await webhookService.receive(eventId, body);
+
+    // A non-2xx makes Razorpay redeliver; the stored event can also be replayed by an admin
+    res.sendStatus(event.status === 'failed' ? 500 : 200);
+  } catch (e) {
+    console.error('webhook error', e);
+    res.sendStatus(500);
+  }
+});
+
+module.exports = router;
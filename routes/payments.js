@@ -0,0 +1,340 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const { jwtAuthMiddleware, requireRole } = require('../middleware/auth');
+const paymentReceiptService = require('../services/paymentReceiptService');
+const refundService = require('../services/refundService');
+const paymentStatementService = require('../services/paymentStatementService');
+const paymentOrderService = require('../services/paymentOrderService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const STATEMENT_FORMATS = ['csv', 'pdf'];
+
+// Payments that were captured keep their receipt after being refunded
+const RECEIPT_STATUSES = ['captured', 'partially_refunded', 'refunded'];
+
+// POST /api/payments/create-order - Create a Razorpay order for the caller (supports Idempotency-Key)
+router.post('/create-order', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { amount, currency, expenseId, description } = req.body || {};
+
+    const result = await paymentOrderService.createOrder(
+      req.user.userId,
+      { amount, currency, expenseId, description },
+      req.get('Idempotency-Key')
+    );
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    res.json({ success: true, order: result.order, paymentId: result.paymentId });
+  } catch (err) {
+    console.error('create-order error:', err);
+    res.status(500).json({ success: false, message: 'Failed to create order' });
+  }
+});
+
+// POST /api/payments/verify - Verify the checkout signature for one of the caller's orders
+router.post('/verify', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body || {};
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    }
+
+    const result = await paymentOrderService.verifyPayment(req.user.userId, {
+      razorpay_order_id,
+      razorpay_payment_id,
+      razorpay_signature
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, payment: result.payment });
+  } catch (err) {
+    console.error('verify error:', err);
+    res.status(500).json({ success: false, message: 'Verification failed' });
+  }
+});
+
+// GET /api/payments - List the caller's payments with filters and pagination
+router.get('/', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { errors, filters } = paymentStatementService.parseFilters(req.query);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const from = (page - 1) * limit;
+
+    const query = paymentStatementService.applyFilters(
+      supabase
+        .from('payments')
+        .select('*', { count: 'exact' })
+        .eq('user_id', req.user.userId),
+      filters
+    );
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (error) {
+      console.error('Error fetching payments:', error);
+      return res.status(500).json({ success: false, message: 'Failed to fetch payments' });
+    }
+
+    // Signatures are only needed for verification
+    const payments = (data || []).map(({ razorpay_signature, ...payment }) => payment);
+
+    res.json({
+      success: true,
+      data: payments,
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    });
+  } catch (err) {
+    console.error('list payments error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch payments' });
+  }
+});
+
+// GET /api/payments/summary - Totals of the caller's payments by month, method and status
+router.get('/summary', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { errors, filters } = paymentStatementService.parseFilters(req.query);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const payments = await paymentStatementService.fetchAll(req.user.userId, filters);
+    res.json({ success: true, data: paymentStatementService.summarize(payments) });
+  } catch (err) {
+    console.error('payment summary error:', err);
+    res.status(500).json({ success: false, message: 'Failed to summarize payments' });
+  }
+});
+
+// GET /api/payments/statement - Export the caller's payments as CSV or PDF (?format=csv|pdf)
+router.get('/statement', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : req.query.format ?? 'csv';
+    const { errors, filters } = paymentStatementService.parseFilters(req.query);
+
+    if (!STATEMENT_FORMATS.includes(format)) {
+      errors.format = `format must be one of: ${STATEMENT_FORMATS.join(', ')}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid query parameters',
+        errors
+      });
+    }
+
+    const payments = await paymentStatementService.fetchAll(req.user.userId, filters);
+    const period = [filters.startDate, filters.endDate].filter(Boolean).join('_to_') || 'all';
+    const filename = `payment-statement-${period}.${format}`;
+
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      return res.send(paymentStatementService.toCsv(payments));
+    }
+
+    const user = await paymentReceiptService.getPaymentUser({
+      user_id: req.user.userId,
+      email: req.user.email
+    });
+    const pdfBuffer = await paymentStatementService.toPdf(payments, user, filters);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdfBuffer.length
+    });
+    res.send(pdfBuffer);
+  } catch (err) {
+    console.error('payment statement error:', err);
+    res.status(500).json({ success: false, message: 'Failed to generate statement' });
+  }
+});
+
+// GET /api/payments/:id/receipt.pdf - Download the receipt for one of the caller's payments
+router.get('/:id/receipt.pdf', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', req.user.userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching payment:', error);
+      return res.status(500).json({ success: false, message: 'Failed to fetch payment' });
+    }
+
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    if (!RECEIPT_STATUSES.includes(payment.status)) {
+      return res.status(409).json({ success: false, message: 'Receipts are only available for captured payments' });
+    }
+
+    const pdfBuffer = await paymentReceiptService.getReceiptPdf(payment);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="receipt-${payment.razorpay_payment_id || payment.id}.pdf"`,
+      'Content-Length': pdfBuffer.length
+    });
+    res.send(pdfBuffer);
+  } catch (err) {
+    console.error('receipt download error:', err);
+    res.status(500).json({ success: false, message: 'Failed to generate receipt' });
+  }
+});
+
+// POST /api/payments/:id/refund - Refund all or part of a captured payment (admin/support)
+router.post('/:id/refund', requireRole('admin', 'support'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body || {};
+
+    if (amount !== undefined && amount !== null && (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0)) {
+      return res.status(400).json({ success: false, message: 'amount must be a positive number of rupees' });
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ success: false, message: 'reason is required' });
+    }
+
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching payment:', error);
+      return res.status(500).json({ success: false, message: 'Failed to fetch payment' });
+    }
+
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const result = await refundService.createRefund(payment, {
+      amount,
+      reason: reason.trim(),
+      requestedBy: req.user.userId
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({ success: true, data: result.data });
+  } catch (err) {
+    console.error('refund error:', err);
+    res.status(500).json({ success: false, message: 'Failed to refund payment' });
+  }
+});
+
+// GET /api/payments/:id/refunds - List refunds for one of the caller's payments
+router.get('/:id/refunds', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .select('id, amount, amount_refunded, status')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching payment:', error);
+      return res.status(500).json({ success: false, message: 'Failed to fetch payment' });
+    }
+
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const refunds = await refundService.listRefunds(payment.id);
+    res.json({ success: true, data: { payment, refunds } });
+  } catch (err) {
+    console.error('list refunds error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch refunds' });
+  }
+});
+
+// GET /api/payments/:id/refunds/:refundId/credit-note.pdf - Download the credit note for a processed refund
+router.get('/:id/refunds/:refundId/credit-note.pdf', jwtAuthMiddleware, async (req, res) => {
+  try {
+    const { data: refund, error } = await supabase
+      .from('payment_refunds')
+      .select('*')
+      .eq('id', req.params.refundId)
+      .eq('payment_id', req.params.id)
+      .eq('user_id', req.user.userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching refund:', error);
+      return res.status(500).json({ success: false, message: 'Failed to fetch refund' });
+    }
+
+    if (!refund) {
+      return res.status(404).json({ success: false, message: 'Refund not found' });
+    }
+
+    if (refund.status !== 'processed') {
+      return res.status(409).json({ success: false, message: 'Credit notes are only available for processed refunds' });
+    }
+
+    const pdfBuffer = await refundService.getCreditNotePdf(refund);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="credit-note-${refund.razorpay_refund_id || refund.id}.pdf"`,
+      'Content-Length': pdfBuffer.length
+    });
+    res.send(pdfBuffer);
+  } catch (err) {
+    console.error('credit note download error:', err);
+    res.status(500).json({ success: false, message: 'Failed to generate credit note' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const reconciliationService = require('../services/reconciliationService');
+
+const MAX_LIMIT = 1000;
+
+router.use(requireRole('admin'));
+
+// POST /api/admin/reconciliation/run - Reconcile stuck payments with Razorpay and return the discrepancy report
+router.post('/run', async (req, res) => {
+  try {
+    const { olderThanMinutes, limit, dryRun } = req.body || {};
+
+    if (olderThanMinutes !== undefined && (!Number.isInteger(olderThanMinutes) || olderThanMinutes < 0)) {
+      return res.status(400).json({ success: false, message: 'olderThanMinutes must be a non-negative integer' });
+    }
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) {
+      return res.status(400).json({ success: false, message: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    const report = await reconciliationService.run({
+      olderThanMinutes,
+      limit,
+      dryRun: dryRun === true
+    });
+
+    res.json({ success: true, data: report });
+  } catch (err) {
+    if (err.code === 'RECONCILIATION_RUNNING') {
+      return res.status(409).json({ success: false, message: err.message });
+    }
+    console.error('reconciliation error:', err);
+    res.status(500).json({ success: false, message: 'Reconciliation failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const { jwtAuthMiddleware } = require('../middleware/auth');
+const subscriptionService = require('../services/subscriptionService');
+const entitlementService = require('../services/entitlementService');
+
+router.use(jwtAuthMiddleware);
+
+// GET /api/subscriptions/plans - List available plans
+router.get('/plans', async (req, res) => {
+  try {
+    const plans = await subscriptionService.listPlans();
+    res.json({ success: true, data: plans });
+  } catch (error) {
+    console.error('list plans error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch plans' });
+  }
+});
+
+// GET /api/subscriptions - The caller's subscription, plan and this month's usage
+router.get('/', async (req, res) => {
+  try {
+    const { subscription, plan, features } = await subscriptionService.getEntitlements(req.user.userId);
+    const ocr = await entitlementService.checkFeature(req.user.userId, 'ocr_analysis');
+
+    res.json({
+      success: true,
+      data: {
+        subscription,
+        plan,
+        features,
+        usage: {
+          ocr_analysis: { used: ocr.used, limit: ocr.limit }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('get subscription error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch subscription' });
+  }
+});
+
+// POST /api/subscriptions - Start a Razorpay subscription for a paid plan
+router.post('/', async (req, res) => {
+  try {
+    const { planCode } = req.body || {};
+
+    if (!planCode || typeof planCode !== 'string') {
+      return res.status(400).json({ success: false, message: 'planCode is required' });
+    }
+
+    const { data: user, error } = await supabase
+      .from('user_profiles')
+      .select('id, email, full_name')
+      .eq('id', req.user.userId)
+      .maybeSingle();
+
+    if (error || !user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const result = await subscriptionService.createSubscription(user, planCode);
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    // The client opens Razorpay Checkout with subscription_id, or redirects to short_url
+    res.status(201).json({
+      success: true,
+      data: {
+        subscription: result.subscription,
+        plan: result.plan,
+        razorpayKeyId: process.env.RAZORPAY_KEY_ID
+      }
+    });
+  } catch (error) {
+    console.error('create subscription error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start subscription' });
+  }
+});
+
+// POST /api/subscriptions/cancel - Cancel the caller's subscription (at the end of the paid period by default)
+router.post('/cancel', async (req, res) => {
+  try {
+    const { atCycleEnd = true } = req.body || {};
+
+    if (typeof atCycleEnd !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'atCycleEnd must be a boolean' });
+    }
+
+    const result = await subscriptionService.cancelSubscription(req.user.userId, atCycleEnd);
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      data: result.subscription,
+      message: result.subscription.cancel_at_cycle_end
+        ? 'Subscription will end at the close of the current billing period'
+        : 'Subscription cancelled'
+    });
+  } catch (error) {
+    console.error('cancel subscription error:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel subscription' });
+  }
+});
+
+module.exports = router;
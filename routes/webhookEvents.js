@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const supabase = require('../config/supabase');
+const { requireRole } = require('../middleware/auth');
+const webhookService = require('../services/webhookService');
+
+const EVENT_STATUSES = ['received', 'processed', 'ignored', 'failed'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+router.use(requireRole('admin'));
+
+// GET /api/admin/webhook-events - List stored webhook events (filter by status/event)
+router.get('/', async (req, res) => {
+  try {
+    const { status, event } = req.query;
+
+    if (status && !EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${EVENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const from = (page - 1) * limit;
+
+    let query = supabase
+      .from('webhook_events')
+      .select('id, event_id, event, status, attempts, last_error, received_at, processed_at', { count: 'exact' })
+      .order('received_at', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (event) query = query.eq('event', event);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching webhook events:', error);
+      return res.status(500).json({ success: false, message: 'Failed to fetch webhook events' });
+    }
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limit)
+      }
+    });
+  } catch (err) {
+    console.error('list webhook events error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch webhook events' });
+  }
+});
+
+// GET /api/admin/webhook-events/:id - Get one stored event including its payload
+router.get('/:id', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching webhook event:', error);
+      return res.status(500).json({ success: false, message: 'Failed to fetch webhook event' });
+    }
+
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'Webhook event not found' });
+    }
+
+    res.json({ success: true, data });
+  } catch (err) {
+    console.error('get webhook event error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch webhook event' });
+  }
+});
+
+// POST /api/admin/webhook-events/:id/replay - Re-run the handler for a stored event
+router.post('/:id/replay', async (req, res) => {
+  try {
+    const event = await webhookService.replay(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Webhook event not found' });
+    }
+
+    const { payload, ...summary } = event;
+    res.json({
+      success: event.status !== 'failed',
+      data: summary,
+      message: event.status === 'failed' ? `Replay failed: ${event.last_error}` : 'Webhook event replayed'
+    });
+  } catch (err) {
+    console.error('replay webhook event error:', err);
+    res.status(500).json({ success: false, message: 'Failed to replay webhook event' });
+  }
+});
+
+module.exports = router;
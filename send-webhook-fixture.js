@@ -0,0 +1,84 @@
+// Send a recorded Razorpay webhook fixture to a running backend, signed with
+// RAZORPAY_WEBHOOK_SECRET, so webhook handling can be exercised offline.
+//
+// Usage:
+//   node send-webhook-fixture.js <event> [--url http://localhost:5000]
+//     [--event-id evt_123] [--order order_abc] [--payment pay_abc] [--subscription sub_abc] [--bad-signature]
+//
+// <event> is a file name in fixtures/razorpay-webhooks without .json, e.g. payment.captured.
+// --order / --payment / --subscription swap the fixture ids for ones that exist in your database.
+// Sending the same --event-id twice exercises de-duplication.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'razorpay-webhooks');
+
+function parseArgs(argv) {
+  const options = { url: `http://localhost:${process.env.PORT || 5000}` };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--bad-signature') {
+      options.badSignature = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase())] = argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  options.event = positional[0];
+  return options;
+}
+
+async function sendFixture() {
+  const options = parseArgs(process.argv.slice(2));
+  const available = fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''));
+
+  if (!options.event || !available.includes(options.event)) {
+    console.error('❌ Usage: node send-webhook-fixture.js <event> [--url ...] [--event-id ...] [--order ...] [--payment ...] [--subscription ...] [--bad-signature]');
+    console.error(`   Available fixtures: ${available.join(', ')}`);
+    process.exit(1);
+  }
+
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('❌ RAZORPAY_WEBHOOK_SECRET must be set (the server must use the same value)');
+    process.exit(1);
+  }
+
+  let body = fs.readFileSync(path.join(FIXTURES_DIR, `${options.event}.json`), 'utf8');
+  if (options.order) body = body.split('order_Fixture0001').join(options.order);
+  if (options.payment) body = body.split('pay_Fixture0001').join(options.payment);
+  if (options.subscription) body = body.split('sub_Fixture0001').join(options.subscription);
+
+  const signature = options.badSignature
+    ? '0'.repeat(64)
+    : crypto.createHmac('sha256', secret).update(body).digest('hex');
+  const eventId = options.eventId || `evt_fixture_${crypto.randomBytes(6).toString('hex')}`;
+
+  console.log(`📨 Sending ${options.event} (${eventId}) to ${options.url}/api/payments/webhook`);
+
+  const response = await fetch(`${options.url}/api/payments/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Signature': signature,
+      'X-Razorpay-Event-Id': eventId
+    },
+    body
+  });
+
+  console.log(`${response.ok ? '✅' : '❌'} ${response.status} ${response.statusText}`);
+  process.exit(response.ok ? 0 : 1);
+}
+
+sendFixture().catch(error => {
+  console.error('❌ Failed to send fixture:', error.message);
+  process.exit(1);
+});
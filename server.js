@@ -2,9 +2,6 @@ const express = require('express');
 const cors = require('cors');
 const { OAuth2Client } = require('google-auth-library');
 const { createClient } = require('@supabase/supabase-js');
-const jwt = require('jsonwebtoken');
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 require('dotenv').config();
 
 // Import routes
@@ -12,6 +9,20 @@ const incomeCategoriesRoutes = require('./routes/incomeCategories');
 const categoryTypeRoutes = require('./routes/categoryTypes');
 const ocrRoutes = require('./routes/ocrRoutes');
 const adminPasswordRoutes = require('./routes/adminPassword');
+const expensesRoutes = require('./routes/expenses');
+const incomesRoutes = require('./routes/incomes');
+const authRoutes = require('./routes/auth');
+const paymentsRoutes = require('./routes/payments');
+const paymentWebhookRoutes = require('./routes/paymentWebhook');
+const webhookEventsRoutes = require('./routes/webhookEvents');
+const reconciliationRoutes = require('./routes/reconciliation');
+const subscriptionsRoutes = require('./routes/subscriptions');
+const importsRoutes = require('./routes/imports');
+const assistantRoutes = require('./routes/assistant');
+const insightsRoutes = require('./routes/insights');
+
+// Import services
+const mfaService = require('./services/mfaService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -35,8 +46,10 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
 }));
+// Razorpay webhooks need the raw body for signature checks, so mount them before the JSON parser
+app.use('/api/payments/webhook', paymentWebhookRoutes);
 app.use(express.json());
 
 // Routes
@@ -45,20 +58,34 @@ app.use('/api', incomeCategoriesRoutes);
 app.use('/api/category-types', categoryTypeRoutes);
 // Mount OCR routes for receipt processing
 app.use('/api/ocr', ocrRoutes);
+// Mount webhook event log and replay (admin only)
+app.use('/api/admin/webhook-events', webhookEventsRoutes);
+// Mount payment reconciliation (admin only)
+app.use('/api/admin/reconciliation', reconciliationRoutes);
 // Mount admin password routes
 app.use('/api/admin', adminPasswordRoutes);
-
-// Razorpay client
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
+// Mount expenses routes (JWT protected, scoped to the caller)
+app.use('/api/expenses', expensesRoutes);
+// Mount incomes routes (JWT protected, joined with income categories)
+app.use('/api/incomes', incomesRoutes);
+// Mount email/password auth routes (Google OAuth endpoints are defined below)
+app.use('/api/auth', authRoutes);
+// Mount payment routes (orders, verification, history, receipts, refunds)
+app.use('/api/payments', paymentsRoutes);
+// Mount premium subscription routes (JWT protected)
+app.use('/api/subscriptions', subscriptionsRoutes);
+// Mount bank statement import routes (JWT protected, preview then commit)
+app.use('/api/imports', importsRoutes);
+// Mount the natural-language assistant (JWT protected, answers from the caller's own data)
+app.use('/api/assistant', assistantRoutes);
+// Mount spending insights (JWT protected, anomalies flagged by detect-spending-anomalies.js)
+app.use('/api/insights', insightsRoutes);
 
 // Handle preflight requests
 app.options('*', (req, res) => {
   res.header('Access-Control-Allow-Origin', req.headers.origin);
   res.header('Access-Control-Allow-Methods', 'GET,PUT,POST,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
   res.header('Access-Control-Allow-Credentials', true);
   res.sendStatus(200);
 });
@@ -106,240 +133,6 @@ app.get('/health/supabase', async (req, res) => {
   }
 });
 
-// JWT Authentication middleware
-const jwtAuthMiddleware = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  if (!authHeader) {
-    return res.status(401).json({ success: false, message: 'Authorization header missing' });
-  }
-
-  const token = authHeader.split(' ')[1]; // Expect Bearer token
-  if (!token) {
-    return res.status(401).json({ success: false, message: 'Token missing' });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
-      console.error('JWT verification error:', err);
-      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
-    }
-    req.user = decoded;
-    next();
-  });
-};
-
-// Protect payment routes with JWT auth middleware
-app.post('/api/payments/create-order', jwtAuthMiddleware, async (req, res) => {
-  try {
-    const { amount, currency = 'INR', userId, expenseId, description } = req.body;
-
-    if (!amount || !userId) {
-      return res.status(400).json({ success: false, message: 'amount and userId are required' });
-    }
-
-    const order = await razorpay.orders.create({
-      amount: Math.round(Number(amount) * 100), // in paise
-      currency,
-      receipt: `exp-${expenseId || 'na'}-${Date.now()}`,
-      notes: { userId, expenseId, description }
-    });
-
-    // Record created order in payments table
-    await supabase.from('payments').insert({
-      user_id: userId,
-      expense_id: expenseId || null,
-      amount: amount,
-      currency: currency,
-      status: 'created',
-      razorpay_order_id: order.id,
-      notes: order.notes || {}
-    });
-
-    res.json({ success: true, order });
-  } catch (err) {
-    console.error('create-order error:', err);
-    res.status(500).json({ success: false, message: 'Failed to create order' });
-  }
-});
-
-// Verify payment signature
-app.post('/api/payments/verify', jwtAuthMiddleware, async (req, res) => {
-  try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-      return res.status(400).json({ success: false, message: 'Missing required fields' });
-    }
-
-    const expected = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-      .digest('hex');
-
-    const valid = expected === razorpay_signature;
-
-    if (!valid) {
-      await supabase
-        .from('payments')
-        .update({
-          status: 'failed',
-          razorpay_payment_id,
-          razorpay_signature
-        })
-        .eq('razorpay_order_id', razorpay_order_id);
-      return res.status(400).json({ success: false, message: 'Invalid signature' });
-    }
-
-    const { data: updated, error } = await supabase
-      .from('payments')
-      .update({
-        status: 'captured',
-        razorpay_payment_id,
-        razorpay_signature,
-        verified_at: new Date().toISOString()
-      })
-      .eq('razorpay_order_id', razorpay_order_id)
-      .select()
-      .single();
-
-    if (error) {
-      console.error('payments update error:', error);
-    }
-
-    res.json({ success: true, payment: updated });
-  } catch (err) {
-    console.error('verify error:', err);
-    res.status(500).json({ success: false, message: 'Verification failed' });
-  }
-});
-
-// Create Razorpay Order
-app.post('/api/payments/create-order', async (req, res) => {
-  try {
-    const { amount, currency = 'INR', userId, expenseId, description } = req.body;
-    if (!amount || !userId) {
-      return res.status(400).json({ success: false, message: 'amount and userId are required' });
-    }
-
-    const order = await razorpay.orders.create({
-      amount: Math.round(Number(amount) * 100), // in paise
-      currency,
-      receipt: `exp-${expenseId || 'na'}-${Date.now()}`,
-      notes: { userId, expenseId, description }
-    });
-
-    // Record created order in payments table
-    await supabase.from('payments').insert({
-      user_id: userId,
-      expense_id: expenseId || null,
-      amount: amount,
-      currency: currency,
-      status: 'created',
-      razorpay_order_id: order.id,
-      notes: order.notes || {}
-    });
-
-    res.json({ success: true, order });
-  } catch (err) {
-    console.error('create-order error:', err);
-    res.status(500).json({ success: false, message: 'Failed to create order' });
-  }
-});
-
-// Verify payment signature
-app.post('/api/payments/verify', async (req, res) => {
-  try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-      return res.status(400).json({ success: false, message: 'Missing required fields' });
-    }
-
-    const expected = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-      .digest('hex');
-
-    const valid = expected === razorpay_signature;
-
-    if (!valid) {
-      await supabase
-        .from('payments')
-        .update({
-          status: 'failed',
-          razorpay_payment_id,
-          razorpay_signature
-        })
-        .eq('razorpay_order_id', razorpay_order_id);
-      return res.status(400).json({ success: false, message: 'Invalid signature' });
-    }
-
-    const { data: updated, error } = await supabase
-      .from('payments')
-      .update({
-        status: 'captured',
-        razorpay_payment_id,
-        razorpay_signature,
-        verified_at: new Date().toISOString()
-      })
-      .eq('razorpay_order_id', razorpay_order_id)
-      .select()
-      .single();
-
-    if (error) {
-      console.error('payments update error:', error);
-    }
-
-    res.json({ success: true, payment: updated });
-  } catch (err) {
-    console.error('verify error:', err);
-    res.status(500).json({ success: false, message: 'Verification failed' });
-  }
-});
-
-// Optional: Webhook handler
-app.post('/api/payments/webhook', express.json({ type: '*/*' }), async (req, res) => {
-  try {
-    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    if (!webhookSecret) return res.sendStatus(200);
-
-    const signature = req.headers['x-razorpay-signature'];
-    const body = JSON.stringify(req.body);
-    const expected = crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
-
-    if (signature !== expected) return res.sendStatus(400);
-
-    const event = req.body?.event;
-    const payload = req.body?.payload || {};
-    const orderId = payload?.payment?.entity?.order_id || payload?.order?.entity?.id;
-
-    if (event === 'payment.captured' && orderId) {
-      await supabase
-        .from('payments')
-        .update({
-          status: 'captured',
-          razorpay_payment_id: payload.payment.entity.id,
-          method: payload.payment.entity.method,
-          email: payload.payment.entity.email,
-          contact: payload.payment.entity.contact,
-          verified_at: new Date().toISOString()
-        })
-        .eq('razorpay_order_id', orderId);
-    }
-
-    res.sendStatus(200);
-  } catch (e) {
-    console.error('webhook error', e);
-    res.sendStatus(500);
-  }
-});
-
-
-
-
-
-
-
-
-
 // Google OAuth Sign-In endpoint
 app.post('/api/auth/google', async (req, res) => {
   try {
@@ -443,16 +236,17 @@ app.post('/api/auth/google', async (req, res) => {
       console.log('✅ New user created:', user.email);
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email,
-        provider: 'google'
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session, or hand back an mfa_pending token when a second factor is needed
+    const login = await mfaService.completeLogin(user, 'google', req);
+    if (login.mfaRequired) {
+      return res.json({
+        success: true,
+        data: {
+          mfaRequired: true,
+          mfaToken: login.mfaToken
+        }
+      });
+    }
 
     // Return user data and token
     res.json({
@@ -466,7 +260,9 @@ app.post('/api/auth/google', async (req, res) => {
           onboardingCompleted: user.onboarding_completed,
           provider: user.provider
         },
-        token
+        token: login.token,
+        refreshToken: login.refreshToken,
+        mfaEnrollmentRequired: login.mfaEnrollmentRequired
       }
     });
 
@@ -592,16 +388,17 @@ app.post('/api/auth/google-code', async (req, res) => {
       console.log('✅ New user created:', user.email);
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        provider: 'google'
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session, or hand back an mfa_pending token when a second factor is needed
+    const login = await mfaService.completeLogin(user, 'google', req);
+    if (login.mfaRequired) {
+      return res.json({
+        success: true,
+        data: {
+          mfaRequired: true,
+          mfaToken: login.mfaToken
+        }
+      });
+    }
 
     // Return user data and token
     res.json({
@@ -615,7 +412,9 @@ app.post('/api/auth/google-code', async (req, res) => {
           onboardingCompleted: user.onboarding_completed,
           provider: 'google'
         },
-        token
+        token: login.token,
+        refreshToken: login.refreshToken,
+        mfaEnrollmentRequired: login.mfaEnrollmentRequired
       }
     });
 
@@ -0,0 +1,553 @@
+// JSON schemas for structured AI extractions. Each entry provides:
+//   build(context)           - the JSON schema sent to the model and validated against;
+//                              category enums come from the caller's categories
+//   normalize(data, context) - tidies formatting a model commonly gets slightly wrong
+//                              (currency symbols, case, category spelling) before validation
+//   finalize(data)           - trims and derives fields once the data is valid
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const EXPENSE_PAYMENT_METHODS = ['upi', 'card', 'cash', 'net_banking'];
+const INCOME_PAYMENT_METHODS = ['upi', 'card', 'cash', 'bank_transfer'];
+const TAX_COMPONENTS = ['cgst', 'sgst', 'igst', 'cess', 'other'];
+const MONTH_PATTERN = '^\\d{4}-(0[1-9]|1[0-2])$';
+const ASSESSMENT_YEAR_PATTERN = '^\\d{4}-\\d{2}$';
+const EARNING_COMPONENTS = ['basic', 'hra', 'special_allowance', 'conveyance', 'medical', 'lta', 'bonus', 'overtime', 'other'];
+const DEDUCTION_COMPONENTS = ['pf', 'vpf', 'professional_tax', 'tds', 'esi', 'lwf', 'loan', 'other'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Payslips name the same component many ways; the first pattern (in this order) that matches the printed name wins
+const COMPONENT_ALIASES = {
+  basic: /\bbasic\b/i,
+  hra: /\bhra\b|house\s*rent/i,
+  special_allowance: /special/i,
+  conveyance: /conveyance|transport/i,
+  medical: /medical/i,
+  lta: /\blta\b|leave\s*travel/i,
+  bonus: /bonus|incentive/i,
+  overtime: /overtime|\bot\b/i,
+  vpf: /\bvpf\b|voluntary/i,
+  pf: /\be?pf\b|provident/i,
+  professional_tax: /professional|prof\.?\s*tax|p\.?\s*tax|\bpt\b/i,
+  tds: /\btds\b|income\s*tax/i,
+  esi: /\besic?\b|state\s*insurance/i,
+  lwf: /\blwf\b|labou?r\s*welfare/i,
+  loan: /loan|advance/i
+};
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const nullableEnum = (values) => ({ enum: [...values, null] });
+const amount = (minimum = { exclusiveMinimum: 0 }) => nullable({ type: 'number', ...minimum });
+const confidence = { type: 'number', minimum: 0, maximum: 1, default: 0 };
+
+// Offered categories are names (analyzeCategoryOnly), { category } expense rows or { name } income rows
+const categoryNames = (categories = []) =>
+  categories.map(cat => (typeof cat === 'string' ? cat : cat.category || cat.name)).filter(Boolean);
+
+// With nothing offered there is nothing to match against, so the category stays null
+const categorySchema = (categories) => {
+  const names = categoryNames(categories);
+  return names.length > 0 ? nullableEnum(names) : { type: 'null' };
+};
+
+// "₹1,234.50" and "1234.50" both become 1234.5; anything else is left for validation to reject
+const toNumber = (value) => {
+  if (typeof value !== 'string') return value;
+  const cleaned = value.replace(/(₹|rs\.?|inr|,|\s)/gi, '');
+  return cleaned !== '' && Number.isFinite(Number(cleaned)) ? Number(cleaned) : value;
+};
+
+const toLowerCase = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+// Use the offered spelling when the model only got the case wrong
+const matchCategory = (value, categories) => {
+  if (typeof value !== 'string') return value;
+  const names = categoryNames(categories);
+  if (names.length === 0) return null;
+  return names.find(name => name.toLowerCase() === value.trim().toLowerCase()) || value;
+};
+
+// Known component ids pass through; anything else is recognised from the printed name
+const matchComponent = (value, name, components) => {
+  const id = toLowerCase(value);
+  if (components.includes(id) && id !== 'other') return id;
+  const printed = typeof name === 'string' ? name : '';
+  return Object.keys(COMPONENT_ALIASES).find(component =>
+    components.includes(component) && COMPONENT_ALIASES[component].test(printed)) || 'other';
+};
+
+// Earnings and deductions: amounts tidied and the zero rows payslips print for unused components dropped
+const normalizeComponents = (lines, components) => (Array.isArray(lines)
+  ? lines
+    .map(line => (line && typeof line === 'object'
+      ? { ...line, amount: toNumber(line.amount), component: matchComponent(line.component, line.name, components) }
+      : line))
+    .filter(line => !line || typeof line !== 'object' || line.amount !== 0)
+  : lines);
+
+// "2026-10-31", "October 2026" and "Oct-26" all become 2026-10
+const toMonth = (value) => {
+  if (typeof value !== 'string') return value;
+  const iso = value.match(/^(\d{4})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}`;
+  const named = value.match(/([a-z]{3})[a-z]*[\s,'-]*(\d{4}|\d{2})\b/i);
+  const month = named ? MONTHS.indexOf(named[1].toLowerCase()) : -1;
+  if (month === -1) return value;
+  const year = named[2].length === 2 ? `20${named[2]}` : named[2];
+  return `${year}-${String(month + 1).padStart(2, '0')}`;
+};
+
+const componentLine = (components) => ({
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    component: { enum: components, default: 'other' },
+    amount: { type: 'number', minimum: 0 }
+  },
+  required: ['name', 'amount']
+});
+
+const finalizeComponents = (lines) => lines.map(line => ({
+  name: line.name.trim().substring(0, 100),
+  component: line.component,
+  amount: round(line.amount)
+}));
+
+const truncate = (value, length) => (typeof value === 'string' ? value.trim().substring(0, length) || null : value);
+const round = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : value);
+
+const receipt = {
+  build: ({ categories }) => ({
+    type: 'object',
+    properties: {
+      amount: amount(),
+      date: nullable({ type: 'string', pattern: DATE_PATTERN }),
+      category: categorySchema(categories),
+      paymentMethod: nullableEnum(EXPENSE_PAYMENT_METHODS),
+      description: nullable({ type: 'string' }),
+      confidence
+    },
+    required: ['amount', 'date', 'category', 'paymentMethod', 'description']
+  }),
+
+  normalize: (data, { categories }) => ({
+    ...data,
+    amount: toNumber(data.amount),
+    category: matchCategory(data.category, categories),
+    paymentMethod: toLowerCase(data.paymentMethod)
+  }),
+
+  finalize: (data) => ({
+    amount: data.amount,
+    date: data.date,
+    category: data.category,
+    paymentMethod: data.paymentMethod,
+    description: truncate(data.description, 100),
+    confidence: data.confidence
+  })
+};
+
+const receiptLineItems = {
+  build: ({ categories }) => ({
+    type: 'object',
+    properties: {
+      merchant: { ...nullable({ type: 'string' }), default: null },
+      date: { ...nullable({ type: 'string', pattern: DATE_PATTERN }), default: null },
+      paymentMethod: { ...nullableEnum(EXPENSE_PAYMENT_METHODS), default: null },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            quantity: { type: 'number', exclusiveMinimum: 0, default: 1 },
+            unitPrice: { ...amount({ minimum: 0 }), default: null },
+            lineTotal: { type: 'number', minimum: 0 },
+            category: { ...categorySchema(categories), default: null }
+          },
+          required: ['name', 'lineTotal']
+        }
+      },
+      subtotal: { ...amount(), default: null },
+      tax: {
+        type: 'object',
+        properties: Object.fromEntries(TAX_COMPONENTS.map(component => [component, { type: 'number', minimum: 0, default: 0 }])),
+        default: {}
+      },
+      discount: { type: 'number', minimum: 0, default: 0 },
+      tip: { type: 'number', minimum: 0, default: 0 },
+      total: amount(),
+      currency: { const: 'INR', default: 'INR' },
+      confidence
+    },
+    required: ['items', 'total']
+  }),
+
+  normalize: (data, { categories }) => {
+    const items = Array.isArray(data.items)
+      ? data.items.map(item => {
+        if (!item || typeof item !== 'object') return item;
+        const normalized = {
+          ...item,
+          quantity: toNumber(item.quantity ?? 1),
+          unitPrice: toNumber(item.unitPrice ?? null),
+          lineTotal: toNumber(item.lineTotal ?? null),
+          category: matchCategory(item.category ?? null, categories)
+        };
+        // Receipts often print only the unit price for single items
+        if (normalized.lineTotal === null && typeof normalized.unitPrice === 'number') {
+          const quantity = typeof normalized.quantity === 'number' && normalized.quantity > 0 ? normalized.quantity : 1;
+          normalized.lineTotal = normalized.unitPrice * quantity;
+        }
+        return normalized;
+      })
+        // Blank rows and rows without any price are OCR noise rather than items
+        .filter(item => !item || typeof item !== 'object' ||
+          (typeof item.name === 'string' && item.name.trim() && item.lineTotal !== null))
+      : data.items;
+
+    const tax = data.tax && typeof data.tax === 'object'
+      ? Object.fromEntries(Object.entries(data.tax).map(([key, value]) => [key, toNumber(value ?? 0)]))
+      : data.tax;
+    const discount = toNumber(data.discount ?? 0);
+
+    return {
+      ...data,
+      items,
+      tax,
+      paymentMethod: toLowerCase(data.paymentMethod),
+      subtotal: toNumber(data.subtotal ?? null),
+      // Savings are sometimes printed as negative amounts
+      discount: typeof discount === 'number' ? Math.abs(discount) : discount,
+      tip: toNumber(data.tip ?? 0),
+      total: toNumber(data.total),
+      currency: typeof data.currency === 'string' ? data.currency.toUpperCase() : data.currency
+    };
+  },
+
+  finalize: (data) => {
+    const tax = Object.fromEntries(TAX_COMPONENTS.map(component => [component, round(data.tax[component] || 0)]));
+
+    return {
+      merchant: truncate(data.merchant, 100),
+      date: data.date,
+      paymentMethod: data.paymentMethod,
+      items: data.items.map(item => ({
+        name: item.name.trim().substring(0, 200),
+        quantity: item.quantity,
+        unitPrice: round(item.unitPrice),
+        lineTotal: round(item.lineTotal),
+        category: item.category
+      })),
+      subtotal: round(data.subtotal),
+      tax,
+      taxTotal: round(Object.values(tax).reduce((sum, value) => sum + value, 0)),
+      discount: round(data.discount),
+      tip: round(data.tip),
+      total: round(data.total),
+      currency: 'INR',
+      confidence: data.confidence
+    };
+  }
+};
+
+const incomeDocument = {
+  build: ({ categories }) => ({
+    type: 'object',
+    properties: {
+      amount: amount(),
+      date: nullable({ type: 'string', pattern: DATE_PATTERN }),
+      category: categorySchema(categories),
+      subcategory: nullable({ type: 'string' }),
+      paymentMethod: nullableEnum(INCOME_PAYMENT_METHODS),
+      description: nullable({ type: 'string' }),
+      confidence
+    },
+    required: ['amount', 'date', 'category', 'subcategory', 'paymentMethod', 'description']
+  }),
+
+  normalize: (data, { categories }) => ({
+    ...data,
+    amount: toNumber(data.amount),
+    category: matchCategory(data.category, categories),
+    paymentMethod: toLowerCase(data.paymentMethod)
+  }),
+
+  finalize: (data) => ({
+    amount: data.amount,
+    date: data.date,
+    category: data.category,
+    subcategory: truncate(data.subcategory, 100),
+    paymentMethod: data.paymentMethod,
+    description: truncate(data.description, 100),
+    confidence: data.confidence
+  })
+};
+
+// One month's payslip: what was earned, what was withheld and what reached the bank
+const payslip = {
+  build: () => ({
+    type: 'object',
+    properties: {
+      employer: { ...nullable({ type: 'string' }), default: null },
+      payPeriod: { ...nullable({ type: 'string', pattern: MONTH_PATTERN }), default: null },
+      payDate: { ...nullable({ type: 'string', pattern: DATE_PATTERN }), default: null },
+      earnings: { type: 'array', items: componentLine(EARNING_COMPONENTS) },
+      deductions: { type: 'array', items: componentLine(DEDUCTION_COMPONENTS), default: [] },
+      grossPay: amount(),
+      totalDeductions: { ...amount({ minimum: 0 }), default: null },
+      netPay: amount(),
+      currency: { const: 'INR', default: 'INR' },
+      confidence
+    },
+    required: ['earnings', 'grossPay', 'netPay']
+  }),
+
+  normalize: (data) => ({
+    ...data,
+    payPeriod: toMonth(data.payPeriod ?? null),
+    earnings: normalizeComponents(data.earnings, EARNING_COMPONENTS),
+    deductions: normalizeComponents(data.deductions ?? [], DEDUCTION_COMPONENTS),
+    grossPay: toNumber(data.grossPay),
+    totalDeductions: toNumber(data.totalDeductions ?? null),
+    netPay: toNumber(data.netPay),
+    currency: typeof data.currency === 'string' ? data.currency.toUpperCase() : data.currency
+  }),
+
+  finalize: (data) => ({
+    employer: truncate(data.employer, 100),
+    payPeriod: data.payPeriod,
+    payDate: data.payDate,
+    earnings: finalizeComponents(data.earnings),
+    deductions: finalizeComponents(data.deductions),
+    grossPay: round(data.grossPay),
+    totalDeductions: round(data.totalDeductions),
+    netPay: round(data.netPay),
+    currency: 'INR',
+    confidence: data.confidence
+  })
+};
+
+// Form 16 annual totals for one financial year (Part A TDS and Part B salary computation)
+const form16 = {
+  build: () => ({
+    type: 'object',
+    properties: {
+      employer: { ...nullable({ type: 'string' }), default: null },
+      employerTan: { ...nullable({ type: 'string', pattern: '^[A-Z]{4}\\d{5}[A-Z]$' }), default: null },
+      assessmentYear: { ...nullable({ type: 'string', pattern: ASSESSMENT_YEAR_PATTERN }), default: null },
+      grossSalary: amount(),
+      exemptions: { type: 'number', minimum: 0, default: 0 },
+      standardDeduction: { type: 'number', minimum: 0, default: 0 },
+      professionalTax: { type: 'number', minimum: 0, default: 0 },
+      chapterVIA: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            section: { type: 'string', minLength: 1 },
+            amount: { type: 'number', minimum: 0 }
+          },
+          required: ['section', 'amount']
+        },
+        default: []
+      },
+      taxableIncome: amount({ minimum: 0 }),
+      taxPayable: { ...amount({ minimum: 0 }), default: null },
+      tdsDeducted: amount({ minimum: 0 }),
+      confidence
+    },
+    required: ['grossSalary', 'taxableIncome', 'tdsDeducted']
+  }),
+
+  normalize: (data) => {
+    // "2027-2028" and "AY 2027-28" both become 2027-28
+    const year = typeof data.assessmentYear === 'string' ? data.assessmentYear.match(/(\d{4})\s*-\s*\d{0,2}(\d{2})/) : null;
+    const chapterVIA = Array.isArray(data.chapterVIA)
+      ? data.chapterVIA
+        .map(line => (line && typeof line === 'object'
+          ? { ...line, section: typeof line.section === 'string' ? line.section.replace(/^section\s*/i, '').toUpperCase() : line.section, amount: toNumber(line.amount) }
+          : line))
+        .filter(line => !line || typeof line !== 'object' || line.amount !== 0)
+      : data.chapterVIA;
+
+    return {
+      ...data,
+      employerTan: typeof data.employerTan === 'string' ? data.employerTan.replace(/\s/g, '').toUpperCase() : data.employerTan ?? null,
+      assessmentYear: year ? `${year[1]}-${year[2]}` : data.assessmentYear ?? null,
+      grossSalary: toNumber(data.grossSalary),
+      exemptions: toNumber(data.exemptions ?? 0),
+      standardDeduction: toNumber(data.standardDeduction ?? 0),
+      professionalTax: toNumber(data.professionalTax ?? 0),
+      chapterVIA: chapterVIA ?? [],
+      taxableIncome: toNumber(data.taxableIncome),
+      taxPayable: toNumber(data.taxPayable ?? null),
+      tdsDeducted: toNumber(data.tdsDeducted)
+    };
+  },
+
+  finalize: (data) => {
+    const chapterVIA = data.chapterVIA.map(line => ({ section: line.section.trim().substring(0, 20), amount: round(line.amount) }));
+    const startYear = data.assessmentYear ? Number(data.assessmentYear.slice(0, 4)) - 1 : null;
+
+    return {
+      employer: truncate(data.employer, 100),
+      employerTan: data.employerTan,
+      assessmentYear: data.assessmentYear,
+      financialYear: startYear ? `${startYear}-${String(startYear + 1).slice(-2)}` : null,
+      grossSalary: round(data.grossSalary),
+      exemptions: round(data.exemptions),
+      standardDeduction: round(data.standardDeduction),
+      professionalTax: round(data.professionalTax),
+      chapterVIA,
+      chapterVIATotal: round(chapterVIA.reduce((sum, line) => sum + line.amount, 0)),
+      taxableIncome: round(data.taxableIncome),
+      taxPayable: round(data.taxPayable),
+      tdsDeducted: round(data.tdsDeducted),
+      currency: 'INR',
+      confidence: data.confidence
+    };
+  }
+};
+
+// A question about the user's money as structured queries the assistant can run.
+// Only these sources, metrics and filters exist; there is no way to express anything else.
+const QUERY_SOURCES = ['expenses', 'incomes', 'budgets'];
+const QUERY_METRICS = ['sum', 'count', 'average', 'max', 'min', 'list'];
+const QUERY_GROUPS = ['category', 'month', 'payment_method'];
+const QUERY_SORTS = ['amount_desc', 'amount_asc', 'date_desc', 'date_asc'];
+const QUERY_PAYMENT_METHODS = ['UPI', 'Card', 'Cash', 'Bank Transfer'];
+const METRIC_SYNONYMS = { total: 'sum', avg: 'average', mean: 'average', top: 'list', largest: 'max', biggest: 'max', smallest: 'min' };
+
+const assistantQuery = {
+  build: ({ categories }) => ({
+    type: 'object',
+    properties: {
+      queries: {
+        type: 'array',
+        maxItems: 4,
+        items: {
+          type: 'object',
+          properties: {
+            label: { type: 'string', minLength: 1, maxLength: 80 },
+            source: { enum: QUERY_SOURCES },
+            metric: { enum: QUERY_METRICS, default: 'sum' },
+            startDate: { type: 'string', pattern: DATE_PATTERN },
+            endDate: { type: 'string', pattern: DATE_PATTERN },
+            category: { ...categorySchema(categories), default: null },
+            paymentMethod: { ...nullableEnum(QUERY_PAYMENT_METHODS), default: null },
+            search: { ...nullable({ type: 'string', maxLength: 50 }), default: null },
+            groupBy: { ...nullableEnum(QUERY_GROUPS), default: null },
+            sort: { enum: QUERY_SORTS, default: 'amount_desc' },
+            limit: { type: 'integer', minimum: 1, maximum: 20, default: 5 }
+          },
+          required: ['label', 'source', 'startDate', 'endDate']
+        }
+      },
+      confidence
+    },
+    required: ['queries']
+  }),
+
+  normalize: (data, { categories }) => ({
+    ...data,
+    queries: Array.isArray(data.queries)
+      ? data.queries.map(query => {
+        if (!query || typeof query !== 'object') return query;
+        const metric = toLowerCase(query.metric ?? 'sum');
+        const paymentMethod = typeof query.paymentMethod === 'string'
+          ? QUERY_PAYMENT_METHODS.find(method => method.toLowerCase() === query.paymentMethod.trim().toLowerCase()) || query.paymentMethod
+          : query.paymentMethod ?? null;
+
+        return {
+          ...query,
+          source: toLowerCase(query.source),
+          metric: METRIC_SYNONYMS[metric] || metric,
+          category: matchCategory(query.category ?? null, categories),
+          paymentMethod,
+          groupBy: toLowerCase(query.groupBy ?? null),
+          sort: toLowerCase(query.sort ?? 'amount_desc'),
+          search: typeof query.search === 'string' ? query.search.trim() || null : query.search ?? null
+        };
+      })
+      : data.queries
+  }),
+
+  finalize: (data) => ({
+    queries: data.queries.map(query => {
+      // Models occasionally give the range backwards
+      const [startDate, endDate] = [query.startDate, query.endDate].sort();
+      return {
+        label: query.label.trim(),
+        source: query.source,
+        metric: query.metric,
+        startDate,
+        endDate,
+        category: query.category,
+        paymentMethod: query.paymentMethod,
+        search: query.search,
+        groupBy: query.groupBy,
+        sort: query.sort,
+        limit: query.limit
+      };
+    }),
+    confidence: data.confidence
+  })
+};
+
+// Which column of a bank statement CSV holds what; context.rows are the sample rows shown to the model
+const STATEMENT_COLUMNS = ['date', 'description', 'debit', 'credit', 'amount', 'type', 'balance', 'reference'];
+
+const statementColumns = {
+  build: ({ rows = [] }) => {
+    const width = Math.max(1, ...rows.map(row => row.length));
+    const columnIndex = nullable({ type: 'integer', minimum: 0, maximum: width - 1 });
+
+    return {
+      type: 'object',
+      properties: {
+        headerRow: nullable({ type: 'integer', minimum: 0, maximum: Math.max(0, rows.length - 1) }),
+        ...Object.fromEntries(STATEMENT_COLUMNS.map(column => [column, { ...columnIndex, default: null }])),
+        confidence
+      },
+      required: ['headerRow', 'date', 'description']
+    };
+  },
+
+  // Models sometimes answer with the header text instead of its index
+  normalize: (data, { rows = [] }) => {
+    const headerRow = typeof data.headerRow === 'string' && /^\d+$/.test(data.headerRow.trim())
+      ? Number(data.headerRow)
+      : data.headerRow;
+    const header = Number.isInteger(headerRow) ? (rows[headerRow] || []) : [];
+    const toIndex = (value) => {
+      if (typeof value !== 'string') return value;
+      if (/^\d+$/.test(value.trim())) return Number(value);
+      const index = header.findIndex(cell => String(cell).trim().toLowerCase() === value.trim().toLowerCase());
+      return index === -1 ? value : index;
+    };
+
+    return {
+      ...data,
+      headerRow,
+      ...Object.fromEntries(STATEMENT_COLUMNS.map(column => [column, toIndex(data[column] ?? null)]))
+    };
+  },
+
+  finalize: (data) => ({
+    headerRow: data.headerRow,
+    ...Object.fromEntries(STATEMENT_COLUMNS.map(column => [column, data[column]])),
+    confidence: data.confidence
+  })
+};
+
+module.exports = {
+  receipt,
+  receiptLineItems,
+  incomeDocument,
+  payslip,
+  form16,
+  statementColumns,
+  assistantQuery,
+  EARNING_COMPONENTS,
+  DEDUCTION_COMPONENTS
+};
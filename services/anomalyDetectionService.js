@@ -0,0 +1,692 @@
+// Flags unusual spending against per-user baselines built from their own expenses.
+// Everything here is plain statistics; no LLM is involved.
+const supabase = require('../config/supabase');
+const categoryLearningService = require('./categoryLearningService');
+const { round, inr, formatDate } = require('./formatting');
+
+const ANOMALY_TYPES = ['unusual_amount', 'new_merchant', 'frequency_spike', 'odd_time'];
+const SEVERITIES = ['low', 'medium', 'high'];
+const ANOMALY_STATUSES = ['open', 'expected'];
+
+const DEFAULT_WINDOW_DAYS = 30;
+const LOOKBACK_DAYS = 365;
+const PAGE_SIZE = 1000;
+const MAX_EXPENSES_PER_USER = 5000;
+
+// Baselines need this much history before anything is judged against them
+const MIN_CATEGORY_SAMPLES = 5;
+const MIN_MERCHANT_SAMPLES = 3;
+const MIN_BASELINE_WEEKS = 4;
+const MIN_TIMED_SAMPLES = 10;
+
+// unusual_amount: robust z-score (median / MAD) and at least twice the usual amount
+const AMOUNT_Z_THRESHOLD = 3.5;
+const MIN_AMOUNT_RATIO = 2;
+const MIN_FLAG_AMOUNT = 500;
+// new_merchant: larger than 90% of the category's expenses, and not small
+const NEW_MERCHANT_PERCENTILE = 0.9;
+const NEW_MERCHANT_MIN_AMOUNT = 2000;
+// frequency_spike: weekly count well above the usual weekly rate
+const MIN_SPIKE_COUNT = 4;
+// odd_time: logged between midnight and 5 AM by someone who almost never spends then
+const QUIET_HOURS_END = 5;
+const ODD_TIME_MAX_SHARE = 0.05;
+// Expected anomalies raise the bar for similar charges to this much above them
+const EXPECTED_MARGIN = 1.1;
+
+const TIMEZONE = process.env.ANOMALY_TIMEZONE || 'Asia/Kolkata';
+const EXPENSE_COLUMNS = 'id, amount, category, description, payment_method, date, created_at, import_id';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const localTime = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+const median = (sorted) => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const percentile = (sorted, p) => sorted[Math.max(Math.ceil(p * sorted.length) - 1, 0)];
+
+const severityFor = (ratio) => (ratio >= 5 ? 'high' : ratio >= 3 ? 'medium' : 'low');
+
+class AnomalyDetectionService {
+  constructor() {
+    this.running = false;
+    // userId -> re-check started by markExpected, so a run waits for them to finish
+    this.rechecks = new Map();
+  }
+
+  /**
+   * Detect anomalies for every user with recent expenses (or one user)
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Only this user
+   * @param {number} [options.days] - Expenses from the last N days are checked (default 30)
+   * @param {boolean} [options.dryRun] - Report without storing anything
+   * @returns {Promise<Object>} Run report
+   */
+  async run({ userId = null, days = DEFAULT_WINDOW_DAYS, dryRun = false } = {}) {
+    if (this.running) {
+      const error = new Error('An anomaly detection run is already in progress');
+      error.code = 'ANOMALY_DETECTION_RUNNING';
+      throw error;
+    }
+
+    this.running = true;
+    try {
+      // markExpected starts no new re-checks once running is set
+      await Promise.allSettled(this.rechecks.values());
+      return await this.detectAll({ userId, days, dryRun });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async detectAll({ userId, days, dryRun }) {
+    const startedAt = new Date();
+    const windowStart = this.shiftDate(this.today(), -(days - 1));
+    const userIds = userId ? [userId] : await this.activeUserIds(windowStart);
+
+    console.log(`🔍 Checking spending anomalies for ${userIds.length} user(s) since ${windowStart}${dryRun ? ' (dry run)' : ''}`);
+
+    const users = [];
+    const summary = { users: userIds.length, checked: 0, flagged: 0, new: 0, cleared: 0, errors: 0 };
+
+    for (const id of userIds) {
+      try {
+        const result = await this.detectForUser(id, { days, dryRun });
+        summary.checked += result.checked;
+        summary.flagged += result.anomalies.length;
+        summary.new += result.newCount;
+        summary.cleared += result.cleared;
+        users.push({
+          userId: id,
+          checked: result.checked,
+          flagged: result.anomalies.length,
+          new: result.newCount,
+          cleared: result.cleared,
+          anomalies: result.anomalies
+        });
+      } catch (err) {
+        console.error(`Anomaly detection failed for user ${id}:`, err);
+        summary.errors += 1;
+        users.push({ userId: id, error: err.message || String(err) });
+      }
+    }
+
+    const report = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      windowStart,
+      dryRun,
+      summary,
+      users
+    };
+
+    console.log(`✅ Anomaly detection done: ${JSON.stringify(summary)}`);
+    return report;
+  }
+
+  /**
+   * Users with at least one expense dated on or after the given date
+   */
+  async activeUserIds(since) {
+    const userIds = new Set();
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('expenses')
+        .select('user_id')
+        .gte('date', since)
+        .order('user_id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        console.error('Error fetching users for anomaly detection:', error);
+        throw new Error('Failed to load users for anomaly detection');
+      }
+
+      (data || []).forEach(row => userIds.add(row.user_id));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return [...userIds];
+  }
+
+  /**
+   * Detect one user's anomalies in the window and store them. Open anomalies in the
+   * window that no longer hold (the expense changed, or a similar one was marked
+   * expected) are cleared; expected ones are kept.
+   * @returns {Promise<Object>} { checked, anomalies, newCount, cleared }
+   */
+  async detectForUser(userId, { days = DEFAULT_WINDOW_DAYS, dryRun = false } = {}) {
+    const today = this.today();
+    const windowStart = this.shiftDate(today, -(days - 1));
+    const historyStart = this.shiftDate(windowStart, -LOOKBACK_DAYS);
+
+    const [expenses, stored] = await Promise.all([
+      this.loadExpenses(userId, historyStart, today),
+      this.loadAnomalies(userId, historyStart)
+    ]);
+
+    const anomalies = this.detect(expenses, stored, { windowStart });
+    const storedKeys = new Set(stored.map(row => row.dedupe_key));
+    const detectedKeys = new Set(anomalies.map(anomaly => anomaly.dedupe_key));
+    const spikeWindowStart = this.weekStart(windowStart);
+
+    const stale = stored.filter(row =>
+      row.status === 'open' &&
+      !detectedKeys.has(row.dedupe_key) &&
+      row.period_date >= (row.type === 'frequency_spike' ? spikeWindowStart : windowStart)
+    );
+
+    if (!dryRun) {
+      await this.saveAnomalies(userId, anomalies);
+      await this.clearAnomalies(userId, stale.map(row => row.id));
+    }
+
+    return {
+      checked: expenses.filter(expense => expense.date >= windowStart).length,
+      anomalies,
+      newCount: anomalies.filter(anomaly => !storedKeys.has(anomaly.dedupe_key)).length,
+      cleared: stale.length
+    };
+  }
+
+  /**
+   * The user's expenses in a date range, oldest first (at most the latest 5,000)
+   */
+  async loadExpenses(userId, startDate, endDate) {
+    const rows = [];
+
+    while (rows.length < MAX_EXPENSES_PER_USER) {
+      const from = rows.length;
+      const { data, error } = await supabase
+        .from('expenses')
+        .select(EXPENSE_COLUMNS)
+        .eq('user_id', userId)
+        .gte('date', startDate)
+        .lte('date', endDate)
+        .order('date', { ascending: false })
+        .order('created_at', { ascending: false })
+        .range(from, Math.min(from + PAGE_SIZE, MAX_EXPENSES_PER_USER) - 1);
+
+      if (error) {
+        console.error('Error fetching expenses for anomaly detection:', error);
+        throw new Error('Failed to load expenses for anomaly detection');
+      }
+
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return rows.reverse().map(row => ({ ...row, amount: Number(row.amount) }));
+  }
+
+  async loadAnomalies(userId, since) {
+    const { data, error } = await supabase
+      .from('spending_anomalies')
+      .select('id, expense_id, type, status, category, merchant, period_date, amount, details, dedupe_key')
+      .eq('user_id', userId)
+      .gte('period_date', since);
+
+    if (error) {
+      console.error('Error fetching stored anomalies:', error);
+      throw new Error('Failed to load stored anomalies');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Upsert detected anomalies. status and detected_at are left out so re-detecting
+   * an anomaly refreshes its explanation without reopening it.
+   */
+  async saveAnomalies(userId, anomalies) {
+    if (anomalies.length === 0) return;
+
+    const { error } = await supabase
+      .from('spending_anomalies')
+      .upsert(anomalies.map(anomaly => ({ user_id: userId, ...anomaly })), { onConflict: 'user_id,dedupe_key' });
+
+    if (error) {
+      console.error('Error saving spending anomalies:', error);
+      throw new Error('Failed to save spending anomalies');
+    }
+  }
+
+  async clearAnomalies(userId, ids) {
+    if (ids.length === 0) return;
+
+    const { error } = await supabase
+      .from('spending_anomalies')
+      .delete()
+      .eq('user_id', userId)
+      .eq('status', 'open')
+      .in('id', ids);
+
+    if (error) {
+      console.error('Error clearing stale anomalies:', error);
+      throw new Error('Failed to clear stale anomalies');
+    }
+  }
+
+  /**
+   * Judge each expense dated on or after windowStart against the expenses before it.
+   * Expenses with an open amount anomaly stay out of the baseline so a run of large
+   * charges can't make itself look normal; once marked expected they count again,
+   * and also raise the bar for similar charges (see acceptedLevels).
+   * @param {Array} expenses - oldest first, amounts as numbers
+   * @param {Array} stored - spending_anomalies rows already recorded
+   * @param {Object} options - { windowStart: 'YYYY-MM-DD' }
+   * @returns {Array} spending_anomalies columns (without user_id)
+   */
+  detect(expenses, stored, { windowStart }) {
+    const statuses = new Map(stored.map(row => [row.dedupe_key, row.status]));
+    const accepted = this.acceptedLevels(stored);
+    const isOpen = (key) => statuses.get(key) === 'open';
+
+    const baseline = {
+      categories: new Map(),
+      merchants: new Map(),
+      all: [],
+      timed: 0,
+      quiet: 0
+    };
+    const anomalies = [];
+
+    for (const expense of expenses) {
+      const merchant = categoryLearningService.merchantKey(expense.description);
+      const time = this.expenseTime(expense);
+      let found = [];
+
+      if (expense.date >= windowStart) {
+        found = this.checkExpense(expense, merchant, time, baseline, accepted);
+        anomalies.push(...found);
+      }
+
+      const amountKeys = ['unusual_amount', 'new_merchant'].map(type => `${type}:${expense.id}`);
+      const flaggedAmount = expense.date >= windowStart
+        ? found.some(anomaly => amountKeys.includes(anomaly.dedupe_key) && statuses.get(anomaly.dedupe_key) !== 'expected')
+        : amountKeys.some(isOpen);
+      const flaggedTime = expense.date >= windowStart
+        ? found.some(anomaly => anomaly.type === 'odd_time' && statuses.get(anomaly.dedupe_key) !== 'expected')
+        : isOpen(`odd_time:${expense.id}`);
+
+      if (!flaggedAmount) {
+        this.addSample(baseline.categories, expense.category, expense.amount);
+        if (merchant) this.addSample(baseline.merchants, merchant, expense.amount);
+        baseline.all.push(expense.amount);
+      }
+      if (time && !flaggedTime) {
+        baseline.timed += 1;
+        if (time.hour < QUIET_HOURS_END) baseline.quiet += 1;
+      }
+    }
+
+    anomalies.push(...this.checkFrequency(expenses, statuses, accepted, windowStart));
+    return anomalies;
+  }
+
+  /**
+   * What the user has told us is normal, from their expected anomalies:
+   * the largest accepted amount per merchant/category, the largest accepted weekly
+   * count per category, and merchants/categories where small-hours spending is fine
+   */
+  acceptedLevels(stored) {
+    const levels = { amounts: new Map(), weekly: new Map(), quiet: new Set() };
+    const raise = (map, key, value) => {
+      if (key && Number.isFinite(value)) map.set(key, Math.max(map.get(key) || 0, value));
+    };
+
+    stored.filter(row => row.status === 'expected').forEach(row => {
+      const merchantKey = row.details?.merchantKey || null;
+      switch (row.type) {
+        case 'unusual_amount':
+        case 'new_merchant':
+          raise(levels.amounts, merchantKey ? `merchant:${merchantKey}` : `category:${row.category}`, Number(row.amount));
+          break;
+        case 'frequency_spike':
+          raise(levels.weekly, row.category, Number(row.details?.count));
+          break;
+        case 'odd_time':
+          levels.quiet.add(merchantKey ? `merchant:${merchantKey}` : `category:${row.category}`);
+          break;
+        default:
+          break;
+      }
+    });
+
+    return levels;
+  }
+
+  /**
+   * Amount, new merchant and time checks for one expense against the baseline so far
+   */
+  checkExpense(expense, merchant, time, baseline, accepted) {
+    const found = [];
+    const categoryAmounts = baseline.categories.get(expense.category) || [];
+    const merchantAmounts = merchant ? baseline.merchants.get(merchant) || [] : [];
+    const isNewMerchant = Boolean(merchant) && merchantAmounts.length === 0;
+    const label = merchant ? expense.description.trim().substring(0, 100) : null;
+    const base = {
+      expense_id: expense.id,
+      category: expense.category,
+      merchant: label,
+      period_date: expense.date,
+      amount: round(expense.amount)
+    };
+
+    // Compare with earlier charges at the same merchant when there are enough of them
+    const scope = merchantAmounts.length >= MIN_MERCHANT_SAMPLES
+      ? { kind: 'merchant', amounts: merchantAmounts }
+      : categoryAmounts.length >= MIN_CATEGORY_SAMPLES
+        ? { kind: 'category', amounts: categoryAmounts }
+        : null;
+    // Largest charge of this kind already marked expected
+    const acceptedAmount = Math.max(
+      merchant ? accepted.amounts.get(`merchant:${merchant}`) || 0 : 0,
+      scope?.kind === 'merchant' ? 0 : accepted.amounts.get(`category:${expense.category}`) || 0
+    );
+
+    const categoryHigh = categoryAmounts.length >= MIN_CATEGORY_SAMPLES
+      ? percentile(categoryAmounts, NEW_MERCHANT_PERCENTILE)
+      : baseline.all.length >= MIN_CATEGORY_SAMPLES
+        ? percentile(this.sorted(baseline.all), NEW_MERCHANT_PERCENTILE)
+        : null;
+
+    if (isNewMerchant) {
+      const threshold = categoryHigh === null ? null : Math.max(categoryHigh, NEW_MERCHANT_MIN_AMOUNT);
+      if (threshold !== null && expense.amount >= threshold && expense.amount > acceptedAmount * EXPECTED_MARGIN) {
+        const ratio = expense.amount / threshold;
+        const against = categoryAmounts.length >= MIN_CATEGORY_SAMPLES ? `${expense.category} expenses` : 'expenses';
+        found.push({
+          ...base,
+          type: 'new_merchant',
+          severity: ratio >= 4 ? 'high' : ratio >= 2 ? 'medium' : 'low',
+          explanation: `First charge at ${label}, and at ${inr(expense.amount)} it is larger than 90% of your earlier ${against} (${inr(categoryHigh)} or less).`,
+          details: { merchantKey: merchant, amount: round(expense.amount), p90: round(categoryHigh), threshold: round(threshold), ratio: round(ratio) },
+          dedupe_key: `new_merchant:${expense.id}`
+        });
+      }
+    } else if (scope && expense.amount >= MIN_FLAG_AMOUNT && expense.amount > acceptedAmount * EXPECTED_MARGIN) {
+      const usual = median(scope.amounts);
+      // Identical amounts (rent, subscriptions) give a zero MAD; allow a 5% wobble
+      const mad = Math.max(median(this.sorted(scope.amounts.map(amount => Math.abs(amount - usual)))), usual * 0.05, 1);
+      const zScore = 0.6745 * (expense.amount - usual) / mad;
+      const ratio = expense.amount / usual;
+
+      if (zScore >= AMOUNT_Z_THRESHOLD && ratio >= MIN_AMOUNT_RATIO) {
+        const where = scope.kind === 'merchant'
+          ? `at ${label} is ${round(ratio)}× your usual ${inr(usual)} there (median of ${scope.amounts.length} earlier charges)`
+          : `on ${expense.category} is ${round(ratio)}× your usual ${inr(usual)} for ${expense.category} (median of ${scope.amounts.length} earlier expenses)`;
+        found.push({
+          ...base,
+          type: 'unusual_amount',
+          severity: severityFor(ratio),
+          explanation: `${inr(expense.amount)} ${where}.`,
+          details: {
+            merchantKey: merchant,
+            scope: scope.kind,
+            amount: round(expense.amount),
+            median: round(usual),
+            mad: round(mad),
+            zScore: round(zScore),
+            ratio: round(ratio),
+            samples: scope.amounts.length
+          },
+          dedupe_key: `unusual_amount:${expense.id}`
+        });
+      }
+    }
+
+    const quietAccepted = accepted.quiet.has(`category:${expense.category}`) || (merchant && accepted.quiet.has(`merchant:${merchant}`));
+    if (time && time.hour < QUIET_HOURS_END && baseline.timed >= MIN_TIMED_SAMPLES &&
+      baseline.quiet / baseline.timed <= ODD_TIME_MAX_SHARE && !quietAccepted) {
+      const large = categoryHigh !== null && expense.amount >= categoryHigh;
+      const severity = SEVERITIES[(large ? 1 : 0) + (isNewMerchant ? 1 : 0)];
+      const clock = `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
+      const earlier = baseline.quiet === 0 ? 'none' : `only ${baseline.quiet}`;
+      found.push({
+        ...base,
+        type: 'odd_time',
+        severity,
+        explanation: `${inr(expense.amount)}${label ? ` at ${label}` : ''} was logged at ${clock}; ${earlier} of your ${baseline.timed} earlier expenses were logged between midnight and 5 AM.`,
+        details: {
+          merchantKey: merchant,
+          amount: round(expense.amount),
+          time: clock,
+          timezone: TIMEZONE,
+          quietExpenses: baseline.quiet,
+          timedExpenses: baseline.timed,
+          newMerchant: isNewMerchant,
+          aboveP90: large
+        },
+        dedupe_key: `odd_time:${expense.id}`
+      });
+    }
+
+    return found;
+  }
+
+  /**
+   * Weeks (Monday to Sunday) in the window where a category had many more expenses
+   * than its usual weekly count. Weeks already flagged and still open are left out
+   * of the usual count; expected ones stay in.
+   */
+  checkFrequency(expenses, statuses, accepted, windowStart) {
+    const weeks = new Map();
+    expenses.forEach(expense => {
+      const key = `${expense.category}|${this.weekStart(expense.date)}`;
+      if (!weeks.has(key)) weeks.set(key, []);
+      weeks.get(key).push(expense);
+    });
+
+    const firstWindowWeek = this.weekStart(windowStart);
+    const lastWeek = this.weekStart(this.today());
+    const categories = [...new Set(expenses.map(expense => expense.category))];
+    const anomalies = [];
+
+    categories.forEach(category => {
+      const firstWeek = this.weekStart(expenses.find(expense => expense.category === category).date);
+      const history = [];
+
+      for (let week = firstWeek; week <= lastWeek; week = this.shiftDate(week, 7)) {
+        const rows = weeks.get(`${category}|${week}`) || [];
+        const key = `frequency_spike:${category}:${week}`;
+
+        if (week >= firstWindowWeek && history.length >= MIN_BASELINE_WEEKS) {
+          const average = history.reduce((sum, count) => sum + count, 0) / history.length;
+          const threshold = Math.max(MIN_SPIKE_COUNT, Math.ceil(average + 3 * Math.sqrt(average)), Math.ceil(average * 2));
+
+          if (rows.length >= threshold && rows.length > (accepted.weekly.get(category) || 0)) {
+            const ratio = rows.length / average;
+            const total = rows.reduce((sum, expense) => sum + expense.amount, 0);
+            anomalies.push({
+              expense_id: null,
+              type: 'frequency_spike',
+              severity: severityFor(ratio),
+              category,
+              merchant: null,
+              period_date: week,
+              amount: round(total),
+              explanation: `${rows.length} ${category} expenses (${inr(total)}) in the week of ${formatDate(week)}, against your usual ${round(average)} a week.`,
+              details: {
+                count: rows.length,
+                weeklyAverage: round(average),
+                threshold,
+                weeks: history.length,
+                expenseIds: rows.map(expense => expense.id)
+              },
+              dedupe_key: key
+            });
+            if (statuses.get(key) === 'expected') history.push(rows.length);
+            continue;
+          }
+        }
+
+        if (statuses.get(key) !== 'open') history.push(rows.length);
+      }
+    });
+
+    return anomalies;
+  }
+
+  addSample(map, key, amount) {
+    const amounts = map.get(key) || [];
+    // Kept sorted for medians and percentiles
+    const index = amounts.findIndex(value => value > amount);
+    amounts.splice(index === -1 ? amounts.length : index, 0, amount);
+    map.set(key, amounts);
+  }
+
+  sorted(values) {
+    return [...values].sort((a, b) => a - b);
+  }
+
+  /**
+   * When an expense was logged, if that is also when it was spent: entered by hand
+   * (not imported) on the day of the expense. Otherwise null.
+   * @returns {Object|null} { hour, minute } in ANOMALY_TIMEZONE
+   */
+  expenseTime(expense) {
+    if (expense.import_id || !expense.created_at) return null;
+
+    const parts = this.localParts(new Date(expense.created_at));
+    if (!parts || parts.date !== expense.date) return null;
+    return { hour: parts.hour, minute: parts.minute };
+  }
+
+  localParts(date) {
+    if (Number.isNaN(date.getTime())) return null;
+
+    const parts = Object.fromEntries(localTime.formatToParts(date).map(part => [part.type, part.value]));
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      hour: Number(parts.hour),
+      minute: Number(parts.minute)
+    };
+  }
+
+  today() {
+    return this.localParts(new Date()).date;
+  }
+
+  shiftDate(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  weekStart(date) {
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return this.shiftDate(date, -((day + 6) % 7));
+  }
+
+  /**
+   * List the caller's anomalies, newest first
+   * @param {string} userId
+   * @param {Object} filters - { status, severity, type, page, limit }
+   * @returns {Promise<Object>} { anomalies, total }
+   */
+  async listAnomalies(userId, { status = 'open', severity = null, type = null, page = 1, limit = 20 } = {}) {
+    const from = (page - 1) * limit;
+    let query = supabase
+      .from('spending_anomalies')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (status) query = query.eq('status', status);
+    if (severity) query = query.eq('severity', severity);
+    if (type) query = query.eq('type', type);
+
+    const { data, error, count } = await query
+      .order('period_date', { ascending: false })
+      .order('detected_at', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (error) {
+      console.error('Error fetching spending anomalies:', error);
+      throw new Error('Failed to fetch spending anomalies');
+    }
+
+    return {
+      anomalies: (data || []).map(row => ({ ...row, amount: row.amount === null ? null : Number(row.amount) })),
+      total: count || 0
+    };
+  }
+
+  /**
+   * Mark an anomaly as expected, then re-check the user's recent expenses so open
+   * anomalies it now explains are cleared
+   * @returns {Promise<Object>} { success, status?, message?, data: { anomaly, cleared } }
+   */
+  async markExpected(userId, anomalyId) {
+    const { data: anomaly, error } = await supabase
+      .from('spending_anomalies')
+      .select('*')
+      .eq('id', anomalyId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching spending anomaly:', error);
+      throw new Error('Failed to fetch spending anomaly');
+    }
+
+    if (!anomaly) return { success: false, status: 404, message: 'Anomaly not found' };
+    if (anomaly.status === 'expected') {
+      return { success: false, status: 409, message: 'Anomaly is already marked as expected' };
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('spending_anomalies')
+      .update({ status: 'expected', reviewed_at: new Date().toISOString() })
+      .eq('id', anomalyId)
+      .eq('user_id', userId)
+      .eq('status', 'open')
+      .select('*')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('Error marking anomaly as expected:', updateError);
+      throw new Error('Failed to update spending anomaly');
+    }
+
+    if (!updated) return { success: false, status: 409, message: 'Anomaly is already marked as expected' };
+
+    // The feedback is saved either way; the nightly run clears anything missed here.
+    // Skip the re-check while a run is storing anomalies, and queue it behind another
+    // re-check for the same user, so two passes never upsert and clear at once.
+    let cleared = 0;
+    if (this.running) {
+      console.log(`⏭️ Skipped re-checking anomalies for user ${userId}: a detection run is in progress`);
+    } else {
+      const previous = this.rechecks.get(userId) || Promise.resolve();
+      const recheck = previous.catch(() => {}).then(() => this.detectForUser(userId));
+      this.rechecks.set(userId, recheck);
+      try {
+        cleared = (await recheck).cleared;
+      } catch (err) {
+        console.error(`Re-checking anomalies failed for user ${userId}:`, err);
+      } finally {
+        if (this.rechecks.get(userId) === recheck) this.rechecks.delete(userId);
+      }
+    }
+
+    return {
+      success: true,
+      data: { anomaly: { ...updated, amount: updated.amount === null ? null : Number(updated.amount) }, cleared }
+    };
+  }
+}
+
+module.exports = new AnomalyDetectionService();
+module.exports.ANOMALY_TYPES = ANOMALY_TYPES;
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.ANOMALY_STATUSES = ANOMALY_STATUSES;
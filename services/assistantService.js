@@ -0,0 +1,353 @@
+// Answers questions about a user's own money. The model only turns the question into
+// queries from a fixed vocabulary (the assistantQuery schema in services/aiSchemas.js);
+// this service runs them against the caller's rows and writes the answer from the results.
+const supabase = require('../config/supabase');
+const openaiService = require('./openaiService');
+const ocrService = require('./ocrService');
+const { EXPENSE_CATEGORIES } = require('./expenseCategories');
+const { round, inr, formatDate, monthName } = require('./formatting');
+
+// Enough for years of day-to-day expenses; beyond it the answer says it is partial
+const MAX_ROWS = 5000;
+const MAX_RANGE_YEARS = 5;
+const MAX_BUDGET_MONTHS = 24;
+// The only columns a query can read
+const TRANSACTION_COLUMNS = 'id, amount, category, payment_method, date, description';
+const BUDGET_COLUMNS = 'month, year, overall_monthly, categories';
+
+
+class AssistantService {
+  /**
+   * Answer a question with numbers from the caller's expenses, incomes and budgets
+   * @param {string} userId - from the JWT; every query is filtered to it
+   * @param {string} question
+   * @returns {Object} { success, status?, message?, data?: { question, answer, results, confidence } }
+   */
+  async answer(userId, question) {
+    const incomeCategories = await ocrService.getUserIncomeCategories(userId);
+    const today = new Date().toISOString().slice(0, 10);
+
+    let plan;
+    try {
+      plan = await openaiService.planTransactionQuery(question, {
+        today,
+        // Plan with the names expenses.category stores, so the category filter matches rows
+        expenseCategories: EXPENSE_CATEGORIES,
+        incomeCategories: incomeCategories.map(category => category.name)
+      });
+    } catch (error) {
+      console.error('Assistant planning error:', error);
+      return { success: false, status: 502, message: 'Could not work out how to answer that right now. Please try again.' };
+    }
+
+    if (plan.queries.length === 0) {
+      return {
+        success: false,
+        status: 422,
+        message: 'I can answer questions about your expenses, incomes and budgets, like "How much did I spend on food last month?"'
+      };
+    }
+
+    const results = [];
+    for (const query of plan.queries) {
+      results.push(await this.runQuery(userId, this.clampRange(query, today)));
+    }
+
+    console.log(`💬 Assistant answered with ${results.length} quer${results.length === 1 ? 'y' : 'ies'} (${results.map(result => `${result.source}:${result.metric}`).join(', ')})`);
+
+    return {
+      success: true,
+      data: {
+        question,
+        answer: this.narrate(results, today),
+        results,
+        confidence: plan.confidence
+      }
+    };
+  }
+
+  // Keep ranges to the last few years so one question can't read everything ever recorded
+  clampRange(query, today) {
+    const endDate = query.endDate > today ? today : query.endDate;
+    const earliest = `${Number(endDate.slice(0, 4)) - MAX_RANGE_YEARS}${endDate.slice(4)}`;
+    const startDate = query.startDate < earliest ? earliest : query.startDate;
+    return { ...query, startDate: startDate > endDate ? endDate : startDate, endDate };
+  }
+
+  /**
+   * Run one planned query
+   * @returns {Object} { label, source, metric, period, filters, count, total, value, items?, groups?, months?, truncated }
+   */
+  async runQuery(userId, query) {
+    const base = {
+      label: query.label,
+      source: query.source,
+      metric: query.source === 'budgets' ? 'budget' : query.metric,
+      period: { startDate: query.startDate, endDate: query.endDate },
+      filters: { category: query.category, paymentMethod: query.paymentMethod, search: query.search }
+    };
+
+    if (query.source === 'budgets') {
+      return { ...base, ...(await this.runBudgetQuery(userId, query)) };
+    }
+
+    const { rows, truncated } = await this.fetchTransactions(userId, query.source, query);
+    const total = round(rows.reduce((sum, row) => sum + Number(row.amount), 0));
+    const result = { ...base, count: rows.length, total, value: null, truncated };
+
+    switch (query.metric) {
+      case 'sum':
+        result.value = total;
+        break;
+      case 'count':
+        result.value = rows.length;
+        break;
+      case 'average':
+        result.value = rows.length > 0 ? round(total / rows.length) : null;
+        break;
+      case 'max':
+      case 'min':
+      case 'list': {
+        const sort = query.metric === 'max' ? 'amount_desc' : query.metric === 'min' ? 'amount_asc' : query.sort;
+        const limit = query.metric === 'list' ? query.limit : 1;
+        result.items = this.sortRows(rows, sort).slice(0, limit).map(row => ({
+          id: row.id,
+          date: row.date,
+          amount: Number(row.amount),
+          category: row.category,
+          paymentMethod: row.payment_method,
+          description: row.description
+        }));
+        result.sort = sort;
+        result.value = query.metric === 'list' ? null : (result.items[0]?.amount ?? null);
+        break;
+      }
+      default:
+        break;
+    }
+
+    if (query.groupBy) {
+      result.groupBy = query.groupBy;
+      result.groups = this.groupRows(rows, query.groupBy);
+    }
+
+    return result;
+  }
+
+  /**
+   * The caller's expenses or incomes matching a query's range and filters, newest first
+   */
+  async fetchTransactions(userId, source, { startDate, endDate, category, paymentMethod, search }) {
+    let request = supabase
+      .from(source === 'incomes' ? 'incomes' : 'expenses')
+      .select(TRANSACTION_COLUMNS)
+      .eq('user_id', userId)
+      .gte('date', startDate)
+      .lte('date', endDate);
+
+    if (category) request = request.eq('category', category);
+    if (paymentMethod) request = request.eq('payment_method', paymentMethod);
+    // The search term is matched literally, wildcards included
+    if (search) request = request.ilike('description', `%${search.replace(/[\\%_]/g, '\\$&')}%`);
+
+    const { data, error } = await request
+      .order('date', { ascending: false })
+      .limit(MAX_ROWS + 1);
+
+    if (error) {
+      console.error(`Error fetching ${source} for assistant:`, error);
+      throw new Error(`Failed to fetch ${source}`);
+    }
+
+    const rows = data || [];
+    return { rows: rows.slice(0, MAX_ROWS), truncated: rows.length > MAX_ROWS };
+  }
+
+  /**
+   * Monthly budget against spending for each month in the range
+   */
+  async runBudgetQuery(userId, query) {
+    const months = [];
+    for (let month = query.startDate.slice(0, 7); month <= query.endDate.slice(0, 7) && months.length < MAX_BUDGET_MONTHS;) {
+      months.push(month);
+      const [year, index] = month.split('-').map(Number);
+      month = new Date(Date.UTC(year, index, 1)).toISOString().slice(0, 7);
+    }
+
+    const { data: budgets, error } = await supabase
+      .from('budgets')
+      .select(BUDGET_COLUMNS)
+      .eq('user_id', userId)
+      .gte('year', Number(months[0].slice(0, 4)))
+      .lte('year', Number(months[months.length - 1].slice(0, 4)));
+
+    if (error) {
+      console.error('Error fetching budgets for assistant:', error);
+      throw new Error('Failed to fetch budgets');
+    }
+
+    const { rows, truncated } = await this.fetchTransactions(userId, 'expenses', query);
+
+    const monthly = months.map(month => {
+      const budget = (budgets || []).find(row => `${row.year}-${String(row.month).padStart(2, '0')}` === month);
+      let limit = null;
+      if (budget && query.category) {
+        const key = Object.keys(budget.categories || {}).find(name => name.toLowerCase() === query.category.toLowerCase());
+        limit = key ? Number(budget.categories[key]) || null : null;
+      } else if (budget) {
+        limit = Number(budget.overall_monthly) || null;
+      }
+
+      const spent = round(rows.filter(row => row.date.startsWith(month)).reduce((sum, row) => sum + Number(row.amount), 0));
+      return {
+        month,
+        budget: limit,
+        spent,
+        remaining: limit !== null ? round(limit - spent) : null,
+        usedPercent: limit ? Math.round((spent / limit) * 100) : null
+      };
+    });
+
+    const budgeted = monthly.filter(month => month.budget !== null);
+    const total = round(monthly.reduce((sum, month) => sum + month.spent, 0));
+    return {
+      count: rows.length,
+      total,
+      value: budgeted.length > 0 ? round(budgeted.reduce((sum, month) => sum + month.remaining, 0)) : null,
+      months: monthly,
+      truncated
+    };
+  }
+
+  sortRows(rows, sort) {
+    const [field, direction] = sort.split('_');
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => (field === 'amount'
+      ? (Number(a.amount) - Number(b.amount)) * sign
+      : a.date.localeCompare(b.date) * sign));
+  }
+
+  // Totals per category, month or payment method, largest first (months in calendar order)
+  groupRows(rows, groupBy) {
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = groupBy === 'month' ? row.date.slice(0, 7) : (groupBy === 'category' ? row.category : row.payment_method) || 'Unknown';
+      const group = groups.get(key) || { key, total: 0, count: 0 };
+      group.total += Number(row.amount);
+      group.count += 1;
+      groups.set(key, group);
+    });
+
+    return [...groups.values()]
+      .map(group => ({ ...group, total: round(group.total) }))
+      .sort((a, b) => (groupBy === 'month' ? a.key.localeCompare(b.key) : b.total - a.total));
+  }
+
+  /**
+   * A few sentences from the results; every number in them comes from the queries, not the model
+   */
+  narrate(results, today) {
+    const sentences = results.map(result => this.describe(result, today));
+
+    // Two comparable figures: say how the second differs from the first
+    const [first, second] = results;
+    if (results.length === 2 && first.source === second.source && first.metric === second.metric &&
+      ['sum', 'count', 'average'].includes(first.metric) && first.value !== null && second.value !== null) {
+      const difference = second.value - first.value;
+      const format = first.metric === 'count' ? (value) => String(value) : inr;
+      if (difference === 0) {
+        sentences.push(`${this.capitalize(second.label)} is the same as ${first.label}.`);
+      } else {
+        const percent = first.value > 0 ? ` (${Math.round(Math.abs(difference) / first.value * 100)}%)` : '';
+        sentences.push(`${this.capitalize(second.label)} is ${format(Math.abs(difference))}${percent} ${difference > 0 ? 'more' : 'less'} than ${first.label}.`);
+      }
+    }
+
+    if (results.some(result => result.truncated)) {
+      sentences.push(`Only the latest ${MAX_ROWS.toLocaleString('en-IN')} transactions in a period were counted; ask about a shorter period for exact figures.`);
+    }
+
+    return sentences.join(' ');
+  }
+
+  describe(result, today) {
+    const { source, metric, filters } = result;
+    const when = this.describePeriod(result.period, today);
+    const noun = source === 'incomes' ? 'income' : 'expense';
+    const scope = [
+      filters.category ? ` on ${filters.category}` : '',
+      filters.search ? ` matching "${filters.search}"` : '',
+      filters.paymentMethod ? ` by ${filters.paymentMethod}` : ''
+    ].join('');
+
+    if (source === 'budgets') {
+      return result.months.map(month => {
+        const label = `${monthName(month.month)}${filters.category ? ` (${filters.category})` : ''}`;
+        if (month.budget === null) return `No budget is set for ${label}; you spent ${inr(month.spent)}.`;
+        const left = month.remaining >= 0 ? `${inr(month.remaining)} left` : `${inr(-month.remaining)} over budget`;
+        return `In ${label} you spent ${inr(month.spent)} of your ${inr(month.budget)} budget (${month.usedPercent}%), ${left}.`;
+      }).join(' ');
+    }
+
+    if (result.count === 0) {
+      return `You have no ${noun}s${scope} ${when}.`;
+    }
+
+    let sentence;
+    switch (metric) {
+      case 'sum':
+        sentence = `You ${source === 'incomes' ? 'received' : 'spent'} ${inr(result.value)}${scope} ${when} across ${result.count} ${noun}${result.count === 1 ? '' : 's'}.`;
+        break;
+      case 'count':
+        sentence = `You have ${result.count} ${noun}${result.count === 1 ? '' : 's'}${scope} ${when}, totalling ${inr(result.total)}.`;
+        break;
+      case 'average':
+        sentence = `Your average ${noun}${scope} ${when} was ${inr(result.value)} over ${result.count} transaction${result.count === 1 ? '' : 's'}.`;
+        break;
+      default: {
+        const which = { amount_desc: 'biggest', amount_asc: 'smallest', date_desc: 'most recent', date_asc: 'earliest' }[result.sort];
+        const items = result.items.map(item =>
+          `${inr(item.amount)}${item.description ? ` for ${item.description}` : ''} on ${formatDate(item.date, { day: 'numeric', month: 'short' })}`);
+        sentence = items.length === 1
+          ? `Your ${which} ${noun}${scope} ${when} was ${items[0]}.`
+          : `Your ${items.length} ${which} ${noun}s${scope} ${when} were ${this.joinList(items)}.`;
+      }
+    }
+
+    if (result.groups && result.groups.length > 0) {
+      const groups = result.groups.slice(0, result.groupBy === 'month' ? 12 : 3)
+        .map(group => `${result.groupBy === 'month' ? monthName(group.key) : group.key} ${inr(group.total)}`);
+      sentence += ` By ${result.groupBy.replace('_', ' ')}: ${this.joinList(groups)}.`;
+    }
+
+    return sentence;
+  }
+
+  // "in Sep 2026", "in Oct 2026 so far", "in 2026 so far", "on 19 Oct 2026" or "from 1 Aug 2026 to 19 Oct 2026"
+  describePeriod({ startDate, endDate }, today) {
+    const full = (date) => formatDate(date, { day: 'numeric', month: 'short', year: 'numeric' });
+    if (startDate === endDate) return `on ${full(startDate)}`;
+
+    const [year, month] = startDate.split('-').map(Number);
+    const monthEnd = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+    if (startDate.endsWith('-01') && endDate === monthEnd) return `in ${monthName(startDate.slice(0, 7))}`;
+    if (startDate.endsWith('-01') && endDate === today && endDate.startsWith(startDate.slice(0, 7))) {
+      return `in ${monthName(startDate.slice(0, 7))} so far`;
+    }
+    if (startDate.endsWith('-01-01') && startDate.slice(0, 4) === endDate.slice(0, 4)) {
+      if (endDate.endsWith('-12-31')) return `in ${startDate.slice(0, 4)}`;
+      if (endDate === today) return `in ${startDate.slice(0, 4)} so far`;
+    }
+    return `from ${full(startDate)} to ${full(endDate)}`;
+  }
+
+  joinList(parts) {
+    return parts.length <= 1 ? parts.join('') : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+  }
+
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
+
+module.exports = new AssistantService();
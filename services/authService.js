@@ -0,0 +1,161 @@
+// Authentication helpers shared by the Google OAuth and email/password flows
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+const MIN_ADMIN_PASSWORD_LENGTH = 12;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything past 72 bytes
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+class AuthService {
+  /**
+   * Sign the short-lived access token issued to clients after any successful login
+   * @param {Object} user - user_profiles row
+   * @param {string} provider - 'google' or 'password'
+   * @param {string} sessionId - user_sessions id the token belongs to
+   * @returns {string} Signed JWT
+   */
+  signToken(user, provider, sessionId) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        provider,
+        sessionId
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+    );
+  }
+
+  /**
+   * Shape a user_profiles row the way the auth endpoints return it
+   */
+  toPublicUser(user, provider) {
+    return {
+      id: user.id,
+      email: user.email,
+      fullName: user.full_name,
+      picture: user.picture_url,
+      onboardingCompleted: user.onboarding_completed,
+      provider: provider || user.provider,
+      role: user.role || 'user'
+    };
+  }
+
+  /**
+   * Normalize an email address for lookups
+   */
+  normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+  }
+
+  /**
+   * Check a candidate password against the password policy
+   * @param {string} password
+   * @param {Object} [options]
+   * @param {boolean} [options.admin] - Apply the stricter admin credential policy
+   * @param {string} [options.email] - Account email; admin passwords may not contain its name part
+   * @returns {string|null} Error message, or null when the password is acceptable
+   */
+  validatePassword(password, { admin = false, email = '' } = {}) {
+    const minLength = admin ? MIN_ADMIN_PASSWORD_LENGTH : MIN_PASSWORD_LENGTH;
+
+    if (!password || typeof password !== 'string') {
+      return 'Password is required';
+    }
+    if (password.length < minLength) {
+      return `Password must be at least ${minLength} characters`;
+    }
+    if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_LENGTH) {
+      return `Password must be at most ${MAX_PASSWORD_LENGTH} bytes`;
+    }
+
+    if (admin) {
+      const localPart = this.normalizeEmail(email).split('@')[0];
+      if (localPart.length >= 3 && password.toLowerCase().includes(localPart)) {
+        return 'Password must not contain your email address';
+      }
+      if (this.isCommonPassword(password)) {
+        return 'Password appears in a list of commonly used or breached passwords';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a password against the bundled common/breached password list.
+   * Also catches the usual decorations such as "Welcome@123456".
+   */
+  isCommonPassword(password) {
+    const list = this.loadCommonPasswords();
+    const lowered = password.toLowerCase();
+    const stripped = lowered.replace(/[\d\W_]+$/, '');
+    return list.has(lowered) || (stripped.length >= 4 && list.has(stripped));
+  }
+
+  loadCommonPasswords() {
+    if (!this._commonPasswords) {
+      try {
+        this._commonPasswords = new Set(
+          fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim().toLowerCase())
+            .filter(line => line && !line.startsWith('#'))
+        );
+      } catch (error) {
+        console.error('Failed to load common password list:', error);
+        this._commonPasswords = new Set();
+      }
+    }
+    return this._commonPasswords;
+  }
+
+  /**
+   * Hash a password with bcrypt
+   */
+  async hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Compare a password with a stored hash.
+   * Accepts bcrypt hashes and the legacy unsalted SHA-256 hex digests written by
+   * the old admin password route; returns false for anything else.
+   */
+  async verifyPassword(password, hash) {
+    if (!password || typeof password !== 'string') {
+      return false;
+    }
+    if (this.isBcryptHash(hash)) {
+      return bcrypt.compare(password, hash);
+    }
+    if (this.isLegacySha256Hash(hash)) {
+      const candidate = crypto.createHash('sha256').update(password).digest();
+      return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+    }
+    return false;
+  }
+
+  /**
+   * Whether a stored hash should be replaced with a fresh bcrypt hash
+   */
+  needsRehash(hash) {
+    return !this.isBcryptHash(hash);
+  }
+
+  isBcryptHash(hash) {
+    return typeof hash === 'string' && /^\$2[aby]\$\d{2}\$/.test(hash);
+  }
+
+  isLegacySha256Hash(hash) {
+    return typeof hash === 'string' && /^[a-f0-9]{64}$/i.test(hash);
+  }
+}
+
+module.exports = new AuthService();
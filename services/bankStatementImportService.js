@@ -0,0 +1,440 @@
+// Bank statement import: statement file -> categorized preview -> selected rows committed
+// as expenses (debits) and incomes (credits)
+const supabase = require('../config/supabase');
+const bankStatementParser = require('./bankStatementParser');
+const textExtractionService = require('./textExtractionService');
+const openaiService = require('./openaiService');
+const ocrService = require('./ocrService');
+const { EXPENSE_CATEGORIES } = require('./expenseCategories');
+
+// Parallel category lookups per import; each may be a model call
+const CATEGORIZE_CONCURRENCY = 4;
+// Model calls per import. The most frequent counterparties go first; the rest only
+// get a category from learned merchant rules and are otherwise left for the user.
+const MAX_MODEL_CATEGORIZATIONS = 40;
+const HASH_LOOKUP_CHUNK = 100;
+const MAX_DESCRIPTION_LENGTH = 100;
+// expenses.amount and incomes.amount are DECIMAL(10,2)
+const MAX_AMOUNT = 100000000;
+
+// How sure the parser is that a row is a debit or a credit, by how it decided
+const TYPE_CONFIDENCE = { column: 1, marker: 0.95, balance: 0.95, narration: 0.7, default: 0.5 };
+
+// Spreadsheet containers we can't read: legacy .xls and .xlsx (a zip)
+const SPREADSHEET_SIGNATURES = [Buffer.from([0xd0, 0xcf, 0x11, 0xe0]), Buffer.from('PK\u0003\u0004', 'latin1')];
+
+class BankStatementImportService {
+  /**
+   * Read a CSV or text-based PDF statement into transactions
+   * @param {Buffer} buffer - file contents
+   * @param {Object} options - { bank: format id to assume instead of detecting it }
+   * @returns {Promise<Object>} { success, status?, message?, data: parser result plus sourceFormat }
+   */
+  async parseStatement(buffer, { bank = null } = {}) {
+    const fileType = textExtractionService.detectFileType(buffer);
+    let parsed;
+    let sourceFormat;
+
+    if (fileType && fileType.mimeType === 'application/pdf') {
+      const { text, engine } = await textExtractionService.extractPdfText(buffer, { ocrFallback: false });
+      if (engine === 'none') {
+        return {
+          success: false,
+          status: 422,
+          message: 'This PDF has no text layer (a scanned statement). Download the statement from net banking as a PDF or CSV instead'
+        };
+      }
+      sourceFormat = 'pdf';
+      parsed = bankStatementParser.parsePdfText(text, { bank });
+    } else if (fileType || SPREADSHEET_SIGNATURES.some(signature => buffer.slice(0, signature.length).equals(signature))) {
+      return { success: false, status: 415, message: 'Upload the statement as a CSV or PDF file (Excel files: save as CSV first)' };
+    } else {
+      const text = buffer[0] === 0xff && buffer[1] === 0xfe
+        ? buffer.slice(2).toString('utf16le')
+        : buffer.toString('utf8');
+      if (text.includes('\u0000')) {
+        return { success: false, status: 415, message: 'Upload the statement as a CSV or PDF file' };
+      }
+
+      sourceFormat = 'csv';
+      parsed = bankStatementParser.parseCsv(text, { bank });
+
+      // Headers we don't know: let the model say which column is which
+      if (parsed.needsMapping) {
+        let mapping = null;
+        try {
+          mapping = await openaiService.mapStatementColumns(parsed.sampleRows);
+          parsed = bankStatementParser.parseCsv(text, { bank, mapping });
+        } catch (error) {
+          console.error('Statement column mapping error:', error.message);
+        }
+        if (!mapping || parsed.needsMapping) {
+          return {
+            success: false,
+            status: 422,
+            message: 'Could not find the date, description and amount columns in this statement'
+          };
+        }
+        parsed.layout.mappingConfidence = mapping.confidence;
+      }
+    }
+
+    if (parsed.transactions.length === 0) {
+      return { success: false, status: 422, message: 'No transactions found in this statement' };
+    }
+
+    return { success: true, data: { ...parsed, sourceFormat } };
+  }
+
+  /**
+   * Parse, categorize and store a preview of a statement
+   * @param {string} userId
+   * @param {Object} file - multer file { buffer, originalname }
+   * @param {Object} options - { bank }
+   * @returns {Promise<Object>} { success, status?, message?, data: preview }
+   */
+  async createPreview(userId, file, { bank = null } = {}) {
+    let parsed;
+    try {
+      parsed = await this.parseStatement(file.buffer, { bank });
+    } catch (error) {
+      // Only the parser's own errors describe what's wrong with the file (too many rows,
+      // empty statement); anything else is a server error
+      if (!(error instanceof bankStatementParser.StatementParseError)) throw error;
+      console.error('Bank statement parse error:', error.message);
+      return { success: false, status: 422, message: error.message };
+    }
+    if (!parsed.success) return parsed;
+
+    const statement = parsed.data;
+    const incomeCategories = await ocrService.getUserIncomeCategories(userId);
+
+    const drafts = statement.transactions.map((transaction, index) => ({
+      index,
+      transaction,
+      kind: transaction.type === 'debit' ? 'expense' : 'income',
+      ...bankStatementParser.describeNarration(transaction.description)
+    }));
+
+    const categories = await this.categorize(userId, drafts, { expense: EXPENSE_CATEGORIES, income: incomeCategories.map(category => category.name) });
+    const imported = await this.findImportedHashes(userId, statement.transactions.map(transaction => transaction.rowHash));
+
+    const rows = drafts.map(draft => {
+      const { transaction } = draft;
+      const category = categories.get(this.categoryKey(draft)) || { category: null, confidence: 0, categorySource: null };
+      const incomeCategory = draft.kind === 'income' && category.category
+        ? incomeCategories.find(candidate => candidate.name === category.category)
+        : null;
+
+      let typeConfidence = TYPE_CONFIDENCE[transaction.typeSource] ?? 0.5;
+      if (transaction.balanceVerified === false) typeConfidence = Math.min(typeConfidence, 0.5);
+      const alreadyImported = imported.has(transaction.rowHash);
+      const amountTooLarge = transaction.amount >= MAX_AMOUNT;
+
+      return {
+        index: draft.index,
+        date: transaction.date,
+        type: draft.kind,
+        amount: transaction.amount,
+        description: (draft.counterparty || transaction.description).substring(0, MAX_DESCRIPTION_LENGTH),
+        narration: transaction.description,
+        reference: transaction.reference,
+        balance: transaction.balance,
+        paymentMethod: draft.paymentMethod,
+        category: category.category,
+        categoryId: incomeCategory ? incomeCategory.id : null,
+        categorySource: category.categorySource,
+        confidence: Math.round(Math.min(typeConfidence, category.confidence) * 100) / 100,
+        confidenceBreakdown: { type: typeConfidence, category: category.confidence },
+        balanceVerified: transaction.balanceVerified,
+        alreadyImported,
+        amountTooLarge,
+        // Suggested selection: new rows that could be categorized and saved
+        selected: !alreadyImported && !amountTooLarge && Boolean(category.category),
+        rowHash: transaction.rowHash
+      };
+    });
+
+    const summary = this.summarize(rows, statement);
+
+    const { data, error } = await supabase
+      .from('bank_statement_imports')
+      .insert({
+        user_id: userId,
+        bank: statement.bank.id,
+        source_format: statement.sourceFormat,
+        file_name: file.originalname ? file.originalname.substring(0, 255) : null,
+        layout: statement.layout,
+        rows,
+        summary
+      })
+      .select('id, created_at')
+      .single();
+
+    if (error) {
+      console.error('Error saving bank statement preview:', error);
+      throw new Error('Failed to save bank statement preview');
+    }
+
+    console.log(`🏦 Parsed ${rows.length} transactions from a ${statement.bank.name} ${statement.sourceFormat} statement for user ${userId}`);
+
+    return {
+      success: true,
+      data: {
+        importId: data.id,
+        status: 'preview',
+        bank: statement.bank,
+        sourceFormat: statement.sourceFormat,
+        layout: statement.layout,
+        summary,
+        issues: statement.issues,
+        rows,
+        createdAt: data.created_at
+      }
+    };
+  }
+
+  /**
+   * Categorize each distinct counterparty once with the receipt category logic
+   * (learned merchant rules first, then the model, at most MAX_MODEL_CATEGORIZATIONS times)
+   * @returns {Promise<Map>} categoryKey -> { category, confidence, categorySource }
+   */
+  async categorize(userId, drafts, categoryNames) {
+    const pending = new Map();
+    drafts.forEach(draft => {
+      const key = this.categoryKey(draft);
+      const entry = pending.get(key) || { draft, rows: 0 };
+      entry.rows += 1;
+      pending.set(key, entry);
+    });
+
+    const results = new Map();
+    const entries = [...pending].sort((a, b) => b[1].rows - a[1].rows);
+    let modelCalls = 0;
+    let skipped = 0;
+    for (let i = 0; i < entries.length; i += CATEGORIZE_CONCURRENCY) {
+      await Promise.all(entries.slice(i, i + CATEGORIZE_CONCURRENCY).map(async ([key, { draft }]) => {
+        const names = categoryNames[draft.kind];
+        if (names.length === 0) return;
+
+        // Reserve a model call before starting; a learned rule hands it back
+        const learnedOnly = modelCalls >= MAX_MODEL_CATEGORIZATIONS;
+        if (!learnedOnly) modelCalls += 1;
+
+        const text = [draft.counterparty, draft.transaction.description].filter(Boolean).join('\n');
+        const result = await ocrService.analyzeCategoryOnly(text, names, userId, { kind: draft.kind, learnedOnly });
+        if (!learnedOnly && result.success && result.data.categorySource === 'learned_rule') modelCalls -= 1;
+        if (learnedOnly && !(result.success && result.data.category)) skipped += 1;
+
+        if (result.success && result.data.category) {
+          results.set(key, {
+            category: result.data.category,
+            confidence: result.data.confidence,
+            categorySource: result.data.categorySource
+          });
+        }
+      }));
+    }
+
+    if (skipped > 0) {
+      console.log(`🏦 Left ${skipped} counterparties uncategorized after ${MAX_MODEL_CATEGORIZATIONS} model calls`);
+    }
+
+    return results;
+  }
+
+  categoryKey(draft) {
+    return `${draft.kind}|${(draft.counterparty || draft.transaction.description).toLowerCase()}`;
+  }
+
+  /**
+   * Row hashes of the caller's expenses and incomes that came from earlier imports
+   */
+  async findImportedHashes(userId, hashes) {
+    const imported = new Set();
+
+    for (let i = 0; i < hashes.length; i += HASH_LOOKUP_CHUNK) {
+      const chunk = hashes.slice(i, i + HASH_LOOKUP_CHUNK);
+      const lookups = await Promise.all(['expenses', 'incomes'].map(table => supabase
+        .from(table)
+        .select('import_row_hash')
+        .eq('user_id', userId)
+        .in('import_row_hash', chunk)));
+
+      for (const { data, error } of lookups) {
+        if (error) {
+          console.error('Error checking previously imported rows:', error);
+          throw new Error('Failed to check previously imported rows');
+        }
+        (data || []).forEach(row => imported.add(row.import_row_hash));
+      }
+    }
+
+    return imported;
+  }
+
+  summarize(rows, statement) {
+    const total = (type) => Math.round(rows.filter(row => row.type === type).reduce((sum, row) => sum + row.amount, 0) * 100) / 100;
+    const dates = rows.map(row => row.date).sort();
+
+    return {
+      transactions: rows.length,
+      expenses: rows.filter(row => row.type === 'expense').length,
+      incomes: rows.filter(row => row.type === 'income').length,
+      totalDebits: total('expense'),
+      totalCredits: total('income'),
+      from: dates[0],
+      to: dates[dates.length - 1],
+      openingBalance: statement.openingBalance,
+      closingBalance: statement.closingBalance,
+      alreadyImported: rows.filter(row => row.alreadyImported).length,
+      amountsTooLarge: rows.filter(row => row.amountTooLarge).length,
+      uncategorized: rows.filter(row => !row.category).length,
+      balanceMismatches: rows.filter(row => row.balanceVerified === false).length
+    };
+  }
+
+  /**
+   * One of the caller's imports with its preview rows
+   * @returns {Promise<Object|null>}
+   */
+  async getImport(userId, importId) {
+    const { data, error } = await supabase
+      .from('bank_statement_imports')
+      .select('*')
+      .eq('id', importId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching bank statement import:', error);
+      throw new Error('Failed to fetch bank statement import');
+    }
+
+    return data;
+  }
+
+  /**
+   * Save the selected preview rows as expenses and incomes in one transaction
+   * @param {string} userId
+   * @param {string} importId
+   * @param {Array} selections - row indexes, or { index, category, description } to override the preview
+   * @returns {Promise<Object>} { success, status?, message?, data: { expenses, incomes } }
+   */
+  async commit(userId, importId, selections) {
+    if (!Array.isArray(selections) || selections.length === 0) {
+      return { success: false, status: 400, message: 'rows must be a non-empty array of row indexes or { index, category, description } objects' };
+    }
+
+    const preview = await this.getImport(userId, importId);
+    if (!preview) {
+      return { success: false, status: 404, message: 'Import not found' };
+    }
+    if (preview.status !== 'preview') {
+      return { success: false, status: 409, message: 'This import has already been committed' };
+    }
+
+    // Expense rows are checked against the categories the expenses API accepts, not
+    // the expense_categories table, so the insert can't trip the category CHECK
+    const incomeCategories = await ocrService.getUserIncomeCategories(userId);
+
+    const expenses = [];
+    const incomes = [];
+    const errors = {};
+    const seen = new Set();
+
+    selections.forEach((selection, position) => {
+      const { index, category, description } = typeof selection === 'object' && selection !== null ? selection : { index: selection };
+      const row = Number.isInteger(index) ? preview.rows[index] : undefined;
+
+      if (!row) {
+        errors[`rows[${position}]`] = `No row ${index} in this import`;
+        return;
+      }
+      if (seen.has(index)) {
+        errors[`rows[${position}]`] = `Row ${index} is selected twice`;
+        return;
+      }
+      seen.add(index);
+
+      if (row.alreadyImported) {
+        errors[`rows[${position}]`] = `Row ${index} was already imported`;
+        return;
+      }
+      if (!(row.amount < MAX_AMOUNT)) {
+        errors[`rows[${position}]`] = `Row ${index} has an amount of 100,000,000 or more, which can't be saved`;
+        return;
+      }
+      if (description !== undefined && (typeof description !== 'string' || !description.trim())) {
+        errors[`rows[${position}]`] = 'description must be a non-empty string';
+        return;
+      }
+
+      const chosen = category ?? row.category;
+      const base = {
+        amount: row.amount,
+        payment_method: row.paymentMethod,
+        date: row.date,
+        description: (description ? description.trim() : row.description).substring(0, MAX_DESCRIPTION_LENGTH),
+        notes: row.narration,
+        import_row_hash: row.rowHash
+      };
+
+      if (row.type === 'expense') {
+        const name = EXPENSE_CATEGORIES.find(candidate => typeof chosen === 'string' && candidate.toLowerCase() === chosen.toLowerCase());
+        if (!name) {
+          errors[`rows[${position}]`] = `Row ${index} needs a category; one of: ${EXPENSE_CATEGORIES.join(', ')}`;
+          return;
+        }
+        expenses.push({ ...base, category: name });
+      } else {
+        const match = incomeCategories.find(candidate => typeof chosen === 'string' && candidate.name.toLowerCase() === chosen.toLowerCase());
+        if (!match) {
+          errors[`rows[${position}]`] = `Row ${index} needs an income category; one of: ${incomeCategories.map(candidate => candidate.name).join(', ')}`;
+          return;
+        }
+        incomes.push({ ...base, category: match.name, category_id: match.id });
+      }
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return { success: false, status: 400, message: 'Validation failed', errors };
+    }
+
+    const { data, error } = await supabase.rpc('commit_bank_statement_import', {
+      p_import_id: importId,
+      p_user_id: userId,
+      p_expenses: expenses,
+      p_incomes: incomes
+    });
+
+    if (error) {
+      if (error.message && error.message.includes('IMPORT_ALREADY_COMMITTED')) {
+        return { success: false, status: 409, message: 'This import has already been committed' };
+      }
+      if (error.message && error.message.includes('IMPORT_NOT_FOUND')) {
+        return { success: false, status: 404, message: 'Import not found' };
+      }
+      if (error.code === '23505') {
+        return { success: false, status: 409, message: 'Some of these rows were imported in the meantime; upload the statement again to refresh the preview' };
+      }
+      // A CHECK constraint on expenses or incomes (e.g. expenses_category_check)
+      if (error.code === '23514') {
+        const [, table, column] = (error.message || '').match(/"(expenses|incomes)_(\w+)_check"/) || [];
+        return {
+          success: false,
+          status: 400,
+          message: 'Validation failed',
+          errors: { [column || 'rows']: `One of the selected ${table || 'rows'} has a ${column || 'value'} that can't be saved` }
+        };
+      }
+      console.error('Error committing bank statement import:', error);
+      throw new Error('Failed to commit bank statement import');
+    }
+
+    console.log(`🏦 Imported ${data.expenses} expenses and ${data.incomes} incomes for user ${userId}`);
+    return { success: true, data };
+  }
+}
+
+module.exports = new BankStatementImportService();
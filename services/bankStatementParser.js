@@ -0,0 +1,618 @@
+// Parses bank statements into debit/credit transactions. No I/O: callers pass the CSV
+// text or the text layer of a PDF statement.
+//   CSV - the header row is located and its columns mapped by name; layouts that can't be
+//         recognised come back with needsMapping so a column mapping can be supplied
+//   PDF - transactions are lines starting with a date; amounts are read from the end of
+//         the line and debit/credit is worked out from the running balance
+const crypto = require('crypto');
+
+// Known exports of the major Indian banks. A CSV matches a bank when its header row has
+// every one of `headers`; a PDF when one of `markers` appears near the top.
+const BANK_FORMATS = [
+  {
+    id: 'hdfc',
+    name: 'HDFC Bank',
+    headers: ['narration', 'withdrawal amt', 'deposit amt', 'closing balance'],
+    markers: [/hdfc\s*bank/i]
+  },
+  {
+    id: 'icici',
+    name: 'ICICI Bank',
+    headers: ['transaction remarks', 'withdrawal amount', 'deposit amount'],
+    markers: [/icici\s*bank/i]
+  },
+  {
+    id: 'sbi',
+    name: 'State Bank of India',
+    headers: ['txn date', 'description', 'debit', 'credit', 'balance'],
+    markers: [/state\s*bank\s*of\s*india/i]
+  },
+  {
+    id: 'axis',
+    name: 'Axis Bank',
+    headers: ['tran date', 'particulars', 'dr', 'cr', 'bal'],
+    markers: [/axis\s*bank/i]
+  },
+  {
+    id: 'kotak',
+    name: 'Kotak Mahindra Bank',
+    headers: ['description', 'amount', 'dr cr', 'balance'],
+    markers: [/kotak\s*mahindra/i]
+  }
+];
+
+// Header names (normalized) for each column, most specific first. Columns are assigned in
+// this order and each header is used once, so "Dr / Cr" is taken as the type column before
+// "dr" could claim it as the debit column.
+const COLUMN_ALIASES = {
+  date: ['txn date', 'transaction date', 'tran date', 'posting date', 'date', 'value date', 'value dt'],
+  type: ['dr cr', 'cr dr', 'debit credit', 'transaction type', 'txn type', 'type'],
+  debit: ['withdrawal amt', 'withdrawal amount', 'withdrawals', 'withdrawal', 'debit amount', 'debit', 'dr amount', 'dr'],
+  credit: ['deposit amt', 'deposit amount', 'deposits', 'deposit', 'credit amount', 'credit', 'cr amount', 'cr'],
+  amount: ['transaction amount', 'txn amount', 'amount'],
+  balance: ['closing balance', 'available balance', 'running balance', 'balance', 'bal'],
+  description: ['narration', 'transaction remarks', 'transaction details', 'description', 'particulars', 'remarks', 'details'],
+  reference: ['chq ref no', 'ref no cheque no', 'cheque number', 'chq no', 'chqno', 'cheque no', 'reference no', 'ref no', 'utr']
+};
+const MAPPED_COLUMNS = Object.keys(COLUMN_ALIASES);
+
+const HEADER_SCAN_ROWS = 40;
+const MAX_ROWS = 1000;
+// A statement the parser refuses (empty, too many rows). Its message is meant for the
+// user; anything else thrown while parsing is a bug or a broken file library.
+class StatementParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StatementParseError';
+  }
+}
+
+// Amounts and balances are compared to the paisa, allowing for float error
+const BALANCE_TOLERANCE = 0.01;
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12 };
+const DATE_PATTERNS = [
+  { regex: /^(\d{4})-(\d{1,2})-(\d{1,2})/, parts: (m) => [m[1], m[2], m[3]] },
+  { regex: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?!\d)/, parts: (m) => [m[3], m[2], m[1]] },
+  { regex: /^(\d{1,2})[\s/-]([a-z]{3,4})[a-z]*[\s/,-]+(\d{2}|\d{4})(?!\d)/i, parts: (m) => [m[3], MONTHS[m[2].toLowerCase()], m[1]] }
+];
+// A date anywhere in a PDF line, for stripping value dates out of the narration
+const DATE_TOKEN = /\b(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[/.-]\d{1,2}[/.-](\d{4}|\d{2})|\d{1,2}[\s-][a-z]{3,4}[\s,-]+(\d{4}|\d{2}))\b/gi;
+// Money in statement text always has paise: "1,23,456.78", "450.00 Cr"
+const MONEY_TOKEN = /(?<![\d.])(-?\d{1,3}(?:,\d{2,3})+\.\d{2}|-?\d+\.\d{2})(?![\d.])(\s*(?:cr|dr)\b)?/gi;
+const PDF_NOISE_LINE = /^(page\s*\d+|statement\s+of\s+account|statement\s+summary|opening\s+balance|closing\s+balance|total|grand\s+total|\*+\s*end)/i;
+// Narration words that mark money coming in when nothing else does
+const CREDIT_HINTS = /\b(cr|credit(ed)?|salary|sal|refund|reversal|interest\s+(paid|credit)|int\.?\s*pd|cashback|dividend|deposit)\b/i;
+const DEBIT_HINTS = /\b(dr|debit(ed)?|withdrawal|atm|atw|nwd|pos|purchase|emi|bill\s*pay|charges?)\b/i;
+
+// Channel prefixes in narrations and the payment method they mean (PAYMENT_METHODS in routes/expenses.js)
+const CHANNELS = [
+  { pattern: /\bupi\b/i, paymentMethod: 'UPI' },
+  { pattern: /\b(atm|atw|nwd|cash\s*wdl|cash)\b/i, paymentMethod: 'Cash' },
+  { pattern: /\b(pos|pcd|ecom|vps|card)\b|\b\d{4,6}x{4,}\d{4}\b/i, paymentMethod: 'Card' }
+];
+// Narration segments that are codes rather than names: channels, IFSCs, bank short codes,
+// reference numbers, VPAs and masked card numbers
+const NARRATION_CODE = /^(upi|neft|imps|rtgs|mmt|ach|nach|ecs|pos|pcd|atm|atw|nwd|inb|bil|onl|dr|cr|p2a|p2m|payment|paym|pay|na|[a-z]{4}0[a-z0-9]{6}|[a-z]{4}|[a-z]{1,4}\d[a-z0-9]*|\d+|\S*@\S*|\S*x{4,}\S*)$/i;
+// Words dropped from inside the chosen segment ("NEFT CR", "TO TRANSFER", "ACH D")
+const NARRATION_FILLER = /^([a-z]{4}0[a-z0-9]{6}|upi|neft|imps|rtgs|mmt|ach(dr|cr)?|nach|ecs|pos|pcd|atm|atw|nwd|inb|dr|cr|[a-z]|to|by|transfer|trf|debit|credit|\d+|\S*x{4,}\S*)$/i;
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+class BankStatementParser {
+  get formats() {
+    return BANK_FORMATS.map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Parse a CSV statement
+   * @param {string} text - CSV contents
+   * @param {Object} options - { bank: format id to assume, mapping: column indexes and headerRow
+   *   from mapStatementColumns when the layout wasn't recognised }
+   * @returns {Object} { bank, layout, transactions, openingBalance, closingBalance, issues }
+   *   or { needsMapping: true, sampleRows } when the columns couldn't be identified
+   */
+  parseCsv(text, { bank = null, mapping = null } = {}) {
+    const rows = this.parseCsvRows(text);
+    if (rows.length === 0) {
+      throw new StatementParseError('The statement is empty');
+    }
+
+    const header = mapping ? this.headerFromMapping(rows, mapping) : this.findHeader(rows);
+    if (!header) {
+      return { needsMapping: true, sampleRows: rows.slice(0, HEADER_SCAN_ROWS) };
+    }
+
+    const format = BANK_FORMATS.find(candidate => candidate.id === bank) || this.detectCsvBank(header.cells);
+    const transactions = [];
+    const issues = [];
+
+    for (let i = header.index + 1; i < rows.length; i++) {
+      const cells = rows[i];
+      const cell = (column) => (header.columns[column] === null ? '' : String(cells[header.columns[column]] ?? '').trim());
+      const date = this.parseDate(cell('date'));
+      const money = this.rowMoney(cell);
+
+      if (!date) {
+        // Wrapped narrations continue on the next line with the other cells empty
+        const previous = transactions[transactions.length - 1];
+        if (previous && cell('description') && !money.amount && !cell('balance')) {
+          previous.description = `${previous.description} ${cell('description')}`.trim();
+        } else if (money.amount) {
+          issues.push(`Row ${i + 1}: skipped, no valid date in "${cell('date')}"`);
+        }
+        continue;
+      }
+
+      if (!money.amount) {
+        issues.push(`Row ${i + 1}: skipped, no amount`);
+        continue;
+      }
+
+      transactions.push({
+        line: i + 1,
+        date,
+        description: cell('description').replace(/\s+/g, ' '),
+        reference: cell('reference') || null,
+        amount: money.amount,
+        sign: money.sign,
+        typeSource: money.sign ? 'column' : null,
+        balance: this.parseAmount(cell('balance'))?.signedValue ?? null
+      });
+
+      if (transactions.length > MAX_ROWS) {
+        throw new StatementParseError(`Statements can have at most ${MAX_ROWS} transactions; split the period and import each part`);
+      }
+    }
+
+    return this.finish({
+      bank: format,
+      layout: { source: 'csv', headerRow: header.index, columns: this.describeColumns(header), mappedBy: mapping ? 'ai' : 'headers' },
+      transactions,
+      openingBalance: null,
+      closingBalance: null,
+      issues
+    });
+  }
+
+  /**
+   * Parse the text layer of a PDF statement
+   * @param {string} text - from pdf-parse
+   * @param {Object} options - { bank: format id to assume }
+   */
+  parsePdfText(text, { bank = null } = {}) {
+    const lines = String(text || '').split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const format = BANK_FORMATS.find(candidate => candidate.id === bank) || this.detectPdfBank(lines);
+    const transactions = [];
+    const issues = [];
+    let current = null;
+
+    const flush = () => {
+      if (!current) return;
+      if (current.amounts.length === 0) {
+        issues.push(`Line ${current.line}: skipped, no amount`);
+      } else {
+        transactions.push(this.pdfTransaction(current));
+      }
+      current = null;
+    };
+
+    lines.forEach((line, index) => {
+      // Some layouts number the rows: "12 01/10/2026 ..."
+      const body = line.replace(/^\d{1,4}\s+(?=\d{1,2}[/.\s-])/, '');
+      const date = this.parseDate(body);
+
+      if (date) {
+        flush();
+        const rest = body.replace(DATE_TOKEN, ' ');
+        current = { line: index + 1, date, text: '', amounts: [] };
+        this.addPdfText(current, rest);
+        return;
+      }
+
+      if (!current || PDF_NOISE_LINE.test(line) || this.isPdfHeaderLine(line)) {
+        flush();
+        return;
+      }
+
+      // Narrations wrap onto following lines; amounts may come on the last of them
+      this.addPdfText(current, line);
+    });
+    flush();
+
+    if (transactions.length > MAX_ROWS) {
+      throw new StatementParseError(`Statements can have at most ${MAX_ROWS} transactions; split the period and import each part`);
+    }
+
+    const fullText = lines.join('\n');
+    return this.finish({
+      bank: format,
+      layout: { source: 'pdf', mappedBy: 'text' },
+      transactions,
+      openingBalance: this.findLabelledAmount(fullText, /opening\s+balance/i),
+      closingBalance: this.findLabelledAmount(fullText, /closing\s+balance/i),
+      issues
+    });
+  }
+
+  addPdfText(current, text) {
+    const amounts = [];
+    const withoutAmounts = text.replace(MONEY_TOKEN, (match, value, marker) => {
+      amounts.push(this.parseAmount(`${value}${marker || ''}`));
+      return ' ';
+    });
+    current.amounts.push(...amounts);
+    current.text = `${current.text} ${withoutAmounts}`.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Read amount, sign and balance off a PDF row's amounts:
+   *   [amount] | [amount, balance] | [withdrawal, deposit, balance] (one of them 0.00)
+   */
+  pdfTransaction({ line, date, text, amounts }) {
+    let amount;
+    let balance = null;
+
+    if (amounts.length >= 3) {
+      const [debit, credit] = amounts.slice(-3, -1);
+      balance = amounts[amounts.length - 1].signedValue;
+      amount = debit.value > 0 ? { ...debit, sign: -1 } : { ...credit, sign: 1 };
+    } else if (amounts.length === 2) {
+      amount = amounts[0];
+      balance = amounts[1].signedValue;
+    } else {
+      amount = amounts[0];
+    }
+
+    const reference = (text.match(/\b\d{9,}\b/) || [null])[0];
+    return {
+      line,
+      date,
+      description: text,
+      reference,
+      amount: amount.value,
+      sign: amount.sign,
+      typeSource: amount.sign ? (amounts.length >= 3 ? 'column' : 'marker') : null,
+      balance
+    };
+  }
+
+  /**
+   * Pull the other party and the payment channel out of a narration such as
+   * "UPI-SWIGGY-SWIGGY@ICICI-ICIC0DC0099-627412345678-PAYMENT"
+   * @returns {Object} { counterparty, paymentMethod }
+   */
+  describeNarration(description) {
+    const channel = CHANNELS.find(candidate => candidate.pattern.test(description));
+    if (channel && channel.paymentMethod === 'Cash') {
+      return { counterparty: 'Cash withdrawal', paymentMethod: 'Cash' };
+    }
+
+    const counterparty = description
+      .split(/[/*:-]/)
+      .map(segment => segment.trim())
+      .filter(segment => !NARRATION_CODE.test(segment))
+      .map(segment => segment.split(/\s+/).filter(word => !NARRATION_FILLER.test(word)).join(' '))
+      .find(name => /[a-z]{3,}/i.test(name));
+
+    return {
+      counterparty: counterparty ? counterparty.substring(0, 100) : null,
+      paymentMethod: channel ? channel.paymentMethod : 'Bank Transfer'
+    };
+  }
+
+  isPdfHeaderLine(line) {
+    const normalized = normalizeHeader(line);
+    return /\b(narration|description|particulars|remarks)\b/.test(normalized) && /\bbalance\b/.test(normalized);
+  }
+
+  findLabelledAmount(text, label) {
+    const match = text.match(new RegExp(`${label.source}[^\\d\\n-]*(-?[\\d,]+\\.\\d{2})(\\s*(cr|dr))?`, 'i'));
+    return match ? this.parseAmount(`${match[1]}${match[2] || ''}`).signedValue : null;
+  }
+
+  /**
+   * Work out missing debit/credit signs, check the running balance and tidy the result
+   */
+  finish({ bank, layout, transactions, openingBalance, closingBalance, issues }) {
+    const order = this.balanceOrder(transactions, openingBalance);
+
+    transactions.forEach((transaction, index) => {
+      const previousBalance = this.previousBalance(transactions, index, order, openingBalance);
+      const delta = previousBalance !== null && transaction.balance !== null
+        ? Math.round((transaction.balance - previousBalance) * 100) / 100
+        : null;
+
+      if (!transaction.sign && delta !== null && Math.abs(Math.abs(delta) - transaction.amount) <= BALANCE_TOLERANCE) {
+        transaction.sign = delta < 0 ? -1 : 1;
+        transaction.typeSource = 'balance';
+      }
+
+      if (!transaction.sign) {
+        const credit = CREDIT_HINTS.test(transaction.description);
+        const debit = DEBIT_HINTS.test(transaction.description);
+        transaction.sign = credit && !debit ? 1 : -1;
+        transaction.typeSource = credit !== debit ? 'narration' : 'default';
+      }
+
+      transaction.balanceVerified = delta === null
+        ? null
+        : Math.abs(delta - transaction.sign * transaction.amount) <= BALANCE_TOLERANCE;
+      if (transaction.balanceVerified === false) {
+        issues.push(`Line ${transaction.line}: balance ${transaction.balance} does not follow from the previous balance ${previousBalance}`);
+      }
+    });
+
+    return {
+      bank: bank ? { id: bank.id, name: bank.name } : { id: 'generic', name: 'Unknown bank' },
+      layout: { ...layout, order },
+      openingBalance,
+      closingBalance,
+      transactions: transactions.map(transaction => ({
+        line: transaction.line,
+        date: transaction.date,
+        description: transaction.description,
+        reference: transaction.reference,
+        type: transaction.sign < 0 ? 'debit' : 'credit',
+        amount: Math.round(transaction.amount * 100) / 100,
+        balance: transaction.balance,
+        typeSource: transaction.typeSource,
+        balanceVerified: transaction.balanceVerified,
+        rowHash: this.rowHash(transaction)
+      })),
+      issues
+    };
+  }
+
+  /**
+   * Statements list transactions oldest or newest first; pick the order in which
+   * consecutive balances differ by the transaction amounts
+   */
+  balanceOrder(transactions, openingBalance) {
+    const matches = (order) => transactions.filter((transaction, index) => {
+      const previous = this.previousBalance(transactions, index, order, openingBalance);
+      return previous !== null && transaction.balance !== null &&
+        Math.abs(Math.abs(transaction.balance - previous) - transaction.amount) <= BALANCE_TOLERANCE;
+    }).length;
+
+    return matches('descending') > matches('ascending') ? 'descending' : 'ascending';
+  }
+
+  previousBalance(transactions, index, order, openingBalance) {
+    if (order === 'descending') {
+      return index < transactions.length - 1 ? transactions[index + 1].balance : openingBalance;
+    }
+    return index > 0 ? transactions[index - 1].balance : openingBalance;
+  }
+
+  // Identifies a statement line so re-importing an overlapping period can be detected
+  rowHash(transaction) {
+    const key = [
+      transaction.date,
+      transaction.sign < 0 ? 'debit' : 'credit',
+      transaction.amount.toFixed(2),
+      transaction.description.toLowerCase().replace(/[^a-z0-9]/g, ''),
+      transaction.balance === null ? '' : transaction.balance.toFixed(2)
+    ].join('|');
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * The first row in which a date, a description and amount columns can all be named
+   * @returns {Object|null} { index, cells, columns }
+   */
+  findHeader(rows) {
+    for (let index = 0; index < Math.min(rows.length, HEADER_SCAN_ROWS); index++) {
+      const columns = this.mapColumns(rows[index]);
+      if (this.isUsableMapping(columns)) {
+        return { index, cells: rows[index], columns };
+      }
+    }
+    return null;
+  }
+
+  mapColumns(cells) {
+    const headers = cells.map(normalizeHeader);
+    const used = new Set();
+    const columns = {};
+
+    for (const column of MAPPED_COLUMNS) {
+      columns[column] = null;
+      for (const alias of COLUMN_ALIASES[column]) {
+        const index = headers.findIndex((header, position) =>
+          !used.has(position) && (header === alias || header.startsWith(`${alias} `)));
+        if (index !== -1) {
+          columns[column] = index;
+          used.add(index);
+          break;
+        }
+      }
+    }
+
+    return columns;
+  }
+
+  isUsableMapping(columns) {
+    return columns.date !== null && columns.description !== null &&
+      (columns.amount !== null || columns.debit !== null || columns.credit !== null);
+  }
+
+  /**
+   * Build a header from a column mapping (column indexes; headerRow null when the file has none)
+   */
+  headerFromMapping(rows, mapping) {
+    const columns = Object.fromEntries(MAPPED_COLUMNS.map(column => [column, Number.isInteger(mapping[column]) ? mapping[column] : null]));
+    if (!this.isUsableMapping(columns)) return null;
+
+    const index = Number.isInteger(mapping.headerRow) ? mapping.headerRow : -1;
+    return { index, cells: index >= 0 ? rows[index] : [], columns };
+  }
+
+  describeColumns({ cells, columns }) {
+    return Object.fromEntries(MAPPED_COLUMNS
+      .filter(column => columns[column] !== null)
+      .map(column => [column, { index: columns[column], header: cells[columns[column]] ?? null }]));
+  }
+
+  detectCsvBank(cells) {
+    const headers = cells.map(normalizeHeader);
+    return BANK_FORMATS.find(format => format.headers.every(expected =>
+      headers.some(header => header === expected || header.startsWith(`${expected} `)))) || null;
+  }
+
+  detectPdfBank(lines) {
+    const top = lines.slice(0, 25).join('\n');
+    return BANK_FORMATS.find(format => format.markers.some(marker => marker.test(top))) || null;
+  }
+
+  /**
+   * Amount and sign of a CSV row from whichever amount columns the layout has
+   * @returns {Object} { amount, sign } with sign -1 debit, 1 credit, null unknown
+   */
+  rowMoney(cell) {
+    const debit = this.parseAmount(cell('debit'));
+    const credit = this.parseAmount(cell('credit'));
+
+    if (debit && debit.value > 0) return { amount: debit.value, sign: -1 };
+    if (credit && credit.value > 0) return { amount: credit.value, sign: 1 };
+
+    const amount = this.parseAmount(cell('amount'));
+    if (!amount || amount.value === 0) return { amount: null, sign: null };
+
+    const type = normalizeHeader(cell('type'));
+    if (/^(dr|d|debit|withdrawal)$/.test(type)) return { amount: amount.value, sign: -1 };
+    if (/^(cr|c|credit|deposit)$/.test(type)) return { amount: amount.value, sign: 1 };
+
+    return { amount: amount.value, sign: amount.sign };
+  }
+
+  /**
+   * "1,23,456.78", "450.00 Cr", "(200.00)", "-75" -> { value, sign, signedValue }
+   * sign is -1/1 when the text says (minus, brackets, Dr/Cr) and null otherwise
+   * @returns {Object|null}
+   */
+  parseAmount(raw) {
+    let text = String(raw ?? '').trim().toLowerCase();
+    if (!text || text === '-') return null;
+
+    let sign = null;
+    const marker = text.match(/\s*(cr|dr)\.?$/);
+    if (marker) {
+      sign = marker[1] === 'dr' ? -1 : 1;
+      text = text.slice(0, marker.index);
+    }
+    if (/^\(.*\)$/.test(text)) {
+      sign = -1;
+      text = text.slice(1, -1);
+    }
+
+    text = text.replace(/₹|rs\.?|inr|,|\s/g, '');
+    if (text.startsWith('-')) {
+      sign = -1;
+      text = text.slice(1);
+    } else if (text.startsWith('+')) {
+      sign = 1;
+      text = text.slice(1);
+    }
+
+    if (!/^\d+(\.\d+)?$/.test(text)) return null;
+    const value = Number(text);
+    return { value, sign, signedValue: sign === -1 ? -value : value };
+  }
+
+  /**
+   * Day-first Indian dates ("01/10/26", "1-Oct-2026", "01 Oct 2026") and ISO dates
+   * @returns {string|null} YYYY-MM-DD
+   */
+  parseDate(raw) {
+    const text = String(raw ?? '').trim();
+    for (const { regex, parts } of DATE_PATTERNS) {
+      const match = text.match(regex);
+      if (!match) continue;
+
+      const [yearPart, monthPart, dayPart] = parts(match);
+      const year = Number(yearPart) < 100 ? 2000 + Number(yearPart) : Number(yearPart);
+      const month = Number(monthPart);
+      const day = Number(dayPart);
+      const date = new Date(Date.UTC(year, month - 1, day));
+
+      if (month && date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+        return date.toISOString().slice(0, 10);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Split CSV text into rows of cells: quoted fields, doubled quotes, CRLF and
+   * comma, semicolon, tab or pipe delimiters (whichever splits the first lines most evenly)
+   */
+  parseCsvRows(text) {
+    const source = String(text || '').replace(/^﻿/, '');
+    const delimiter = this.detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field.trim() === '') {
+        quoted = true;
+        field = '';
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows
+      .map(cells => cells.map(cell => cell.trim()))
+      .filter(cells => cells.some(cell => cell !== ''));
+  }
+
+  detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+    let best = ',';
+    let bestScore = 0;
+
+    for (const delimiter of [',', ';', '\t', '|']) {
+      // Favour delimiters that split many lines into the same number of cells
+      const frequency = new Map();
+      lines.forEach(line => {
+        const count = line.split(delimiter).length - 1;
+        if (count > 0) frequency.set(count, (frequency.get(count) || 0) + 1);
+      });
+      const score = Math.max(0, ...[...frequency].map(([count, lineCount]) => count * lineCount));
+      if (score > bestScore) {
+        best = delimiter;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+}
+
+module.exports = new BankStatementParser();
+module.exports.BANK_FORMATS = BANK_FORMATS;
+module.exports.StatementParseError = StatementParseError;
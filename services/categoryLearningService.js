@@ -0,0 +1,237 @@
+// Per-user merchant -> category rules learned from corrections to AI suggestions
+const supabase = require('../config/supabase');
+
+const CORRECTION_SOURCES = ['analyze_receipt', 'analyze_category', 'manual'];
+const MAX_RULES_SCANNED = 500;
+const FEW_SHOT_EXAMPLES = 5;
+
+// Dropped from merchant names so "DMart Pvt Ltd" and "D-MART" share a rule
+const MERCHANT_SUFFIXES = /\b(pvt|private|ltd|limited|llp|inc|co|company|corp|corporation|india|the)\b/g;
+
+class CategoryLearningService {
+  /**
+   * Key a merchant name for matching: lowercase letters and digits only, without company suffixes
+   * @returns {string|null} null when too short to match reliably
+   */
+  merchantKey(name) {
+    if (!name || typeof name !== 'string') return null;
+
+    const key = name
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, '')
+      .replace(MERCHANT_SUFFIXES, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return key.replace(/\s/g, '').length >= 3 ? key : null;
+  }
+
+  /**
+   * Find the caller's rule for a merchant named anywhere in the document text.
+   * The longest matching merchant wins, so "dmart ready" beats "dmart".
+   * @param {string} userId
+   * @param {string} text - OCR text or a merchant name
+   * @param {Array<string>} allowedCategories - only rules for these categories apply (all when empty)
+   * @returns {Promise<Object|null>} merchant_category_rules row
+   */
+  async findRuleForText(userId, text, allowedCategories = []) {
+    const haystack = ` ${(this.merchantKey(text) || '')} `;
+    // Also match names the OCR split or joined differently ("D MART" vs "DMART")
+    const compact = haystack.replace(/\s/g, '');
+    if (!compact) return null;
+
+    const { data: rules, error } = await supabase
+      .from('merchant_category_rules')
+      .select('*')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false })
+      .limit(MAX_RULES_SCANNED);
+
+    if (error) {
+      // Learning is an optimization; fall back to the model rather than failing the request
+      console.error('Error fetching merchant rules:', error);
+      return null;
+    }
+
+    const allowed = allowedCategories.map(category => category.toLowerCase());
+    const match = (rules || [])
+      .filter(rule => allowed.length === 0 || allowed.includes(rule.category.toLowerCase()))
+      .filter(rule => {
+        if (haystack.includes(` ${rule.merchant_key} `)) return true;
+        // Without word boundaries short keys would match inside other words ("ola" in "cola")
+        const compactKey = rule.merchant_key.replace(/\s/g, '');
+        return compactKey.length >= 5 && compact.includes(compactKey);
+      })
+      .sort((a, b) => b.merchant_key.length - a.merchant_key.length)[0];
+
+    if (!match) return null;
+
+    const { error: hitError } = await supabase
+      .from('merchant_category_rules')
+      .update({ hit_count: (match.hit_count || 0) + 1, last_applied_at: new Date().toISOString() })
+      .eq('id', match.id);
+
+    if (hitError) {
+      console.error('Error recording merchant rule hit:', hitError);
+    }
+
+    return match;
+  }
+
+  /**
+   * The caller's latest corrections, one per merchant, for few-shot prompting
+   * @returns {Promise<Array>} [{ merchant, category }]
+   */
+  async getRecentExamples(userId, limit = FEW_SHOT_EXAMPLES) {
+    const { data, error } = await supabase
+      .from('category_corrections')
+      .select('merchant_name, category')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit * 4);
+
+    if (error) {
+      console.error('Error fetching category corrections:', error);
+      return [];
+    }
+
+    const seen = new Set();
+    const examples = [];
+    for (const correction of data || []) {
+      const key = this.merchantKey(correction.merchant_name);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      examples.push({ merchant: correction.merchant_name, category: correction.category });
+      if (examples.length === limit) break;
+    }
+
+    return examples;
+  }
+
+  /**
+   * Record that the user changed a suggested category, and learn the merchant rule
+   * @param {string} userId
+   * @param {Object} correction - { merchant, suggestedCategory, category, source }
+   * @returns {Promise<Object>} { success, status?, message?, data? }
+   */
+  async recordCorrection(userId, { merchant, suggestedCategory = null, category, source = 'manual' }) {
+    const merchantKey = this.merchantKey(merchant);
+    if (!merchantKey) {
+      return { success: false, status: 400, message: 'merchant must contain at least 3 letters or digits' };
+    }
+
+    if (!CORRECTION_SOURCES.includes(source)) {
+      return { success: false, status: 400, message: `source must be one of: ${CORRECTION_SOURCES.join(', ')}` };
+    }
+
+    if (suggestedCategory && suggestedCategory.toLowerCase() === category.toLowerCase()) {
+      return { success: true, data: { learned: false, rule: null } };
+    }
+
+    const merchantName = merchant.trim().substring(0, 100);
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('merchant_category_rules')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('merchant_key', merchantKey)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Error fetching merchant rule:', fetchError);
+      throw new Error('Failed to record category correction');
+    }
+
+    let rule;
+    if (existing) {
+      const { data, error } = await supabase
+        .from('merchant_category_rules')
+        .update({
+          merchant_name: merchantName,
+          category,
+          correction_count: (existing.correction_count || 0) + 1
+        })
+        .eq('id', existing.id)
+        .select('*')
+        .single();
+
+      if (error) {
+        console.error('Error updating merchant rule:', error);
+        throw new Error('Failed to record category correction');
+      }
+      rule = data;
+    } else {
+      const { data, error } = await supabase
+        .from('merchant_category_rules')
+        .upsert({
+          user_id: userId,
+          merchant_key: merchantKey,
+          merchant_name: merchantName,
+          category
+        }, { onConflict: 'user_id,merchant_key' })
+        .select('*')
+        .single();
+
+      if (error) {
+        console.error('Error creating merchant rule:', error);
+        throw new Error('Failed to record category correction');
+      }
+      rule = data;
+    }
+
+    const { error: logError } = await supabase
+      .from('category_corrections')
+      .insert({
+        user_id: userId,
+        rule_id: rule.id,
+        merchant_name: merchantName,
+        suggested_category: suggestedCategory,
+        category,
+        source
+      });
+
+    if (logError) {
+      console.error('Error logging category correction:', logError);
+    }
+
+    console.log(`🧠 Learned ${merchantName} -> ${category} for user ${userId}`);
+    return { success: true, data: { learned: true, rule } };
+  }
+
+  async listRules(userId) {
+    const { data, error } = await supabase
+      .from('merchant_category_rules')
+      .select('id, merchant_name, merchant_key, category, correction_count, hit_count, last_applied_at, created_at, updated_at')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching merchant rules:', error);
+      throw new Error('Failed to fetch merchant rules');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Delete one of the caller's rules
+   * @returns {Promise<boolean>} false when no such rule belongs to the caller
+   */
+  async deleteRule(userId, ruleId) {
+    const { data, error } = await supabase
+      .from('merchant_category_rules')
+      .delete()
+      .eq('id', ruleId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      console.error('Error deleting merchant rule:', error);
+      throw new Error('Failed to delete merchant rule');
+    }
+
+    return (data || []).length > 0;
+  }
+}
+
+module.exports = new CategoryLearningService();
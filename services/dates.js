@@ -0,0 +1,15 @@
+// Calendar date checks shared by the routes and services that take YYYY-MM-DD input
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Date.parse rolls impossible dates like 2024-02-31 over into the next month,
+// so a date is only valid if it formats back to the same string
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+};
+
+module.exports = {
+  isValidDate
+};
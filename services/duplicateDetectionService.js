@@ -0,0 +1,337 @@
+// Finds expenses that look like the same purchase, and resolves flagged pairs
+const supabase = require('../config/supabase');
+const receiptFingerprintService = require('./receiptFingerprintService');
+const categoryLearningService = require('./categoryLearningService');
+
+const DATE_WINDOW_DAYS = 3;
+// Hashes this close mean the same receipt (at most 6 / 9 of 64 bits differ)
+const SAME_IMAGE_SIMILARITY = 0.9;
+const SAME_TEXT_SIMILARITY = 0.85;
+const MIN_SCORE = 0.6;
+const MAX_CANDIDATES = 5;
+const FINGERPRINT_LOOKBACK_DAYS = 365;
+const PAIR_STATUSES = ['pending', 'merged', 'dismissed'];
+
+const EXPENSE_COLUMNS = 'id, amount, date, category, description, payment_method, receipt_url, receipt_image_hash, receipt_text_hash, created_at';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DuplicateDetectionService {
+  /**
+   * Score the caller's expenses against a new expense or receipt
+   * @param {string} userId
+   * @param {Object} probe - { amount, date, merchant, imageHash, textHash, excludeExpenseId }
+   * @returns {Promise<Array>} [{ expenseId, expense, score, reasons }] best first
+   */
+  async findCandidates(userId, probe) {
+    const candidates = new Map();
+    const add = (rows) => (rows || []).forEach(row => candidates.set(row.id, row));
+
+    const amount = Number(probe.amount);
+    if (Number.isFinite(amount) && amount > 0 && probe.date) {
+      const tolerance = this.amountTolerance(amount);
+      const { data, error } = await supabase
+        .from('expenses')
+        .select(EXPENSE_COLUMNS)
+        .eq('user_id', userId)
+        .gte('amount', amount - tolerance)
+        .lte('amount', amount + tolerance)
+        .gte('date', this.shiftDate(probe.date, -DATE_WINDOW_DAYS))
+        .lte('date', this.shiftDate(probe.date, DATE_WINDOW_DAYS))
+        .limit(50);
+
+      if (error) {
+        console.error('Error fetching duplicate candidates:', error);
+        throw new Error('Failed to check for duplicates');
+      }
+      add(data);
+    }
+
+    // Hamming distance can't be queried, so compare recent fingerprints in memory
+    if (probe.imageHash || probe.textHash) {
+      const since = new Date(Date.now() - FINGERPRINT_LOOKBACK_DAYS * DAY_MS).toISOString();
+      const { data, error } = await supabase
+        .from('expenses')
+        .select(EXPENSE_COLUMNS)
+        .eq('user_id', userId)
+        .or('receipt_image_hash.not.is.null,receipt_text_hash.not.is.null')
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(1000);
+
+      if (error) {
+        console.error('Error fetching receipt fingerprints:', error);
+        throw new Error('Failed to check for duplicates');
+      }
+      add(data);
+    }
+
+    candidates.delete(probe.excludeExpenseId);
+
+    return [...candidates.values()]
+      .map(expense => ({ expenseId: expense.id, expense: this.toSummary(expense), ...this.score(probe, expense) }))
+      .filter(candidate => candidate.score >= MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+  }
+
+  /**
+   * Similarity of a probe and an existing expense, with the evidence behind it
+   * @returns {Object} { score, reasons }
+   */
+  score(probe, expense) {
+    const image = receiptFingerprintService.similarity(probe.imageHash, expense.receipt_image_hash);
+    const text = receiptFingerprintService.similarity(probe.textHash, expense.receipt_text_hash);
+
+    const amount = Number(probe.amount);
+    const amountMatches = Number.isFinite(amount) && Math.abs(amount - Number(expense.amount)) <= this.amountTolerance(amount);
+    const daysApart = probe.date && expense.date
+      ? Math.round(Math.abs(Date.parse(probe.date) - Date.parse(expense.date)) / DAY_MS)
+      : null;
+    const merchant = this.merchantSimilarity(probe.merchant, expense.description);
+
+    const reasons = {
+      imageSimilarity: image,
+      textSimilarity: text,
+      amountMatches,
+      daysApart,
+      merchantSimilarity: merchant
+    };
+
+    // The same receipt scanned twice. Bills from one store share a layout, so when the
+    // extracted amounts disagree both fingerprints have to match, not just one.
+    const imageMatches = image !== null && image >= SAME_IMAGE_SIMILARITY;
+    const textMatches = text !== null && text >= SAME_TEXT_SIMILARITY;
+    const amountsKnown = Number.isFinite(amount) && amount > 0 && Number(expense.amount) > 0;
+    const sameReceipt = amountsKnown && !amountMatches
+      ? imageMatches && textMatches
+      : imageMatches || textMatches;
+    if (sameReceipt) {
+      return { score: Math.max(image ?? 0, text ?? 0), reasons: { ...reasons, sameReceipt: true } };
+    }
+
+    if (!amountMatches || daysApart === null || daysApart > DATE_WINDOW_DAYS) {
+      return { score: 0, reasons };
+    }
+
+    const dateScore = 1 - daysApart / (DATE_WINDOW_DAYS + 1);
+    const score = 0.5 + 0.25 * dateScore + 0.25 * (merchant ?? 0);
+    return { score: Math.round(score * 1000) / 1000, reasons: { ...reasons, sameReceipt: false } };
+  }
+
+  // Token overlap of the merchant names (Jaccard); null when either is unknown.
+  // "D MART" and "DMart Ready" count as the same merchant when one name contains the other.
+  merchantSimilarity(a, b) {
+    const keyA = categoryLearningService.merchantKey(a);
+    const keyB = categoryLearningService.merchantKey(b);
+    if (!keyA || !keyB) return null;
+
+    const compactA = keyA.replace(/\s/g, '');
+    const compactB = keyB.replace(/\s/g, '');
+    if (compactA.includes(compactB) || compactB.includes(compactA)) return 1;
+
+    const left = new Set(keyA.split(' '));
+    const right = new Set(keyB.split(' '));
+    const shared = [...left].filter(token => right.has(token)).length;
+    return Math.round((shared / (left.size + right.size - shared)) * 1000) / 1000;
+  }
+
+  amountTolerance(amount) {
+    return Math.max(1, amount * 0.01);
+  }
+
+  shiftDate(date, days) {
+    return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  toSummary(expense) {
+    return {
+      id: expense.id,
+      amount: Number(expense.amount),
+      date: expense.date,
+      category: expense.category,
+      description: expense.description,
+      payment_method: expense.payment_method,
+      receipt_url: expense.receipt_url,
+      created_at: expense.created_at
+    };
+  }
+
+  /**
+   * Flag pairs for review after an expense is created; re-flagging a pair is a no-op
+   */
+  async recordPairs(userId, expenseId, candidates) {
+    if (candidates.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('expense_duplicates')
+      .upsert(candidates.map(candidate => ({
+        user_id: userId,
+        expense_id: expenseId,
+        duplicate_of_expense_id: candidate.expenseId,
+        score: candidate.score,
+        reasons: candidate.reasons
+      })), { onConflict: 'expense_id,duplicate_of_expense_id', ignoreDuplicates: true })
+      .select('id, duplicate_of_expense_id');
+
+    if (error) {
+      console.error('Error recording duplicate pairs:', error);
+      throw new Error('Failed to record duplicate pairs');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Check a newly created expense and flag its likely duplicates
+   * @returns {Promise<Array>} possibleDuplicates for the API response, with pairId
+   */
+  async checkNewExpense(expense) {
+    const candidates = await this.findCandidates(expense.user_id, {
+      amount: expense.amount,
+      date: expense.date,
+      merchant: expense.description,
+      imageHash: expense.receipt_image_hash,
+      textHash: expense.receipt_text_hash,
+      excludeExpenseId: expense.id
+    });
+
+    const pairs = await this.recordPairs(expense.user_id, expense.id, candidates);
+    const pairIds = new Map(pairs.map(pair => [pair.duplicate_of_expense_id, pair.id]));
+
+    return candidates.map(candidate => ({ ...candidate, pairId: pairIds.get(candidate.expenseId) || null }));
+  }
+
+  /**
+   * List the caller's flagged pairs with both expenses
+   */
+  async listPairs(userId, status = 'pending') {
+    let query = supabase
+      .from('expense_duplicates')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (status) query = query.eq('status', status);
+    // Pending pairs whose expense has since been deleted are moot
+    if (status === 'pending') {
+      query = query.not('expense_id', 'is', null).not('duplicate_of_expense_id', 'is', null);
+    }
+
+    const { data: pairs, error } = await query;
+    if (error) {
+      console.error('Error fetching duplicate pairs:', error);
+      throw new Error('Failed to fetch duplicate pairs');
+    }
+
+    const ids = [...new Set((pairs || []).flatMap(pair => [pair.expense_id, pair.duplicate_of_expense_id]).filter(Boolean))];
+    const expenses = new Map();
+    if (ids.length > 0) {
+      const { data, error: expenseError } = await supabase
+        .from('expenses')
+        .select(EXPENSE_COLUMNS)
+        .eq('user_id', userId)
+        .in('id', ids);
+
+      if (expenseError) {
+        console.error('Error fetching duplicate expenses:', expenseError);
+        throw new Error('Failed to fetch duplicate pairs');
+      }
+      (data || []).forEach(expense => expenses.set(expense.id, this.toSummary(expense)));
+    }
+
+    return (pairs || []).map(pair => ({
+      ...pair,
+      score: Number(pair.score),
+      expense: expenses.get(pair.expense_id) || null,
+      duplicateOf: expenses.get(pair.duplicate_of_expense_id) || null
+    }));
+  }
+
+  async getPendingPair(userId, pairId) {
+    const { data: pair, error } = await supabase
+      .from('expense_duplicates')
+      .select('*')
+      .eq('id', pairId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching duplicate pair:', error);
+      throw new Error('Failed to fetch duplicate pair');
+    }
+
+    if (!pair) return { success: false, status: 404, message: 'Duplicate pair not found' };
+    if (pair.status !== 'pending') {
+      return { success: false, status: 409, message: `Duplicate pair was already ${pair.status}` };
+    }
+    return { success: true, pair };
+  }
+
+  /**
+   * Mark a pair as not a duplicate
+   */
+  async dismissPair(userId, pairId) {
+    const found = await this.getPendingPair(userId, pairId);
+    if (!found.success) return found;
+
+    const { data, error } = await supabase
+      .from('expense_duplicates')
+      .update({ status: 'dismissed', resolved_at: new Date().toISOString() })
+      .eq('id', pairId)
+      .eq('status', 'pending')
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error dismissing duplicate pair:', error);
+      throw new Error('Failed to dismiss duplicate pair');
+    }
+
+    if (!data) return { success: false, status: 409, message: 'Duplicate pair was already resolved' };
+    return { success: true, data };
+  }
+
+  /**
+   * Merge a pair into one expense: the kept expense takes over the receipt, fingerprints,
+   * notes and line items the other one has and it lacks; the other expense is deleted.
+   * merge_expense_duplicate does all of it in one transaction, so a failure leaves the
+   * pair pending and both expenses untouched.
+   * @param {string} keep - 'existing' keeps the older expense (default), 'new' the newer one
+   */
+  async mergePair(userId, pairId, keep = 'existing') {
+    const found = await this.getPendingPair(userId, pairId);
+    if (!found.success) return found;
+
+    const { pair } = found;
+    if (!pair.expense_id || !pair.duplicate_of_expense_id) {
+      return { success: false, status: 409, message: 'One of the expenses in this pair no longer exists' };
+    }
+
+    const { data, error } = await supabase.rpc('merge_expense_duplicate', {
+      p_pair_id: pairId,
+      p_user_id: userId,
+      p_keep: keep
+    });
+
+    if (error) {
+      if (error.message && error.message.includes('PAIR_NOT_FOUND')) {
+        return { success: false, status: 404, message: 'Duplicate pair not found' };
+      }
+      if (error.message && error.message.includes('PAIR_ALREADY_RESOLVED')) {
+        return { success: false, status: 409, message: 'Duplicate pair was already resolved' };
+      }
+      if (error.message && error.message.includes('EXPENSE_MISSING')) {
+        return { success: false, status: 409, message: 'One of the expenses in this pair no longer exists' };
+      }
+      console.error('Error merging duplicate pair:', error);
+      throw new Error('Failed to merge duplicate pair');
+    }
+
+    console.log(`🔗 Merged expense ${data.removedExpenseId} into ${data.expense.id}`);
+    return { success: true, data };
+  }
+}
+
+module.exports = new DuplicateDetectionService();
+module.exports.PAIR_STATUSES = PAIR_STATUSES;
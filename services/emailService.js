@@ -1,6 +1,14 @@
 // Email service for sending payment confirmations and receipts
 const nodemailer = require('nodemailer');
 
+// Names, notes and the like come from users; never put them into email HTML raw
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 class EmailService {
   constructor() {
     // Configure email transporter
@@ -59,6 +67,73 @@ class EmailService {
     }
   }
 
+  /**
+   * Send a password reset link
+   * @param {Object} options - Email options
+   * @param {string} options.to - Recipient email
+   * @param {string} options.userName - User's name
+   * @param {string} options.resetUrl - Single-use reset link
+   * @param {number} options.expiresInMinutes - How long the link stays valid
+   */
+  async sendPasswordResetEmail({ to, userName, resetUrl, expiresInMinutes }) {
+    try {
+      const mailOptions = {
+        from: {
+          name: 'ExpenseAI',
+          address: process.env.EMAIL_USER
+        },
+        to: to,
+        subject: 'Reset your ExpenseAI password',
+        html: this.generatePasswordResetEmailHTML({ userName, resetUrl, expiresInMinutes }),
+        text: `Hi ${userName || 'there'},\n\nUse this link to reset your ExpenseAI password. It expires in ${expiresInMinutes} minutes and can only be used once:\n${resetUrl}\n\nIf you didn't ask for this, you can ignore this email.`
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log('Password reset email sent:', info.messageId);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Generate HTML content for password reset email
+   */
+  generatePasswordResetEmailHTML({ userName, resetUrl, expiresInMinutes }) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+        <div style="background-color: #ffffff; border-radius: 10px; padding: 30px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+          <div style="text-align: center; padding-bottom: 20px; border-bottom: 2px solid #22c55e;">
+            <h1 style="color: #22c55e; margin: 0; font-size: 28px;">ExpenseAI</h1>
+          </div>
+
+          <div style="text-align: center;">
+            <h2 style="color: #333; margin: 20px 0 10px;">Reset your password</h2>
+            <p style="color: #666;">Hi ${escapeHtml(userName || 'there')},</p>
+            <p style="color: #666;">We received a request to reset your password. This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+            <a href="${escapeHtml(resetUrl)}" style="display: inline-block; padding: 12px 30px; background-color: #22c55e; color: white; text-decoration: none; border-radius: 6px; margin: 20px 0; font-weight: 600;">Reset Password</a>
+            <p style="color: #999; font-size: 12px; word-break: break-all;">${escapeHtml(resetUrl)}</p>
+          </div>
+
+          <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e5e5; color: #666; font-size: 14px;">
+            <p>If you didn't ask to reset your password, you can ignore this email.</p>
+            <p style="font-size: 12px; color: #999;">
+              This is an automated email. Please do not reply to this message.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   /**
    * Generate HTML content for payment confirmation email
    */
@@ -163,7 +238,7 @@ class EmailService {
           <div style="text-align: center;">
             <div class="success-icon">✅</div>
             <h2 style="color: #333; margin: 10px 0;">Payment Successful!</h2>
-            <p style="color: #666;">Hi ${userName || 'there'},</p>
+            <p style="color: #666;">Hi ${escapeHtml(userName || 'there')},</p>
             <p style="color: #666;">Your payment has been processed successfully.</p>
           </div>
 
@@ -172,11 +247,11 @@ class EmailService {
           <div class="details">
             <div class="detail-row">
               <span class="detail-label">Transaction ID</span>
-              <span class="detail-value">${payment.razorpay_payment_id}</span>
+              <span class="detail-value">${escapeHtml(payment.razorpay_payment_id)}</span>
             </div>
             <div class="detail-row">
               <span class="detail-label">Order ID</span>
-              <span class="detail-value">${payment.razorpay_order_id}</span>
+              <span class="detail-value">${escapeHtml(payment.razorpay_order_id)}</span>
             </div>
             <div class="detail-row">
               <span class="detail-label">Date & Time</span>
@@ -189,7 +264,7 @@ class EmailService {
             ${payment.notes?.description ? `
             <div class="detail-row">
               <span class="detail-label">Description</span>
-              <span class="detail-value">${payment.notes.description}</span>
+              <span class="detail-value">${escapeHtml(payment.notes.description)}</span>
             </div>
             ` : ''}
           </div>
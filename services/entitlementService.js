@@ -0,0 +1,114 @@
+// Feature limits per plan and metered monthly usage
+const supabase = require('../config/supabase');
+const subscriptionService = require('./subscriptionService');
+
+// Feature name -> key in subscription_plans.features holding its monthly limit
+const METERED_FEATURES = {
+  ocr_analysis: 'ocr_analyses_per_month',
+  assistant_question: 'assistant_questions_per_month'
+};
+
+class EntitlementService {
+  /**
+   * Check whether the user may use a metered feature right now
+   * @param {string} userId
+   * @param {string} feature - Key of METERED_FEATURES
+   * @returns {Promise<Object>} { allowed, limit, used, planCode }
+   */
+  async checkFeature(userId, feature) {
+    const limitKey = METERED_FEATURES[feature];
+    if (!limitKey) {
+      throw new Error(`Unknown feature: ${feature}`);
+    }
+
+    const { plan, features } = await subscriptionService.getEntitlements(userId);
+    const limit = features[limitKey] ?? null;
+    const planCode = plan?.code || 'free';
+
+    if (limit === null) {
+      return { allowed: true, limit: null, used: null, planCode };
+    }
+
+    const used = await this.getUsage(userId, feature);
+    return { allowed: used < limit, limit, used, planCode };
+  }
+
+  async getUsage(userId, feature) {
+    const { data, error } = await supabase
+      .from('feature_usage')
+      .select('count')
+      .eq('user_id', userId)
+      .eq('feature', feature)
+      .eq('period', this.currentPeriod())
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching feature usage:', error);
+      throw new Error('Failed to fetch feature usage');
+    }
+
+    return data?.count || 0;
+  }
+
+  /**
+   * Take one unit of a metered feature before running it. The limit is enforced
+   * atomically in SQL (increment_feature_usage), so concurrent requests can't
+   * overshoot it.
+   * @returns {Promise<Object>} { allowed, limit, used, planCode, period } - used includes this unit
+   */
+  async reserveUsage(userId, feature) {
+    const limitKey = METERED_FEATURES[feature];
+    if (!limitKey) {
+      throw new Error(`Unknown feature: ${feature}`);
+    }
+
+    const { plan, features } = await subscriptionService.getEntitlements(userId);
+    const limit = features[limitKey] ?? null;
+    const planCode = plan?.code || 'free';
+
+    if (limit === null) {
+      return { allowed: true, limit: null, used: null, planCode, period: null };
+    }
+
+    const period = this.currentPeriod();
+    const { data, error } = await supabase.rpc('increment_feature_usage', {
+      p_user_id: userId,
+      p_feature: feature,
+      p_period: period,
+      p_limit: limit
+    });
+
+    if (error) {
+      console.error('Error reserving feature usage:', error);
+      throw new Error('Failed to reserve feature usage');
+    }
+
+    if (data === null || data === undefined) {
+      return { allowed: false, limit, used: await this.getUsage(userId, feature), planCode, period };
+    }
+
+    return { allowed: true, limit, used: data, planCode, period };
+  }
+
+  /**
+   * Give back a unit taken by reserveUsage
+   * @param {string} period - The period the unit was reserved in
+   */
+  async releaseUsage(userId, feature, period) {
+    const { error } = await supabase.rpc('release_feature_usage', {
+      p_user_id: userId,
+      p_feature: feature,
+      p_period: period
+    });
+
+    if (error) {
+      console.error('Error releasing feature usage:', error);
+    }
+  }
+
+  currentPeriod() {
+    return new Date().toISOString().slice(0, 7);
+  }
+}
+
+module.exports = new EntitlementService();
@@ -0,0 +1,8 @@
+// Categories the expenses table accepts (the CHECK constraint in create_expenses_table.sql).
+// The expense_categories table has its own, longer names ('Food & Dining', 'Transportation')
+// for receipt analysis; anything written to or filtered on expenses.category uses these.
+const EXPENSE_CATEGORIES = ['Food', 'Rent', 'Transport', 'Shopping', 'Bills', 'EMI', 'Education', 'Entertainment', 'Investments'];
+
+module.exports = {
+  EXPENSE_CATEGORIES
+};
@@ -0,0 +1,22 @@
+// Money and date formatting for amounts and sentences shown to users (assistant answers,
+// anomaly explanations, reconciliation figures)
+
+// Rupee amounts to the paisa
+const round = (value) => Math.round(value * 100) / 100;
+
+// ₹1,23,456.78
+const inr = (value) => `₹${round(value).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+// A YYYY-MM-DD date as written in India, e.g. "5 Oct 2026"; options override the parts shown
+const formatDate = (date, options = { day: 'numeric', month: 'short', year: 'numeric' }) =>
+  new Date(`${date}T00:00:00Z`).toLocaleString('en-IN', { timeZone: 'UTC', ...options });
+
+// YYYY-MM -> "Oct 2026"
+const monthName = (month) => formatDate(`${month}-01`, { month: 'short', year: 'numeric' });
+
+module.exports = {
+  round,
+  inr,
+  formatDate,
+  monthName
+};
@@ -0,0 +1,683 @@
+// Rule-based stand-in for a model: keyword heuristics over the raw document text.
+// It answers every task with the same shape a model would, so the parsing and
+// validation in openaiService run unchanged in development and CI.
+
+// Keyword groups, matched to whatever category names the caller offers via aliases
+const CATEGORY_KEYWORDS = [
+  {
+    aliases: ['food', 'dining', 'grocer', 'restaurant'],
+    keywords: ['restaurant', 'cafe', 'coffee', 'tea', 'burger', 'pizza', 'biryani', 'meal', 'dine', 'swiggy', 'zomato',
+      'bakery', 'sweets', 'milk', 'bread', 'rice', 'atta', 'dal', 'vegetable', 'fruit', 'grocery', 'supermarket', 'kitchen']
+  },
+  {
+    aliases: ['transport', 'travel', 'fuel'],
+    keywords: ['uber', 'ola', 'rapido', 'taxi', 'cab', 'auto', 'metro', 'bus', 'petrol', 'diesel', 'fuel', 'parking',
+      'toll', 'fastag', 'irctc', 'railway', 'flight', 'airline', 'indigo']
+  },
+  {
+    aliases: ['health', 'medical'],
+    keywords: ['pharmacy', 'chemist', 'medical', 'medicine', 'hospital', 'clinic', 'doctor', 'diagnostic', 'lab', 'apollo', 'tablet']
+  },
+  {
+    aliases: ['bill', 'utilit'],
+    keywords: ['electricity', 'kseb', 'bescom', 'water bill', 'broadband', 'internet', 'recharge', 'postpaid', 'prepaid',
+      'airtel', 'jio', 'vodafone', 'gas cylinder', 'lpg', 'dth']
+  },
+  {
+    aliases: ['entertain'],
+    keywords: ['movie', 'cinema', 'pvr', 'inox', 'bookmyshow', 'netflix', 'prime video', 'hotstar', 'spotify', 'game', 'concert']
+  },
+  {
+    aliases: ['educat'],
+    keywords: ['school', 'college', 'university', 'tuition', 'course', 'exam fee', 'books', 'stationery', 'udemy', 'coursera']
+  },
+  {
+    aliases: ['rent', 'housing'],
+    keywords: ['rent', 'lease', 'maintenance charges', 'society']
+  },
+  {
+    aliases: ['emi', 'loan', 'financ'],
+    keywords: ['emi', 'loan', 'instalment', 'installment', 'insurance', 'premium']
+  },
+  {
+    aliases: ['invest'],
+    keywords: ['mutual fund', 'sip', 'zerodha', 'groww', 'stocks', 'shares', 'demat']
+  },
+  {
+    aliases: ['shop'],
+    keywords: ['mart', 'store', 'mall', 'amazon', 'flipkart', 'myntra', 'ajio', 'apparel', 'fashion', 'electronics',
+      'detergent', 'soap', 'shampoo', 'utensil', 'hardware']
+  }
+];
+
+const INCOME_KEYWORDS = [
+  { aliases: ['salary'], keywords: ['salary', 'payslip', 'pay slip', 'net pay', 'basic pay', 'employer', 'form 16'] },
+  { aliases: ['freelanc'], keywords: ['freelance', 'consulting', 'professional fees', 'upwork', 'fiverr'] },
+  { aliases: ['rent'], keywords: ['rent received', 'rental', 'tenant'] },
+  { aliases: ['invest', 'dividend'], keywords: ['dividend', 'interest credited', 'interest', 'capital gain', 'redemption'] },
+  { aliases: ['bonus'], keywords: ['bonus', 'incentive'] },
+  { aliases: ['business', 'sales'], keywords: ['invoice', 'sales', 'revenue', 'customer'] },
+  { aliases: ['government', 'pension'], keywords: ['pension', 'subsidy', 'scholarship', 'dbt'] },
+  { aliases: ['gift'], keywords: ['gift'] }
+];
+
+// Default category lists the prompts use when the caller has none
+const DEFAULT_EXPENSE_CATEGORIES = ['Food & Dining', 'Utilities', 'Housing', 'Transportation', 'Healthcare', 'Education',
+  'Entertainment', 'Shopping', 'Financial', 'Miscellaneous'];
+
+const TOTAL_KEYWORDS = [/grand\s*total/i, /net\s*(amount|payable|total)/i, /amount\s*(to\s*pay|payable|due|paid)/i, /\btotal\b/i];
+const INCOME_AMOUNT_KEYWORDS = [/net\s*(pay|salary|amount)/i, /amount\s*credited/i, /take\s*home/i, /\btotal\b/i, /\bamount\b/i];
+const TAX_LINE = /\b(c\s*gst|s\s*gst|i\s*gst|u\s*gst|gst|cess|vat|tax)\b/i;
+const NON_ITEM_LINE = /sub\s*total|\btotal\b|round\s*(off|ing)|change|tender|cash\s*paid|balance|discount|savings|tip|service\s*charge|\bgst|tax|cess|invoice|bill\s*no|date|phone|tel|gstin|thank/i;
+// Payslip labels in the order they are tried; totals first so "Total Deductions" isn't read as a deduction
+const PAYSLIP_TOTALS = [
+  { field: 'netPay', pattern: /net\s*(pay|salary|amount|payable)|take\s*home/i },
+  { field: 'totalDeductions', pattern: /(total|gross)\s*deductions?/i },
+  { field: 'grossPay', pattern: /gross\s*(pay|salary|earnings?)|total\s*earnings?/i }
+];
+const PAYSLIP_DEDUCTIONS = [
+  { component: 'vpf', pattern: /\bvpf\b|voluntary\s*p/i },
+  { component: 'pf', pattern: /\be?pf\b|provident/i },
+  { component: 'professional_tax', pattern: /professional\s*tax|prof\.?\s*tax|p\.?\s*tax\b|\bpt\b/i },
+  { component: 'tds', pattern: /\btds\b|income\s*tax/i },
+  { component: 'esi', pattern: /\besic?\b/i },
+  { component: 'lwf', pattern: /\blwf\b|labou?r\s*welfare/i },
+  { component: 'loan', pattern: /loan|advance/i }
+];
+const PAYSLIP_EARNINGS = [
+  { component: 'basic', pattern: /\bbasic\b/i },
+  { component: 'hra', pattern: /\bhra\b|house\s*rent/i },
+  { component: 'special_allowance', pattern: /special\s*allowance/i },
+  { component: 'conveyance', pattern: /conveyance|transport\s*allowance/i },
+  { component: 'medical', pattern: /medical\s*allowance/i },
+  { component: 'lta', pattern: /\blta\b|leave\s*travel/i },
+  { component: 'bonus', pattern: /bonus|incentive/i },
+  { component: 'overtime', pattern: /overtime/i },
+  { component: 'other', pattern: /allowance|arrears?/i }
+];
+// "Label 12,345.00" pairs; payslips print earnings and deductions side by side on one line
+const LABELLED_AMOUNT = /([a-z][a-z .&/'()-]*?)\s*[:-]?\s*(?:₹|rs\.?|inr)?\s*(\d{1,3}(?:,\d{2,3})+(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)(?=\s|$)/gi;
+// Indian grouping runs past the 8 digits amountsIn allows for receipts: 12,00,000.00.
+// Short bare numbers are years, serials and section numbers rather than amounts.
+const LARGE_AMOUNT = /(?<![\w.,])(\d{1,3}(?:,\d{2,3})+(?:\.\d{1,2})?|\d+\.\d{1,2}|\d{5,9})(?![\w,(])/g;
+// "section 16(ia)", "section 80CCD(1B)", "17(1)" and list markers like "(a)" and "12."
+const FORM16_REFERENCES = /section\s*\d+[a-z]*(?:\s*\([^)]*\))*|\b\d+\([^)]*\)|^\s*(?:\d+\.|\([a-z]+\))\s*/gi;
+// Question phrasing for the assistant planner
+const FINANCE_WORDS = /spen[dt]|expense|cost|paid|pay|bought|purchase|income|earn|salary|budget|transaction|how much|money|received|\bvs\b|versus|compare/i;
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+class OfflineProvider {
+  constructor() {
+    this.name = 'offline';
+  }
+
+  /**
+   * Answer a task from the raw text in request.context instead of the prompt
+   * @param {Object} request - { task, context: { text, categories, kind, examples, rows } }
+   * @returns {Promise<string>} JSON text (or a bare category name) like a model reply
+   */
+  async complete({ task, context = {} }) {
+    const text = context.text || '';
+    const categories = context.categories || [];
+    const examples = context.examples || [];
+
+    switch (task) {
+      case 'receipt_analysis':
+        return JSON.stringify(this.analyzeReceipt(text, categories, examples));
+      case 'receipt_line_items':
+        return JSON.stringify(this.analyzeLineItems(text, categories));
+      case 'merchant_category':
+        return this.matchCategory(text, DEFAULT_EXPENSE_CATEGORIES, CATEGORY_KEYWORDS) || 'Miscellaneous';
+      case 'category_only':
+        return this.matchExample(text, categories, examples) ||
+          this.matchCategory(text, categories, context.kind === 'income' ? INCOME_KEYWORDS : CATEGORY_KEYWORDS) ||
+          this.fallbackCategory(categories) || '';
+      case 'income_analysis':
+        return JSON.stringify(this.analyzeIncome(text, categories));
+      case 'payslip_analysis':
+        return JSON.stringify(this.analyzePayslip(text));
+      case 'form16_analysis':
+        return JSON.stringify(this.analyzeForm16(text));
+      case 'assistant_query':
+        return JSON.stringify(this.planQuery(text, context));
+      case 'statement_columns':
+        return JSON.stringify(this.mapStatementColumns(context.rows || []));
+      default:
+        throw new Error(`Offline provider does not support task: ${task}`);
+    }
+  }
+
+  analyzeReceipt(text, categories, examples = []) {
+    const amount = this.findAmount(text, TOTAL_KEYWORDS);
+    const date = this.findDate(text);
+    const paymentMethod = this.findPaymentMethod(text);
+    const description = this.findMerchant(text);
+    const category = this.matchExample(text, categories, examples) || this.matchCategory(text, categories, CATEGORY_KEYWORDS);
+
+    return {
+      amount,
+      date,
+      category,
+      paymentMethod,
+      description,
+      confidence: this.confidence([amount, date, category, paymentMethod, description])
+    };
+  }
+
+  analyzeLineItems(text, categories) {
+    const items = [];
+    const tax = { cgst: 0, sgst: 0, igst: 0, cess: 0, other: 0 };
+    let subtotal = null;
+    let discount = 0;
+    let tip = 0;
+
+    for (const line of this.lines(text)) {
+      const amounts = this.amountsIn(line);
+      if (amounts.length === 0) continue;
+      const last = amounts[amounts.length - 1];
+
+      if (/sub\s*total/i.test(line)) {
+        subtotal = last;
+      } else if (/discount|savings|\boff\b/i.test(line)) {
+        discount += Math.abs(last);
+      } else if (/\btip\b|service\s*charge|gratuity/i.test(line)) {
+        tip += last;
+      } else if (TAX_LINE.test(line) && !/gstin|invoice|bill\s*no/i.test(line)) {
+        const component = (line.match(/\b([csiu])\s*gst\b/i)?.[1] || '').toLowerCase();
+        const key = component === 'u' ? 'sgst' : component ? `${component}gst` : /cess/i.test(line) ? 'cess' : 'other';
+        tax[key] += last;
+      } else if (!NON_ITEM_LINE.test(line)) {
+        const name = line.replace(/(?:₹|rs\.?|inr)?\s*-?\d[\d,]*(?:\.\d+)?\s*(?:x|@|\*)?/gi, ' ').replace(/\s+/g, ' ').trim();
+        if (!/[a-z]{2,}/i.test(name)) continue;
+
+        // "Milk 2 x 30.00 60.00" or "Milk 2 30.00 60.00": quantity, unit price, line total
+        let quantity = 1;
+        let unitPrice = null;
+        if (amounts.length >= 3) {
+          [quantity, unitPrice] = amounts.slice(-3, -1);
+        } else if (amounts.length === 2 && Math.abs(amounts[0] * amounts[1] - last) > 0.01) {
+          unitPrice = last / (amounts[0] || 1);
+          quantity = amounts[0];
+        }
+
+        items.push({
+          name,
+          quantity: quantity > 0 && quantity < 1000 ? quantity : 1,
+          unitPrice: unitPrice !== null ? Math.round(unitPrice * 100) / 100 : null,
+          lineTotal: last,
+          category: this.matchCategory(name, categories, CATEGORY_KEYWORDS)
+        });
+      }
+    }
+
+    const total = this.findAmount(text, TOTAL_KEYWORDS);
+
+    return {
+      merchant: this.findMerchant(text),
+      date: this.findDate(text),
+      paymentMethod: this.findPaymentMethod(text),
+      items,
+      subtotal,
+      tax,
+      discount,
+      tip,
+      total,
+      currency: 'INR',
+      confidence: this.confidence([total, items.length > 0 || null, this.findDate(text)])
+    };
+  }
+
+  analyzeIncome(text, categories) {
+    const amount = this.findAmount(text, INCOME_AMOUNT_KEYWORDS);
+    const date = this.findDate(text);
+    const category = this.matchCategory(text, categories.map(cat => cat.name), INCOME_KEYWORDS);
+    let paymentMethod = null;
+
+    if (/neft|imps|rtgs|bank\s*transfer|credited\s*to\s*(a\/c|account)|account\s*no/i.test(text)) {
+      paymentMethod = 'bank_transfer';
+    } else {
+      paymentMethod = this.findPaymentMethod(text);
+      if (paymentMethod === 'net_banking') paymentMethod = 'bank_transfer';
+    }
+
+    const description = this.findMerchant(text);
+
+    return {
+      amount,
+      date,
+      category,
+      subcategory: category && /salary/i.test(category) ? 'Monthly Salary' : null,
+      paymentMethod,
+      description,
+      confidence: this.confidence([amount, date, category, paymentMethod, description])
+    };
+  }
+
+  analyzePayslip(text) {
+    const earnings = [];
+    const deductions = [];
+    const totals = { grossPay: null, totalDeductions: null, netPay: null };
+
+    for (const line of this.lines(text)) {
+      // Year-to-date columns repeat every amount; only the first figure after a label is this month's
+      for (const [, rawLabel, rawAmount] of line.matchAll(LABELLED_AMOUNT)) {
+        const label = rawLabel.replace(/[\s:(-]+$/, '').trim();
+        const amount = Number(rawAmount.replace(/,/g, ''));
+        if (!label || !(amount > 0) || /employer|ytd|year\s*to\s*date/i.test(label)) continue;
+
+        const total = PAYSLIP_TOTALS.find(candidate => candidate.pattern.test(label));
+        if (total) {
+          if (totals[total.field] === null) totals[total.field] = amount;
+          continue;
+        }
+
+        const deduction = PAYSLIP_DEDUCTIONS.find(candidate => candidate.pattern.test(label));
+        const earning = !deduction && PAYSLIP_EARNINGS.find(candidate => candidate.pattern.test(label));
+
+        if (deduction) {
+          deductions.push({ name: label, component: deduction.component, amount });
+        } else if (earning) {
+          earnings.push({ name: label, component: earning.component, amount });
+        }
+      }
+    }
+
+    const month = text.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*[\s,'-]*(\d{4})\b/i);
+    const payDate = text.match(/(?:pay(?:ment)?|credit(?:ed)?)\s*date\s*[:-]?\s*(.+)/i);
+
+    return {
+      employer: this.findMerchant(text),
+      payPeriod: month ? `${month[2]}-${String(MONTHS[month[1].toLowerCase()]).padStart(2, '0')}` : null,
+      payDate: payDate ? this.findDate(payDate[1]) : null,
+      earnings,
+      deductions,
+      grossPay: totals.grossPay,
+      totalDeductions: totals.totalDeductions,
+      netPay: totals.netPay,
+      currency: 'INR',
+      confidence: this.confidence([totals.grossPay, totals.netPay, earnings.length > 0 || null, month])
+    };
+  }
+
+  analyzeForm16(text) {
+    const lines = this.lines(text);
+    // Where a line has gross and deductible columns the last one is the figure that counts
+    const lastAmount = (line) => {
+      const amounts = [...line.replace(FORM16_REFERENCES, ' ').matchAll(LARGE_AMOUNT)].map(match => Number(match[1].replace(/,/g, '')));
+      return amounts.length > 0 ? amounts[amounts.length - 1] : null;
+    };
+    // A heading without an amount ("1. Gross Salary") is followed by its parts and a "Total" line
+    const find = (pattern, { exclude = null, totalBelow = false } = {}) => {
+      for (let index = 0; index < lines.length; index++) {
+        if (!pattern.test(lines[index]) || (exclude && exclude.test(lines[index]))) continue;
+        const amount = lastAmount(lines[index]);
+        if (amount !== null) return amount;
+        if (!totalBelow) continue;
+
+        const total = lines.slice(index + 1, index + 7).find(line => /\btotal\b/i.test(line) && lastAmount(line) !== null);
+        if (total) return lastAmount(total);
+      }
+      return null;
+    };
+
+    const chapterVIA = [];
+    for (const line of lines) {
+      const section = line.match(/\b(?:section\s*)?(80\s*(?:CCD\s*\(1B\)|CCD\s*\(2\)|[A-Z]{1,3}))\b/i);
+      const amount = section ? lastAmount(line.slice(section.index + section[0].length)) : null;
+      const name = section ? section[1].replace(/\s/g, '').toUpperCase() : null;
+      if (amount > 0 && !chapterVIA.some(line => line.section === name)) {
+        chapterVIA.push({ section: name, amount });
+      }
+    }
+
+    const assessmentYear = text.match(/assessment\s*year\s*[:-]?\s*(\d{4})\s*-\s*\d{0,2}(\d{2})/i);
+    const tan = text.match(/\b([A-Z]{4}\d{5}[A-Z])\b/);
+    const grossSalary = find(/gross\s*salary|gross\s*total\s*salary/i, { totalBelow: true });
+    const taxableIncome = find(/total\s*taxable\s*income|taxable\s*income/i);
+    const tdsDeducted = find(/total\s*(amount\s*of\s*)?tax\s*deducted|tds\s*deducted|tax\s*deducted\s*at\s*source/i);
+
+    return {
+      employer: lines.map(line => line.match(/name\s*(and\s*address\s*)?of\s*the\s*(employer|deductor)\s*[:-]?\s*(.+)/i)).find(Boolean)?.[3] || null,
+      employerTan: tan ? tan[1] : null,
+      assessmentYear: assessmentYear ? `${assessmentYear[1]}-${assessmentYear[2]}` : null,
+      grossSalary,
+      exemptions: find(/exempt(ion|ed)?.*section\s*10|section\s*10.*exempt/i) || 0,
+      standardDeduction: find(/standard\s*deduction/i) || 0,
+      professionalTax: find(/tax\s*on\s*employment|professional\s*tax/i) || 0,
+      chapterVIA,
+      taxableIncome,
+      taxPayable: find(/net\s*tax\s*payable|tax\s*payable/i, { exclude: /deducted/i }),
+      tdsDeducted,
+      confidence: this.confidence([grossSalary, taxableIncome, tdsDeducted, assessmentYear])
+    };
+  }
+
+  /**
+   * Plan assistant queries from the wording of the question: the periods it names become
+   * one query each (so "last month vs this month" compares two), as do the categories
+   * @param {string} question
+   * @param {Object} context - { today, expenseCategories, incomeCategories }
+   */
+  planQuery(question, { today, expenseCategories = [], incomeCategories = [] }) {
+    const text = question.toLowerCase();
+    if (!FINANCE_WORDS.test(text)) return { queries: [], confidence: 0.2 };
+
+    const source = /budget/.test(text)
+      ? 'budgets'
+      : /\b(earn(ed|ings)?|income|salary|received|credited|got paid)\b/.test(text) ? 'incomes' : 'expenses';
+    const names = source === 'incomes' ? incomeCategories : expenseCategories;
+
+    const number = '(\\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten)';
+    const ranked = text.match(new RegExp(`(?:top|biggest|largest|highest|smallest|cheapest|lowest|recent|latest)\\s+${number}\\b|\\b${number}\\s+(?:biggest|largest|highest|smallest|cheapest|lowest|most|recent|latest)`));
+    const rankedCount = ranked ? (ranked[1] || ranked[2]) : null;
+    const plural = /\b(expenses|transactions|purchases|payments|incomes|credits)\b/.test(text);
+    const limit = rankedCount ? Math.min(NUMBER_WORDS[rankedCount] || Number(rankedCount), 20) : (plural ? 5 : 1);
+
+    let metric = 'sum';
+    let sort = 'amount_desc';
+    if (/how many|number of|\bcount\b/.test(text)) {
+      metric = 'count';
+    } else if (/average|\bavg\b|typical/.test(text)) {
+      metric = 'average';
+    } else if (/biggest|largest|highest|most expensive|\btop\b/.test(text)) {
+      metric = 'list';
+    } else if (/smallest|cheapest|lowest/.test(text)) {
+      metric = 'list';
+      sort = 'amount_asc';
+    } else if (/recent|latest|\blist\b|\bshow\b/.test(text)) {
+      metric = 'list';
+      sort = 'date_desc';
+    }
+
+    let groupBy = null;
+    if (/(by|per|each|which) categor|breakdown|break down|split/.test(text)) groupBy = 'category';
+    else if (/(by|per|each) month|monthly|month by month/.test(text)) groupBy = 'month';
+    else if (/payment method|(by|per) (mode|method)/.test(text)) groupBy = 'payment_method';
+
+    let paymentMethod = null;
+    if (groupBy !== 'payment_method') {
+      if (/\bupi\b|gpay|phonepe|paytm/.test(text)) paymentMethod = 'UPI';
+      else if (/\bcards?\b/.test(text)) paymentMethod = 'Card';
+      else if (/\bcash\b/.test(text)) paymentMethod = 'Cash';
+      else if (/bank transfer|neft|imps/.test(text)) paymentMethod = 'Bank Transfer';
+    }
+
+    // "at Swiggy", "from Amazon": a capitalized name that isn't a category or month is a merchant
+    // to search for, which is narrower than the category its keywords suggest
+    const merchant = question.match(/\b(?:at|from|with|on)\s+([A-Z][\w&'.-]+)/);
+    const search = merchant &&
+      !names.some(name => name.toLowerCase().startsWith(merchant[1].toLowerCase())) &&
+      !MONTH_NAMES.some(month => month.startsWith(merchant[1].toLowerCase().slice(0, 3)))
+      ? merchant[1]
+      : null;
+    const keywordGroups = search ? [] : (source === 'incomes' ? INCOME_KEYWORDS : CATEGORY_KEYWORDS);
+    const categories = this.mentionedCategories(text, names, keywordGroups);
+    const periods = this.mentionedPeriods(text, today);
+
+    const noun = { expenses: 'spending', incomes: 'income', budgets: 'budget' }[source];
+    const queries = [];
+    for (const period of periods) {
+      for (const category of categories.length > 0 ? categories : [null]) {
+        queries.push({
+          label: [category || search, noun, period.label].filter(Boolean).join(' '),
+          source,
+          metric,
+          startDate: period.startDate,
+          endDate: period.endDate,
+          category,
+          paymentMethod,
+          search,
+          groupBy,
+          sort,
+          limit
+        });
+      }
+    }
+
+    return { queries: queries.slice(0, 4), confidence: 0.6 };
+  }
+
+  // Offered categories named outright ("food") or through their keywords ("swiggy"), in order of mention
+  mentionedCategories(text, names, groups) {
+    const found = new Map();
+
+    names.forEach(name => {
+      const lower = name.toLowerCase();
+      const firstWord = lower.split(/[^a-z]+/)[0];
+      // Short names (EMI, Rent) must start a word, or "premium" would mean EMI
+      const whole = text.search(new RegExp(`\\b${lower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`));
+      const index = whole !== -1 ? whole : (firstWord.length >= 4 ? text.search(new RegExp(`\\b${firstWord}`)) : -1);
+      if (index !== -1) found.set(name, index);
+    });
+
+    groups.forEach(group => {
+      const name = names.find(candidate => group.aliases.some(alias => candidate.toLowerCase().includes(alias)));
+      if (!name || found.has(name)) return;
+      const indexes = group.keywords.map(keyword => text.search(new RegExp(`\\b${keyword}`))).filter(index => index !== -1);
+      if (indexes.length > 0) found.set(name, Math.min(...indexes));
+    });
+
+    return [...found.entries()].sort((a, b) => a[1] - b[1]).map(([name]) => name);
+  }
+
+  // Date ranges for the periods a question names, in order of mention; this month when it names none
+  mentionedPeriods(text, today) {
+    const [year, month, day] = today.split('-').map(Number);
+    const iso = (date) => date.toISOString().slice(0, 10);
+    const utc = (y, m, d) => new Date(Date.UTC(y, m, d));
+    const todayDate = utc(year, month - 1, day);
+    const monday = utc(year, month - 1, day - ((todayDate.getUTCDay() + 6) % 7));
+    const periods = [];
+    const add = (pattern, build) => {
+      for (const match of text.matchAll(pattern)) {
+        periods.push({ index: match.index, ...build(match) });
+      }
+    };
+
+    add(/\bthis month\b/g, () => ({ label: 'this month', startDate: iso(utc(year, month - 1, 1)), endDate: today }));
+    add(/\b(last|previous|past) month\b/g, () => ({ label: 'last month', startDate: iso(utc(year, month - 2, 1)), endDate: iso(utc(year, month - 1, 0)) }));
+    add(/\bthis year\b/g, () => ({ label: 'this year', startDate: `${year}-01-01`, endDate: today }));
+    add(/\b(last|previous) year\b/g, () => ({ label: 'last year', startDate: `${year - 1}-01-01`, endDate: `${year - 1}-12-31` }));
+    add(/\bthis week\b/g, () => ({ label: 'this week', startDate: iso(monday), endDate: today }));
+    add(/\b(last|previous) week\b/g, () => ({
+      label: 'last week',
+      startDate: iso(utc(monday.getUTCFullYear(), monday.getUTCMonth(), monday.getUTCDate() - 7)),
+      endDate: iso(utc(monday.getUTCFullYear(), monday.getUTCMonth(), monday.getUTCDate() - 1))
+    }));
+    add(/\btoday\b/g, () => ({ label: 'today', startDate: today, endDate: today }));
+    add(/\byesterday\b/g, () => ({ label: 'yesterday', startDate: iso(utc(year, month - 1, day - 1)), endDate: iso(utc(year, month - 1, day - 1)) }));
+    add(/\b(?:last|past) (\d{1,3}) days\b/g, (match) => ({
+      label: `last ${match[1]} days`,
+      startDate: iso(utc(year, month - 1, day - Number(match[1]) + 1)),
+      endDate: today
+    }));
+    // "may" is usually the verb unless it comes with "in" or a year
+    add(/\b(january|february|march|april|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec|(?<=in )may|may(?= \d{4}))\b(?:\s*,?\s*(\d{4}))?/g, (match) => {
+      const monthIndex = MONTH_NAMES.findIndex(name => name.startsWith(match[1].slice(0, 3)));
+      const monthYear = match[2] ? Number(match[2]) : (monthIndex + 1 > month ? year - 1 : year);
+      const end = utc(monthYear, monthIndex + 1, 0);
+      const label = `${MONTH_NAMES[monthIndex][0].toUpperCase()}${MONTH_NAMES[monthIndex].slice(1)} ${monthYear}`;
+      return { label, startDate: iso(utc(monthYear, monthIndex, 1)), endDate: iso(end > todayDate ? todayDate : end) };
+    });
+
+    if (periods.length === 0) {
+      return [{ label: 'this month', startDate: iso(utc(year, month - 1, 1)), endDate: today }];
+    }
+    return periods.sort((a, b) => a.index - b.index).map(({ index, ...period }) => period);
+  }
+
+  /**
+   * Guess a bank statement's columns from what the cells look like: the column of dates,
+   * the columns of amounts (the last one being the running balance when there are
+   * several) and the longest text column as the narration
+   * @param {Array<Array<string>>} rows - the first rows of the CSV
+   */
+  mapStatementColumns(rows) {
+    const isDate = (cell) => /^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{1,2}[\s-][a-z]{3,}[\s,-]+\d{2,4})/i.test(cell);
+    const isAmount = (cell) => /^[-+(]?\s*(₹|rs\.?|inr)?\s*\d[\d,]*(\.\d{1,2})?\)?\s*(cr|dr)?$/i.test(cell);
+    const dataRows = rows
+      .map((cells, index) => ({ cells: cells.map(cell => String(cell ?? '').trim()), index }))
+      .filter(({ cells }) => cells.some(isDate) && cells.filter(cell => cell && !isDate(cell) && isAmount(cell)).length > 0);
+    const mapping = { headerRow: null, date: null, description: null, debit: null, credit: null, amount: null, type: null, balance: null, reference: null, confidence: 0 };
+    if (dataRows.length === 0) return mapping;
+
+    const width = Math.max(...dataRows.map(({ cells }) => cells.length));
+    const share = (test) => Array.from({ length: width }, (_, column) =>
+      dataRows.filter(({ cells }) => cells[column] && test(cells[column])).length / dataRows.length);
+
+    const dates = share(isDate);
+    const amounts = share(cell => !isDate(cell) && isAmount(cell) && /\.\d{2}\)?\s*(cr|dr)?$|^-/i.test(cell));
+    const types = share(cell => /^(dr|cr|d|c|debit|credit)$/i.test(cell));
+    const lengths = Array.from({ length: width }, (_, column) =>
+      dataRows.reduce((sum, { cells }) => sum + (cells[column] && !isAmount(cells[column]) && !isDate(cells[column]) ? cells[column].length : 0), 0));
+
+    mapping.date = dates.findIndex(value => value >= 0.8);
+    const money = amounts.map((value, column) => (value >= 0.3 && column !== mapping.date ? column : null)).filter(column => column !== null);
+    if (money.length >= 3) {
+      [mapping.debit, mapping.credit, mapping.balance] = money.slice(-3);
+    } else if (money.length === 2) {
+      [mapping.amount, mapping.balance] = money;
+    } else if (money.length === 1) {
+      mapping.amount = money[0];
+    }
+
+    const typeColumn = types.findIndex(value => value >= 0.8);
+    mapping.type = typeColumn === -1 ? null : typeColumn;
+    const description = lengths.indexOf(Math.max(...lengths));
+    mapping.description = lengths[description] > 0 ? description : null;
+    if (mapping.date === -1) mapping.date = null;
+
+    // A row just above the first transaction without any dates in it is the header
+    const first = dataRows[0].index;
+    if (first > 0 && !rows[first - 1].some(cell => isDate(String(cell ?? '')))) {
+      mapping.headerRow = first - 1;
+    }
+
+    mapping.confidence = this.confidence([mapping.date, mapping.description, mapping.amount ?? mapping.debit, mapping.balance]);
+    return mapping;
+  }
+
+  /**
+   * Pick the offered category whose keyword group appears most often in the text
+   * @param {string} text
+   * @param {Array} categories - category names, or { category } rows from expense_categories
+   * @param {Array} groups - keyword groups
+   * @returns {string|null} the exact offered name
+   */
+  matchCategory(text, categories, groups) {
+    const names = categories.map(cat => (typeof cat === 'string' ? cat : cat.category)).filter(Boolean);
+    const haystack = ` ${text.toLowerCase()} `;
+    let best = null;
+
+    for (const group of groups) {
+      const name = names.find(candidate => group.aliases.some(alias => candidate.toLowerCase().includes(alias)));
+      if (!name) continue;
+
+      const hits = group.keywords.filter(keyword => new RegExp(`\\b${keyword}`, 'i').test(haystack)).length;
+      if (hits > 0 && (!best || hits > best.hits)) {
+        best = { name, hits };
+      }
+    }
+
+    return best ? best.name : null;
+  }
+
+  // Few-shot examples are the user's own corrections; a merchant named in the text decides it
+  matchExample(text, categories, examples) {
+    const names = categories.map(cat => (typeof cat === 'string' ? cat : cat.category)).filter(Boolean);
+    const haystack = text.toLowerCase();
+    const example = examples.find(candidate =>
+      candidate.merchant && haystack.includes(candidate.merchant.toLowerCase()) &&
+      names.some(name => name.toLowerCase() === candidate.category.toLowerCase()));
+
+    return example ? names.find(name => name.toLowerCase() === example.category.toLowerCase()) : null;
+  }
+
+  fallbackCategory(categories) {
+    return categories.find(name => /other|misc/i.test(name)) || null;
+  }
+
+  /**
+   * Amount on the first line matching the highest-priority keyword
+   */
+  findAmount(text, patterns) {
+    const lines = this.lines(text);
+
+    for (const pattern of patterns) {
+      for (const line of lines) {
+        if (!pattern.test(line) || /sub\s*total/i.test(line)) continue;
+        const amounts = this.amountsIn(line).filter(amount => amount > 0);
+        if (amounts.length > 0) return amounts[amounts.length - 1];
+      }
+    }
+
+    return null;
+  }
+
+  amountsIn(line) {
+    // Skip long digit runs (phone, GSTIN, card and invoice numbers)
+    return (line.match(/-?\d[\d,]*(?:\.\d{1,2})?/g) || [])
+      .filter(token => token.replace(/[^\d]/g, '').length <= 8 && !/^\d{1,2}[/-]\d/.test(token))
+      .map(token => Number(token.replace(/,/g, '')))
+      .filter(Number.isFinite);
+  }
+
+  findDate(text) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const valid = (year, month, day) => {
+      const date = new Date(Date.UTC(year, month - 1, day));
+      return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    };
+
+    let match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    if (match && valid(+match[1], +match[2], +match[3])) {
+      return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+    }
+
+    // Indian receipts print day first: 05/10/2026, 5-10-26
+    match = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/);
+    if (match) {
+      const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+      if (valid(year, +match[2], +match[1])) return `${year}-${pad(match[2])}-${pad(match[1])}`;
+    }
+
+    match = text.match(/\b(\d{1,2})[\s-]*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*[\s,-]*(\d{4})\b/i);
+    if (match) {
+      const month = MONTHS[match[2].toLowerCase()];
+      if (valid(+match[3], month, +match[1])) return `${match[3]}-${pad(month)}-${pad(match[1])}`;
+    }
+
+    return null;
+  }
+
+  findPaymentMethod(text) {
+    if (/\bupi\b|gpay|google\s*pay|phonepe|paytm|bhim|@ok|@ybl/i.test(text)) return 'upi';
+    if (/\bcard\b|visa|master\s*card|rupay|debit|credit|\bpos\b/i.test(text)) return 'card';
+    if (/net\s*banking|neft|imps|rtgs/i.test(text)) return 'net_banking';
+    if (/\bcash\b/i.test(text)) return 'cash';
+    return null;
+  }
+
+  findMerchant(text) {
+    const line = this.lines(text).find(candidate =>
+      /[a-z]{3,}/i.test(candidate) &&
+      !/^(tax\s*)?invoice|receipt|bill|gstin|date|tel|phone|welcome/i.test(candidate) &&
+      (candidate.replace(/[^\d]/g, '').length < candidate.length / 3)
+    );
+    return line ? line.substring(0, 100) : null;
+  }
+
+  lines(text) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  }
+
+  // Heuristics are never as sure as a model; scale with how many fields were found
+  confidence(fields) {
+    const found = fields.filter(field => field !== null && field !== undefined).length;
+    return Math.round((0.2 + 0.5 * (found / fields.length)) * 100) / 100;
+  }
+}
+
+module.exports = OfflineProvider;
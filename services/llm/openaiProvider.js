@@ -0,0 +1,30 @@
+// Chat completions against OpenAI or any server that speaks the same API
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  /**
+   * @param {Object} options - { name, apiKey, baseURL? }
+   */
+  constructor({ name = 'openai', apiKey, baseURL } = {}) {
+    this.name = name;
+    this.client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+  }
+
+  /**
+   * Run one chat completion and return the reply text
+   * @param {Object} request - { task, model, messages, temperature, maxTokens }
+   * @returns {Promise<string>}
+   */
+  async complete({ model, messages, temperature = 0.1, maxTokens = 500 }) {
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    return completion.choices[0]?.message?.content?.trim() || '';
+  }
+}
+
+module.exports = OpenAIProvider;
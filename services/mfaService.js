@@ -0,0 +1,485 @@
+// TOTP two-factor authentication (RFC 6238) and recovery codes
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+const sessionService = require('./sessionService');
+
+const ISSUER = 'ExpenseAI';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either side
+const RECOVERY_CODE_COUNT = 10;
+const MFA_PENDING_EXPIRES_IN = '5m';
+// Code attempts per user (login step and account actions share the count) before MFA is locked
+const MAX_MFA_ATTEMPTS = 5;
+const MFA_LOCKOUT_MINUTES = 15;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Roles that may only be used with MFA turned on
+const ELEVATED_ROLES = ['admin', 'support'];
+
+class MFAService {
+  /**
+   * Finish a successful first-factor login.
+   * Users with MFA enabled get a short-lived mfa_pending token instead of a session.
+   * @param {Object} user - user_profiles row
+   * @param {string} provider - 'google' or 'password'
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { mfaRequired, mfaToken } or { token, refreshToken, mfaEnrollmentRequired }
+   */
+  async completeLogin(user, provider, req) {
+    if (user.mfa_enabled) {
+      return {
+        mfaRequired: true,
+        mfaToken: this.signPendingToken(user, provider)
+      };
+    }
+
+    const { token, refreshToken } = await sessionService.startSession(user, provider, req);
+
+    return {
+      mfaRequired: false,
+      token,
+      refreshToken,
+      mfaEnrollmentRequired: this.requiresMfa(user)
+    };
+  }
+
+  /**
+   * Whether a user's role obliges them to use MFA
+   */
+  requiresMfa(user) {
+    return ELEVATED_ROLES.includes(user.role);
+  }
+
+  signPendingToken(user, provider) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        provider,
+        type: 'mfa_pending'
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: MFA_PENDING_EXPIRES_IN, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  /**
+   * Decode an mfa_pending token; returns null when invalid or expired
+   */
+  verifyPendingToken(mfaToken) {
+    try {
+      const decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+      return decoded.type === 'mfa_pending' ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Second step of login: check a TOTP or recovery code for a pending token.
+   * Attempts are limited per user (see add_mfa_lockout_to_user_profiles.sql).
+   * @returns {Promise<Object>} { success, user?, provider?, status?, message? }
+   */
+  async verifyLogin(mfaToken, { code, recoveryCode }) {
+    const pending = this.verifyPendingToken(mfaToken);
+    if (!pending) {
+      return { success: false, message: 'MFA session expired, please sign in again' };
+    }
+
+    const attempt = await this.registerAttempt(pending.userId);
+    if (!attempt.allowed) {
+      return {
+        success: false,
+        status: 429,
+        message: attempt.lockedUntil ? this.lockoutMessage(attempt) : 'MFA session expired, please sign in again'
+      };
+    }
+
+    const { data: user } = await supabase
+      .from('user_profiles')
+      .select('*')
+      .eq('id', pending.userId)
+      .maybeSingle();
+
+    if (!user || !user.mfa_enabled) {
+      return { success: false, message: 'MFA session expired, please sign in again' };
+    }
+
+    const valid = recoveryCode
+      ? await this.consumeRecoveryCode(user.id, recoveryCode)
+      : await this.checkUserCode(user, code);
+
+    if (!valid) {
+      return { success: false, message: 'Invalid verification code' };
+    }
+
+    await this.resetAttempts(user.id);
+    return { success: true, user, provider: pending.provider };
+  }
+
+  /**
+   * Count a login attempt for a user before its code is checked
+   * @returns {Promise<Object>} { allowed, lockedUntil }
+   */
+  async registerAttempt(userId) {
+    const { data, error } = await supabase.rpc('register_mfa_attempt', {
+      p_user_id: userId,
+      p_max_attempts: MAX_MFA_ATTEMPTS,
+      p_lockout_minutes: MFA_LOCKOUT_MINUTES
+    });
+
+    if (error) {
+      console.error('Error registering MFA attempt:', error);
+      throw new Error('Failed to check MFA attempts');
+    }
+
+    return { allowed: Boolean(data?.allowed), lockedUntil: data?.locked_until || null };
+  }
+
+  lockoutMessage(attempt) {
+    return `Too many invalid codes, please try again after ${new Date(attempt.lockedUntil).toISOString()}`;
+  }
+
+  /**
+   * Check a code for an account action (confirm, recovery codes, disable) under the
+   * same per-user lockout as the login step
+   * @param {string} userId
+   * @param {Function} check - async () => truthy result when the code is right
+   * @returns {Promise<Object>} { success, value?, status?, message? }
+   */
+  async attemptCode(userId, check) {
+    const attempt = await this.registerAttempt(userId);
+    if (!attempt.allowed) {
+      return attempt.lockedUntil
+        ? { success: false, status: 429, message: this.lockoutMessage(attempt) }
+        : { success: false, status: 404, message: 'User not found' };
+    }
+
+    const value = await check();
+    if (value === null || value === false) {
+      return { success: false, status: 401, message: 'Invalid verification code' };
+    }
+
+    await this.resetAttempts(userId);
+    return { success: true, value };
+  }
+
+  async resetAttempts(userId) {
+    const { error } = await supabase
+      .from('user_profiles')
+      .update({ mfa_failed_attempts: 0, mfa_locked_until: null })
+      .eq('id', userId);
+
+    if (error) {
+      console.error('Error resetting MFA attempts:', error);
+    }
+  }
+
+  /**
+   * Start enrollment: generate a secret and keep it pending until confirmed
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async beginEnrollment(user) {
+    const secret = this.generateSecret();
+
+    const { error } = await supabase
+      .from('user_profiles')
+      .update({ mfa_pending_secret: this.encryptSecret(secret) })
+      .eq('id', user.id);
+
+    if (error) {
+      console.error('Error storing pending MFA secret:', error);
+      throw new Error('Failed to start MFA enrollment');
+    }
+
+    return {
+      secret,
+      otpauthUri: this.buildOtpauthUri(secret, user.email)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a first code from the authenticator app
+   * @returns {Promise<Object>} { success, recoveryCodes?, status?, message? }
+   */
+  async confirmEnrollment(userId, code) {
+    const { data: user } = await supabase
+      .from('user_profiles')
+      .select('id, mfa_pending_secret')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (!user || !user.mfa_pending_secret) {
+      return { success: false, message: 'No MFA enrollment in progress' };
+    }
+
+    const attempt = await this.attemptCode(user.id, () => this.verifyTotp(this.decryptSecret(user.mfa_pending_secret), code));
+    if (!attempt.success) {
+      return { success: false, status: attempt.status === 401 ? 400 : attempt.status, message: attempt.message };
+    }
+    const step = attempt.value;
+
+    const { error } = await supabase
+      .from('user_profiles')
+      .update({
+        mfa_enabled: true,
+        mfa_secret: user.mfa_pending_secret,
+        mfa_pending_secret: null,
+        mfa_last_used_step: step,
+        mfa_enabled_at: new Date().toISOString()
+      })
+      .eq('id', user.id);
+
+    if (error) {
+      console.error('Error enabling MFA:', error);
+      throw new Error('Failed to enable MFA');
+    }
+
+    const recoveryCodes = await this.regenerateRecoveryCodes(user.id);
+    return { success: true, recoveryCodes };
+  }
+
+  /**
+   * Turn MFA off after checking a current code
+   */
+  async disable(user, code) {
+    if (this.requiresMfa(user)) {
+      return { success: false, status: 403, message: 'MFA is required for your role and cannot be disabled' };
+    }
+
+    const attempt = await this.attemptCode(user.id, () => this.checkUserCode(user, code));
+    if (!attempt.success) return attempt;
+
+    const { error } = await supabase
+      .from('user_profiles')
+      .update({
+        mfa_enabled: false,
+        mfa_secret: null,
+        mfa_pending_secret: null,
+        mfa_last_used_step: null,
+        mfa_enabled_at: null
+      })
+      .eq('id', user.id);
+
+    if (error) {
+      console.error('Error disabling MFA:', error);
+      throw new Error('Failed to disable MFA');
+    }
+
+    const { error: deleteError } = await supabase.from('mfa_recovery_codes').delete().eq('user_id', user.id);
+    if (deleteError) {
+      console.error('Error deleting recovery codes:', deleteError);
+      throw new Error('Failed to disable MFA');
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Replace recovery codes after checking a current code
+   * @returns {Promise<Object>} { success, recoveryCodes?, status?, message? }
+   */
+  async replaceRecoveryCodes(user, code) {
+    const attempt = await this.attemptCode(user.id, () => this.checkUserCode(user, code));
+    if (!attempt.success) return attempt;
+
+    return { success: true, recoveryCodes: await this.regenerateRecoveryCodes(user.id) };
+  }
+
+  /**
+   * Check a TOTP code against a user's confirmed secret, rejecting replays
+   */
+  async checkUserCode(user, code) {
+    if (!user.mfa_enabled || !user.mfa_secret) return false;
+
+    const step = this.verifyTotp(this.decryptSecret(user.mfa_secret), code, user.mfa_last_used_step);
+    if (step === null) return false;
+
+    // Only advance forwards so a code can't be accepted twice
+    const { data } = await supabase
+      .from('user_profiles')
+      .update({ mfa_last_used_step: step })
+      .eq('id', user.id)
+      .or(`mfa_last_used_step.is.null,mfa_last_used_step.lt.${step}`)
+      .select('id');
+
+    return Boolean(data && data.length > 0);
+  }
+
+  /**
+   * Replace a user's recovery codes; returns the plaintext codes once
+   */
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => this.generateRecoveryCode());
+
+    const { error: deleteError } = await supabase.from('mfa_recovery_codes').delete().eq('user_id', userId);
+    if (deleteError) {
+      console.error('Error deleting recovery codes:', deleteError);
+      throw new Error('Failed to generate recovery codes');
+    }
+
+    const { error } = await supabase
+      .from('mfa_recovery_codes')
+      .insert(codes.map(code => ({
+        user_id: userId,
+        code_hash: this.hashRecoveryCode(code)
+      })));
+
+    if (error) {
+      console.error('Error storing recovery codes:', error);
+      throw new Error('Failed to generate recovery codes');
+    }
+
+    return codes;
+  }
+
+  async consumeRecoveryCode(userId, recoveryCode) {
+    const { data } = await supabase
+      .from('mfa_recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('code_hash', this.hashRecoveryCode(recoveryCode))
+      .is('used_at', null)
+      .select('id');
+
+    return Boolean(data && data.length > 0);
+  }
+
+  async countRecoveryCodes(userId) {
+    const { count } = await supabase
+      .from('mfa_recovery_codes')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('used_at', null);
+
+    return count || 0;
+  }
+
+  /**
+   * Verify a TOTP code.
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number|null} lastUsedStep - Steps at or before this are rejected
+   * @returns {number|null} Matching time step, or null
+   */
+  verifyTotp(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const key = this.base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const step = currentStep + offset;
+      if (lastUsedStep !== null && lastUsedStep !== undefined && step <= Number(lastUsedStep)) continue;
+
+      const expected = this.generateHotp(key, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  generateHotp(key, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+    return String(binary).padStart(TOTP_DIGITS, '0');
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  buildOtpauthUri(secret, email) {
+    const label = encodeURIComponent(`${ISSUER}:${email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  generateRecoveryCode() {
+    const raw = this.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z2-7]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 character');
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  encryptionKey() {
+    const material = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!material) throw new Error('MFA_ENCRYPTION_KEY is not configured');
+    return crypto.createHash('sha256').update(material).digest();
+  }
+}
+
+module.exports = new MFAService();
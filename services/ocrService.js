@@ -1,35 +1,106 @@
+const crypto = require('crypto');
 const openaiService = require('./openaiService');
+const textExtractionService = require('./textExtractionService');
+const categoryLearningService = require('./categoryLearningService');
+const receiptFingerprintService = require('./receiptFingerprintService');
+const duplicateDetectionService = require('./duplicateDetectionService');
 const supabase = require('../config/supabase');
 
+const RECEIPTS_BUCKET = 'receipts-v2';
+
 class OCRService {
   /**
-   * Process receipt image with OCR and AI analysis
-   * @param {string} imageUrl - URL of the uploaded receipt image
-   * @param {string} userId - User ID for categorization context
-   * @returns {Object} Extracted and analyzed expense data
+   * Run OCR on an uploaded receipt, store the original and analyze the text with AI
+   * @param {Object} file - { buffer, originalname } from multer
+   * @param {string} userId - User ID for storage path and categorization context
+   * @param {Object} options - { mode: 'summary' | 'line_items' }
+   * @returns {Object} { success, status?, error?, data? }
    */
-  async processReceiptWithAI(imageUrl, userId) {
+  async processReceiptWithAI(file, userId, { mode = 'summary' } = {}) {
+    const fileType = textExtractionService.detectFileType(file.buffer);
+    if (!fileType) {
+      return { success: false, status: 415, error: 'Only JPEG, PNG and PDF receipts are supported' };
+    }
+
+    let extraction;
     try {
-      // Step 1: Extract text using Tesseract.js (client-side)
-      // This will be handled by the frontend ReceiptUpload component
-      
-      // Step 2: Get user's available categories for better AI analysis
-      const categories = await this.getUserCategories(userId);
-      
-      // Step 3: The extracted text will be sent from frontend to this service
-      // For now, we'll return the service structure
-      
-      return {
-        success: true,
-        message: 'OCR service ready for text analysis'
-      };
+      extraction = await textExtractionService.extractText(file.buffer, fileType.mimeType);
+    } catch (error) {
+      console.error('Receipt OCR error:', error);
+      return { success: false, status: 422, error: 'Could not read text from this file' };
+    }
+
+    if (!extraction.text) {
+      return { success: false, status: 422, error: 'No text was found on this receipt. Try a clearer photo.' };
+    }
+
+    const stored = await this.storeReceiptFile(file.buffer, fileType, userId);
+    const fingerprints = await receiptFingerprintService.fingerprint(file.buffer, fileType.mimeType, extraction.text);
+
+    const analysis = mode === 'line_items'
+      ? await this.analyzeReceiptLineItems(extraction.text, userId)
+      : await this.analyzeReceiptText(extraction.text, userId);
+    const data = {
+      extractedText: extraction.text,
+      ocr: {
+        engine: extraction.engine,
+        confidence: extraction.confidence,
+        pages: extraction.pages || 1
+      },
+      receipt_url: stored.publicUrl,
+      storage_path: stored.path,
+      // Send these back with the expense so later uploads of the same receipt are caught
+      fingerprints,
+      analysis: analysis.success ? analysis.data : null,
+      possibleDuplicates: await this.findPossibleDuplicates(userId, analysis.success ? analysis.data : {}, fingerprints)
+    };
+
+    if (!analysis.success) {
+      // The text and stored file are still useful to the client for manual entry
+      return { success: false, status: 502, error: `Receipt analysis failed: ${analysis.error}`, data };
+    }
+
+    return { success: true, data };
+  }
 
+  /**
+   * Existing expenses that look like this receipt, by fingerprint or by amount, date and merchant
+   * @returns {Promise<Array>} [] when the check itself fails; it must not block the upload
+   */
+  async findPossibleDuplicates(userId, analysis, fingerprints) {
+    try {
+      return await duplicateDetectionService.findCandidates(userId, {
+        amount: analysis.amount ?? analysis.total,
+        date: analysis.date,
+        merchant: analysis.description ?? analysis.merchant,
+        imageHash: fingerprints.imageHash,
+        textHash: fingerprints.textHash
+      });
     } catch (error) {
-      console.error('OCR Service Error:', error);
-      throw new Error(`OCR processing failed: ${error.message}`);
+      console.error('Duplicate receipt check error:', error);
+      return [];
     }
   }
 
+  /**
+   * Upload the original receipt to the receipts-v2 bucket
+   * @returns {Object} { path, publicUrl }
+   */
+  async storeReceiptFile(buffer, fileType, userId) {
+    const path = `${userId}/${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${fileType.extension}`;
+
+    const { error } = await supabase.storage
+      .from(RECEIPTS_BUCKET)
+      .upload(path, buffer, { contentType: fileType.mimeType, upsert: false });
+
+    if (error) {
+      throw new Error(`Receipt upload failed: ${error.message}`);
+    }
+
+    const { data } = supabase.storage.from(RECEIPTS_BUCKET).getPublicUrl(path);
+    return { path, publicUrl: data.publicUrl };
+  }
+
   /**
    * Analyze extracted text with OpenAI
    * @param {string} extractedText - Text from OCR
@@ -40,13 +111,28 @@ class OCRService {
     try {
       // Get user's available categories
       const categories = await this.getUserCategories(userId);
-      
+
+      // A merchant the user has corrected before keeps the category they chose;
+      // the model is still needed for the amount, date and payment method
+      const [rule, examples] = await Promise.all([
+        categoryLearningService.findRuleForText(userId, extractedText, categories.map(cat => cat.category)),
+        categoryLearningService.getRecentExamples(userId)
+      ]);
+
       // Use OpenAI to analyze the text
-      const analyzedData = await openaiService.analyzeReceiptText(extractedText, categories);
-      
+      const analyzedData = await openaiService.analyzeReceiptText(extractedText, categories, { examples });
+
+      if (rule) {
+        analyzedData.category = rule.category;
+      }
+
       return {
         success: true,
-        data: analyzedData
+        data: {
+          ...analyzedData,
+          categorySource: rule ? 'learned_rule' : 'ai',
+          learnedRuleId: rule ? rule.id : null
+        }
       };
 
     } catch (error) {
@@ -58,21 +144,75 @@ class OCRService {
     }
   }
 
+  /**
+   * Itemize extracted receipt text with OpenAI
+   * @param {string} extractedText - Text from OCR
+   * @param {string} userId - User ID
+   * @returns {Object} Items, totals, reconciliation and per-category splits
+   */
+  async analyzeReceiptLineItems(extractedText, userId) {
+    try {
+      const categories = await this.getUserCategories(userId);
+      const analyzedData = await openaiService.analyzeReceiptLineItems(extractedText, categories);
+
+      return {
+        success: true,
+        data: analyzedData
+      };
+
+    } catch (error) {
+      console.error('Receipt line-item analysis error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Analyze extracted text specifically for category selection
    * @param {string} extractedText - Text from OCR
    * @param {Array} availableCategories - Available category names
    * @param {string} userId - User ID
+   * @param {Object} options - { kind: 'expense' or 'income', learnedOnly: skip the model when no rule matches }
    * @returns {Object} Category analysis result
    */
-  async analyzeCategoryOnly(extractedText, availableCategories, userId) {
+  async analyzeCategoryOnly(extractedText, availableCategories, userId, { kind = 'expense', learnedOnly = false } = {}) {
     try {
+      // Known merchants skip the model entirely. Rules and examples are learned from
+      // expense corrections, so they don't apply to incomes.
+      const learned = kind === 'expense';
+      const rule = learned ? await categoryLearningService.findRuleForText(userId, extractedText, availableCategories) : null;
+      if (rule) {
+        return {
+          success: true,
+          data: {
+            category: availableCategories.find(name => name.toLowerCase() === rule.category.toLowerCase()),
+            confidence: 1,
+            categorySource: 'learned_rule',
+            learnedRuleId: rule.id
+          }
+        };
+      }
+
+      if (learnedOnly) {
+        return {
+          success: true,
+          data: { category: null, confidence: 0, categorySource: null, learnedRuleId: null }
+        };
+      }
+
       // Use OpenAI to analyze the text specifically for category
-      const analyzedData = await openaiService.analyzeCategoryOnly(extractedText, availableCategories);
-      
+      const examples = learned ? await categoryLearningService.getRecentExamples(userId) : [];
+      const analyzedData = await openaiService.analyzeCategoryOnly(extractedText, availableCategories, { examples, kind });
+
       return {
         success: true,
-        data: analyzedData
+        data: {
+          ...analyzedData,
+          categorySource: 'ai',
+          learnedRuleId: null
+        }
       };
 
     } catch (error) {
@@ -88,13 +228,42 @@ class OCRService {
    * Analyze extracted income document text with OpenAI
    * @param {string} extractedText - Text from OCR
    * @param {string} userId - User ID
-   * @returns {Object} Analyzed income data
+   * @param {Object} options - { mode: 'summary' | 'payslip' | 'form16' }
+   * @returns {Object} Analyzed income data; payslips also carry the salary income to create
    */
-  async analyzeIncomeDocumentText(extractedText, userId) {
+  async analyzeIncomeDocumentText(extractedText, userId, { mode = 'summary' } = {}) {
     try {
+      if (mode === 'form16') {
+        return {
+          success: true,
+          data: await openaiService.analyzeForm16(extractedText)
+        };
+      }
+
       // Get user's available income categories
       const categories = await this.getUserIncomeCategories(userId);
-      
+
+      if (mode === 'payslip') {
+        const payslip = await openaiService.analyzePayslip(extractedText);
+        const salaryCategory = categories.find(cat => /salary/i.test(cat.name)) || null;
+
+        return {
+          success: true,
+          data: {
+            ...payslip,
+            // What POST /api/incomes/from-payslip will record: the net pay, as salary
+            suggestedIncome: {
+              amount: payslip.netPay,
+              date: payslip.payDate,
+              category: salaryCategory ? salaryCategory.name : null,
+              categoryId: salaryCategory ? salaryCategory.id : null,
+              paymentMethod: 'Bank Transfer',
+              description: payslip.employer ? `Salary - ${payslip.employer}`.substring(0, 100) : 'Salary'
+            }
+          }
+        };
+      }
+
       // Use OpenAI to analyze the text for income
       const analyzedData = await openaiService.analyzeIncomeDocumentText(extractedText, categories);
       
@@ -169,7 +338,7 @@ class OCRService {
         throw new Error(`Storage error: ${error.message}`);
       }
 
-      const receiptsBucket = data.find(bucket => bucket.id === 'receipts-v2');
+      const receiptsBucket = data.find(bucket => bucket.id === RECEIPTS_BUCKET);
       
       if (!receiptsBucket) {
         throw new Error('Receipts-v2 storage bucket not found. Please run the storage setup script.');
@@ -194,9 +363,9 @@ class OCRService {
    */
   async createStorageBucket() {
     try {
-      const { data, error } = await supabase.storage.createBucket('receipts-v2', {
+      const { data, error } = await supabase.storage.createBucket(RECEIPTS_BUCKET, {
         public: true,
-        allowedMimeTypes: ['image/jpeg', 'image/png', 'image/jpg'],
+        allowedMimeTypes: ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'],
         fileSizeLimit: 10485760 // 10MB
       });
 
@@ -1,19 +1,79 @@
-const OpenAI = require('openai');
+const { provider, getModel } = require('../config/llm');
+const structuredOutputService = require('./structuredOutputService');
+const { EARNING_COMPONENTS, DEDUCTION_COMPONENTS } = require('./aiSchemas');
+const { round } = require('./formatting');
 
+// Document analysis on top of the configured LLM provider (see config/llm.js)
 class OpenAIService {
   constructor() {
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
+    this.provider = provider;
+  }
+
+  /**
+   * Send one task to the provider with the model configured for it
+   * @param {string} task - receipt_analysis, receipt_line_items, merchant_category, category_only,
+   *   income_analysis, payslip_analysis, form16_analysis, statement_columns or assistant_query
+   * @param {Array} messages - chat messages for model-backed providers
+   * @param {Object} options - { maxTokens, context } where context carries the raw
+   *   document text and categories for the offline provider
+   * @returns {Promise<string>} reply text
+   */
+  async complete(task, messages, { maxTokens = 500, context = {} } = {}) {
+    return this.provider.complete({
+      task,
+      model: getModel(task),
+      messages,
+      temperature: 0.1,
+      maxTokens,
+      context
     });
   }
 
+  /**
+   * Run a task whose reply must be JSON matching one of the schemas in services/aiSchemas.js.
+   * The schema is appended to the prompt and invalid replies are repaired or retried.
+   * @param {string} task - provider task name (see complete)
+   * @param {string} schemaName - receipt, receiptLineItems, incomeDocument, payslip, form16,
+   *   statementColumns or assistantQuery
+   * @param {Array} messages - chat messages; the last one is the user prompt
+   * @param {Object} options - { maxTokens, context: { text, categories } }
+   * @returns {Promise<Object>} validated, cleaned data
+   */
+  async completeJson(task, schemaName, messages, { maxTokens = 500, context = {} } = {}) {
+    const schema = structuredOutputService.getSchema(schemaName, context);
+    const prompt = messages[messages.length - 1];
+    const withSchema = [
+      ...messages.slice(0, -1),
+      { ...prompt, content: `${prompt.content}\n\n${structuredOutputService.schemaInstructions(schema)}` }
+    ];
+
+    return structuredOutputService.generate(
+      (conversation) => this.complete(task, conversation, { maxTokens, context }),
+      { task, schemaName, messages: withSchema, context }
+    );
+  }
+
+  /**
+   * Prompt section with the user's own recent corrections, which outrank the generic examples
+   * @param {Array} examples - [{ merchant, category }] from categoryLearningService
+   */
+  personalExamplesPrompt(examples = []) {
+    if (examples.length === 0) return '';
+
+    return `
+THIS USER'S OWN CATEGORIES (they corrected these before - follow them for the same or similar merchants, even over the generic examples below):
+${examples.map(example => `   - "${example.merchant}" = "${example.category}"`).join('\n')}
+`;
+  }
+
   /**
    * Analyze extracted receipt text and intelligently fill expense form fields
    * @param {string} extractedText - Text extracted from receipt via OCR
    * @param {Array} availableCategories - Available expense categories from database
+   * @param {Object} options - { examples: the user's recent corrections for few-shot prompting }
    * @returns {Object} Structured expense data
    */
-  async analyzeReceiptText(extractedText, availableCategories = []) {
+  async analyzeReceiptText(extractedText, availableCategories = [], { examples = [] } = {}) {
     try {
       if (!extractedText || extractedText.trim().length === 0) {
         throw new Error('No text extracted from receipt');
@@ -30,7 +90,7 @@ Receipt Text:
 "${extractedText}"
 
 Available Expense Categories: ${categoryOptions}
-
+${this.personalExamplesPrompt(examples)}
 Please analyze the receipt text and extract the following information in JSON format:
 {
   "amount": number (extract the TOTAL amount paid, prioritize "Total", "Grand Total", "Amount to Pay", "Net Amount" over "Subtotal", return null if not found),
@@ -82,97 +142,173 @@ CRITICAL GUIDELINES:
 7. Amount should be a number (not string)
 8. Return valid JSON only, no additional text`;
 
-      const completion = await this.client.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert at analyzing receipt text and extracting structured expense data. CRITICAL RULES: 1) Always prioritize TOTAL amounts over subtotals, taxes, or service charges. 2) For categories, analyze the MERCHANT NAME and ITEMS PURCHASED together - 'RESTAURANT NAME' with hamburger/fries = 'Food & Dining', 'UTENSIL EMPORIUM' with forks/spoons = 'Shopping', NEVER 'Education' unless it's actually a school/university receipt. 3) Match business type to category. 4) If no explicit TOTAL is found, calculate subtotal + tax. Always respond with valid JSON only."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.1,
-        max_tokens: 500
-      });
-
-      const responseText = completion.choices[0].message.content.trim();
-      
-      // Parse JSON response
-      let extractedData;
-      try {
-        extractedData = JSON.parse(responseText);
-      } catch (parseError) {
-        console.error('Failed to parse OpenAI response:', responseText);
-        throw new Error('Invalid response format from AI');
-      }
-
-      // Validate and clean the response
-      const validatedData = this.validateExtractedData(extractedData, availableCategories);
+      const validatedData = await this.completeJson('receipt_analysis', 'receipt', [
+        {
+          role: "system",
+          content: "You are an expert at analyzing receipt text and extracting structured expense data. CRITICAL RULES: 1) Always prioritize TOTAL amounts over subtotals, taxes, or service charges. 2) For categories, analyze the MERCHANT NAME and ITEMS PURCHASED together - 'RESTAURANT NAME' with hamburger/fries = 'Food & Dining', 'UTENSIL EMPORIUM' with forks/spoons = 'Shopping', NEVER 'Education' unless it's actually a school/university receipt. 3) Match business type to category. 4) If no explicit TOTAL is found, calculate subtotal + tax. Always respond with valid JSON only."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ], { maxTokens: 500, context: { text: extractedText, categories: availableCategories, examples } });
       
       return validatedData;
 
     } catch (error) {
-      console.error('OpenAI Service Error:', error);
+      console.error('AI Service Error:', error);
       throw new Error(`AI analysis failed: ${error.message}`);
     }
   }
 
   /**
-   * Validate and clean extracted data
+   * Analyze receipt text in line-item mode: every item with quantity, unit price,
+   * line total and its own suggested category, plus tax/GST, discounts and tip
+   * @param {string} extractedText - Text extracted from receipt via OCR
+   * @param {Array} availableCategories - Available expense categories from database
+   * @returns {Object} Receipt totals, items, reconciliation result and per-category splits
    */
-  validateExtractedData(data, availableCategories) {
-    const validated = {
-      amount: null,
-      date: null,
-      category: null,
-      paymentMethod: null,
-      description: null,
-      confidence: 0
-    };
+  async analyzeReceiptLineItems(extractedText, availableCategories = []) {
+    try {
+      if (!extractedText || extractedText.trim().length === 0) {
+        throw new Error('No text extracted from receipt');
+      }
 
-    // Validate amount
-    if (data.amount && typeof data.amount === 'number' && data.amount > 0) {
-      validated.amount = data.amount;
-    }
+      const categoryOptions = availableCategories.length > 0
+        ? availableCategories.map(cat => cat.category).join(', ')
+        : 'Food, Transportation, Shopping, Bills & Utilities, Healthcare, Entertainment, Education, Travel';
 
-    // Validate date
-    if (data.date && typeof data.date === 'string') {
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (dateRegex.test(data.date)) {
-        validated.date = data.date;
-      }
+      const prompt = `You are an AI assistant that itemizes receipts.
+
+Receipt Text:
+"${extractedText}"
+
+Available Expense Categories: ${categoryOptions}
+
+Extract every purchased item and the receipt totals in this JSON format:
+{
+  "merchant": "string" (store name, return null if not found),
+  "date": "YYYY-MM-DD" (transaction date, return null if not found),
+  "paymentMethod": "upi|card|cash|net_banking" (return null if not clear),
+  "items": [
+    {
+      "name": "string" (item name as printed, cleaned up),
+      "quantity": number (default 1),
+      "unitPrice": number (price per unit, null if not printed),
+      "lineTotal": number (amount charged for this line),
+      "category": "category_name" (best category for THIS item from the available options, null if uncertain)
     }
+  ],
+  "subtotal": number (sum before tax/discount as printed, null if not printed),
+  "tax": {
+    "cgst": number, "sgst": number, "igst": number, "cess": number, "other": number
+  } (amounts, use 0 for components that are not printed),
+  "discount": number (total discounts/savings as a positive number, 0 if none),
+  "tip": number (tip/service charge, 0 if none),
+  "total": number (final amount paid, prioritize "Total", "Grand Total", "Net Amount"),
+  "currency": "INR",
+  "confidence": number (0-1)
+}
 
-    // Validate category
-    if (data.category && availableCategories.length > 0) {
-      const categoryExists = availableCategories.some(cat => 
-        cat.category.toLowerCase() === data.category.toLowerCase()
-      );
-      if (categoryExists) {
-        validated.category = data.category;
-      }
+CRITICAL GUIDELINES:
+1. Only list purchased goods/services as items. Never list subtotal, tax, GST, discount, round-off or tip lines as items.
+2. lineTotal is what the customer pays for that line (quantity x unit price, after any per-item discount printed on the same line).
+3. Pick each item's category independently: milk = Food, detergent = Shopping, medicine = Healthcare.
+4. Amounts must be numbers without currency symbols.
+5. Return valid JSON only, no additional text`;
+
+      const validatedData = await this.completeJson('receipt_line_items', 'receiptLineItems', [
+        {
+          role: "system",
+          content: "You are an expert at itemizing receipts into structured line items. Never treat tax, discount, subtotal or tip lines as items. Always respond with valid JSON only."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ], { maxTokens: 1500, context: { text: extractedText, categories: availableCategories } });
+      validatedData.reconciliation = this.reconcileLineItems(validatedData);
+      validatedData.splits = this.buildCategorySplits(validatedData);
+
+      return validatedData;
+
+    } catch (error) {
+      console.error('AI Service Error:', error);
+      throw new Error(`AI analysis failed: ${error.message}`);
     }
+  }
 
-    // Validate payment method
-    const validPaymentMethods = ['upi', 'card', 'cash', 'net_banking'];
-    if (data.paymentMethod && validPaymentMethods.includes(data.paymentMethod.toLowerCase())) {
-      validated.paymentMethod = data.paymentMethod.toLowerCase();
+  /**
+   * Check that items + tax + tip - discount add up to the printed total.
+   * Allows for round-off lines (up to ₹1) that receipts commonly print.
+   */
+  reconcileLineItems({ items, subtotal, taxTotal, discount, tip, total }) {
+    const itemsTotal = round(items.reduce((sum, item) => sum + item.lineTotal, 0));
+    const computedTotal = round(itemsTotal + taxTotal + tip - discount);
+    const tolerance = 1;
+    const issues = [];
+
+    if (items.length === 0) {
+      issues.push('No line items were found');
     }
 
-    // Validate description
-    if (data.description && typeof data.description === 'string') {
-      validated.description = data.description.trim().substring(0, 100);
+    if (subtotal !== null && Math.abs(subtotal - itemsTotal) > tolerance) {
+      issues.push(`Items add up to ₹${itemsTotal.toFixed(2)} but the printed subtotal is ₹${subtotal.toFixed(2)}`);
     }
 
-    // Validate confidence
-    if (data.confidence && typeof data.confidence === 'number') {
-      validated.confidence = Math.max(0, Math.min(1, data.confidence));
+    let difference = null;
+    if (total === null) {
+      issues.push('No printed total was found to reconcile against');
+    } else {
+      difference = round(total - computedTotal);
+      if (Math.abs(difference) > tolerance) {
+        issues.push(`Items, tax and tip less discounts come to ₹${computedTotal.toFixed(2)} but the printed total is ₹${total.toFixed(2)}`);
+      }
     }
 
-    return validated;
+    return {
+      itemsTotal,
+      computedTotal,
+      printedTotal: total,
+      difference,
+      matches: issues.length === 0,
+      issues
+    };
+  }
+
+  /**
+   * Group items by category so one receipt can be recorded as several expenses.
+   * Tax, tip and discounts are spread across groups in proportion to their item totals.
+   */
+  buildCategorySplits(data, reconciliation = data.reconciliation || this.reconcileLineItems(data)) {
+    const { items, taxTotal, discount, tip, total } = data;
+    const itemsTotal = reconciliation.itemsTotal;
+    if (items.length === 0 || itemsTotal <= 0) return [];
+
+    const groups = new Map();
+    items.forEach((item, index) => {
+      const key = item.category || 'Uncategorized';
+      if (!groups.has(key)) groups.set(key, { category: item.category, itemIndexes: [], itemsTotal: 0 });
+      const group = groups.get(key);
+      group.itemIndexes.push(index);
+      group.itemsTotal += item.lineTotal;
+    });
+
+    const adjustments = taxTotal + tip - discount;
+    const splits = [...groups.values()].map(group => ({
+      category: group.category,
+      itemIndexes: group.itemIndexes,
+      itemsTotal: round(group.itemsTotal),
+      amount: round(group.itemsTotal + adjustments * (group.itemsTotal / itemsTotal))
+    }));
+
+    // Put any rounding difference on the largest split so the splits add up to the paid total
+    const target = reconciliation.matches && total !== null ? total : reconciliation.computedTotal;
+    const allocated = splits.reduce((sum, split) => sum + split.amount, 0);
+    const largest = splits.reduce((max, split) => (split.amount > max.amount ? split : max), splits[0]);
+    largest.amount = round(largest.amount + (target - allocated));
+
+    return splits;
   }
 
   /**
@@ -192,23 +328,18 @@ Categories: Food & Dining, Utilities, Housing, Transportation, Healthcare, Educa
 
 Respond with just the category name that best fits this merchant.`;
 
-      const completion = await this.client.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert at categorizing merchants. Respond with just the category name."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.1,
-        max_tokens: 50
-      });
-
-      return completion.choices[0].message.content.trim();
+      const reply = await this.complete('merchant_category', [
+        {
+          role: "system",
+          content: "You are an expert at categorizing merchants. Respond with just the category name."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ], { maxTokens: 50, context: { text: merchantName } });
+
+      return reply || null;
 
     } catch (error) {
       console.error('Merchant categorization error:', error);
@@ -220,27 +351,25 @@ Respond with just the category name that best fits this merchant.`;
    * Analyze extracted text specifically for category selection
    * @param {string} extractedText - Text from OCR
    * @param {Array} availableCategories - Available category names
+   * @param {Object} options - { examples: the user's recent corrections for few-shot prompting,
+   *   kind: 'expense' for receipts and debits, 'income' for credits such as bank statement deposits }
    * @returns {Object} Category analysis result
    */
-  async analyzeCategoryOnly(extractedText, availableCategories) {
+  async analyzeCategoryOnly(extractedText, availableCategories, { examples = [], kind = 'expense' } = {}) {
     try {
       if (!extractedText || extractedText.trim().length === 0) {
         throw new Error('No text extracted from receipt');
       }
 
       const categoryOptions = availableCategories.join(', ');
-      
-      const prompt = `You are an AI assistant that analyzes receipt text and selects the most appropriate expense category.
-
-Receipt Text:
-"${extractedText}"
-
-Available Categories: ${categoryOptions}
-
-Please analyze the receipt text and select the most appropriate category from the available options.
-
-CRITICAL GUIDELINES:
-1. Analyze the MERCHANT NAME and ITEMS PURCHASED together
+      const guidelines = kind === 'income'
+        ? `1. Analyze WHO paid and WHY together
+2. Employer name + salary/payroll = "Salary"
+3. Client or platform + invoice/project/consulting = "Freelance"
+4. Interest, dividend, redemption = "Investments"
+5. Tenant + rent = "Rental Income"
+6. Refunds and cashback are not income from work; prefer "Other" when offered`
+        : `1. Analyze the MERCHANT NAME and ITEMS PURCHASED together
 2. "RESTAURANT NAME" + hamburger/fries/soda = "Food & Dining"
 3. "UTENSIL EMPORIUM" + forks/spoons/knives = "Shopping"
 4. "THE CORNER CAFE" + coffee/croissants/sandwich = "Food & Dining"
@@ -249,28 +378,33 @@ CRITICAL GUIDELINES:
 7. TRANSPORT/TAXI + travel = "Transportation"
 8. BILLS/UTILITIES + services = "Utilities"
 9. ENTERTAINMENT + movies/games = "Entertainment"
-10. FINANCIAL + loans/insurance = "Financial"
+10. FINANCIAL + loans/insurance = "Financial"`;
+
+      const prompt = `You are an AI assistant that analyzes receipt text and selects the most appropriate ${kind} category.
+
+Receipt Text:
+"${extractedText}"
+
+Available Categories: ${categoryOptions}
+${this.personalExamplesPrompt(examples)}
+Please analyze the receipt text and select the most appropriate category from the available options.
+
+CRITICAL GUIDELINES:
+${guidelines}
 
 Return ONLY the exact category name from the available options, nothing else.`;
 
-      const completion = await this.client.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert at analyzing receipt text and selecting the correct expense category. You must return ONLY the exact category name from the available options. Do not include any additional text or explanations."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.1,
-        max_tokens: 50
-      });
-
-      const aiResponse = completion.choices[0]?.message?.content?.trim();
-      
+      const aiResponse = await this.complete('category_only', [
+        {
+          role: "system",
+          content: `You are an expert at analyzing receipt text and selecting the correct ${kind} category. You must return ONLY the exact category name from the available options. Do not include any additional text or explanations.`
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ], { maxTokens: 50, context: { text: extractedText, categories: availableCategories, examples, kind } });
+
       if (!aiResponse) {
         throw new Error('No response from AI');
       }
@@ -299,6 +433,93 @@ Return ONLY the exact category name from the available options, nothing else.`;
     }
   }
 
+  /**
+   * Turn a question about the user's money into structured queries over their expenses,
+   * incomes and budgets. Only the question, today's date and category names are sent;
+   * the model never sees the user's data and never writes SQL.
+   * @param {string} question - e.g. "how much did I spend on food last month vs this month?"
+   * @param {Object} options - { today: 'YYYY-MM-DD', expenseCategories: [names], incomeCategories: [names] }
+   * @returns {Object} { queries: [{ label, source, metric, startDate, endDate, category, paymentMethod,
+   *   search, groupBy, sort, limit }], confidence }
+   */
+  async planTransactionQuery(question, { today, expenseCategories = [], incomeCategories = [] } = {}) {
+    const categories = [...new Set([...expenseCategories, ...incomeCategories])];
+    const weekday = new Date(`${today}T00:00:00Z`).toLocaleString('en-US', { weekday: 'long', timeZone: 'UTC' });
+
+    const prompt = `You translate a user's question about their personal finances into queries for an expense tracking app.
+
+Question: "${question}"
+
+Today is ${weekday}, ${today}. Weeks start on Monday. Amounts are in INR.
+Expense categories: ${expenseCategories.join(', ') || 'none'}
+Income categories: ${incomeCategories.join(', ') || 'none'}
+
+Each query reads ONE source:
+- "expenses" or "incomes": metric "sum" (total), "count", "average", "max", "min" or "list" (individual transactions, ordered by sort, at most limit)
+- "budgets": the monthly budget against what was spent, for each month in the range (metric is ignored)
+
+Fields of a query:
+- label: short description, e.g. "Food last month"
+- startDate / endDate: inclusive YYYY-MM-DD range. "this month" runs from the 1st to today, "last month" is the whole previous month, a month name without a year is its most recent occurrence up to today
+- category: exact category name from the lists above, or null for all
+- paymentMethod: UPI, Card, Cash or Bank Transfer, or null
+- search: a merchant or word to look for in descriptions, or null
+- groupBy: "category", "month" or "payment_method" to break a total down, or null
+- sort / limit: for "list" ("biggest three expenses" = sort "amount_desc", limit 3)
+
+For comparisons ("last month vs this month", "food vs transport") return one query per side, at most 4 queries.
+If the question is not about the user's expenses, incomes or budgets, return an empty queries array.`;
+
+    return this.completeJson('assistant_query', 'assistantQuery', [
+      {
+        role: "system",
+        content: "You plan read-only queries over a user's own expenses, incomes and budgets. You never write SQL. Always respond with valid JSON only."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ], { maxTokens: 600, context: { text: question, today, categories, expenseCategories, incomeCategories } });
+  }
+
+  /**
+   * Work out which column of a bank statement CSV holds what, for layouts the
+   * header matching in bankStatementParser doesn't recognise
+   * @param {Array<Array<string>>} rows - the first rows of the file
+   * @returns {Object} { headerRow, date, description, debit, credit, amount, type, balance, reference, confidence }
+   *   as row/column indexes (null when absent)
+   */
+  async mapStatementColumns(rows) {
+    const sample = rows.map((cells, index) => `${index}: ${JSON.stringify(cells)}`).join('\n');
+
+    const prompt = `These are the first rows of a bank statement exported as CSV by an Indian bank. Each line is "row index: [cells]".
+
+${sample}
+
+Identify the layout:
+- headerRow: index of the row with the column titles (null if there is none)
+- date: column with the transaction date (prefer the transaction date over the value date)
+- description: column with the narration / particulars
+- debit and credit: separate withdrawal and deposit amount columns, if the statement has them
+- amount: a single amount column, if debits and credits share one
+- type: column saying Dr/Cr for the amount column, if any
+- balance: running balance column
+- reference: cheque / reference number column
+
+Give column indexes counted from 0 and null for anything the statement doesn't have.`;
+
+    return this.completeJson('statement_columns', 'statementColumns', [
+      {
+        role: "system",
+        content: "You are an expert at reading Indian bank statement exports. Always respond with valid JSON only."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ], { maxTokens: 200, context: { rows } });
+  }
+
   /**
    * Analyze extracted income document text and intelligently fill income form fields
    * @param {string} extractedText - Text extracted from income document via OCR
@@ -374,103 +595,226 @@ CRITICAL GUIDELINES FOR CATEGORIZATION:
 8. Amount should be a number (not string)
 9. Return valid JSON only, no additional text`;
 
-      const completion = await this.client.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert at analyzing income document text and extracting structured income data. CRITICAL RULES: 1) Always prioritize TOTAL amounts over partial amounts. 2) For categories, analyze the SOURCE and TYPE of income together - 'Salary' with company name = 'Salary', 'Freelance' with project = 'Freelance', 'Business' with revenue = 'Business', 'Investment' with returns = 'Investments', 'Rental' with property = 'Rental Income', 'Sales' with products = 'Sales', 'Government' with benefits = 'Government Benefits', 'Gifts' with received = 'Gifts', 'Agriculture' with farming = 'Agriculture'. 3) Match income source to category. 4) Always respond with valid JSON only."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.1,
-        max_tokens: 500
-      });
-
-      const responseText = completion.choices[0].message.content.trim();
+      const validatedData = await this.completeJson('income_analysis', 'incomeDocument', [
+        {
+          role: "system",
+          content: "You are an expert at analyzing income document text and extracting structured income data. CRITICAL RULES: 1) Always prioritize TOTAL amounts over partial amounts. 2) For categories, analyze the SOURCE and TYPE of income together - 'Salary' with company name = 'Salary', 'Freelance' with project = 'Freelance', 'Business' with revenue = 'Business', 'Investment' with returns = 'Investments', 'Rental' with property = 'Rental Income', 'Sales' with products = 'Sales', 'Government' with benefits = 'Government Benefits', 'Gifts' with received = 'Gifts', 'Agriculture' with farming = 'Agriculture'. 3) Match income source to category. 4) Always respond with valid JSON only."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ], { maxTokens: 500, context: { text: extractedText, categories: availableCategories } });
       
-      // Parse JSON response
-      let extractedData;
-      try {
-        extractedData = JSON.parse(responseText);
-      } catch (parseError) {
-        console.error('Failed to parse OpenAI response:', responseText);
-        throw new Error('Invalid response format from AI');
+      return validatedData;
+
+    } catch (error) {
+      console.error('AI Service Error:', error);
+      throw new Error(`AI analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Analyze a salary slip: every earning and deduction component, gross and net pay
+   * @param {string} extractedText - Text extracted from the payslip via OCR
+   * @returns {Object} Payslip components and totals plus the gross - deductions = net check
+   */
+  async analyzePayslip(extractedText) {
+    try {
+      if (!extractedText || extractedText.trim().length === 0) {
+        throw new Error('No text extracted from payslip');
       }
 
-      // Validate and clean the response
-      const validatedData = this.validateExtractedIncomeData(extractedData, availableCategories);
-      
+      const prompt = `You are an AI assistant that reads Indian salary slips (payslips).
+
+Payslip Text:
+"${extractedText}"
+
+Extract the pay for the month in this JSON format:
+{
+  "employer": "string" (company name, return null if not found),
+  "payPeriod": "YYYY-MM" (the month being paid, e.g. "Pay slip for October 2026" = "2026-10", return null if not found),
+  "payDate": "YYYY-MM-DD" (date salary was paid/credited, return null if not printed),
+  "earnings": [
+    { "name": "string" (as printed), "component": "${EARNING_COMPONENTS.join('|')}", "amount": number }
+  ],
+  "deductions": [
+    { "name": "string" (as printed), "component": "${DEDUCTION_COMPONENTS.join('|')}", "amount": number }
+  ],
+  "grossPay": number ("Gross Earnings", "Total Earnings", "Gross Salary"),
+  "totalDeductions": number ("Total Deductions", null if not printed),
+  "netPay": number ("Net Pay", "Net Salary", "Take Home" - the amount credited to the bank),
+  "currency": "INR",
+  "confidence": number (0-1)
+}
+
+CRITICAL GUIDELINES:
+1. Use the amounts for THIS MONTH. Payslips often also print year-to-date (YTD) or arrears columns - ignore YTD.
+2. Earnings are what the employee earned: Basic, HRA / House Rent Allowance, Special Allowance, Conveyance, Medical, LTA, Bonus, Overtime. Anything else is "other".
+3. Deductions are what was withheld: Provident Fund / EPF = "pf", Voluntary PF = "vpf", Professional Tax = "professional_tax", Income Tax / TDS = "tds", ESI = "esi", Labour Welfare Fund = "lwf", loan or advance recovery = "loan".
+4. Employer contributions printed for information (e.g. "Employer PF contribution") are neither earnings nor deductions unless they are in the deductions column.
+5. Skip components printed as 0.
+6. Amounts must be numbers without currency symbols or commas.
+7. Return valid JSON only, no additional text`;
+
+      const validatedData = await this.completeJson('payslip_analysis', 'payslip', [
+        {
+          role: "system",
+          content: "You are an expert at reading Indian salary slips. Always take the current month's amounts, never year-to-date totals. Always respond with valid JSON only."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ], { maxTokens: 1000, context: { text: extractedText } });
+      validatedData.reconciliation = this.reconcilePayslip(validatedData);
+
       return validatedData;
 
     } catch (error) {
-      console.error('OpenAI Service Error:', error);
+      console.error('AI Service Error:', error);
       throw new Error(`AI analysis failed: ${error.message}`);
     }
   }
 
   /**
-   * Validate and clean extracted income data
+   * Check that the components add up: earnings to gross pay, and gross pay less
+   * deductions to net pay. Allows ₹1 for the rounding payslips commonly do.
    */
-  validateExtractedIncomeData(data, availableCategories) {
-    const validated = {
-      amount: null,
-      date: null,
-      category: null,
-      subcategory: null,
-      paymentMethod: null,
-      description: null,
-      confidence: 0
-    };
+  reconcilePayslip({ earnings, deductions, grossPay, totalDeductions, netPay }) {
+    const earningsTotal = round(earnings.reduce((sum, line) => sum + line.amount, 0));
+    const deductionsTotal = round(deductions.reduce((sum, line) => sum + line.amount, 0));
+    const tolerance = 1;
+    const issues = [];
+
+    if (earnings.length === 0) {
+      issues.push('No earning components were found');
+    } else if (grossPay !== null && Math.abs(earningsTotal - grossPay) > tolerance) {
+      issues.push(`Earnings add up to ₹${earningsTotal.toFixed(2)} but the gross pay is ₹${grossPay.toFixed(2)}`);
+    }
 
-    // Validate amount
-    if (data.amount && typeof data.amount === 'number' && data.amount > 0) {
-      validated.amount = data.amount;
+    if (totalDeductions !== null && Math.abs(deductionsTotal - totalDeductions) > tolerance) {
+      issues.push(`Deductions add up to ₹${deductionsTotal.toFixed(2)} but the printed total is ₹${totalDeductions.toFixed(2)}`);
     }
 
-    // Validate date
-    if (data.date && typeof data.date === 'string') {
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-      if (dateRegex.test(data.date)) {
-        validated.date = data.date;
+    // Without itemized deductions the printed total is all there is to go on
+    const withheld = deductions.length > 0 ? deductionsTotal : (totalDeductions || 0);
+    let computedNetPay = null;
+    let difference = null;
+
+    if (grossPay === null || netPay === null) {
+      issues.push('Gross and net pay are both needed to check the payslip');
+    } else {
+      computedNetPay = round(grossPay - withheld);
+      difference = round(netPay - computedNetPay);
+      if (Math.abs(difference) > tolerance) {
+        issues.push(`Gross pay less deductions comes to ₹${computedNetPay.toFixed(2)} but the net pay is ₹${netPay.toFixed(2)}`);
       }
     }
 
-    // Validate category
-    if (data.category && availableCategories.length > 0) {
-      const categoryExists = availableCategories.some(cat => 
-        cat.name.toLowerCase() === data.category.toLowerCase()
-      );
-      if (categoryExists) {
-        validated.category = data.category;
+    return {
+      earningsTotal,
+      deductionsTotal,
+      computedNetPay,
+      printedNetPay: netPay,
+      difference,
+      matches: issues.length === 0,
+      issues
+    };
+  }
+
+  /**
+   * Analyze a Form 16 for the year's totals: gross salary, exemptions and deductions,
+   * taxable income and TDS
+   * @param {string} extractedText - Text extracted from Form 16 (Part A and/or Part B)
+   * @returns {Object} Annual totals plus a check that the deductions lead to the taxable income
+   */
+  async analyzeForm16(extractedText) {
+    try {
+      if (!extractedText || extractedText.trim().length === 0) {
+        throw new Error('No text extracted from Form 16');
       }
-    }
 
-    // Validate subcategory
-    if (data.subcategory && typeof data.subcategory === 'string') {
-      validated.subcategory = data.subcategory.trim();
-    }
+      const prompt = `You are an AI assistant that reads Form 16 (the TDS certificate Indian employers issue for salary).
 
-    // Validate payment method
-    const validPaymentMethods = ['upi', 'card', 'cash', 'bank_transfer'];
-    if (data.paymentMethod && validPaymentMethods.includes(data.paymentMethod.toLowerCase())) {
-      validated.paymentMethod = data.paymentMethod.toLowerCase();
+Form 16 Text:
+"${extractedText}"
+
+Extract the annual totals in this JSON format:
+{
+  "employer": "string" (name of the employer / deductor, return null if not found),
+  "employerTan": "string" (TAN of the deductor, e.g. "MUMA12345B", return null if not found),
+  "assessmentYear": "YYYY-YY" (e.g. "2027-28", return null if not found),
+  "grossSalary": number (Part B "Gross Salary" total, section 17(1)+17(2)+17(3)),
+  "exemptions": number (total allowances exempt under section 10, 0 if none),
+  "standardDeduction": number (section 16(ia), 0 if none),
+  "professionalTax": number (tax on employment under section 16(iii), 0 if none),
+  "chapterVIA": [ { "section": "80C|80CCD(1B)|80D|...", "amount": number (deductible amount) } ],
+  "taxableIncome": number ("Total taxable income"),
+  "taxPayable": number (net tax payable after rebate and cess, null if not printed),
+  "tdsDeducted": number (total tax deducted at source for the year, Part A total),
+  "confidence": number (0-1)
+}
+
+CRITICAL GUIDELINES:
+1. Use annual totals, not quarter-wise figures from Part A (except for the Part A grand total of TDS).
+2. For chapter VI-A list each section once with the DEDUCTIBLE amount (the last column), skipping sections printed as 0.
+3. Amounts must be numbers without currency symbols or commas.
+4. Return valid JSON only, no additional text`;
+
+      const validatedData = await this.completeJson('form16_analysis', 'form16', [
+        {
+          role: "system",
+          content: "You are an expert at reading Indian Form 16 TDS certificates. Always respond with valid JSON only."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ], { maxTokens: 800, context: { text: extractedText } });
+      validatedData.reconciliation = this.reconcileForm16(validatedData);
+
+      return validatedData;
+
+    } catch (error) {
+      console.error('AI Service Error:', error);
+      throw new Error(`AI analysis failed: ${error.message}`);
     }
+  }
 
-    // Validate description
-    if (data.description && typeof data.description === 'string') {
-      validated.description = data.description.trim().substring(0, 100);
+  /**
+   * Check that gross salary less exemptions and deductions comes to the taxable income
+   * (Form 16 rounds taxable income to the nearest ₹10) and that the TDS covers the tax
+   */
+  reconcileForm16({ grossSalary, exemptions, standardDeduction, professionalTax, chapterVIATotal, taxableIncome, taxPayable, tdsDeducted }) {
+    const tolerance = 10;
+    const issues = [];
+    let computedTaxableIncome = null;
+    let difference = null;
+
+    if (grossSalary === null || taxableIncome === null) {
+      issues.push('Gross salary and taxable income are both needed to check the Form 16');
+    } else {
+      computedTaxableIncome = round(Math.max(grossSalary - exemptions - standardDeduction - professionalTax - chapterVIATotal, 0));
+      difference = round(taxableIncome - computedTaxableIncome);
+      if (Math.abs(difference) > tolerance) {
+        issues.push(`Gross salary less exemptions and deductions comes to ₹${computedTaxableIncome.toFixed(2)} but the taxable income is ₹${taxableIncome.toFixed(2)}`);
+      }
     }
 
-    // Validate confidence
-    if (data.confidence && typeof data.confidence === 'number') {
-      validated.confidence = Math.max(0, Math.min(1, data.confidence));
+    if (taxPayable !== null && tdsDeducted !== null && Math.abs(taxPayable - tdsDeducted) > tolerance) {
+      issues.push(tdsDeducted < taxPayable
+        ? `TDS of ₹${tdsDeducted.toFixed(2)} is ₹${(taxPayable - tdsDeducted).toFixed(2)} short of the tax payable`
+        : `TDS of ₹${tdsDeducted.toFixed(2)} is ₹${(tdsDeducted - taxPayable).toFixed(2)} more than the tax payable`);
     }
 
-    return validated;
+    return {
+      computedTaxableIncome,
+      printedTaxableIncome: taxableIncome,
+      difference,
+      matches: issues.length === 0,
+      issues
+    };
   }
 }
 
@@ -0,0 +1,149 @@
+// Tokenized password reset flow
+// Reset links carry a random single-use token; only its SHA-256 hash is stored.
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const authService = require('./authService');
+const sessionService = require('./sessionService');
+const emailService = require('./emailService');
+
+const RESET_TOKEN_TTL_MINUTES = 30;
+
+class PasswordResetService {
+  /**
+   * Issue a reset token and email the link.
+   * Silently does nothing for unknown emails. The route runs this without
+   * awaiting it so response timing doesn't reveal whether an account exists.
+   * @param {string} email - Normalized email address
+   * @param {string} requestedIp - Caller IP, stored for auditing
+   */
+  async requestReset(email, requestedIp) {
+    const { data: user, error } = await supabase
+      .from('user_profiles')
+      .select('id, email, full_name')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error looking up user for password reset:', error);
+      return;
+    }
+
+    if (!user) {
+      console.log('Password reset requested for unknown email');
+      return;
+    }
+
+    // Only the newest link should work
+    await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', user.id)
+      .is('used_at', null);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const { error: insertError } = await supabase
+      .from('password_reset_tokens')
+      .insert({
+        user_id: user.id,
+        token_hash: this.hashToken(token),
+        expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+        requested_ip: requestedIp || null
+      });
+
+    if (insertError) {
+      console.error('Error storing password reset token:', insertError);
+      return;
+    }
+
+    const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+    const resetUrl = `${frontendUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await emailService.sendPasswordResetEmail({
+      to: user.email,
+      userName: user.full_name,
+      resetUrl,
+      expiresInMinutes: RESET_TOKEN_TTL_MINUTES
+    });
+  }
+
+  /**
+   * Consume a reset token and set the new password
+   * @returns {Promise<Object>} { success, status?, message? }
+   */
+  async resetPassword(token, newPassword) {
+    const { data: stored, error } = await supabase
+      .from('password_reset_tokens')
+      .select('id, user_id, expires_at, used_at')
+      .eq('token_hash', this.hashToken(token))
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error looking up password reset token:', error);
+      throw new Error('Failed to look up reset token');
+    }
+
+    if (!stored || stored.used_at || new Date(stored.expires_at) <= new Date()) {
+      return { success: false, status: 400, message: 'This reset link is invalid or has expired' };
+    }
+
+    const { data: user } = await supabase
+      .from('user_profiles')
+      .select('id, email, role')
+      .eq('id', stored.user_id)
+      .maybeSingle();
+
+    if (!user) {
+      return { success: false, status: 400, message: 'This reset link is invalid or has expired' };
+    }
+
+    // Check the policy before burning the token so the user can retry
+    const passwordError = authService.validatePassword(newPassword, {
+      admin: user.role === 'admin',
+      email: user.email
+    });
+    if (passwordError) {
+      return { success: false, status: 400, message: passwordError };
+    }
+
+    const { data: claimed } = await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', stored.id)
+      .is('used_at', null)
+      .select('id');
+
+    if (!claimed || claimed.length === 0) {
+      return { success: false, status: 400, message: 'This reset link is invalid or has expired' };
+    }
+
+    const hash = await authService.hashPassword(newPassword);
+    const now = new Date().toISOString();
+
+    const { error: updateError } = await supabase
+      .from('user_profiles')
+      .update({
+        password: hash,
+        password_updated_at: now,
+        updated_at: now
+      })
+      .eq('id', user.id);
+
+    if (updateError) {
+      console.error('Error saving reset password:', updateError);
+      throw new Error('Failed to update password');
+    }
+
+    // Anyone holding the old password may already be signed in
+    await sessionService.revokeAllSessions(user.id, 'password_reset');
+
+    console.log('🔐 Password reset completed for:', user.email);
+    return { success: true };
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+}
+
+module.exports = new PasswordResetService();
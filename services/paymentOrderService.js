@@ -0,0 +1,277 @@
+// Razorpay order creation and payment verification
+// Amounts come from the server (the linked expense) and the user from the JWT, never from the request body.
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const razorpay = require('../config/razorpay');
+const paymentReceiptService = require('./paymentReceiptService');
+
+const SUPPORTED_CURRENCIES = ['INR'];
+const PAID_STATUSES = ['captured', 'partially_refunded', 'refunded'];
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+// Tries at saving the Razorpay order id on our row before giving the key back
+const LINK_ORDER_ATTEMPTS = 3;
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+class PaymentOrderService {
+  /**
+   * Create a Razorpay order for the caller, or return the one created earlier
+   * under the same Idempotency-Key
+   * @param {string} userId - From the JWT
+   * @param {Object} params - { amount?, currency?, expenseId?, description? }
+   * @param {string} [idempotencyKey] - Idempotency-Key header
+   * @returns {Promise<Object>} { success, status?, message?, order?, replayed? }
+   */
+  async createOrder(userId, { amount, currency = 'INR', expenseId, description }, idempotencyKey) {
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey.trim() || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+      return { success: false, status: 400, message: `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters` };
+    }
+
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      return { success: false, status: 400, message: `currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}` };
+    }
+
+    if (amount !== undefined && amount !== null && (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0)) {
+      return { success: false, status: 400, message: 'amount must be a positive number' };
+    }
+
+    let trustedAmount = amount;
+
+    if (expenseId) {
+      const { data: expense, error } = await supabase
+        .from('expenses')
+        .select('id, amount, description')
+        .eq('id', expenseId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching expense for order:', error);
+        throw new Error('Failed to fetch expense');
+      }
+
+      if (!expense) {
+        return { success: false, status: 404, message: 'Expense not found' };
+      }
+
+      if (amount !== undefined && amount !== null && toPaise(amount) !== toPaise(expense.amount)) {
+        return { success: false, status: 400, message: 'amount does not match the expense amount' };
+      }
+
+      trustedAmount = Number(expense.amount);
+      description = description || expense.description || undefined;
+    } else if (amount === undefined || amount === null) {
+      return { success: false, status: 400, message: 'amount or expenseId is required' };
+    }
+
+    const key = idempotencyKey ? idempotencyKey.trim() : null;
+    const fingerprint = this.fingerprint({ amount: trustedAmount, currency, expenseId, description });
+
+    if (key) {
+      const existing = await this.findByIdempotencyKey(userId, key);
+      if (existing) return this.replay(existing, fingerprint);
+    }
+
+    if (expenseId) {
+      const { data: paid } = await supabase
+        .from('payments')
+        .select('id')
+        .eq('expense_id', expenseId)
+        .eq('user_id', userId)
+        .in('status', PAID_STATUSES)
+        .limit(1);
+
+      if (paid && paid.length > 0) {
+        return { success: false, status: 409, message: 'This expense has already been paid' };
+      }
+    }
+
+    // Claim the idempotency key before talking to Razorpay so concurrent retries can't create two orders
+    const notes = { userId, expenseId: expenseId || null, description: description || null };
+    const { data: row, error: insertError } = await supabase
+      .from('payments')
+      .insert({
+        user_id: userId,
+        expense_id: expenseId || null,
+        amount: trustedAmount,
+        currency,
+        status: 'created',
+        notes,
+        idempotency_key: key,
+        idempotency_fingerprint: key ? fingerprint : null
+      })
+      .select('*')
+      .single();
+
+    if (insertError) {
+      if (insertError.code === '23505' && key) {
+        const existing = await this.findByIdempotencyKey(userId, key);
+        if (existing) return this.replay(existing, fingerprint);
+      }
+      console.error('Error recording order:', insertError);
+      throw new Error('Failed to record order');
+    }
+
+    let order;
+    try {
+      order = await razorpay.orders.create({
+        amount: toPaise(trustedAmount), // in paise
+        currency,
+        receipt: row.id, // lets reconciliation map orders back to payments rows
+        notes
+      });
+    } catch (error) {
+      // Free the key so the client can retry
+      await supabase.from('payments').delete().eq('id', row.id);
+      console.error('Razorpay order error:', error);
+      return { success: false, status: 502, message: error?.error?.description || 'Failed to create order' };
+    }
+
+    let updateError;
+    for (let attempt = 1; attempt <= LINK_ORDER_ATTEMPTS; attempt++) {
+      ({ error: updateError } = await supabase
+        .from('payments')
+        .update({ razorpay_order_id: order.id, notes: order.notes || notes })
+        .eq('id', row.id));
+      if (!updateError) break;
+      console.error(`Error linking Razorpay order ${order.id} (attempt ${attempt}):`, updateError);
+    }
+
+    if (updateError) {
+      // A row without an order id replays as "in progress" forever, so free the key
+      // like a failed orders.create; the unpaid Razorpay order just expires
+      const { error: deleteError } = await supabase.from('payments').delete().eq('id', row.id);
+      if (deleteError) {
+        console.error('Error releasing idempotency key after failed order link:', deleteError);
+      }
+      return { success: false, status: 502, message: 'Failed to create order' };
+    }
+
+    return { success: true, order, paymentId: row.id };
+  }
+
+  /**
+   * Verify the checkout signature for one of the caller's orders and mark it captured
+   * @param {string} userId - From the JWT
+   * @param {Object} params - { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+   * @returns {Promise<Object>} { success, status?, message?, payment? }
+   */
+  async verifyPayment(userId, { razorpay_order_id, razorpay_payment_id, razorpay_signature }) {
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('razorpay_order_id', razorpay_order_id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching payment for verification:', error);
+      throw new Error('Failed to fetch payment');
+    }
+
+    if (!payment) {
+      return { success: false, status: 404, message: 'Order not found' };
+    }
+
+    if (!this.isValidSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      await supabase
+        .from('payments')
+        .update({
+          status: 'failed',
+          razorpay_payment_id,
+          razorpay_signature
+        })
+        .eq('id', payment.id)
+        .in('status', ['created', 'authorized']);
+      return { success: false, status: 400, message: 'Invalid signature' };
+    }
+
+    if (PAID_STATUSES.includes(payment.status)) {
+      // Already captured by an earlier verify or the webhook
+      return { success: true, payment: this.toPublicPayment(payment) };
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('payments')
+      .update({
+        status: 'captured',
+        razorpay_payment_id,
+        razorpay_signature,
+        verified_at: new Date().toISOString()
+      })
+      .eq('id', payment.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('payments update error:', updateError);
+      throw new Error('Failed to update payment');
+    }
+
+    // Generate, store and email the receipt in the background; idempotent with the webhook
+    paymentReceiptService
+      .dispatchReceipt(updated.id)
+      .catch(dispatchError => console.error('receipt dispatch error:', dispatchError));
+
+    return { success: true, payment: this.toPublicPayment(updated) };
+  }
+
+  async findByIdempotencyKey(userId, key) {
+    const { data, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('idempotency_key', key)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error looking up idempotency key:', error);
+      throw new Error('Failed to look up idempotency key');
+    }
+
+    return data;
+  }
+
+  /**
+   * Answer a retried create-order with the original order
+   */
+  async replay(payment, fingerprint) {
+    if (payment.idempotency_fingerprint !== fingerprint) {
+      return { success: false, status: 422, message: 'Idempotency-Key was already used with different parameters' };
+    }
+
+    if (!payment.razorpay_order_id) {
+      return { success: false, status: 409, message: 'A request with this Idempotency-Key is still in progress' };
+    }
+
+    const order = await razorpay.orders.fetch(payment.razorpay_order_id);
+    return { success: true, order, paymentId: payment.id, replayed: true };
+  }
+
+  fingerprint({ amount, currency, expenseId, description }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([toPaise(amount), currency, expenseId || null, description || null]))
+      .digest('hex');
+  }
+
+  isValidSignature(orderId, paymentId, signature) {
+    // Razorpay signatures are hex HMAC-SHA256; anything else (e.g. non-ASCII input,
+    // whose byte length differs from its string length) can't match
+    if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) return false;
+
+    const expected = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  toPublicPayment(payment) {
+    const { razorpay_signature, idempotency_fingerprint, ...rest } = payment;
+    return rest;
+  }
+}
+
+module.exports = new PaymentOrderService();
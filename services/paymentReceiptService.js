@@ -0,0 +1,158 @@
+// Generates, stores and emails PDF receipts for captured payments
+const supabase = require('../config/supabase');
+const pdfReceiptService = require('./pdfReceiptService');
+const emailService = require('./emailService');
+
+const RECEIPTS_BUCKET = 'payment-receipts';
+
+class PaymentReceiptService {
+  /**
+   * Generate, store and email the receipt for a captured payment, exactly once.
+   * Safe to call from both /verify and the webhook: the first caller claims the
+   * dispatch and later callers return without doing anything.
+   * @param {string} paymentId - payments.id
+   * @returns {Promise<Object>} { dispatched, reason? }
+   */
+  async dispatchReceipt(paymentId) {
+    const { data: claimed, error: claimError } = await supabase
+      .from('payments')
+      .update({ receipt_dispatch_claimed_at: new Date().toISOString() })
+      .eq('id', paymentId)
+      .eq('status', 'captured')
+      .is('receipt_dispatch_claimed_at', null)
+      .select('*')
+      .maybeSingle();
+
+    if (claimError) {
+      console.error('Error claiming receipt dispatch:', claimError);
+      throw new Error('Failed to claim receipt dispatch');
+    }
+
+    if (!claimed) {
+      return { dispatched: false, reason: 'already_dispatched_or_not_captured' };
+    }
+
+    try {
+      const user = await this.getPaymentUser(claimed);
+      const { pdfBuffer, payment } = await this.generateAndStore(claimed, user);
+
+      const to = user.email || payment.email;
+      if (!to) {
+        console.warn(`No email address for payment ${payment.id}; receipt stored but not emailed`);
+        return { dispatched: false, reason: 'no_email' };
+      }
+
+      const result = await emailService.sendPaymentConfirmation({
+        to,
+        userName: user.full_name,
+        payment,
+        pdfBuffer
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Email send failed');
+      }
+
+      await supabase
+        .from('payments')
+        .update({ receipt_emailed_at: new Date().toISOString() })
+        .eq('id', payment.id);
+
+      console.log(`🧾 Receipt emailed for payment ${payment.id}`);
+      return { dispatched: true };
+    } catch (error) {
+      // Release the claim so the next verify/webhook delivery can retry
+      await supabase
+        .from('payments')
+        .update({ receipt_dispatch_claimed_at: null })
+        .eq('id', paymentId)
+        .is('receipt_emailed_at', null);
+
+      console.error(`Receipt dispatch failed for payment ${paymentId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return the receipt PDF for a payment, generating and storing it if needed
+   * @param {Object} payment - payments row
+   * @returns {Promise<Buffer>}
+   */
+  async getReceiptPdf(payment) {
+    if (payment.receipt_url) {
+      const { data, error } = await supabase.storage
+        .from(RECEIPTS_BUCKET)
+        .download(payment.receipt_url);
+
+      if (!error && data) {
+        return Buffer.from(await data.arrayBuffer());
+      }
+      console.warn(`Stored receipt missing for payment ${payment.id}, regenerating:`, error?.message);
+    }
+
+    const user = await this.getPaymentUser(payment);
+    const { pdfBuffer } = await this.generateAndStore(payment, user);
+    return pdfBuffer;
+  }
+
+  /**
+   * Render the PDF, upload it and link it on the payment row
+   */
+  async generateAndStore(payment, user) {
+    const normalized = { ...payment, amount: Number(payment.amount) };
+    const pdfBuffer = await pdfReceiptService.generateReceipt(normalized, user);
+    const path = `${payment.user_id}/${payment.id}.pdf`;
+
+    await this.ensureBucket();
+
+    const { error: uploadError } = await supabase.storage
+      .from(RECEIPTS_BUCKET)
+      .upload(path, pdfBuffer, { contentType: 'application/pdf', upsert: true });
+
+    if (uploadError) {
+      throw new Error(`Receipt upload failed: ${uploadError.message}`);
+    }
+
+    const generatedAt = new Date().toISOString();
+    const { error: updateError } = await supabase
+      .from('payments')
+      .update({ receipt_url: path, receipt_generated_at: generatedAt })
+      .eq('id', payment.id);
+
+    if (updateError) {
+      console.error('Error linking receipt to payment:', updateError);
+    }
+
+    return {
+      pdfBuffer,
+      payment: { ...normalized, receipt_url: path, receipt_generated_at: generatedAt }
+    };
+  }
+
+  async getPaymentUser(payment) {
+    const { data: user } = await supabase
+      .from('user_profiles')
+      .select('id, email, full_name')
+      .eq('id', payment.user_id)
+      .maybeSingle();
+
+    return user || { email: payment.email, full_name: null };
+  }
+
+  async ensureBucket() {
+    if (this.bucketReady) return;
+
+    const { error } = await supabase.storage.createBucket(RECEIPTS_BUCKET, {
+      public: false,
+      allowedMimeTypes: ['application/pdf']
+    });
+
+    if (error && !error.message.includes('already exists')) {
+      throw new Error(`Bucket creation failed: ${error.message}`);
+    }
+
+    this.bucketReady = true;
+  }
+}
+
+module.exports = new PaymentReceiptService();
@@ -0,0 +1,212 @@
+// Payment history queries, summaries and CSV/PDF statements for a user
+const supabase = require('../config/supabase');
+const pdfReceiptService = require('./pdfReceiptService');
+const { isValidDate } = require('./dates');
+const { round } = require('./formatting');
+
+const PAYMENT_STATUSES = ['created', 'authorized', 'captured', 'failed', 'partially_refunded', 'refunded'];
+// Statuses where money actually reached us (refunds are tracked separately)
+const PAID_STATUSES = ['captured', 'partially_refunded', 'refunded'];
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FETCH_BATCH_SIZE = 1000;
+const FILTER_KEYS = ['status', 'startDate', 'endDate', 'expenseId'];
+
+// A payment is dated when it was verified, or when it was created if it never was.
+// Date filters, monthly totals and the CSV Date column all go by this.
+const paymentDate = (payment) => payment.verified_at || payment.created_at;
+
+const CSV_COLUMNS = [
+  { header: 'Date', value: paymentDate },
+  { header: 'Payment ID', value: p => p.razorpay_payment_id },
+  { header: 'Order ID', value: p => p.razorpay_order_id },
+  { header: 'Description', value: p => p.notes?.description },
+  { header: 'Method', value: p => p.method },
+  { header: 'Status', value: p => p.status },
+  { header: 'Currency', value: p => p.currency },
+  { header: 'Amount', value: p => Number(p.amount).toFixed(2) },
+  { header: 'Refunded', value: p => Number(p.amount_refunded || 0).toFixed(2) },
+  { header: 'Net', value: p => (PAID_STATUSES.includes(p.status) ? Number(p.amount) - Number(p.amount_refunded || 0) : 0).toFixed(2) },
+  { header: 'Expense ID', value: p => p.expense_id }
+];
+
+class PaymentStatementService {
+  /**
+   * Validate list/summary/statement query parameters
+   * @param {Object} query - req.query
+   * @returns {Object} { errors, filters } - errors is empty when the query is valid
+   */
+  parseFilters(query) {
+    const errors = {};
+
+    // ?status=a&status=b arrives as an array
+    FILTER_KEYS.forEach(key => {
+      if (query[key] !== undefined && typeof query[key] !== 'string') {
+        errors[key] = `${key} must be given once`;
+      }
+    });
+    if (Object.keys(errors).length > 0) return { errors, filters: {} };
+
+    const { status, startDate, endDate, expenseId } = query;
+
+    if (status && !PAYMENT_STATUSES.includes(status)) {
+      errors.status = `Status must be one of: ${PAYMENT_STATUSES.join(', ')}`;
+    }
+    if (startDate && !isValidDate(startDate)) {
+      errors.startDate = 'startDate must be a valid date in YYYY-MM-DD format';
+    }
+    if (endDate && !isValidDate(endDate)) {
+      errors.endDate = 'endDate must be a valid date in YYYY-MM-DD format';
+    }
+    if (startDate && endDate && !errors.startDate && !errors.endDate && startDate > endDate) {
+      errors.endDate = 'endDate must not be before startDate';
+    }
+    if (expenseId && !UUID_REGEX.test(expenseId)) {
+      errors.expenseId = 'expenseId must be a valid id';
+    }
+
+    return { errors, filters: { status, startDate, endDate, expenseId } };
+  }
+
+  /**
+   * Apply parsed filters to a payments query. Dates are inclusive calendar days
+   * compared with the payment date (verified_at, else created_at).
+   */
+  applyFilters(query, { status, startDate, endDate, expenseId }) {
+    const onPaymentDate = (operator, timestamp) =>
+      `verified_at.${operator}."${timestamp}",and(verified_at.is.null,created_at.${operator}."${timestamp}")`;
+
+    if (status) query = query.eq('status', status);
+    if (startDate) query = query.or(onPaymentDate('gte', `${startDate}T00:00:00.000Z`));
+    if (endDate) {
+      const dayAfter = new Date(`${endDate}T00:00:00.000Z`);
+      dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+      query = query.or(onPaymentDate('lt', dayAfter.toISOString()));
+    }
+    if (expenseId) query = query.eq('expense_id', expenseId);
+    return query;
+  }
+
+  /**
+   * Load every payment matching the filters, oldest payment date first
+   * @param {string} userId
+   * @param {Object} filters - From parseFilters
+   * @returns {Promise<Array>}
+   */
+  async fetchAll(userId, filters) {
+    const rows = [];
+
+    for (let from = 0; ; from += FETCH_BATCH_SIZE) {
+      const query = this.applyFilters(
+        supabase.from('payments').select('*').eq('user_id', userId),
+        filters
+      );
+
+      const { data, error } = await query
+        .order('created_at', { ascending: true })
+        .range(from, from + FETCH_BATCH_SIZE - 1);
+
+      if (error) {
+        console.error('Error fetching payments:', error);
+        throw new Error('Failed to fetch payments');
+      }
+
+      rows.push(...(data || []));
+      if (!data || data.length < FETCH_BATCH_SIZE) break;
+    }
+
+    return rows.sort((a, b) => String(paymentDate(a)).localeCompare(String(paymentDate(b))));
+  }
+
+  /**
+   * Totals by month, method and status
+   * @param {Array} payments - payments rows
+   * @returns {Object}
+   */
+  summarize(payments) {
+    const totals = { count: 0, paid: 0, refunded: 0, net: 0 };
+    const byMonth = {};
+    const byMethod = {};
+    const byStatus = {};
+
+    const add = (bucket, key, paid, refunded) => {
+      if (!bucket[key]) bucket[key] = { count: 0, paid: 0, refunded: 0, net: 0 };
+      bucket[key].count += 1;
+      bucket[key].paid += paid;
+      bucket[key].refunded += refunded;
+      bucket[key].net += paid - refunded;
+    };
+
+    for (const payment of payments) {
+      const isPaid = PAID_STATUSES.includes(payment.status);
+      const paid = isPaid ? Number(payment.amount) : 0;
+      const refunded = isPaid ? Number(payment.amount_refunded || 0) : 0;
+      const month = (paymentDate(payment) || '').slice(0, 7) || 'unknown';
+
+      totals.count += 1;
+      totals.paid += paid;
+      totals.refunded += refunded;
+      totals.net += paid - refunded;
+
+      add(byMonth, month, paid, refunded);
+      add(byMethod, payment.method || 'unknown', paid, refunded);
+      add(byStatus, payment.status, paid, refunded);
+    }
+
+    const toList = (bucket, keyName) => Object.entries(bucket).map(([key, value]) => ({
+      [keyName]: key,
+      count: value.count,
+      paid: round(value.paid),
+      refunded: round(value.refunded),
+      net: round(value.net)
+    }));
+
+    return {
+      totals: {
+        count: totals.count,
+        paid: round(totals.paid),
+        refunded: round(totals.refunded),
+        net: round(totals.net)
+      },
+      byMonth: toList(byMonth, 'month').sort((a, b) => a.month.localeCompare(b.month)),
+      byMethod: toList(byMethod, 'method').sort((a, b) => b.paid - a.paid),
+      byStatus: toList(byStatus, 'status').sort((a, b) => b.count - a.count)
+    };
+  }
+
+  /**
+   * Render payments as CSV (one row per payment, header first)
+   * @returns {string}
+   */
+  toCsv(payments) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      // Neutralize spreadsheet formulas (only plain numbers like -12.50 may start with
+      // a minus sign; "-1+HYPERLINK(...)" is a formula) and quote anything that needs it
+      const safe = /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text) ? `'${text}` : text;
+      return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+    };
+
+    const lines = [CSV_COLUMNS.map(column => column.header).join(',')];
+    for (const payment of payments) {
+      lines.push(CSV_COLUMNS.map(column => escape(column.value(payment))).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Render payments as a PDF statement
+   * @returns {Promise<Buffer>}
+   */
+  async toPdf(payments, user, filters) {
+    const summary = this.summarize(payments);
+    return pdfReceiptService.generateStatement(payments, user, {
+      startDate: filters.startDate,
+      endDate: filters.endDate,
+      totals: summary.totals
+    });
+  }
+}
+
+module.exports = new PaymentStatementService();
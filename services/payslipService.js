@@ -0,0 +1,207 @@
+// Records an analyzed payslip as a salary income for the net pay, and keeps the
+// deductions (PF, professional tax, TDS ...) as tracked items against that income
+const supabase = require('../config/supabase');
+const openaiService = require('./openaiService');
+const { EARNING_COMPONENTS, DEDUCTION_COMPONENTS } = require('./aiSchemas');
+const { isValidDate } = require('./dates');
+const { round } = require('./formatting');
+
+const MAX_LINES = 50;
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+class PayslipService {
+  /**
+   * Validate a payslip from a request body (usually the payslip-mode analysis, possibly edited)
+   * @param {Object} payslip - { employer?, payPeriod?, payDate?, earnings, deductions?, grossPay, totalDeductions?, netPay }
+   * @returns {Object} { errors, payslip } with amounts as numbers, ready for reconcilePayslip
+   */
+  parsePayslip(payslip) {
+    const errors = {};
+
+    if (!payslip || typeof payslip !== 'object' || Array.isArray(payslip)) {
+      return { errors: { payslip: 'payslip must be an object' }, payslip: null };
+    }
+
+    const toAmount = (value, key, { required = true } = {}) => {
+      if (value === undefined || value === null || value === '') {
+        if (required) errors[key] = `${key.split('.').pop()} is required`;
+        return null;
+      }
+      const number = Number(value);
+      if (!Number.isFinite(number) || number <= 0 || number >= 100000000) {
+        errors[key] = `${key.split('.').pop()} must be a positive number less than 100,000,000`;
+        return null;
+      }
+      return Math.round(number * 100) / 100;
+    };
+
+    const toLines = (lines, key, components) => {
+      if (lines === undefined || lines === null) return [];
+      if (!Array.isArray(lines)) {
+        errors[key] = `${key.split('.').pop()} must be an array`;
+        return [];
+      }
+      if (lines.length > MAX_LINES) {
+        errors[key] = `At most ${MAX_LINES} ${key.split('.').pop()} are allowed`;
+        return [];
+      }
+
+      return lines.map((line, index) => {
+        const component = line?.component || 'other';
+        if (!components.includes(component)) {
+          errors[`${key}[${index}].component`] = `component must be one of: ${components.join(', ')}`;
+        }
+        if (!line?.name || typeof line.name !== 'string' || !line.name.trim()) {
+          errors[`${key}[${index}].name`] = 'name is required';
+        }
+
+        return {
+          name: typeof line?.name === 'string' ? line.name.trim().substring(0, 100) : null,
+          component,
+          amount: toAmount(line?.amount, `${key}[${index}].amount`)
+        };
+      });
+    };
+
+    if (payslip.payPeriod !== undefined && payslip.payPeriod !== null && !MONTH_REGEX.test(payslip.payPeriod)) {
+      errors['payslip.payPeriod'] = 'payPeriod must be a valid month in YYYY-MM format';
+    }
+    if (payslip.payDate !== undefined && payslip.payDate !== null && !isValidDate(payslip.payDate)) {
+      errors['payslip.payDate'] = 'payDate must be a valid date in YYYY-MM-DD format';
+    }
+    if (payslip.employer !== undefined && payslip.employer !== null && typeof payslip.employer !== 'string') {
+      errors['payslip.employer'] = 'employer must be a string';
+    }
+
+    const parsed = {
+      employer: typeof payslip.employer === 'string' ? payslip.employer.trim().substring(0, 100) || null : null,
+      payPeriod: payslip.payPeriod || null,
+      payDate: payslip.payDate || null,
+      earnings: toLines(payslip.earnings, 'payslip.earnings', EARNING_COMPONENTS),
+      deductions: toLines(payslip.deductions, 'payslip.deductions', DEDUCTION_COMPONENTS),
+      grossPay: toAmount(payslip.grossPay, 'payslip.grossPay'),
+      totalDeductions: toAmount(payslip.totalDeductions, 'payslip.totalDeductions', { required: false }),
+      netPay: toAmount(payslip.netPay, 'payslip.netPay')
+    };
+
+    if (parsed.grossPay !== null && parsed.netPay !== null && parsed.netPay > parsed.grossPay) {
+      errors['payslip.netPay'] = 'netPay cannot be more than grossPay';
+    }
+
+    return { errors, payslip: parsed };
+  }
+
+  /**
+   * Gross - deductions = net check for a parsed payslip (see openaiService.reconcilePayslip)
+   */
+  reconcile(payslip) {
+    return openaiService.reconcilePayslip(payslip);
+  }
+
+  /**
+   * Income columns for the net pay of a parsed payslip. Paid on the pay date, else on the
+   * last day of the pay period, else today.
+   */
+  buildIncome(payslip) {
+    let date = payslip.payDate;
+    if (!date && payslip.payPeriod) {
+      const [year, month] = payslip.payPeriod.split('-').map(Number);
+      date = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+    }
+
+    const period = payslip.payPeriod
+      ? new Date(`${payslip.payPeriod}-01T00:00:00Z`).toLocaleString('en-IN', { month: 'short', year: 'numeric', timeZone: 'UTC' })
+      : null;
+    const withheld = payslip.deductions.reduce((sum, line) => sum + line.amount, 0) || payslip.totalDeductions || 0;
+
+    return {
+      amount: payslip.netPay,
+      gross_amount: payslip.grossPay,
+      date: date || new Date().toISOString().slice(0, 10),
+      description: `Salary${payslip.employer ? ` - ${payslip.employer}` : ''}${period ? ` (${period})` : ''}`.substring(0, 100),
+      notes: `Gross ₹${payslip.grossPay.toFixed(2)} less deductions ₹${withheld.toFixed(2)}`,
+      is_recurring: true,
+      recurring_frequency: 'monthly'
+    };
+  }
+
+  /**
+   * Record a payslip's salary income and, when asked, its deductions in one transaction
+   * (add_create_payslip_income_function.sql), so a salary is never left without them
+   * @param {string} userId
+   * @param {Object} income - incomes columns (buildIncome plus payment method and category)
+   * @param {Object} payslip - parsed payslip
+   * @param {Object} options - { recordDeductions }
+   * @returns {Promise<Object>} { incomeId, deductions }
+   */
+  async createIncome(userId, income, payslip, { recordDeductions = false } = {}) {
+    const payPeriod = payslip.payPeriod ? `${payslip.payPeriod}-01` : `${income.date.slice(0, 7)}-01`;
+    const deductions = recordDeductions
+      ? payslip.deductions.map((line, index) => ({
+        position: index,
+        component: line.component,
+        name: line.name,
+        amount: line.amount,
+        pay_period: payPeriod
+      }))
+      : [];
+
+    const { data, error } = await supabase.rpc('create_payslip_income', {
+      p_user_id: userId,
+      p_income: income,
+      p_deductions: deductions
+    });
+
+    if (error) {
+      console.error('Error creating income from payslip:', error);
+      throw new Error('Failed to create income from payslip');
+    }
+
+    return { incomeId: data.income_id, deductions: data.deductions };
+  }
+
+  /**
+   * List tracked deductions, for one income or across pay periods
+   * @param {string} userId
+   * @param {Object} filters - { incomeId, startDate, endDate } (dates compare against pay_period)
+   */
+  async listDeductions(userId, { incomeId = null, startDate = null, endDate = null } = {}) {
+    let query = supabase
+      .from('income_deductions')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (incomeId) query = query.eq('income_id', incomeId);
+    if (startDate) query = query.gte('pay_period', startDate);
+    if (endDate) query = query.lte('pay_period', endDate);
+
+    const { data, error } = await query
+      .order('pay_period', { ascending: false })
+      .order('position', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching income deductions:', error);
+      throw new Error('Failed to fetch income deductions');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Totals per component, e.g. { pf: 57600, tds: 81000 }, and overall
+   */
+  totals(rows) {
+    const byComponent = {};
+
+    rows.forEach(row => {
+      byComponent[row.component] = round((byComponent[row.component] || 0) + Number(row.amount));
+    });
+
+    return {
+      byComponent,
+      total: round(rows.reduce((sum, row) => sum + Number(row.amount), 0))
+    };
+  }
+}
+
+module.exports = new PayslipService();
@@ -92,7 +92,7 @@ class PDFReceiptService {
 
         const details = [
           { label: 'Transaction ID', value: payment.razorpay_payment_id },
-          { label: 'Order ID', value: payment.razorpay_order_id },
+          { label: 'Order ID', value: payment.razorpay_order_id || '-' },
           { label: 'Payment Method', value: 'Razorpay' },
           { label: 'Currency', value: payment.currency || 'INR' },
         ];
@@ -186,6 +186,341 @@ class PDFReceiptService {
     });
   }
 
+  /**
+   * Generate a credit note PDF for a refund against a payment
+   * @param {Object} refund - payment_refunds row
+   * @param {Object} payment - Original payment
+   * @param {Object} user - User details
+   * @returns {Promise<Buffer>} PDF buffer
+   */
+  async generateCreditNote(refund, payment, user) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'A4',
+          margin: 50
+        });
+
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        this.addHeader(doc);
+
+        doc.moveDown(2);
+        doc.fontSize(24)
+           .fillColor('#ef4444')
+           .text('CREDIT NOTE', { align: 'center' });
+
+        doc.moveDown(0.5);
+        doc.fontSize(10)
+           .fillColor('#666666')
+           .text(`Credit Note #${refund.razorpay_refund_id || refund.id}`, { align: 'center' });
+
+        doc.moveDown(2);
+        const date = new Date(refund.processed_at || refund.created_at);
+        const formattedDate = date.toLocaleString('en-IN', {
+          dateStyle: 'long',
+          timeStyle: 'short'
+        });
+
+        doc.fontSize(10)
+           .fillColor('#333333')
+           .text(`Date: ${formattedDate}`, 50, doc.y);
+
+        doc.moveDown(0.5);
+        doc.fontSize(10)
+           .fillColor('#ef4444')
+           .text('Status: REFUNDED', 50, doc.y);
+
+        doc.moveDown(1);
+        doc.moveTo(50, doc.y)
+           .lineTo(545, doc.y)
+           .strokeColor('#e5e5e5')
+           .stroke();
+
+        doc.moveDown(1.5);
+        doc.fontSize(12)
+           .fillColor('#333333')
+           .text('CREDITED TO:', 50, doc.y);
+
+        doc.moveDown(0.5);
+        doc.fontSize(10)
+           .fillColor('#666666')
+           .text(user.full_name || user.email || 'Customer', 50, doc.y);
+
+        if (user.email) {
+          doc.moveDown(0.3);
+          doc.text(user.email, 50, doc.y);
+        }
+
+        doc.moveDown(2);
+        doc.fontSize(12)
+           .fillColor('#333333')
+           .text('REFUND DETAILS:', 50, doc.y);
+
+        doc.moveDown(1);
+
+        const leftCol = 50;
+        const rightCol = 400;
+
+        const details = [
+          { label: 'Refund ID', value: refund.razorpay_refund_id || refund.id },
+          { label: 'Original Transaction ID', value: payment.razorpay_payment_id },
+          { label: 'Original Order ID', value: payment.razorpay_order_id },
+          { label: 'Original Amount', value: `₹${payment.amount.toLocaleString('en-IN')}` },
+          { label: 'Currency', value: refund.currency || payment.currency || 'INR' },
+        ];
+
+        if (refund.reason) {
+          details.push({ label: 'Reason', value: refund.reason });
+        }
+
+        let currentY = doc.y;
+        details.forEach(detail => {
+          doc.fontSize(10)
+             .fillColor('#666666')
+             .text(detail.label, leftCol, currentY);
+
+          doc.fontSize(10)
+             .fillColor('#333333')
+             .text(detail.value, rightCol, currentY, { width: 145, align: 'right' });
+
+          currentY += 25;
+        });
+
+        doc.moveDown(3);
+        doc.moveTo(50, doc.y)
+           .lineTo(545, doc.y)
+           .strokeColor('#e5e5e5')
+           .stroke();
+
+        doc.moveDown(1);
+        doc.fontSize(14)
+           .fillColor('#333333')
+           .text('Amount Refunded:', leftCol, doc.y);
+
+        doc.fontSize(16)
+           .fillColor('#ef4444')
+           .text(`₹${refund.amount.toLocaleString('en-IN')}`, rightCol, doc.y, {
+             width: 145,
+             align: 'right'
+           });
+
+        doc.moveDown(1);
+        doc.moveTo(50, doc.y)
+           .lineTo(545, doc.y)
+           .strokeColor('#ef4444')
+           .lineWidth(2)
+           .stroke();
+
+        doc.moveDown(3);
+        doc.fontSize(10)
+           .fillColor('#666666')
+           .text('The refunded amount will be credited to the original payment method.', { align: 'center' });
+
+        doc.moveDown(2);
+        doc.fontSize(8)
+           .fillColor('#999999')
+           .text('This is a computer-generated credit note and does not require a signature.', {
+             align: 'center'
+           });
+
+        doc.moveDown(0.5);
+        doc.fontSize(8)
+           .fillColor('#999999')
+           .text('For any queries, please contact support@expenseai.com', {
+             align: 'center'
+           });
+
+        this.addWatermark(doc, 'REFUNDED');
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Generate a PDF statement listing a user's payments
+   * @param {Array} payments - Payment rows, oldest first
+   * @param {Object} user - User details
+   * @param {Object} options - { startDate, endDate, totals: { count, paid, refunded, net } }
+   * @returns {Promise<Buffer>} PDF buffer
+   */
+  async generateStatement(payments, user, { startDate, endDate, totals }) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'A4',
+          margin: 50
+        });
+
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        this.addHeader(doc);
+
+        doc.moveDown(2);
+        doc.fontSize(24)
+           .fillColor('#22c55e')
+           .text('PAYMENT STATEMENT', 50, doc.y, { align: 'center' });
+
+        const period = startDate || endDate
+          ? `${startDate || 'Beginning'} to ${endDate || 'Today'}`
+          : 'All payments';
+
+        doc.moveDown(0.5);
+        doc.fontSize(10)
+           .fillColor('#666666')
+           .text(period, { align: 'center' });
+
+        doc.moveDown(1.5);
+        doc.fontSize(10)
+           .fillColor('#333333')
+           .text(`Account: ${user.full_name || user.email || 'Customer'}`, 50, doc.y);
+
+        if (user.email && user.full_name) {
+          doc.moveDown(0.3);
+          doc.fillColor('#666666').text(user.email, 50, doc.y);
+        }
+
+        doc.moveDown(0.3);
+        doc.fillColor('#666666')
+           .text(`Generated: ${new Date().toLocaleString('en-IN', { dateStyle: 'long', timeStyle: 'short' })}`, 50, doc.y);
+
+        // Table
+        const columns = [
+          { label: 'Date', x: 50, width: 75 },
+          { label: 'Reference', x: 130, width: 150 },
+          { label: 'Method', x: 285, width: 60 },
+          { label: 'Status', x: 350, width: 95 },
+          { label: 'Amount', x: 450, width: 95, align: 'right' }
+        ];
+
+        const drawTableHeader = (y) => {
+          columns.forEach(column => {
+            doc.fontSize(9)
+               .fillColor('#333333')
+               .text(column.label.toUpperCase(), column.x, y, { width: column.width, align: column.align || 'left' });
+          });
+          doc.moveTo(50, y + 14)
+             .lineTo(545, y + 14)
+             .strokeColor('#22c55e')
+             .lineWidth(1)
+             .stroke();
+          return y + 22;
+        };
+
+        let currentY = drawTableHeader(doc.y + 25);
+
+        if (payments.length === 0) {
+          doc.fontSize(10)
+             .fillColor('#999999')
+             .text('No payments in this period.', 50, currentY, { width: 495, align: 'center' });
+          currentY += 25;
+        }
+
+        payments.forEach(payment => {
+          if (currentY > 760) {
+            doc.addPage();
+            currentY = drawTableHeader(50);
+          }
+
+          const date = new Date(payment.verified_at || payment.created_at)
+            .toLocaleDateString('en-IN', { dateStyle: 'medium' });
+          const refunded = Number(payment.amount_refunded || 0);
+          const values = [
+            date,
+            payment.razorpay_payment_id || payment.razorpay_order_id || '-',
+            payment.method || '-',
+            payment.status.replace('_', ' '),
+            `₹${Number(payment.amount).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`
+          ];
+
+          columns.forEach((column, index) => {
+            doc.fontSize(9)
+               .fillColor('#666666')
+               .text(values[index], column.x, currentY, {
+                 width: column.width,
+                 align: column.align || 'left',
+                 lineBreak: false,
+                 ellipsis: true
+               });
+          });
+
+          if (refunded > 0) {
+            currentY += 12;
+            doc.fontSize(8)
+               .fillColor('#ef4444')
+               .text(`Refunded ₹${refunded.toLocaleString('en-IN', { minimumFractionDigits: 2 })}`, 450, currentY, {
+                 width: 95,
+                 align: 'right'
+               });
+          }
+
+          currentY += 20;
+        });
+
+        // Totals
+        if (currentY > 680) {
+          doc.addPage();
+          currentY = 50;
+        }
+
+        doc.moveTo(50, currentY)
+           .lineTo(545, currentY)
+           .strokeColor('#e5e5e5')
+           .lineWidth(1)
+           .stroke();
+
+        currentY += 15;
+        const totalRows = [
+          { label: 'Payments', value: String(totals.count) },
+          { label: 'Total Paid', value: `₹${totals.paid.toLocaleString('en-IN', { minimumFractionDigits: 2 })}` },
+          { label: 'Total Refunded', value: `₹${totals.refunded.toLocaleString('en-IN', { minimumFractionDigits: 2 })}` }
+        ];
+
+        totalRows.forEach(row => {
+          doc.fontSize(10)
+             .fillColor('#666666')
+             .text(row.label, 300, currentY);
+          doc.fontSize(10)
+             .fillColor('#333333')
+             .text(row.value, 450, currentY, { width: 95, align: 'right' });
+          currentY += 20;
+        });
+
+        doc.fontSize(12)
+           .fillColor('#333333')
+           .text('Net Amount', 300, currentY + 5);
+        doc.fontSize(14)
+           .fillColor('#22c55e')
+           .text(`₹${totals.net.toLocaleString('en-IN', { minimumFractionDigits: 2 })}`, 430, currentY + 3, {
+             width: 115,
+             align: 'right'
+           });
+
+        doc.fontSize(8)
+           .fillColor('#999999')
+           .text('This is a computer-generated statement and does not require a signature.', 50, currentY + 45, {
+             width: 495,
+             align: 'center'
+           });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
   /**
    * Add header with logo and company info
    */
@@ -213,7 +548,7 @@ class PDFReceiptService {
   /**
    * Add watermark to the document
    */
-  addWatermark(doc) {
+  addWatermark(doc, text = 'PAID') {
     const pageWidth = doc.page.width;
     const pageHeight = doc.page.height;
     
@@ -222,7 +557,7 @@ class PDFReceiptService {
     doc.fontSize(60)
        .fillColor('#f0f0f0')
        .opacity(0.3)
-       .text('PAID', pageWidth / 2 - 100, pageHeight / 2 - 30);
+       .text(text, pageWidth / 2 - 100, pageHeight / 2 - 30);
     doc.restore();
   }
 }
@@ -0,0 +1,177 @@
+// Fingerprints for recognising the same receipt twice:
+//   image - 64-bit difference hash (dHash) of the picture, robust to re-compression and resizing
+//   text  - 64-bit SimHash of the OCR text, robust to small OCR differences between scans
+const crypto = require('crypto');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { PDFParse } = require('pdf-parse');
+
+const HASH_BITS = 64;
+// Each of the 9x8 dHash cells averages a block of this many pixels square
+const BLOCK_SIZE = 16;
+// Pixels darker than this (0-255) count as printed content when cropping margins
+const INK_THRESHOLD = 200;
+const BOUNDS_SCAN_SIZE = 512;
+const MIN_IMAGE_HASH_BITS = 4;
+
+class ReceiptFingerprintService {
+  /**
+   * Fingerprint an uploaded receipt
+   * @param {Buffer} buffer - file contents
+   * @param {string} mimeType - from textExtractionService.detectFileType
+   * @param {string} text - OCR text
+   * @returns {Promise<Object>} { imageHash, textHash } as 16-char hex strings (null when not computable)
+   */
+  async fingerprint(buffer, mimeType, text) {
+    let imageHash = null;
+    try {
+      imageHash = await this.imageHash(buffer, mimeType);
+    } catch (error) {
+      // A missing image hash only weakens duplicate detection; never fail the upload for it
+      console.error('Receipt image hash error:', error.message);
+    }
+
+    return { imageHash, textHash: this.textHash(text) };
+  }
+
+  /**
+   * dHash: shrink to 9x8 greyscale and record whether each cell is brighter than its right neighbour
+   */
+  async imageHash(buffer, mimeType) {
+    const source = mimeType === 'application/pdf' ? await this.renderFirstPdfPage(buffer) : buffer;
+    if (!source) return null;
+
+    const image = await loadImage(source);
+    const bounds = this.contentBounds(image);
+    if (!bounds) return null;
+
+    // Receipts are mostly white, so hash only the printed area and average whole blocks
+    // rather than sampling single pixels; otherwise every receipt hashes alike
+    const width = 9 * BLOCK_SIZE;
+    const height = 8 * BLOCK_SIZE;
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, bounds.x, bounds.y, bounds.width, bounds.height, 0, 0, width, height);
+    const { data } = context.getImageData(0, 0, width, height);
+
+    const grey = new Array(9 * 8).fill(0);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const cell = Math.floor(y / BLOCK_SIZE) * 9 + Math.floor(x / BLOCK_SIZE);
+        grey[cell] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      }
+    }
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        hash = (hash << 1n) | (grey[row * 9 + col] > grey[row * 9 + col + 1] ? 1n : 0n);
+      }
+    }
+
+    // A blank or uniform picture carries no identity; treat it as unhashable
+    const setBits = hash.toString(2).replace(/0/g, '').length;
+    if (setBits < MIN_IMAGE_HASH_BITS || setBits > HASH_BITS - MIN_IMAGE_HASH_BITS) return null;
+
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  /**
+   * Bounding box of the non-background pixels, found on a downscaled copy
+   * @returns {Object|null} { x, y, width, height } in image pixels; null for a blank image
+   */
+  contentBounds(image) {
+    const scale = Math.min(1, BOUNDS_SCAN_SIZE / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+    const { data } = context.getImageData(0, 0, width, height);
+
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        if (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2] < INK_THRESHOLD) {
+          if (x < minX) minX = x;
+          if (x > maxX) maxX = x;
+          if (y < minY) minY = y;
+          if (y > maxY) maxY = y;
+        }
+      }
+    }
+
+    if (maxX < 0) return null;
+
+    return {
+      x: minX / scale,
+      y: minY / scale,
+      width: (maxX - minX + 1) / scale,
+      height: (maxY - minY + 1) / scale
+    };
+  }
+
+  async renderFirstPdfPage(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const { pages } = await parser.getScreenshot({ scale: 1, first: 1, imageDataUrl: false });
+      return pages[0] ? Buffer.from(pages[0].data) : null;
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  /**
+   * SimHash over character 5-grams of the normalized text. Character shingles keep
+   * short receipts stable when OCR misreads a letter or picks up an extra line.
+   * @returns {string|null} null for text too short to fingerprint
+   */
+  textHash(text) {
+    const normalized = (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+
+    if (normalized.replace(/\s/g, '').length < 10) return null;
+
+    const weights = new Array(HASH_BITS).fill(0);
+    for (let i = 0; i <= normalized.length - 5; i++) {
+      const shingle = normalized.slice(i, i + 5);
+      const digest = BigInt(`0x${crypto.createHash('md5').update(shingle).digest('hex').slice(0, 16)}`);
+      for (let bit = 0; bit < HASH_BITS; bit++) {
+        weights[bit] += (digest >> BigInt(bit)) & 1n ? 1 : -1;
+      }
+    }
+
+    let hash = 0n;
+    weights.forEach((weight, bit) => {
+      if (weight > 0) hash |= 1n << BigInt(bit);
+    });
+
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  /**
+   * Similarity of two hashes from 0 to 1 (1 - Hamming distance / 64)
+   * @returns {number|null} null when either hash is missing
+   */
+  similarity(a, b) {
+    if (!a || !b) return null;
+
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (diff) {
+      distance += Number(diff & 1n);
+      diff >>= 1n;
+    }
+
+    return Math.round((1 - distance / HASH_BITS) * 1000) / 1000;
+  }
+}
+
+module.exports = new ReceiptFingerprintService();
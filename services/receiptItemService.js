@@ -0,0 +1,120 @@
+// Stores the line items itemized from a receipt against the expense they belong to
+const supabase = require('../config/supabase');
+
+const ITEM_KINDS = ['item', 'tax', 'discount', 'tip'];
+const MAX_ITEMS = 200;
+// Column limits: DECIMAL(10,2) amounts and DECIMAL(10,3) quantities
+const MAX_AMOUNT = 100000000;
+const MAX_QUANTITY = 10000000;
+
+class ReceiptItemService {
+  /**
+   * Validate items from a request body
+   * @param {Array} items - [{ kind?, name, quantity?, unitPrice?, lineTotal, category? }]
+   * @returns {Object} { errors, items } with items normalized to table columns
+   */
+  parseItems(items) {
+    const errors = {};
+
+    if (!Array.isArray(items)) {
+      return { errors: { items: 'items must be an array' }, items: [] };
+    }
+
+    if (items.length > MAX_ITEMS) {
+      return { errors: { items: `At most ${MAX_ITEMS} items are allowed` }, items: [] };
+    }
+
+    const rows = items.map((item, index) => {
+      const kind = item?.kind || 'item';
+      const quantity = item?.quantity === undefined || item?.quantity === null ? 1 : Number(item.quantity);
+      const unitPrice = item?.unitPrice === undefined || item?.unitPrice === null ? null : Number(item.unitPrice);
+      const lineTotal = Number(item?.lineTotal);
+
+      if (!ITEM_KINDS.includes(kind)) {
+        errors[`items[${index}].kind`] = `kind must be one of: ${ITEM_KINDS.join(', ')}`;
+      }
+      if (!item?.name || typeof item.name !== 'string' || !item.name.trim()) {
+        errors[`items[${index}].name`] = 'name is required';
+      }
+      if (!Number.isFinite(quantity) || quantity <= 0 || quantity >= MAX_QUANTITY) {
+        errors[`items[${index}].quantity`] = 'quantity must be a positive number less than 10,000,000';
+      }
+      if (unitPrice !== null && (!Number.isFinite(unitPrice) || unitPrice < 0 || unitPrice >= MAX_AMOUNT)) {
+        errors[`items[${index}].unitPrice`] = 'unitPrice must be a non-negative number less than 100,000,000';
+      }
+      if (item?.lineTotal === null || item?.lineTotal === '' || !Number.isFinite(lineTotal) || lineTotal < 0 || lineTotal >= MAX_AMOUNT) {
+        errors[`items[${index}].lineTotal`] = 'lineTotal must be a non-negative number less than 100,000,000';
+      }
+      if (item?.category !== undefined && item.category !== null && typeof item.category !== 'string') {
+        errors[`items[${index}].category`] = 'category must be a string';
+      }
+
+      return {
+        position: index,
+        kind,
+        name: typeof item?.name === 'string' ? item.name.trim().substring(0, 200) : null,
+        quantity,
+        unit_price: unitPrice,
+        line_total: lineTotal,
+        category: item?.category || null
+      };
+    });
+
+    return { errors, items: rows };
+  }
+
+  /**
+   * Sum items the way the receipt does: items + tax + tip - discounts
+   */
+  total(rows) {
+    const total = rows.reduce((sum, row) => {
+      const amount = Number(row.line_total);
+      return row.kind === 'discount' ? sum - amount : sum + amount;
+    }, 0);
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * List the items of an expense
+   */
+  async listItems(expenseId, userId) {
+    const { data, error } = await supabase
+      .from('receipt_items')
+      .select('*')
+      .eq('expense_id', expenseId)
+      .eq('user_id', userId)
+      .order('position', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching receipt items:', error);
+      throw new Error('Failed to fetch receipt items');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Replace all items of an expense with the given rows, all or nothing
+   * (replace_receipt_items runs the delete and insert in one transaction)
+   * @param {Object} expense - expenses row owned by userId
+   * @param {Array} rows - rows from parseItems
+   * @param {Object} options - { receiptUrl }
+   */
+  async replaceItems(expense, rows, { receiptUrl = null } = {}) {
+    const { data, error } = await supabase.rpc('replace_receipt_items', {
+      p_expense_id: expense.id,
+      p_user_id: expense.user_id,
+      p_items: rows,
+      p_receipt_url: receiptUrl
+    });
+
+    if (error) {
+      console.error('Error saving receipt items:', error);
+      throw new Error('Failed to save receipt items');
+    }
+
+    return (data || []).sort((a, b) => a.position - b.position);
+  }
+}
+
+module.exports = new ReceiptItemService();
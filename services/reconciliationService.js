@@ -0,0 +1,233 @@
+// Reconciles stuck payments against Razorpay
+// Finds payments still in created/authorized after N minutes, fetches the order and its
+// payment attempts from Razorpay, fixes the local row and reports every discrepancy.
+const supabase = require('../config/supabase');
+const razorpay = require('../config/razorpay');
+const paymentReceiptService = require('./paymentReceiptService');
+
+const NON_TERMINAL_STATUSES = ['created', 'authorized'];
+const DEFAULT_OLDER_THAN_MINUTES = 30;
+const DEFAULT_LIMIT = 200;
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+class ReconciliationService {
+  constructor() {
+    this.running = false;
+  }
+
+  /**
+   * Reconcile non-terminal payments older than the cutoff
+   * @param {Object} [options]
+   * @param {number} [options.olderThanMinutes] - Defaults to RECONCILE_OLDER_THAN_MINUTES or 30
+   * @param {number} [options.limit] - Max payments per run (default 200)
+   * @param {boolean} [options.dryRun] - Report without changing anything
+   * @returns {Promise<Object>} Discrepancy report
+   */
+  async run({ olderThanMinutes, limit = DEFAULT_LIMIT, dryRun = false } = {}) {
+    if (this.running) {
+      const error = new Error('A reconciliation run is already in progress');
+      error.code = 'RECONCILIATION_RUNNING';
+      throw error;
+    }
+
+    this.running = true;
+    try {
+      return await this.reconcile({
+        olderThanMinutes: olderThanMinutes ?? (Number(process.env.RECONCILE_OLDER_THAN_MINUTES) || DEFAULT_OLDER_THAN_MINUTES),
+        limit,
+        dryRun
+      });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async reconcile({ olderThanMinutes, limit, dryRun }) {
+    const startedAt = new Date();
+    const cutoff = new Date(startedAt.getTime() - olderThanMinutes * 60 * 1000).toISOString();
+
+    const { data: payments, error } = await supabase
+      .from('payments')
+      .select('*')
+      .in('status', NON_TERMINAL_STATUSES)
+      .not('razorpay_order_id', 'is', null)
+      .lt('created_at', cutoff)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      console.error('Error loading payments to reconcile:', error);
+      throw new Error('Failed to load payments to reconcile');
+    }
+
+    console.log(`🔎 Reconciling ${payments.length} payment(s) older than ${olderThanMinutes} minutes${dryRun ? ' (dry run)' : ''}`);
+
+    const discrepancies = [];
+    const summary = { checked: payments.length, matched: 0, fixed: 0, unresolved: 0, errors: 0 };
+
+    for (const payment of payments) {
+      try {
+        const entry = await this.reconcilePayment(payment, dryRun);
+        if (!entry) {
+          summary.matched += 1;
+          continue;
+        }
+
+        discrepancies.push(entry);
+        if (entry.action === 'fixed' || entry.action === 'would_fix') summary.fixed += 1;
+        else summary.unresolved += 1;
+      } catch (err) {
+        console.error(`Reconciliation failed for payment ${payment.id}:`, err);
+        summary.errors += 1;
+        discrepancies.push({
+          paymentId: payment.id,
+          orderId: payment.razorpay_order_id,
+          localStatus: payment.status,
+          remoteStatus: null,
+          action: 'error',
+          changes: {},
+          note: err?.error?.description || err.message || String(err)
+        });
+      }
+    }
+
+    const report = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      olderThanMinutes,
+      dryRun,
+      summary,
+      discrepancies
+    };
+
+    console.log(`✅ Reconciliation done: ${JSON.stringify(summary)}`);
+    return report;
+  }
+
+  /**
+   * Compare one payment with Razorpay and fix it
+   * @returns {Promise<Object|null>} Report entry, or null when local and remote agree
+   */
+  async reconcilePayment(payment, dryRun) {
+    const order = await razorpay.orders.fetch(payment.razorpay_order_id);
+    const { items: attempts = [] } = await razorpay.orders.fetchPayments(payment.razorpay_order_id);
+
+    const attempt = this.pickAttempt(attempts);
+    const remoteStatus = attempt ? attempt.status : `order_${order.status}`;
+    const base = {
+      paymentId: payment.id,
+      orderId: payment.razorpay_order_id,
+      localStatus: payment.status,
+      remoteStatus
+    };
+
+    if (!attempt) {
+      // Nobody tried to pay (or the checkout was abandoned); nothing to fix yet
+      return order.status === 'paid'
+        ? { ...base, action: 'unresolved', changes: {}, note: 'Order is paid but Razorpay returned no payments' }
+        : null;
+    }
+
+    if (toPaise(payment.amount) !== attempt.amount) {
+      return {
+        ...base,
+        action: 'unresolved',
+        changes: {},
+        note: `Amount mismatch: local ₹${Number(payment.amount).toFixed(2)}, Razorpay ₹${(attempt.amount / 100).toFixed(2)}`
+      };
+    }
+
+    const status = this.mapStatus(attempt.status);
+    if (!status) {
+      return { ...base, action: 'unresolved', changes: {}, note: `Unhandled Razorpay payment status '${attempt.status}'` };
+    }
+
+    const changes = {};
+    const wanted = {
+      status,
+      razorpay_payment_id: attempt.id,
+      method: attempt.method || null,
+      email: attempt.email || null,
+      contact: attempt.contact || null
+    };
+
+    if (status === 'failed') {
+      wanted.error_code = attempt.error_code || null;
+      wanted.error_description = attempt.error_description || null;
+    }
+
+    for (const [field, value] of Object.entries(wanted)) {
+      if ((payment[field] ?? null) !== value) {
+        changes[field] = { from: payment[field] ?? null, to: value };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    if (dryRun) {
+      return { ...base, action: 'would_fix', changes };
+    }
+
+    const update = Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]));
+    if (status === 'captured') {
+      update.verified_at = new Date((attempt.captured_at || attempt.created_at || Date.now() / 1000) * 1000).toISOString();
+    }
+
+    // Only touch the row if nobody (verify/webhook) moved it in the meantime
+    const { data: updated, error } = await supabase
+      .from('payments')
+      .update(update)
+      .eq('id', payment.id)
+      .eq('status', payment.status)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update payment: ${error.message}`);
+    }
+
+    if (!updated) {
+      return { ...base, action: 'skipped', changes, note: 'Payment changed while reconciling' };
+    }
+
+    if (status === 'captured') {
+      paymentReceiptService
+        .dispatchReceipt(payment.id)
+        .catch(dispatchError => console.error('receipt dispatch error:', dispatchError));
+    }
+
+    console.log(`🛠️ Reconciled payment ${payment.id}: ${payment.status} -> ${status}`);
+    return { ...base, action: 'fixed', changes };
+  }
+
+  /**
+   * Pick the attempt that decides the order's outcome: a captured payment wins,
+   * then authorized, then the most recent failure
+   */
+  pickAttempt(attempts) {
+    const rank = { captured: 3, refunded: 3, authorized: 2, failed: 1 };
+    return [...attempts]
+      .filter(attempt => rank[attempt.status])
+      .sort((a, b) => (rank[b.status] - rank[a.status]) || ((b.created_at || 0) - (a.created_at || 0)))[0] || null;
+  }
+
+  mapStatus(razorpayStatus) {
+    switch (razorpayStatus) {
+      case 'captured':
+      case 'refunded':
+        // Refunds are applied from the refund ledger/webhooks, not here
+        return 'captured';
+      case 'authorized':
+        return 'authorized';
+      case 'failed':
+        return 'failed';
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = new ReconciliationService();
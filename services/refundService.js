@@ -0,0 +1,343 @@
+// Razorpay refunds, the payment_refunds ledger and refund credit notes
+const supabase = require('../config/supabase');
+const razorpay = require('../config/razorpay');
+const pdfReceiptService = require('./pdfReceiptService');
+const paymentReceiptService = require('./paymentReceiptService');
+
+const RECEIPTS_BUCKET = 'payment-receipts';
+const REFUNDABLE_STATUSES = ['captured', 'partially_refunded'];
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+class RefundService {
+  /**
+   * Refund all or part of a captured payment through Razorpay and record it
+   * @param {Object} payment - payments row
+   * @param {Object} options
+   * @param {number} [options.amount] - Amount in rupees; defaults to everything still refundable
+   * @param {string} [options.reason] - Shown on the credit note and sent to Razorpay as a note
+   * @param {string} [options.requestedBy] - user_profiles.id of the admin issuing the refund
+   * @returns {Promise<Object>} { success, status?, message?, data? }
+   */
+  async createRefund(payment, { amount, reason, requestedBy } = {}) {
+    if (!REFUNDABLE_STATUSES.includes(payment.status) || !payment.razorpay_payment_id) {
+      return { success: false, status: 409, message: `Payments with status '${payment.status}' cannot be refunded` };
+    }
+
+    const refundedPaise = await this.getRefundedPaise(payment.id);
+    const refundablePaise = toPaise(payment.amount) - refundedPaise;
+
+    if (refundablePaise <= 0) {
+      return { success: false, status: 409, message: 'This payment has already been fully refunded' };
+    }
+
+    const amountPaise = amount === undefined || amount === null ? refundablePaise : toPaise(amount);
+
+    if (!Number.isFinite(amountPaise) || amountPaise <= 0) {
+      return { success: false, status: 400, message: 'amount must be a positive number' };
+    }
+
+    if (amountPaise > refundablePaise) {
+      return {
+        success: false,
+        status: 400,
+        message: `amount exceeds the refundable balance of ₹${(refundablePaise / 100).toFixed(2)}`
+      };
+    }
+
+    let refund;
+    try {
+      refund = await razorpay.payments.refund(payment.razorpay_payment_id, {
+        amount: amountPaise,
+        speed: 'normal',
+        notes: {
+          payment_id: payment.id,
+          reason: reason || ''
+        }
+      });
+    } catch (error) {
+      console.error('Razorpay refund error:', error);
+      return {
+        success: false,
+        status: 502,
+        message: error?.error?.description || 'Razorpay rejected the refund'
+      };
+    }
+
+    const status = refund.status === 'processed' ? 'processed' : refund.status === 'failed' ? 'failed' : 'pending';
+
+    let { data: row, error: insertError } = await supabase
+      .from('payment_refunds')
+      .insert({
+        payment_id: payment.id,
+        user_id: payment.user_id,
+        razorpay_refund_id: refund.id,
+        amount: refund.amount / 100,
+        currency: refund.currency || payment.currency || 'INR',
+        reason: reason || null,
+        status,
+        requested_by: requestedBy || null,
+        processed_at: status === 'processed' ? new Date().toISOString() : null
+      })
+      .select('*')
+      .single();
+
+    if (insertError?.code === '23505') {
+      // The refund.created webhook beat us to it; keep its row and add our details
+      ({ data: row, error: insertError } = await supabase
+        .from('payment_refunds')
+        .update({ reason: reason || null, requested_by: requestedBy || null })
+        .eq('razorpay_refund_id', refund.id)
+        .select('*')
+        .single());
+    }
+
+    if (insertError) {
+      // The money is already moving; the refund webhook will backfill the ledger
+      console.error(`Error recording refund ${refund.id} for payment ${payment.id}:`, insertError);
+      throw new Error('Refund was issued but could not be recorded');
+    }
+
+    const updatedPayment = await this.recomputePaymentStatus(payment.id);
+
+    if (status === 'processed') {
+      this.issueCreditNote(row)
+        .catch(error => console.error('credit note error:', error));
+    }
+
+    console.log(`💸 Refund ${refund.id} of ₹${row.amount} created for payment ${payment.id}`);
+    return { success: true, data: { refund: row, payment: updatedPayment } };
+  }
+
+  /**
+   * Apply a refund.processed / refund.failed webhook to the ledger
+   * @param {Object} entity - payload.refund.entity from Razorpay
+   * @param {string} status - 'processed' | 'failed'
+   */
+  async applyRefundEvent(entity, status) {
+    const refund = await this.recordRefund(entity);
+    if (!refund) return null;
+
+    // Only the delivery that actually changes the status triggers side effects
+    const { data: updated, error: updateError } = await supabase
+      .from('payment_refunds')
+      .update({
+        status,
+        processed_at: status === 'processed' ? new Date().toISOString() : null,
+        failure_reason: status === 'failed' ? 'Refund failed at Razorpay' : null
+      })
+      .eq('id', refund.id)
+      .eq('status', 'pending')
+      .select('*')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('Error updating refund status:', updateError);
+      throw new Error('Failed to update refund');
+    }
+
+    if (!updated) {
+      return refund;
+    }
+
+    await this.recomputePaymentStatus(updated.payment_id);
+
+    if (status === 'processed') {
+      await this.issueCreditNote(updated);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Return the ledger row for a Razorpay refund, creating a pending one if needed.
+   * Refunds issued from the Razorpay dashboard reach us only through webhooks.
+   * @param {Object} entity - payload.refund.entity from Razorpay
+   * @returns {Promise<Object|null>} payment_refunds row, or null for unknown payments
+   */
+  async recordRefund(entity) {
+    const { data: existing, error } = await supabase
+      .from('payment_refunds')
+      .select('*')
+      .eq('razorpay_refund_id', entity.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error looking up refund:', error);
+      throw new Error('Failed to look up refund');
+    }
+
+    if (existing) {
+      return existing;
+    }
+
+    const { data: payment } = await supabase
+      .from('payments')
+      .select('id, user_id, currency')
+      .eq('razorpay_payment_id', entity.payment_id)
+      .maybeSingle();
+
+    if (!payment) {
+      console.warn(`Refund ${entity.id} is for unknown payment ${entity.payment_id}; ignoring`);
+      return null;
+    }
+
+    const { data: inserted, error: insertError } = await supabase
+      .from('payment_refunds')
+      .insert({
+        payment_id: payment.id,
+        user_id: payment.user_id,
+        razorpay_refund_id: entity.id,
+        amount: entity.amount / 100,
+        currency: entity.currency || payment.currency || 'INR',
+        reason: entity.notes?.reason || null,
+        status: 'pending'
+      })
+      .select('*')
+      .single();
+
+    if (insertError) {
+      console.error('Error backfilling refund:', insertError);
+      throw new Error('Failed to record refund');
+    }
+
+    await this.recomputePaymentStatus(payment.id);
+    return inserted;
+  }
+
+  /**
+   * Set payments.amount_refunded and move the payment between
+   * captured, partially_refunded and refunded based on the ledger
+   * @returns {Promise<Object|null>} Updated payments row
+   */
+  async recomputePaymentStatus(paymentId) {
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('id', paymentId)
+      .maybeSingle();
+
+    if (error || !payment) {
+      console.error('Error loading payment for refund status:', error);
+      return null;
+    }
+
+    if (![...REFUNDABLE_STATUSES, 'refunded'].includes(payment.status)) {
+      return payment;
+    }
+
+    const refundedPaise = await this.getRefundedPaise(paymentId);
+    let status = 'captured';
+    if (refundedPaise >= toPaise(payment.amount)) {
+      status = 'refunded';
+    } else if (refundedPaise > 0) {
+      status = 'partially_refunded';
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('payments')
+      .update({ status, amount_refunded: refundedPaise / 100 })
+      .eq('id', paymentId)
+      .select('*')
+      .single();
+
+    if (updateError) {
+      console.error('Error updating payment refund status:', updateError);
+      return payment;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Sum of pending and processed refunds for a payment, in paise
+   */
+  async getRefundedPaise(paymentId) {
+    const { data, error } = await supabase
+      .from('payment_refunds')
+      .select('amount')
+      .eq('payment_id', paymentId)
+      .neq('status', 'failed');
+
+    if (error) {
+      console.error('Error summing refunds:', error);
+      throw new Error('Failed to load refunds');
+    }
+
+    return (data || []).reduce((sum, row) => sum + toPaise(row.amount), 0);
+  }
+
+  async listRefunds(paymentId) {
+    const { data, error } = await supabase
+      .from('payment_refunds')
+      .select('id, razorpay_refund_id, amount, currency, reason, status, failure_reason, processed_at, created_at')
+      .eq('payment_id', paymentId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error listing refunds:', error);
+      throw new Error('Failed to load refunds');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Render and store the credit note for a processed refund
+   * @param {Object} refund - payment_refunds row
+   * @returns {Promise<Buffer>} PDF buffer
+   */
+  async issueCreditNote(refund) {
+    const { data: payment } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('id', refund.payment_id)
+      .single();
+
+    const user = await paymentReceiptService.getPaymentUser(payment);
+    const pdfBuffer = await pdfReceiptService.generateCreditNote(
+      { ...refund, amount: Number(refund.amount) },
+      { ...payment, amount: Number(payment.amount) },
+      user
+    );
+    const path = `${payment.user_id}/${payment.id}-refund-${refund.id}.pdf`;
+
+    await paymentReceiptService.ensureBucket();
+
+    const { error: uploadError } = await supabase.storage
+      .from(RECEIPTS_BUCKET)
+      .upload(path, pdfBuffer, { contentType: 'application/pdf', upsert: true });
+
+    if (uploadError) {
+      throw new Error(`Credit note upload failed: ${uploadError.message}`);
+    }
+
+    await supabase
+      .from('payment_refunds')
+      .update({ credit_note_url: path })
+      .eq('id', refund.id);
+
+    console.log(`🧾 Credit note stored for refund ${refund.id}`);
+    return pdfBuffer;
+  }
+
+  /**
+   * Return the credit note PDF for a processed refund, generating it if needed
+   */
+  async getCreditNotePdf(refund) {
+    if (refund.credit_note_url) {
+      const { data, error } = await supabase.storage
+        .from(RECEIPTS_BUCKET)
+        .download(refund.credit_note_url);
+
+      if (!error && data) {
+        return Buffer.from(await data.arrayBuffer());
+      }
+      console.warn(`Stored credit note missing for refund ${refund.id}, regenerating:`, error?.message);
+    }
+
+    return this.issueCreditNote(refund);
+  }
+}
+
+module.exports = new RefundService();
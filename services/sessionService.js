@@ -0,0 +1,242 @@
+// Session and refresh-token management
+// Access tokens are short-lived JWTs carrying a sessionId; refresh tokens are
+// opaque random strings stored only as SHA-256 hashes and rotated on every use.
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const authService = require('./authService');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+class SessionService {
+  /**
+   * Start a new session for a user and issue the first token pair
+   * @param {Object} user - user_profiles row
+   * @param {string} provider - 'google' or 'password'
+   * @param {Object} req - Express request (for device information)
+   * @returns {Promise<Object>} { token, refreshToken, sessionId }
+   */
+  async startSession(user, provider, req) {
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .insert({
+        user_id: user.id,
+        provider,
+        user_agent: req?.headers?.['user-agent'] || null,
+        ip_address: req?.ip || null,
+        expires_at: this.refreshExpiry()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating session:', error);
+      throw new Error('Failed to create session');
+    }
+
+    const refreshToken = await this.issueRefreshToken(session.id);
+
+    return {
+      token: authService.signToken(user, provider, session.id),
+      refreshToken,
+      sessionId: session.id
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair.
+   * A token that was already rotated is treated as stolen and the whole
+   * session (token family) is revoked.
+   * @returns {Promise<Object>} { success, token?, refreshToken?, message? }
+   */
+  async refresh(refreshToken) {
+    const { data: stored, error } = await supabase
+      .from('refresh_tokens')
+      .select('id, session_id, expires_at, used_at, user_sessions ( id, user_id, provider, revoked_at )')
+      .eq('token_hash', this.hashToken(refreshToken))
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error looking up refresh token:', error);
+      throw new Error('Failed to look up refresh token');
+    }
+
+    if (!stored || !stored.user_sessions) {
+      return { success: false, message: 'Invalid refresh token' };
+    }
+
+    const session = stored.user_sessions;
+
+    if (session.revoked_at) {
+      return { success: false, message: 'Session has been revoked' };
+    }
+
+    if (stored.used_at) {
+      console.warn(`⚠️ Refresh token reuse detected, revoking session ${session.id}`);
+      await this.revokeSession(session.id, 'refresh_token_reuse');
+      return { success: false, message: 'Refresh token has already been used' };
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      return { success: false, message: 'Refresh token has expired' };
+    }
+
+    // Claim the token; the used_at guard makes concurrent refreshes lose cleanly
+    const { data: claimed } = await supabase
+      .from('refresh_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', stored.id)
+      .is('used_at', null)
+      .select('id');
+
+    if (!claimed || claimed.length === 0) {
+      await this.revokeSession(session.id, 'refresh_token_reuse');
+      return { success: false, message: 'Refresh token has already been used' };
+    }
+
+    const { data: user } = await supabase
+      .from('user_profiles')
+      .select('id, email')
+      .eq('id', session.user_id)
+      .maybeSingle();
+
+    if (!user) {
+      await this.revokeSession(session.id, 'user_missing');
+      return { success: false, message: 'Invalid refresh token' };
+    }
+
+    await supabase
+      .from('user_sessions')
+      .update({ last_used_at: new Date().toISOString(), expires_at: this.refreshExpiry() })
+      .eq('id', session.id);
+
+    const nextRefreshToken = await this.issueRefreshToken(session.id);
+
+    return {
+      success: true,
+      token: authService.signToken(user, session.provider, session.id),
+      refreshToken: nextRefreshToken,
+      sessionId: session.id
+    };
+  }
+
+  /**
+   * Check whether a session is still usable
+   */
+  async isSessionActive(sessionId, userId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('id, user_id, revoked_at, expires_at')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error checking session:', error);
+      throw new Error('Failed to check session');
+    }
+
+    return Boolean(
+      data &&
+      data.user_id === userId &&
+      !data.revoked_at &&
+      new Date(data.expires_at) > new Date()
+    );
+  }
+
+  /**
+   * List a user's active sessions (one per device)
+   */
+  async listSessions(userId) {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('id, provider, user_agent, ip_address, created_at, last_used_at, expires_at')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_used_at', { ascending: false });
+
+    if (error) {
+      console.error('Error listing sessions:', error);
+      throw new Error('Failed to list sessions');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Revoke one session. When userId is given the session must belong to it.
+   * @returns {Promise<boolean>} true when a session was revoked
+   */
+  async revokeSession(sessionId, reason, userId = null) {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('id', sessionId)
+      .is('revoked_at', null);
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      console.error('Error revoking session:', error);
+      throw new Error('Failed to revoke session');
+    }
+
+    return Boolean(data && data.length > 0);
+  }
+
+  /**
+   * Revoke every active session for a user
+   * @param {string} userId
+   * @param {string} reason
+   * @param {string} [exceptSessionId] - Session to leave signed in
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason, exceptSessionId = null) {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      console.error('Error revoking sessions:', error);
+      throw new Error('Failed to revoke sessions');
+    }
+
+    return data ? data.length : 0;
+  }
+
+  async issueRefreshToken(sessionId) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    const { error } = await supabase
+      .from('refresh_tokens')
+      .insert({
+        session_id: sessionId,
+        token_hash: this.hashToken(refreshToken),
+        expires_at: this.refreshExpiry()
+      });
+
+    if (error) {
+      console.error('Error storing refresh token:', error);
+      throw new Error('Failed to issue refresh token');
+    }
+
+    return refreshToken;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+}
+
+module.exports = new SessionService();
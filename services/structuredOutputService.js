@@ -0,0 +1,233 @@
+// Gets schema-valid JSON out of a model: prompt with the schema, repair common
+// formatting slips, validate, and reprompt with the validation errors before giving up
+const Ajv = require('ajv');
+const aiSchemas = require('./aiSchemas');
+
+const MAX_ATTEMPTS = Math.max(parseInt(process.env.AI_MAX_ATTEMPTS, 10) || 3, 1);
+
+// Failure categories, logged on every occurrence so prompt regressions show up in the logs
+const FAILURES = {
+  PROVIDER_ERROR: 'provider_error',
+  EMPTY_RESPONSE: 'empty_response',
+  CODE_FENCE: 'code_fence',
+  SURROUNDING_PROSE: 'surrounding_prose',
+  INVALID_JSON: 'invalid_json',
+  SCHEMA_VIOLATION: 'schema_violation',
+  SALVAGED: 'salvaged',
+  EXHAUSTED: 'exhausted'
+};
+
+class StructuredOutputService {
+  constructor() {
+    // coerceTypes turns "309.20" into 309.2; useDefaults fills optional fields
+    this.ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false });
+    this.validators = new Map();
+  }
+
+  /**
+   * JSON schema for a named extraction
+   * @param {string} schemaName - key of services/aiSchemas.js
+   * @param {Object} context - { categories }
+   */
+  getSchema(schemaName, context = {}) {
+    const definition = aiSchemas[schemaName];
+    if (!definition) {
+      throw new Error(`Unknown AI schema: ${schemaName}`);
+    }
+    return definition.build(context);
+  }
+
+  /**
+   * Prompt section telling the model exactly what to return
+   */
+  schemaInstructions(schema) {
+    return `Respond with a single JSON object that validates against this JSON Schema. Use null for values you cannot find. Do not wrap it in code fences or add any other text.
+JSON Schema:
+${JSON.stringify(schema)}`;
+  }
+
+  /**
+   * Pull the JSON object out of a model reply, undoing the usual slips
+   * @param {string} text - raw reply
+   * @returns {Object} { value?, repairs: [category], failure?: { category, message } }
+   */
+  extractJson(text) {
+    const repairs = [];
+    let candidate = (text || '').trim();
+
+    if (!candidate) {
+      return { repairs, failure: { category: FAILURES.EMPTY_RESPONSE, message: 'The reply was empty' } };
+    }
+
+    const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+      repairs.push(FAILURES.CODE_FENCE);
+      candidate = fenced[1].trim();
+    }
+
+    try {
+      return { value: JSON.parse(candidate), repairs };
+    } catch (error) {
+      // "Here is the data: {...} Let me know..." - keep the outermost object
+      const start = candidate.indexOf('{');
+      const end = candidate.lastIndexOf('}');
+      if (start !== -1 && end > start && (start > 0 || end < candidate.length - 1)) {
+        try {
+          const value = JSON.parse(candidate.slice(start, end + 1));
+          repairs.push(FAILURES.SURROUNDING_PROSE);
+          return { value, repairs };
+        } catch (innerError) {
+          // fall through to the parse failure below
+        }
+      }
+
+      return {
+        repairs,
+        failure: { category: FAILURES.INVALID_JSON, message: `The reply was not valid JSON (${error.message})` }
+      };
+    }
+  }
+
+  /**
+   * Normalize and validate parsed data against a named schema
+   * @returns {Object} { valid, data, errors }
+   */
+  validate(schemaName, value, context = {}) {
+    const definition = aiSchemas[schemaName];
+    const schema = definition.build(context);
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { valid: false, data: value, errors: [{ instancePath: '', message: 'must be a JSON object' }] };
+    }
+
+    const data = definition.normalize(value, context);
+    const validateFn = this.compile(schema);
+    const valid = validateFn(data);
+
+    return {
+      valid,
+      data: valid ? definition.finalize(data) : data,
+      errors: valid ? [] : validateFn.errors
+    };
+  }
+
+  // Category enums differ per user, so cache compiled validators by schema text
+  compile(schema) {
+    const key = JSON.stringify(schema);
+    if (!this.validators.has(key)) {
+      if (this.validators.size >= 100) this.validators.clear();
+      this.validators.set(key, this.ajv.compile(schema));
+    }
+    return this.validators.get(key);
+  }
+
+  /**
+   * Last resort once retries are used up: drop invalid array entries and null out
+   * invalid fields, then validate again. Returns null when that still fails.
+   */
+  salvage(schemaName, data, errors, context = {}) {
+    const copy = JSON.parse(JSON.stringify(data));
+    const dropped = new Map();
+
+    for (const error of errors) {
+      const path = error.instancePath.split('/').slice(1);
+      if (error.keyword === 'required') path.push(error.params.missingProperty);
+      if (path.length === 0) return null;
+
+      const indexAt = path.findIndex(segment => /^\d+$/.test(segment));
+      if (indexAt !== -1) {
+        const arrayPath = path.slice(0, indexAt).join('/');
+        if (!dropped.has(arrayPath)) dropped.set(arrayPath, new Set());
+        dropped.get(arrayPath).add(Number(path[indexAt]));
+        continue;
+      }
+
+      let parent = copy;
+      for (const segment of path.slice(0, -1)) parent = parent?.[segment];
+      if (parent && typeof parent === 'object') parent[path[path.length - 1]] = null;
+    }
+
+    for (const [arrayPath, indexes] of dropped) {
+      let parent = copy;
+      const segments = arrayPath.split('/');
+      for (const segment of segments.slice(0, -1)) parent = parent?.[segment];
+      const key = segments[segments.length - 1];
+      if (Array.isArray(parent?.[key])) {
+        parent[key] = parent[key].filter((item, index) => !indexes.has(index));
+      }
+    }
+
+    const result = this.validate(schemaName, copy, context);
+    return result.valid ? result.data : null;
+  }
+
+  describeErrors(errors) {
+    return errors
+      .slice(0, 10)
+      .map(error => `${error.instancePath || '(root)'} ${error.message}${error.params?.allowedValues ? ` (${error.params.allowedValues.map(String).join(', ')})` : ''}`)
+      .join('; ');
+  }
+
+  logFailure(task, category, attempt, detail) {
+    console.warn(`⚠️ AI output [${task}] ${category} (attempt ${attempt}/${MAX_ATTEMPTS}): ${detail}`);
+  }
+
+  /**
+   * Ask for JSON until it validates against the schema, reprompting with what was wrong
+   * @param {Function} complete - (messages) => Promise<string>
+   * @param {Object} request - { task, schemaName, messages, context }
+   * @returns {Promise<Object>} finalized data
+   */
+  async generate(complete, { task, schemaName, messages, context = {} }) {
+    const conversation = [...messages];
+    let lastInvalid = null;
+    let lastProblem = '';
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      let reply;
+      try {
+        reply = await complete(conversation);
+      } catch (error) {
+        // Network and auth errors will not be fixed by rephrasing
+        this.logFailure(task, FAILURES.PROVIDER_ERROR, attempt, error.message);
+        throw error;
+      }
+
+      const { value, repairs, failure } = this.extractJson(reply);
+      repairs.forEach(repair => this.logFailure(task, repair, attempt, 'repaired'));
+
+      if (failure) {
+        this.logFailure(task, failure.category, attempt, failure.message);
+        lastProblem = failure.message;
+      } else {
+        const result = this.validate(schemaName, value, context);
+        if (result.valid) {
+          return result.data;
+        }
+
+        lastInvalid = result;
+        lastProblem = `The JSON did not match the schema: ${this.describeErrors(result.errors)}`;
+        this.logFailure(task, FAILURES.SCHEMA_VIOLATION, attempt, this.describeErrors(result.errors));
+      }
+
+      conversation.push(
+        { role: 'assistant', content: reply || '' },
+        { role: 'user', content: `${lastProblem}. Reply again with only the corrected JSON object.` }
+      );
+    }
+
+    if (lastInvalid) {
+      const salvaged = this.salvage(schemaName, lastInvalid.data, lastInvalid.errors, context);
+      if (salvaged) {
+        this.logFailure(task, FAILURES.SALVAGED, MAX_ATTEMPTS, 'invalid fields cleared');
+        return salvaged;
+      }
+    }
+
+    this.logFailure(task, FAILURES.EXHAUSTED, MAX_ATTEMPTS, lastProblem);
+    throw new Error(`Invalid response format from AI: ${lastProblem}`);
+  }
+}
+
+module.exports = new StructuredOutputService();
+module.exports.FAILURES = FAILURES;
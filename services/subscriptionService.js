@@ -0,0 +1,379 @@
+// Premium plans on Razorpay subscriptions and the entitlements they grant
+const supabase = require('../config/supabase');
+const razorpay = require('../config/razorpay');
+const paymentReceiptService = require('./paymentReceiptService');
+
+const FREE_PLAN_CODE = 'free';
+// Used when the free plan row is missing so the free tier never becomes unlimited by accident
+const FALLBACK_FREE_FEATURES = { ocr_analyses_per_month: 20 };
+// Subscriptions in these states still have a live mandate; starting another would double-bill
+const OPEN_STATUSES = ['created', 'authenticated', 'active', 'pending'];
+// 'pending' means a renewal charge is being retried; keep access until Razorpay halts it
+const ENTITLED_STATUSES = ['active', 'pending'];
+// A subscription never leaves these states, whatever a late webhook says
+const TERMINAL_STATUSES = ['cancelled', 'completed', 'expired'];
+
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+class SubscriptionService {
+  /**
+   * List plans that can be subscribed to, including the free tier
+   * @returns {Promise<Array>}
+   */
+  async listPlans() {
+    const { data, error } = await supabase
+      .from('subscription_plans')
+      .select('id, code, name, description, amount, currency, billing_period, features')
+      .eq('is_active', true)
+      .order('amount', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching plans:', error);
+      throw new Error('Failed to fetch plans');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * The caller's current subscription (if any) and resolved entitlements
+   * @param {string} userId
+   * @returns {Promise<Object>} { subscription, plan, features }
+   */
+  async getEntitlements(userId) {
+    const { data: subscriptions, error } = await supabase
+      .from('subscriptions')
+      .select('*, subscription_plans(*)')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(5);
+
+    if (error) {
+      console.error('Error fetching subscriptions:', error);
+      throw new Error('Failed to fetch subscription');
+    }
+
+    const now = new Date();
+    const entitled = (subscriptions || []).find(subscription =>
+      ENTITLED_STATUSES.includes(subscription.status) ||
+      // Cancelled subscriptions keep their benefits until the paid period ends
+      (subscription.status === 'cancelled' && subscription.current_end && new Date(subscription.current_end) > now)
+    );
+
+    const latest = (subscriptions || [])[0] || null;
+
+    if (entitled) {
+      const { subscription_plans: plan, ...subscription } = entitled;
+      return { subscription, plan, features: plan.features || {} };
+    }
+
+    const freePlan = await this.getPlanByCode(FREE_PLAN_CODE);
+    let subscription = null;
+    if (latest) {
+      const { subscription_plans: plan, ...rest } = latest;
+      subscription = { ...rest, plan_code: plan?.code };
+    }
+
+    return {
+      subscription,
+      plan: freePlan,
+      features: freePlan?.features || FALLBACK_FREE_FEATURES
+    };
+  }
+
+  /**
+   * Start a Razorpay subscription for a paid plan
+   * @param {Object} user - { id, email, full_name }
+   * @param {string} planCode - subscription_plans.code
+   * @returns {Promise<Object>} { success, status?, message?, subscription? }
+   */
+  async createSubscription(user, planCode) {
+    const plan = await this.getPlanByCode(planCode);
+
+    if (!plan || !plan.is_active) {
+      return { success: false, status: 404, message: 'Plan not found' };
+    }
+
+    if (!plan.billing_period || Number(plan.amount) <= 0) {
+      return { success: false, status: 400, message: 'This plan does not need a subscription' };
+    }
+
+    const { data: open, error: openError } = await supabase
+      .from('subscriptions')
+      .select('id, status')
+      .eq('user_id', user.id)
+      .in('status', OPEN_STATUSES)
+      .limit(1);
+
+    if (openError) {
+      console.error('Error checking existing subscriptions:', openError);
+      throw new Error('Failed to check existing subscriptions');
+    }
+
+    if (open && open.length > 0) {
+      return { success: false, status: 409, message: 'You already have a subscription in progress. Cancel it before switching plans.' };
+    }
+
+    const razorpayPlanId = await this.ensureRazorpayPlan(plan);
+
+    let remote;
+    try {
+      remote = await razorpay.subscriptions.create({
+        plan_id: razorpayPlanId,
+        total_count: plan.total_count || (plan.billing_period === 'yearly' ? 10 : 120),
+        customer_notify: 1,
+        notes: { userId: user.id, planCode: plan.code }
+      });
+    } catch (error) {
+      console.error('Razorpay subscription error:', error);
+      return { success: false, status: 502, message: error?.error?.description || 'Failed to start subscription' };
+    }
+
+    const { data: subscription, error } = await supabase
+      .from('subscriptions')
+      .insert({
+        user_id: user.id,
+        plan_id: plan.id,
+        razorpay_subscription_id: remote.id,
+        status: remote.status || 'created',
+        short_url: remote.short_url || null
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Error recording subscription:', error);
+      throw new Error('Failed to record subscription');
+    }
+
+    console.log(`⭐ Subscription ${remote.id} (${plan.code}) created for user ${user.id}`);
+    return { success: true, subscription, plan };
+  }
+
+  /**
+   * Cancel the caller's open subscription
+   * @param {string} userId
+   * @param {boolean} atCycleEnd - Keep benefits until the end of the paid period
+   */
+  async cancelSubscription(userId, atCycleEnd = true) {
+    const { data: subscription, error } = await supabase
+      .from('subscriptions')
+      .select('*')
+      .eq('user_id', userId)
+      .in('status', OPEN_STATUSES)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching subscription to cancel:', error);
+      throw new Error('Failed to fetch subscription');
+    }
+
+    if (!subscription) {
+      return { success: false, status: 404, message: 'No active subscription to cancel' };
+    }
+
+    // Nothing has been charged before activation, so there is no cycle to wait for
+    const cancelAtCycleEnd = atCycleEnd && subscription.status === 'active';
+
+    let remote;
+    try {
+      remote = await razorpay.subscriptions.cancel(subscription.razorpay_subscription_id, cancelAtCycleEnd);
+    } catch (cancelError) {
+      console.error('Razorpay cancel error:', cancelError);
+      return { success: false, status: 502, message: cancelError?.error?.description || 'Failed to cancel subscription' };
+    }
+
+    const update = cancelAtCycleEnd
+      ? { cancel_at_cycle_end: true }
+      : { status: remote.status || 'cancelled', ended_at: new Date().toISOString() };
+
+    const { data: updated, error: updateError } = await supabase
+      .from('subscriptions')
+      .update(update)
+      .eq('id', subscription.id)
+      .select('*')
+      .single();
+
+    if (updateError) {
+      console.error('Error updating cancelled subscription:', updateError);
+      throw new Error('Failed to update subscription');
+    }
+
+    return { success: true, subscription: updated };
+  }
+
+  /**
+   * Apply a subscription.* webhook. Webhooks can arrive out of order, so an event
+   * older than the last one applied is ignored, and a cancelled/completed/expired
+   * subscription is never moved back to another status.
+   * @param {string} eventName - e.g. 'subscription.charged'
+   * @param {Object} payload - Webhook payload ({ subscription, payment? })
+   * @param {number} [createdAt] - The event's created_at (unix seconds)
+   */
+  async applySubscriptionEvent(eventName, payload, createdAt) {
+    const entity = payload.subscription?.entity;
+    if (!entity?.id) return;
+
+    const eventAt = fromUnix(createdAt);
+    const update = {
+      status: entity.status,
+      current_start: fromUnix(entity.current_start),
+      current_end: fromUnix(entity.current_end),
+      paid_count: entity.paid_count ?? 0,
+      ended_at: fromUnix(entity.ended_at)
+    };
+    if (eventAt) update.last_event_at = eventAt;
+
+    let query = supabase
+      .from('subscriptions')
+      .update(update)
+      .eq('razorpay_subscription_id', entity.id)
+      .or(`status.not.in.(${TERMINAL_STATUSES.join(',')}),status.eq.${entity.status}`);
+    if (eventAt) query = query.or(`last_event_at.is.null,last_event_at.lte."${eventAt}"`);
+
+    const { data: updated, error } = await query.select('*').maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update subscription: ${error.message}`);
+    }
+
+    let subscription = updated;
+    if (!subscription) {
+      const { data: existing, error: fetchError } = await supabase
+        .from('subscriptions')
+        .select('*')
+        .eq('razorpay_subscription_id', entity.id)
+        .maybeSingle();
+
+      if (fetchError) {
+        throw new Error(`Failed to fetch subscription: ${fetchError.message}`);
+      }
+
+      if (!existing) {
+        console.warn(`Webhook ${eventName} for unknown subscription ${entity.id}; ignoring`);
+        return;
+      }
+
+      console.warn(`Webhook ${eventName} for subscription ${entity.id} is stale (row is ${existing.status}, last event ${existing.last_event_at || 'n/a'}); status left unchanged`);
+      subscription = existing;
+    } else {
+      console.log(`⭐ Subscription ${entity.id} is now ${entity.status} (${eventName})`);
+    }
+
+    // A late charge still moved money, so it is recorded even when its status is stale
+    if (eventName === 'subscription.charged' && payload.payment?.entity) {
+      await this.recordCharge(subscription, payload.payment.entity);
+    }
+  }
+
+  /**
+   * Record a subscription charge as a captured payment and send its receipt
+   */
+  async recordCharge(subscription, paymentEntity) {
+    const { data: existing } = await supabase
+      .from('payments')
+      .select('id')
+      .eq('razorpay_payment_id', paymentEntity.id)
+      .maybeSingle();
+
+    let paymentId = existing?.id;
+
+    if (!paymentId) {
+      const plan = await this.getPlanById(subscription.plan_id);
+      const { data: inserted, error } = await supabase
+        .from('payments')
+        .insert({
+          user_id: subscription.user_id,
+          subscription_id: subscription.id,
+          amount: paymentEntity.amount / 100,
+          currency: paymentEntity.currency || 'INR',
+          status: 'captured',
+          razorpay_order_id: paymentEntity.order_id || null,
+          razorpay_payment_id: paymentEntity.id,
+          method: paymentEntity.method,
+          email: paymentEntity.email,
+          contact: paymentEntity.contact,
+          notes: { description: `${plan?.name || 'Premium'} subscription`, subscriptionId: subscription.razorpay_subscription_id },
+          verified_at: fromUnix(paymentEntity.created_at) || new Date().toISOString()
+        })
+        .select('id')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to record subscription charge: ${error.message}`);
+      }
+
+      paymentId = inserted.id;
+    }
+
+    await paymentReceiptService.dispatchReceipt(paymentId);
+  }
+
+  /**
+   * Create the Razorpay plan for a plan row on first use
+   * @returns {Promise<string>} Razorpay plan id
+   */
+  async ensureRazorpayPlan(plan) {
+    if (plan.razorpay_plan_id) return plan.razorpay_plan_id;
+
+    const remote = await razorpay.plans.create({
+      period: plan.billing_period,
+      interval: 1,
+      item: {
+        name: plan.name,
+        amount: Math.round(Number(plan.amount) * 100),
+        currency: plan.currency || 'INR',
+        description: plan.description || plan.name
+      },
+      notes: { planCode: plan.code }
+    });
+
+    // Another request may have created one at the same time; keep whichever was stored first
+    const { data: claimed } = await supabase
+      .from('subscription_plans')
+      .update({ razorpay_plan_id: remote.id })
+      .eq('id', plan.id)
+      .is('razorpay_plan_id', null)
+      .select('razorpay_plan_id')
+      .maybeSingle();
+
+    if (claimed) return claimed.razorpay_plan_id;
+
+    const { data: current } = await supabase
+      .from('subscription_plans')
+      .select('razorpay_plan_id')
+      .eq('id', plan.id)
+      .single();
+
+    return current.razorpay_plan_id;
+  }
+
+  async getPlanByCode(code) {
+    const { data, error } = await supabase
+      .from('subscription_plans')
+      .select('*')
+      .eq('code', code)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching plan:', error);
+      throw new Error('Failed to fetch plan');
+    }
+
+    return data;
+  }
+
+  async getPlanById(id) {
+    const { data } = await supabase
+      .from('subscription_plans')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    return data;
+  }
+}
+
+module.exports = new SubscriptionService();
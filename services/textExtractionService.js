@@ -0,0 +1,131 @@
+// Local text extraction for uploaded documents
+// Images go through Tesseract (tesseract.js with bundled English data, so nothing is
+// downloaded at runtime). PDFs use their embedded text layer; scanned PDFs are
+// rendered page by page and OCR'd.
+const { createWorker } = require('tesseract.js');
+const { PDFParse } = require('pdf-parse');
+const engData = require('@tesseract.js-data/eng');
+
+// PDFs with less text than this are treated as scans without a text layer
+const MIN_PDF_TEXT_LENGTH = 20;
+// Scanned PDFs are OCR'd one rendered page at a time; cap the work per upload
+const MAX_SCANNED_PDF_PAGES = 5;
+const PDF_RENDER_SCALE = 2;
+
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { mimeType: 'image/png', extension: 'png', matches: (buf) => buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'application/pdf', extension: 'pdf', matches: (buf) => buf.slice(0, 5).toString('latin1') === '%PDF-' }
+];
+
+class TextExtractionService {
+  constructor() {
+    this.workerPromise = null;
+  }
+
+  /**
+   * Identify an upload by its magic bytes rather than the client-supplied MIME type
+   * @param {Buffer} buffer
+   * @returns {Object|null} { mimeType, extension }
+   */
+  detectFileType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 8) return null;
+    const match = SIGNATURES.find(signature => signature.matches(buffer));
+    return match ? { mimeType: match.mimeType, extension: match.extension } : null;
+  }
+
+  /**
+   * Extract text from a JPEG, PNG or PDF
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - From detectFileType
+   * @returns {Promise<Object>} { text, engine, confidence, pages? }
+   */
+  async extractText(buffer, mimeType) {
+    if (mimeType === 'application/pdf') {
+      return this.extractPdfText(buffer);
+    }
+    return this.recognizeImage(buffer);
+  }
+
+  async recognizeImage(buffer) {
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(buffer);
+
+    return {
+      text: (data.text || '').trim(),
+      engine: 'tesseract',
+      confidence: Math.round(data.confidence || 0)
+    };
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @param {Object} options - { ocrFallback: OCR the pages when there is no text layer;
+   *   when false such PDFs come back with engine 'none' and no text }
+   */
+  async extractPdfText(buffer, { ocrFallback = true } = {}) {
+    const parser = new PDFParse({ data: buffer });
+
+    try {
+      const parsed = await parser.getText();
+      const text = (parsed.text || '').trim();
+
+      if (text.replace(/\s+/g, '').length >= MIN_PDF_TEXT_LENGTH) {
+        return { text, engine: 'pdf-text', confidence: 100, pages: parsed.total };
+      }
+
+      if (!ocrFallback) {
+        return { text: '', engine: 'none', confidence: 0, pages: parsed.total };
+      }
+
+      // No usable text layer: render the pages and OCR them
+      const { pages } = await parser.getScreenshot({
+        scale: PDF_RENDER_SCALE,
+        first: MAX_SCANNED_PDF_PAGES,
+        imageDataUrl: false
+      });
+
+      const results = [];
+      for (const page of pages) {
+        results.push(await this.recognizeImage(Buffer.from(page.data)));
+      }
+
+      return {
+        text: results.map(result => result.text).join('\n\n').trim(),
+        engine: 'tesseract',
+        confidence: results.length
+          ? Math.round(results.reduce((sum, result) => sum + result.confidence, 0) / results.length)
+          : 0,
+        pages: parsed.total
+      };
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  /**
+   * One shared worker; Tesseract queues jobs internally
+   */
+  getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = createWorker(engData.code, 1, {
+        langPath: engData.langPath,
+        gzip: engData.gzip,
+        cacheMethod: 'none'
+      }).catch(error => {
+        this.workerPromise = null;
+        throw error;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  async terminate() {
+    if (!this.workerPromise) return;
+    const worker = await this.workerPromise;
+    this.workerPromise = null;
+    await worker.terminate();
+  }
+}
+
+module.exports = new TextExtractionService();
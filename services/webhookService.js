@@ -0,0 +1,318 @@
+// Razorpay webhook verification, event log and event handlers
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const paymentReceiptService = require('./paymentReceiptService');
+const refundService = require('./refundService');
+const subscriptionService = require('./subscriptionService');
+
+const PROVIDER = 'razorpay';
+
+class WebhookService {
+  constructor() {
+    this.handlers = {
+      'payment.authorized': this.handlePaymentAuthorized,
+      'payment.captured': this.handlePaymentCaptured,
+      'payment.failed': this.handlePaymentFailed,
+      'order.paid': this.handleOrderPaid,
+      'refund.created': this.handleRefundCreated,
+      'refund.processed': this.handleRefundProcessed,
+      'refund.failed': this.handleRefundFailed,
+      'refund.speed_changed': this.handleRefundCreated,
+      'subscription.authenticated': this.handleSubscription,
+      'subscription.activated': this.handleSubscription,
+      'subscription.charged': this.handleSubscription,
+      'subscription.pending': this.handleSubscription,
+      'subscription.halted': this.handleSubscription,
+      'subscription.cancelled': this.handleSubscription,
+      'subscription.completed': this.handleSubscription
+    };
+  }
+
+  /**
+   * Check the x-razorpay-signature header against the exact bytes Razorpay sent
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {string} signature - x-razorpay-signature header
+   * @param {string} secret - RAZORPAY_WEBHOOK_SECRET
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, signature, secret) {
+    if (!Buffer.isBuffer(rawBody) || typeof signature !== 'string' || !secret) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const given = Buffer.from(signature, 'utf8');
+    const wanted = Buffer.from(expected, 'utf8');
+
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+  }
+
+  /**
+   * Store a verified delivery and process it unless it was already handled
+   * @param {string} eventId - x-razorpay-event-id header (falls back to a hash of the body)
+   * @param {Object} body - Parsed webhook body
+   * @returns {Promise<Object>} { duplicate, event } - event is the webhook_events row
+   */
+  async receive(eventId, body) {
+    const { data: inserted, error } = await supabase
+      .from('webhook_events')
+      .insert({
+        provider: PROVIDER,
+        event_id: eventId,
+        event: body.event || 'unknown',
+        payload: body
+      })
+      .select('*')
+      .single();
+
+    if (error && error.code !== '23505') {
+      console.error('Error storing webhook event:', error);
+      throw new Error('Failed to store webhook event');
+    }
+
+    let event = inserted;
+
+    if (!event) {
+      const { data: existing, error: fetchError } = await supabase
+        .from('webhook_events')
+        .select('*')
+        .eq('provider', PROVIDER)
+        .eq('event_id', eventId)
+        .single();
+
+      if (fetchError) {
+        console.error('Error loading webhook event:', fetchError);
+        throw new Error('Failed to load webhook event');
+      }
+
+      // Razorpay redelivers until it gets a 2xx; only retry what hasn't succeeded
+      if (existing.status === 'processed' || existing.status === 'ignored') {
+        console.log(`↩️ Duplicate webhook ${eventId} (${existing.event}) skipped`);
+        return { duplicate: true, event: existing };
+      }
+
+      event = existing;
+    }
+
+    return { duplicate: false, event: await this.process(event) };
+  }
+
+  /**
+   * Run the handler for a stored event and record the outcome
+   * @param {Object} event - webhook_events row
+   * @returns {Promise<Object>} Updated webhook_events row
+   */
+  async process(event) {
+    const handler = this.resolveHandler(event.event);
+    let update;
+
+    if (!handler) {
+      update = { status: 'ignored', last_error: null, processed_at: new Date().toISOString() };
+    } else {
+      try {
+        await handler.call(this, event.payload?.payload || {}, event.event, event.payload?.created_at);
+        update = { status: 'processed', last_error: null, processed_at: new Date().toISOString() };
+      } catch (error) {
+        console.error(`Webhook ${event.event} (${event.event_id}) failed:`, error);
+        update = { status: 'failed', last_error: error.message || String(error) };
+      }
+    }
+
+    const { data: updated, error } = await supabase
+      .from('webhook_events')
+      .update({ ...update, attempts: (event.attempts || 0) + 1 })
+      .eq('id', event.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Error recording webhook outcome:', error);
+      return { ...event, ...update };
+    }
+
+    return updated;
+  }
+
+  /**
+   * Re-run a stored event (admin replay)
+   * @param {string} id - webhook_events.id
+   * @returns {Promise<Object|null>} Updated row, or null if not found
+   */
+  async replay(id) {
+    const { data: event, error } = await supabase
+      .from('webhook_events')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading webhook event:', error);
+      throw new Error('Failed to load webhook event');
+    }
+
+    if (!event) return null;
+
+    console.log(`🔁 Replaying webhook ${event.event} (${event.event_id})`);
+    return this.process(event);
+  }
+
+  resolveHandler(eventName) {
+    if (this.handlers[eventName]) {
+      return this.handlers[eventName];
+    }
+    if (typeof eventName === 'string' && eventName.startsWith('payment.dispute.')) {
+      return this.handleDispute;
+    }
+    return null;
+  }
+
+  async handlePaymentAuthorized(payload) {
+    const entity = payload.payment?.entity;
+    if (!entity?.order_id) return;
+
+    // Never move a captured/refunded payment backwards
+    const { error } = await supabase
+      .from('payments')
+      .update({
+        status: 'authorized',
+        razorpay_payment_id: entity.id,
+        method: entity.method,
+        email: entity.email,
+        contact: entity.contact
+      })
+      .eq('razorpay_order_id', entity.order_id)
+      .in('status', ['created', 'failed']);
+
+    if (error) throw new Error(`Failed to mark payment authorized: ${error.message}`);
+  }
+
+  async handlePaymentCaptured(payload) {
+    const entity = payload.payment?.entity;
+    if (!entity?.order_id) return;
+
+    await this.markCaptured(entity.order_id, entity);
+  }
+
+  async handleOrderPaid(payload) {
+    const orderId = payload.order?.entity?.id || payload.payment?.entity?.order_id;
+    if (!orderId) return;
+
+    await this.markCaptured(orderId, payload.payment?.entity || {});
+  }
+
+  async handlePaymentFailed(payload) {
+    const entity = payload.payment?.entity;
+    if (!entity?.order_id) return;
+
+    // A later attempt on the same order may already have succeeded
+    const { error } = await supabase
+      .from('payments')
+      .update({
+        status: 'failed',
+        razorpay_payment_id: entity.id,
+        method: entity.method,
+        email: entity.email,
+        contact: entity.contact,
+        error_code: entity.error_code || null,
+        error_description: entity.error_description || null
+      })
+      .eq('razorpay_order_id', entity.order_id)
+      .in('status', ['created', 'authorized']);
+
+    if (error) throw new Error(`Failed to mark payment failed: ${error.message}`);
+  }
+
+  async handleRefundCreated(payload) {
+    const entity = payload.refund?.entity;
+    if (!entity?.id) return;
+
+    await refundService.recordRefund(entity);
+  }
+
+  async handleRefundProcessed(payload) {
+    const entity = payload.refund?.entity;
+    if (!entity?.id) return;
+
+    await refundService.applyRefundEvent(entity, 'processed');
+  }
+
+  async handleRefundFailed(payload) {
+    const entity = payload.refund?.entity;
+    if (!entity?.id) return;
+
+    await refundService.applyRefundEvent(entity, 'failed');
+  }
+
+  async handleSubscription(payload, eventName, createdAt) {
+    await subscriptionService.applySubscriptionEvent(eventName, payload, createdAt);
+  }
+
+  async handleDispute(payload) {
+    const entity = payload.dispute?.entity;
+    const paymentId = entity?.payment_id || payload.payment?.entity?.id;
+    if (!entity?.id || !paymentId) return;
+
+    const { data: payment, error: paymentError } = await supabase
+      .from('payments')
+      .select('id, user_id, currency')
+      .eq('razorpay_payment_id', paymentId)
+      .maybeSingle();
+
+    if (paymentError) throw new Error(`Failed to look up disputed payment: ${paymentError.message}`);
+
+    if (!payment) {
+      console.warn(`Dispute ${entity.id} is for unknown payment ${paymentId}; ignoring`);
+      return;
+    }
+
+    const { error } = await supabase
+      .from('payment_disputes')
+      .upsert({
+        payment_id: payment.id,
+        user_id: payment.user_id,
+        razorpay_dispute_id: entity.id,
+        amount: (entity.amount || 0) / 100,
+        amount_deducted: (entity.amount_deducted || 0) / 100,
+        currency: entity.currency || payment.currency || 'INR',
+        reason_code: entity.reason_code || null,
+        reason_description: entity.reason_description || null,
+        phase: entity.phase || null,
+        status: entity.status || 'open',
+        respond_by: entity.respond_by ? new Date(entity.respond_by * 1000).toISOString() : null
+      }, { onConflict: 'razorpay_dispute_id' });
+
+    if (error) throw new Error(`Failed to record dispute: ${error.message}`);
+
+    console.warn(`⚠️ Dispute ${entity.id} on payment ${payment.id} is ${entity.status}`);
+  }
+
+  /**
+   * Mark the order's payment captured and send its receipt
+   */
+  async markCaptured(orderId, entity) {
+    const { data: captured, error } = await supabase
+      .from('payments')
+      .update({
+        status: 'captured',
+        razorpay_payment_id: entity.id,
+        method: entity.method,
+        email: entity.email,
+        contact: entity.contact,
+        verified_at: new Date().toISOString()
+      })
+      .eq('razorpay_order_id', orderId)
+      .in('status', ['created', 'authorized', 'failed', 'captured'])
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to mark payment captured: ${error.message}`);
+
+    if (captured) {
+      paymentReceiptService
+        .dispatchReceipt(captured.id)
+        .catch(dispatchError => console.error('receipt dispatch error:', dispatchError));
+    }
+  }
+}
+
+module.exports = new WebhookService();
@@ -1,114 +1,28 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
-import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
-serve(async (req) => {
+// This function used to reset a password from just an email and a new password,
+// with no proof that the caller owns the account. Password resets now go through
+// the backend's tokenized flow:
+//   POST /api/auth/forgot-password  { email }            -> emails a single-use link
+//   POST /api/auth/reset-password   { token, newPassword }
+serve((req) => {
   // Handle CORS preflight requests
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders })
   }
 
-  try {
-    // Create Supabase admin client
-    const supabaseAdmin = createClient(
-      Deno.env.get('SUPABASE_URL') ?? '',
-      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
-      {
-        auth: {
-          autoRefreshToken: false,
-          persistSession: false
-        }
-      }
-    )
-
-    const { email, newPassword } = await req.json()
-
-    if (!email || !newPassword) {
-      return new Response(
-        JSON.stringify({ error: 'Email and newPassword are required' }),
-        { 
-          status: 400, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
-        }
-      )
-    }
-
-    console.log(`Resetting password for email: ${email}`)
-
-    // Find user by email
-    const { data: users, error: listError } = await supabaseAdmin.auth.admin.listUsers()
-    
-    if (listError) {
-      console.error('Error listing users:', listError)
-      return new Response(
-        JSON.stringify({ error: 'Failed to find user' }),
-        { 
-          status: 500, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
-        }
-      )
-    }
-
-    const user = users.users.find(u => u.email === email)
-    
-    if (!user) {
-      return new Response(
-        JSON.stringify({ error: 'User not found' }),
-        { 
-          status: 404, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
-        }
-      )
+  return new Response(
+    JSON.stringify({
+      error: 'This endpoint has been retired. Use POST /api/auth/forgot-password on the backend to request a reset link.'
+    }),
+    {
+      status: 410,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
     }
-
-    console.log(`Found user: ${user.id}`)
-
-    // Update user password
-    const { data, error } = await supabaseAdmin.auth.admin.updateUserById(
-      user.id,
-      { password: newPassword }
-    )
-
-    if (error) {
-      console.error('Error updating password:', error)
-      return new Response(
-        JSON.stringify({ error: 'Failed to update password' }),
-        { 
-          status: 500, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
-        }
-      )
-    }
-
-    console.log('Password updated successfully')
-
-    // Optional: Send email notification
-    // You can integrate with email services like SendGrid, Resend, etc.
-    
-    return new Response(
-      JSON.stringify({ 
-        success: true, 
-        message: 'Password updated successfully',
-        userId: user.id 
-      }),
-      { 
-        status: 200, 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
-      }
-    )
-
-  } catch (error) {
-    console.error('Exception in reset-password function:', error)
-    return new Response(
-      JSON.stringify({ error: 'Internal server error' }),
-      { 
-        status: 500, 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
-      }
-    )
-  }
-})
\ No newline at end of file
+  )
+})
@@ -0,0 +1,6 @@
+-- Allow PDF uploads to receipts-v2 for POST /api/ocr/receipts
+-- Originals are stored under <user_id>/<timestamp>-<random>.<ext>
+UPDATE storage.buckets
+SET allowed_mime_types = ARRAY['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'],
+    file_size_limit = 10485760
+WHERE id = 'receipts-v2';